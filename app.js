@@ -9,9 +9,24 @@ let searchQuery = '';
 let sortColumn = null;
 let sortDirection = 'asc';
 let selectedPlugins = new Set();
+let writeScope = 'user'; // settings layer toggles are written to
+let availablePlugins = []; // marketplace plugins that are not installed
+
+// Plugin profiles state
+let profiles = [];
+
+// Background job state
+let jobs = []; // newest first, without logs
+let expandedJobIds = new Set();
+
+// Workspace state
+let workspaces = [];
+let selectedWorkspaceId = null;
+let recentWorkspaceIds = [];
 
 // Skills state
 let skills = [];
+let skillLint = {}; // '<location>/<id>' -> lint result
 let skillSearchQuery = '';
 let currentTab = 'plugins';
 
@@ -22,6 +37,7 @@ let commandSearchQuery = '';
 // Agents state
 let agents = [];
 let agentSearchQuery = '';
+let agentOptions = { tools: [], models: [], colors: [] }; // choices for the agent editor
 
 // Marketplace state
 let marketplaceExtensions = [];
@@ -29,6 +45,12 @@ let marketplaceSearchQuery = '';
 let marketplaceTypeFilter = 'all';
 let marketplaceCategory = 'featured';
 let selectedExtension = null;
+let marketplaceListenersBound = false;
+
+// Command palette state
+let paletteResults = [];
+let paletteActiveIndex = 0;
+let paletteSearchTimer = null;
 
 // Initialize
 async function init() {
@@ -39,6 +61,11 @@ async function init() {
         await loadPlugins();
         setupEventListeners();
         renderPlugins();
+        loadAvailablePlugins().then(() => renderPlugins());
+        loadProfiles();
+        loadWorkspaces();
+        loadJobs();
+        connectEvents();
         
         // Load all stats in background
         loadAllStats();
@@ -133,11 +160,22 @@ function setupEventListeners() {
         renderAgents();
     });
 
+    // New skill button
+    document.getElementById('newSkillBtn').addEventListener('click', showNewSkillModal);
+
+    // Skill lint report button
+    document.getElementById('skillLintReportBtn').addEventListener('click', showSkillLintReport);
+
+    // Trash of deleted skills, commands and agents
+    document.getElementById('skillTrashBtn').addEventListener('click', () => showTrash('skill'));
+    document.getElementById('commandTrashBtn').addEventListener('click', () => showTrash('command'));
+    document.getElementById('agentTrashBtn').addEventListener('click', () => showTrash('agent'));
+
     // New command button
-    document.getElementById('newCommandBtn').addEventListener('click', () => showEditModal('command', null));
+    document.getElementById('newCommandBtn').addEventListener('click', () => showCommandEditor(null));
 
     // New agent button
-    document.getElementById('newAgentBtn').addEventListener('click', () => showEditModal('agent', null));
+    document.getElementById('newAgentBtn').addEventListener('click', () => showAgentEditor(null));
 
     // Filter buttons
     document.querySelectorAll('.filter-btn').forEach(btn => {
@@ -155,8 +193,68 @@ function setupEventListeners() {
     document.getElementById('updateAllBtn').addEventListener('click', () => updateAllPlugins());
     document.getElementById('saveBtn').addEventListener('click', () => saveConfig());
 
+    // Bulk actions for checked plugins
+    document.querySelectorAll('[data-bulk-action]').forEach(btn => {
+        btn.addEventListener('click', () => bulkPluginAction(btn.dataset.bulkAction));
+    });
+    document.getElementById('clearSelectionBtn').addEventListener('click', () => clearPluginSelection());
+
+    // Command and agent row buttons (ids come from project repos, so not inline handlers)
+    bindItemActions('commandsContainer', 'command', { view: viewCommand, edit: editCommand, delete: deleteCommand });
+    bindItemActions('agentsContainer', 'agent', { view: viewAgent, edit: editAgent, delete: deleteAgent });
+
+    // Install buttons of available plugins (ids come from marketplace catalogs, so not inline handlers)
+    document.getElementById('pluginContainer').addEventListener('click', (e) => {
+        const button = e.target.closest('.plugin-install-btn');
+        if (button) installPlugin(button.dataset.pluginId);
+    });
+
+    // Settings history buttons
+    document.getElementById('scopeSelect').addEventListener('change', (e) => {
+        writeScope = e.target.value;
+        renderPlugins();
+    });
+    document.getElementById('undoSettingsBtn').addEventListener('click', () => undoLastSettingsChange());
+    document.getElementById('settingsHistoryBtn').addEventListener('click', () => showSettingsHistory());
+    document.getElementById('pluginMarketplacesBtn').addEventListener('click', () => showPluginMarketplaces());
+    document.getElementById('jobsBtn').addEventListener('click', () => showJobsPanel());
+
+    // Workspace picker
+    document.getElementById('workspaceSelect').addEventListener('change', (e) => {
+        if (e.target.value) selectWorkspace(e.target.value);
+    });
+    document.getElementById('addWorkspaceBtn').addEventListener('click', () => showAddWorkspaceModal());
+    document.getElementById('removeWorkspaceBtn').addEventListener('click', () => removeSelectedWorkspace());
+
+    // Profile buttons
+    document.getElementById('applyProfileBtn').addEventListener('click', () => applySelectedProfile());
+    document.getElementById('saveProfileBtn').addEventListener('click', () => showSaveProfileModal());
+    document.getElementById('renameProfileBtn').addEventListener('click', () => renameSelectedProfile());
+    document.getElementById('deleteProfileBtn').addEventListener('click', () => deleteSelectedProfile());
+
     // Modal
     document.getElementById('modalCancel').addEventListener('click', () => hideModal());
+
+    // Detail panel close (shared by plugin and marketplace details)
+    document.getElementById('detailPanelClose').addEventListener('click', closeDetailPanel);
+    document.getElementById('detailPanelOverlay').addEventListener('click', closeDetailPanel);
+
+    // Command palette: Ctrl+K (Cmd+K on macOS) from anywhere
+    document.getElementById('commandPaletteBtn').addEventListener('click', () => openCommandPalette());
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            openCommandPalette();
+        }
+    });
+    document.getElementById('paletteInput').addEventListener('input', (e) => {
+        clearTimeout(paletteSearchTimer);
+        paletteSearchTimer = setTimeout(() => searchCommandPalette(e.target.value), 200);
+    });
+    document.getElementById('paletteInput').addEventListener('keydown', handlePaletteKeydown);
+    document.getElementById('commandPalette').addEventListener('click', (e) => {
+        if (e.target.id === 'commandPalette') closeCommandPalette();
+    });
 }
 
 // Switch tab
@@ -203,6 +301,14 @@ async function loadSkills() {
         const data = await response.json();
         skills = data.skills;
 
+        // Lint results only add badges; the skills list works without them
+        skillLint = {};
+        const lintResponse = await fetch(`${API_BASE}/api/lint/skills`);
+        if (lintResponse.ok) {
+            const report = await lintResponse.json();
+            report.skills.forEach(result => { skillLint[`${result.location}/${result.id}`] = result; });
+        }
+
         updateSkillsStats();
     } catch (error) {
         console.error('Error loading skills:', error);
@@ -293,7 +399,7 @@ function renderSkillsGroup(title, skillsList, level) {
                             <th>Description</th>
                             <th style="width: 100px;">Version</th>
                             <th style="width: 200px;">Tags</th>
-                            <th style="width: 120px;">Actions</th>
+                            <th style="width: ${level === 'managed' ? 180 : 360}px;">Actions</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -301,10 +407,10 @@ function renderSkillsGroup(title, skillsList, level) {
 
     skillsList.forEach(skill => {
         html += `
-            <tr>
+            <tr class="${skill.enabled === false ? 'skill-disabled' : ''}">
                 <td>
                     <div class="plugin-name">
-                        <div class="plugin-name-text">${skill.displayName}</div>
+                        <div class="plugin-name-text">${skill.displayName} ${skill.enabled === false ? '<span class="tag skill-disabled-tag">Disabled</span>' : ''} ${renderFrontmatterBadge(skill)} ${renderLintBadge(skillLint[`${skill.location}/${skill.id}`])}</div>
                         <div class="plugin-id">${skill.id}</div>
                     </div>
                 </td>
@@ -323,7 +429,14 @@ function renderSkillsGroup(title, skillsList, level) {
                 </td>
                 <td>
                     <div class="action-buttons">
-                        <button class="action-btn" onclick="viewSkill('${skill.id}')">View</button>
+                        <button class="action-btn" onclick="viewSkill('${skill.id}', '${level}')">View</button>
+                        <button class="action-btn" onclick="setSkillEnabled('${skill.id}', '${level}', ${skill.enabled === false})">${skill.enabled === false ? 'Enable' : 'Disable'}</button>
+                        ${skill.source === 'filesystem' && skill.enabled !== false ? `
+                            <button class="action-btn" onclick="editSkill('${skill.id}', '${level}')">Edit</button>
+                            <button class="action-btn" onclick="showTransferModal('skill', '${skill.id}', '${level}')">Copy/Move</button>
+                            <button class="action-btn" onclick="showItemHistory('skill', '${skill.id}', '${level}')">History</button>
+                            <button class="action-btn danger" onclick="deleteSkill('${skill.id}', '${level}')">Delete</button>
+                        ` : ''}
                     </div>
                 </td>
             </tr>
@@ -340,10 +453,10 @@ function renderSkillsGroup(title, skillsList, level) {
     return html;
 }
 
-// View skill details
-async function viewSkill(skillId) {
+// View skill details (scope picks between user and project skills of the same name)
+async function viewSkill(skillId, scope) {
     try {
-        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}`);
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}${scope ? `?scope=${scope}` : ''}`);
         if (!response.ok) throw new Error('Cannot load skill details');
 
         const skill = await response.json();
@@ -364,11 +477,21 @@ async function viewSkill(skillId) {
                 <p><strong>Description:</strong></p>
                 <p>${skill.description}</p>
                 ${skill.tags.length > 0 ? `<p><strong>Tags:</strong> ${skill.tags.join(', ')}</p>` : ''}
+                ${renderFrontmatterDetails(skill)}
+                ${skill.source === 'filesystem' ? `
+                    <div id="skillLintIssues"></div>
+                    <hr style="margin: 20px 0; border: none; border-top: 1px solid var(--border-primary);">
+                    <details open>
+                        <summary style="cursor: pointer; font-weight: 600; margin-bottom: 10px;">📁 Files <span id="skillTreeSummary" class="skill-tree-meta"></span></summary>
+                        <div id="skillTree">Loading files...</div>
+                        <div id="skillFileViewer"></div>
+                    </details>
+                ` : ''}
                 ${skill.readme ? `
                     <hr style="margin: 20px 0; border: none; border-top: 1px solid var(--border-primary);">
                     <details>
                         <summary style="cursor: pointer; font-weight: 600; margin-bottom: 10px;">📖 README</summary>
-                        <pre style="background: var(--bg-secondary); padding: 15px; border-radius: 6px; overflow-x: auto; font-size: 13px; line-height: 1.5;">${skill.readme}</pre>
+                        <pre style="background: var(--bg-secondary); padding: 15px; border-radius: 6px; overflow-x: auto; font-size: 13px; line-height: 1.5;">${escapeHtml(skill.readme)}</pre>
                     </details>
                 ` : ''}
             </div>
@@ -378,417 +501,2443 @@ async function viewSkill(skillId) {
         document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
 
         showModal();
+
+        if (skill.source === 'filesystem') {
+            loadSkillTree(skill.id, skill.location);
+            loadSkillLint(skill.id, skill.location);
+        }
     } catch (error) {
         showToast('Failed to load skill details: ' + error.message, 'error');
     }
 }
 
-// Render plugins
-function renderPlugins() {
-    const container = document.getElementById('pluginContainer');
+// Badge summarizing a skill's lint errors and warnings
+function renderLintBadge(result) {
+    if (!result || (result.errors === 0 && result.warnings === 0)) return '';
 
-    // Filter and search
-    let filtered = plugins.filter(plugin => {
-        // Filter by status
-        if (currentFilter === 'enabled' && !plugin.enabled) return false;
-        if (currentFilter === 'disabled' && plugin.enabled) return false;
+    const title = result.issues.map(issue => `${issue.severity}: ${issue.message}`).join('\n');
+    const label = [
+        result.errors > 0 ? `✗ ${result.errors}` : '',
+        result.warnings > 0 ? `⚠ ${result.warnings}` : ''
+    ].filter(Boolean).join(' ');
 
-        // Search
-        if (searchQuery) {
-            const searchText = `${plugin.name} ${plugin.description} ${plugin.marketplace} ${plugin.tags.join(' ')}`.toLowerCase();
-            if (!searchText.includes(searchQuery)) return false;
-        }
+    return `<span class="tag ${result.errors > 0 ? 'lint-error' : 'lint-warning'}" title="${escapeHtml(title)}">${label}</span>`;
+}
 
-        return true;
-    });
+// Render lint issues as a list
+function renderLintIssues(issues) {
+    return `
+        <ul class="lint-issues">
+            ${issues.map(issue => `
+                <li class="lint-issue-${issue.severity}">
+                    ${issue.severity === 'error' ? '✗' : '⚠'} ${escapeHtml(issue.message)}
+                    ${issue.file ? `<span class="skill-tree-meta">${escapeHtml(issue.file)}${issue.line ? `:${issue.line}` : ''}</span>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
 
-    // Group by marketplace
-    const grouped = {};
-    filtered.forEach(plugin => {
-        if (!grouped[plugin.marketplace]) {
-            grouped[plugin.marketplace] = [];
-        }
-        grouped[plugin.marketplace].push(plugin);
-    });
+// Load lint issues into the skill modal
+async function loadSkillLint(skillId, scope) {
+    const container = document.getElementById('skillLintIssues');
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}/lint?scope=${scope}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Cannot lint skill');
 
-    // Render
-    if (filtered.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">🔍</div>
-                <div>No plugins found matching your criteria</div>
-            </div>
-        `;
+        container.innerHTML = result.issues.length > 0
+            ? `<p style="margin-top: 15px;"><strong>Lint:</strong> ${result.errors} error(s), ${result.warnings} warning(s)</p>${renderLintIssues(result.issues)}`
+            : '<p style="margin-top: 15px;"><strong>Lint:</strong> no issues</p>';
+    } catch (error) {
+        container.innerHTML = `<div class="frontmatter-error">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Show the lint report of all filesystem skills
+async function showSkillLintReport() {
+    let report;
+    try {
+        const response = await fetch(`${API_BASE}/api/lint/skills`);
+        report = await response.json();
+        if (!response.ok) throw new Error(report.error || 'Cannot load lint report');
+    } catch (error) {
+        showToast('Failed to lint skills: ' + escapeHtml(error.message), 'error');
         return;
     }
 
-    let html = '';
-    Object.keys(grouped).sort().forEach(marketplace => {
-        const marketplacePlugins = grouped[marketplace];
-        const enabledCount = marketplacePlugins.filter(p => p.enabled).length;
+    const withIssues = report.skills.filter(result => result.issues.length > 0);
 
-        html += `
-            <div class="table-container">
-                <div class="category-header" onclick="toggleCategory('${marketplace}')">
-                    <div class="category-title-group">
-                        <span class="category-toggle">▼</span>
-                        <span class="category-title">${marketplace}</span>
-                        <span class="category-badge">${enabledCount}/${marketplacePlugins.length}</span>
-                    </div>
-                    <div class="category-actions" onclick="event.stopPropagation()">
-                        <button class="category-btn" onclick="enableCategory('${marketplace}')">Enable All</button>
-                        <button class="category-btn" onclick="disableCategory('${marketplace}')">Disable All</button>
-                    </div>
-                </div>
-                <div class="table-wrapper" id="table-${marketplace}">
-                    <table>
-                        <thead>
-                            <tr>
-                                <th style="width: 50px;">
-                                    <input type="checkbox" class="checkbox" onchange="toggleCategorySelection('${marketplace}', this.checked)">
-                                </th>
-                                <th class="sortable" onclick="sortTable('${marketplace}', 'name')">Plugin</th>
-                                <th class="sortable" onclick="sortTable('${marketplace}', 'description')">Description</th>
-                                <th style="width: 200px;">Tags</th>
-                                <th class="sortable" onclick="sortTable('${marketplace}', 'enabled')" style="width: 100px;">Status</th>
-                                <th style="width: 100px;">Toggle</th>
-                                <th style="width: 180px;">Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${marketplacePlugins.map(plugin => renderPluginRow(plugin)).join('')}
-                        </tbody>
-                    </table>
+    document.getElementById('modalTitle').textContent = 'Skill Lint Report';
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            <p>${report.skills.length} skill(s) checked: ${report.errors} error(s), ${report.warnings} warning(s).</p>
+            ${withIssues.length === 0 ? '<p>All skills are well formed.</p>' : withIssues.map(result => `
+                <div style="margin-top: 15px;">
+                    <strong>${escapeHtml(result.id)}</strong>
+                    <span class="skill-tree-meta">${escapeHtml(result.location)}</span>
+                    ${renderLintBadge(result)}
+                    ${renderLintIssues(result.issues)}
                 </div>
-            </div>
-        `;
-    });
-
-    container.innerHTML = html;
-}
+            `).join('')}
+        </div>
+    `;
 
-// Render single plugin row
-function renderPluginRow(plugin) {
-    const isSelected = selectedPlugins.has(plugin.id);
+    document.querySelector('.modal-footer').innerHTML = '<button class="btn btn-secondary" id="modalCloseBtn">Close</button>';
+    document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
 
-    return `
-        <tr class="${isSelected ? 'selected' : ''}">
-            <td>
-                <input type="checkbox"
-                       class="checkbox"
-                       ${isSelected ? 'checked' : ''}
-                       onchange="togglePluginSelection('${plugin.id}', this.checked)">
-            </td>
-            <td>
-                <div class="plugin-name">${plugin.displayName || plugin.name}</div>
-                <div class="plugin-marketplace">${plugin.marketplace}</div>
-            </td>
-            <td>
-                <div class="plugin-description" title="${plugin.description || 'No description'}">
-                    ${plugin.description || 'No description'}
-                </div>
-            </td>
-            <td>
-                <div class="plugin-tags">
-                    ${plugin.tags.slice(0, 3).map(tag => `<span class="tag">${tag}</span>`).join('')}
-                    ${plugin.tags.length > 3 ? `<span class="tag">+${plugin.tags.length - 3}</span>` : ''}
-                </div>
-            </td>
-            <td>
-                <span class="status-badge ${plugin.enabled ? 'enabled' : 'disabled'}">
-                    <span class="status-dot"></span>
-                    ${plugin.enabled ? 'Enabled' : 'Disabled'}
-                </span>
-            </td>
-            <td>
-                <div class="toggle-switch ${plugin.enabled ? 'enabled' : ''}"
-                     onclick="togglePlugin('${plugin.id}')"></div>
-            </td>
-            <td>
-                <div class="action-buttons">
-                    <button class="action-btn" onclick="updatePlugin('${plugin.id}')">Update</button>
-                    <button class="action-btn danger" onclick="uninstallPlugin('${plugin.id}')">Uninstall</button>
-                </div>
-            </td>
-        </tr>
-    `;
+    showModal();
 }
 
-// Toggle category expand/collapse
-function toggleCategory(marketplace) {
-    const header = event.currentTarget;
-    const wrapper = document.getElementById(`table-${marketplace}`);
-
-    header.classList.toggle('collapsed');
-    wrapper.classList.toggle('collapsed');
+// Human-readable file size
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-// Toggle category selection
-function toggleCategorySelection(marketplace, checked) {
-    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+// Load the file tree of a filesystem skill into the skill modal
+async function loadSkillTree(skillId, scope) {
+    const container = document.getElementById('skillTree');
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}/files?scope=${scope}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Cannot load files');
 
-    categoryPlugins.forEach(plugin => {
-        if (checked) {
-            selectedPlugins.add(plugin.id);
-        } else {
-            selectedPlugins.delete(plugin.id);
-        }
-    });
+        document.getElementById('skillTreeSummary').textContent =
+            `${data.files} file${data.files === 1 ? '' : 's'}, ${formatFileSize(data.size)}${data.truncated ? ' (list truncated)' : ''}`;
+        container.innerHTML = renderSkillTree(data.entries, true);
 
-    renderPlugins();
+        container.querySelectorAll('.skill-tree-file').forEach(item => {
+            item.addEventListener('click', () => {
+                container.querySelectorAll('.skill-tree-file.active').forEach(active => active.classList.remove('active'));
+                item.classList.add('active');
+                showSkillFile(skillId, scope, item.dataset.path);
+            });
+        });
+    } catch (error) {
+        container.innerHTML = `<div class="frontmatter-error">${escapeHtml(error.message)}</div>`;
+    }
 }
 
-// Toggle plugin selection
-function togglePluginSelection(pluginId, checked) {
-    if (checked) {
-        selectedPlugins.add(pluginId);
-    } else {
-        selectedPlugins.delete(pluginId);
+// Render skill tree entries as nested lists
+function renderSkillTree(entries, isRoot) {
+    if (entries.length === 0) {
+        return isRoot ? '<div style="color: var(--text-secondary);">No files</div>' : '';
     }
 
-    renderPlugins();
+    return `
+        <ul class="skill-tree ${isRoot ? 'skill-tree-root' : ''}">
+            ${entries.map(entry => {
+                if (entry.type === 'directory') {
+                    return `<li>📁 ${escapeHtml(entry.name)}/${renderSkillTree(entry.children, false)}</li>`;
+                }
+                const icon = entry.type === 'symlink' ? '🔗' : (entry.executable ? '⚙️' : '📄');
+                const meta = [formatFileSize(entry.size), entry.executable ? 'executable' : '', entry.type === 'symlink' ? 'symlink' : '']
+                    .filter(Boolean).join(', ');
+                return `
+                    <li class="skill-tree-file" data-path="${escapeHtml(entry.path)}">
+                        ${icon} ${escapeHtml(entry.name)}<span class="skill-tree-meta">${meta}</span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
 }
 
-// Sort table
-function sortTable(marketplace, column) {
-    if (sortColumn === column) {
-        sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-        sortColumn = column;
-        sortDirection = 'asc';
+// Show one file of a skill below its tree
+async function showSkillFile(skillId, scope, filePath) {
+    const viewer = document.getElementById('skillFileViewer');
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}/files/content?scope=${scope}&path=${encodeURIComponent(filePath)}`);
+        const file = await response.json();
+        if (!response.ok) throw new Error(file.error || 'Cannot load file');
+
+        let content;
+        if (file.binary) {
+            content = `Binary file, ${formatFileSize(file.size)} - not shown`;
+        } else if (file.tooLarge) {
+            content = `File is too large to show (${formatFileSize(file.size)})`;
+        } else {
+            content = file.content;
+        }
+
+        viewer.innerHTML = `
+            <div style="margin-top: 10px; font-weight: 600; font-size: 13px;">${escapeHtml(file.path)}</div>
+            <pre class="skill-file-viewer">${escapeHtml(content)}</pre>
+        `;
+    } catch (error) {
+        viewer.innerHTML = `<div class="frontmatter-error">${escapeHtml(error.message)}</div>`;
     }
+}
 
-    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+// Show the new skill modal
+function showNewSkillModal() {
+    const workspace = workspaces.find(w => w.id === selectedWorkspaceId);
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;';
 
-    categoryPlugins.sort((a, b) => {
-        let aVal = a[column];
-        let bVal = b[column];
+    document.getElementById('modalTitle').textContent = 'New Skill';
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Name</label>
+                <input type="text" id="newSkillName" placeholder="my-skill" style="${inputStyle}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Location</label>
+                <select id="newSkillScope" style="${inputStyle}">
+                    <option value="user">User (~/.claude/skills)</option>
+                    <option value="project" ${workspace ? '' : 'disabled'}>Project${workspace ? ` (${escapeHtml(workspace.name)}/.claude/skills)` : ' (no workspace selected)'}</option>
+                </select>
+            </div>
+            <div>
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Description</label>
+                <textarea id="newSkillDescription" placeholder="What the skill does and when Claude should use it"
+                          style="${inputStyle} height: 80px; resize: vertical;"></textarea>
+            </div>
+        </div>
+    `;
 
-        if (column === 'enabled') {
-            aVal = a.enabled ? 1 : 0;
-            bVal = b.enabled ? 1 : 0;
-        }
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn">Create</button>
+    `;
 
-        if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', async () => {
+        const name = document.getElementById('newSkillName').value.trim();
+        const scope = document.getElementById('newSkillScope').value;
+        const description = document.getElementById('newSkillDescription').value.trim();
+
+        if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+            showToast('Name can only contain letters, numbers, - and _', 'error');
+            return;
         }
 
-        if (sortDirection === 'asc') {
-            return aVal > bVal ? 1 : -1;
-        } else {
-            return aVal < bVal ? 1 : -1;
+        try {
+            const response = await fetch(`${API_BASE}/api/skills?scope=${scope}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, description })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Create failed');
+
+            showToast(`Skill ${name} created`, 'success');
+            await loadSkills();
+            renderSkills();
+            editSkill(name, scope);
+        } catch (error) {
+            showToast('Failed to create skill: ' + escapeHtml(error.message), 'error');
         }
     });
 
-    // Update plugins array
-    const otherPlugins = plugins.filter(p => p.marketplace !== marketplace);
-    plugins = [...otherPlugins, ...categoryPlugins];
+    showModal();
+}
 
-    renderPlugins();
+// Split a comma-separated tool list, keeping commas inside parentheses: Bash(git add:*, git commit:*)
+function parseToolList(text) {
+    return text.split(/,(?![^(]*\))/).map(tool => tool.trim()).filter(Boolean);
 }
 
-// Toggle plugin
-async function togglePlugin(pluginId) {
-    const plugin = plugins.find(p => p.id === pluginId);
-    if (!plugin) return;
+// Edit a filesystem skill: SKILL.md frontmatter fields, body and resource files
+async function editSkill(skillId, scope) {
+    let skill;
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}?scope=${scope}`);
+        if (!response.ok) throw new Error('Cannot load skill');
+        skill = await response.json();
+    } catch (error) {
+        showToast('Failed to load skill: ' + error.message, 'error');
+        return;
+    }
+
+    const metadata = skill.metadata || {};
+    const raw = Boolean(skill.frontmatterError);
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;';
+    const textareaStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 13px; font-family: monospace; resize: vertical;';
+    const field = (label, control) => `
+        <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${label}</label>
+            ${control}
+        </div>
+    `;
+
+    document.getElementById('modalTitle').textContent = `Edit Skill: ${skillId} (${scope})`;
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            ${raw ? `
+                <p class="frontmatter-error">⚠ Frontmatter could not be parsed: ${escapeHtml(skill.frontmatterError)}. Fix it in the raw SKILL.md below.</p>
+                ${field('SKILL.md', `<textarea id="editSkillRaw" style="${textareaStyle} height: 360px;">${escapeHtml(skill.readme || '')}</textarea>`)}
+            ` : `
+                ${field('Name', `<input type="text" id="editSkillName" value="${escapeHtml(typeof metadata.name === 'string' ? metadata.name : skillId)}" style="${inputStyle}">`)}
+                ${field('Description', `<textarea id="editSkillDescription" style="${inputStyle} height: 70px; resize: vertical;">${escapeHtml(typeof metadata.description === 'string' ? metadata.description : '')}</textarea>`)}
+                ${field('Allowed tools <span style="font-weight: normal; color: var(--text-secondary);">(comma-separated, empty for all)</span>',
+                    `<input type="text" id="editSkillTools" value="${escapeHtml((skill.allowedTools || []).join(', '))}" placeholder="Read, Grep, Bash(python:*)" style="${inputStyle}">`)}
+                ${field('Model <span style="font-weight: normal; color: var(--text-secondary);">(optional)</span>',
+                    `<input type="text" id="editSkillModel" value="${escapeHtml(typeof metadata.model === 'string' ? metadata.model : '')}" placeholder="inherit" style="${inputStyle}">`)}
+                ${field('Instructions (Markdown)', `<textarea id="editSkillBody" style="${textareaStyle} height: 260px;">${escapeHtml(skill.body || '')}</textarea>`)}
+            `}
+            <hr style="margin: 15px 0; border: none; border-top: 1px solid var(--border-primary);">
+            <div style="font-weight: 600; margin-bottom: 8px;">Resource files</div>
+            <div id="skillFilesList"></div>
+            <details style="margin-top: 10px;">
+                <summary style="cursor: pointer; font-weight: 600;">Add or replace a file</summary>
+                <div style="margin-top: 10px;">
+                    <input type="text" id="newSkillFilePath" placeholder="scripts/helper.py" style="${inputStyle} margin-bottom: 8px;">
+                    <textarea id="newSkillFileContent" placeholder="File content" style="${textareaStyle} height: 120px;"></textarea>
+                    <button class="btn btn-secondary" id="addSkillFileBtn" style="margin-top: 8px;">Save file</button>
+                </div>
+            </details>
+        </div>
+    `;
+
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn">Save</button>
+    `;
+
+    renderSkillFiles(skillId, scope, skill.files || []);
+    document.getElementById('addSkillFileBtn').addEventListener('click', () => addSkillFile(skillId, scope));
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', async () => {
+        let payload;
+        if (raw) {
+            payload = { content: document.getElementById('editSkillRaw').value };
+        } else {
+            // Keep frontmatter fields the form does not show (version, license, ...)
+            const fields = {
+                ...metadata,
+                name: document.getElementById('editSkillName').value.trim() || skillId,
+                description: document.getElementById('editSkillDescription').value.trim()
+            };
+            const tools = parseToolList(document.getElementById('editSkillTools').value);
+            const model = document.getElementById('editSkillModel').value.trim();
+            fields['allowed-tools'] = tools.length > 0 ? tools : undefined;
+            fields.model = model || undefined;
+
+            payload = { fields, body: document.getElementById('editSkillBody').value };
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}?scope=${scope}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Save failed');
+
+            hideModal();
+            if (data.frontmatterError) {
+                showToast(`Skill saved, but its frontmatter is invalid: ${escapeHtml(data.frontmatterError)}`, 'error');
+            } else {
+                showToast('Skill saved', 'success');
+            }
+            await loadSkills();
+            renderSkills();
+        } catch (error) {
+            showToast('Failed to save skill: ' + escapeHtml(error.message), 'error');
+        }
+    });
+
+    showModal();
+}
+
+// Render the resource files of the skill being edited
+function renderSkillFiles(skillId, scope, files) {
+    const container = document.getElementById('skillFilesList');
+    if (!container) return;
+
+    const resources = files.filter(file => file.path !== 'SKILL.md');
+    if (resources.length === 0) {
+        container.innerHTML = '<div style="color: var(--text-secondary); font-size: 13px;">No bundled files</div>';
+        return;
+    }
+
+    container.innerHTML = resources.map(file => `
+        <div style="display: flex; align-items: center; gap: 8px; padding: 4px 0;">
+            <code style="flex: 1; font-size: 12px;">${escapeHtml(file.path)}</code>
+            <span style="color: var(--text-secondary); font-size: 12px;">${formatFileSize(file.size)}</span>
+            <button class="action-btn" data-skill-file-action="rename" data-path="${escapeHtml(file.path)}">Rename</button>
+            <button class="action-btn danger" data-skill-file-action="delete" data-path="${escapeHtml(file.path)}">Delete</button>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('[data-skill-file-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.skillFileAction === 'rename') {
+                renameSkillFile(skillId, scope, btn.dataset.path);
+            } else {
+                deleteSkillFile(skillId, scope, btn.dataset.path);
+            }
+        });
+    });
+}
+
+// Reload the file list of the skill being edited (the rest of the form keeps its edits)
+async function refreshSkillFiles(skillId, scope) {
+    const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}?scope=${scope}`);
+    if (response.ok) {
+        const skill = await response.json();
+        renderSkillFiles(skillId, scope, skill.files || []);
+    }
+}
+
+// Run a skill file request and refresh the file list
+async function runSkillFileAction(skillId, scope, url, options, successMessage) {
+    try {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        showToast(successMessage, 'success');
+        await refreshSkillFiles(skillId, scope);
+        return true;
+    } catch (error) {
+        showToast('Failed: ' + escapeHtml(error.message), 'error');
+        return false;
+    }
+}
+
+// Create or replace a resource file from the edit form
+async function addSkillFile(skillId, scope) {
+    const filePath = document.getElementById('newSkillFilePath').value.trim();
+    if (!filePath) {
+        showToast('File path is required', 'error');
+        return;
+    }
+
+    const saved = await runSkillFileAction(skillId, scope, `${API_BASE}/api/skills/${encodeURIComponent(skillId)}/files?scope=${scope}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: filePath, content: document.getElementById('newSkillFileContent').value })
+    }, `${escapeHtml(filePath)} saved`);
+
+    if (saved) {
+        document.getElementById('newSkillFilePath').value = '';
+        document.getElementById('newSkillFileContent').value = '';
+    }
+}
+
+// Rename or move a resource file
+async function renameSkillFile(skillId, scope, filePath) {
+    const newPath = window.prompt('New path', filePath);
+    if (!newPath || newPath.trim() === filePath) return;
+
+    await runSkillFileAction(skillId, scope, `${API_BASE}/api/skills/${encodeURIComponent(skillId)}/files/rename?scope=${scope}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: filePath, to: newPath.trim() })
+    }, `Renamed to ${escapeHtml(newPath.trim())}`);
+}
+
+// Delete a resource file (window.confirm: the skill editor occupies the modal)
+async function deleteSkillFile(skillId, scope, filePath) {
+    if (!window.confirm(`Delete ${filePath} from ${skillId}?`)) return;
+
+    await runSkillFileAction(skillId, scope, `${API_BASE}/api/skills/${encodeURIComponent(skillId)}/files?scope=${scope}&path=${encodeURIComponent(filePath)}`, {
+        method: 'DELETE'
+    }, `${escapeHtml(filePath)} deleted`);
+}
+
+// Enable or disable a skill (filesystem skills move to/from .disabled, settings skills get a flag)
+async function setSkillEnabled(skillId, scope, enable) {
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}/${enable ? 'enable' : 'disable'}?scope=${scope}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        showToast(`Skill ${escapeHtml(skillId)} ${enable ? 'enabled' : 'disabled'}`, 'success');
+        await loadSkills();
+        renderSkills();
+    } catch (error) {
+        showToast(`Failed to ${enable ? 'enable' : 'disable'} skill: ${escapeHtml(error.message)}`, 'error');
+    }
+}
+
+// Labels and list reloads for items that can be copied or moved between scopes
+const TRANSFER_TYPES = {
+    skill: { label: 'Skill', path: 'skills', reload: async () => { await loadSkills(); renderSkills(); } },
+    command: { label: 'Command', path: 'commands', reload: async () => { await loadCommands(); renderCommands(); } },
+    agent: { label: 'Agent', path: 'agents', reload: async () => { await loadAgents(); renderAgents(); } }
+};
+
+// Copy or move a skill, command or agent to the user scope or a workspace project scope
+function showTransferModal(type, itemId, scope) {
+    const { label } = TRANSFER_TYPES[type];
+    const from = scope === 'project' ? { scope, workspace: selectedWorkspaceId } : { scope: 'user' };
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;';
+
+    const targets = [
+        { value: 'user', label: `User (~/.claude/${TRANSFER_TYPES[type].path})` },
+        ...workspaces.map(w => ({ value: `project:${w.id}`, label: `Project: ${w.name}` }))
+    ].filter(t => t.value !== (from.scope === 'user' ? 'user' : `project:${from.workspace}`));
+
+    document.getElementById('modalTitle').textContent = `Copy or Move ${label}`;
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            <p style="margin-bottom: 15px;">${escapeHtml(itemId)} (${from.scope === 'user' ? 'user' : 'project'})</p>
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Action</label>
+                <select id="transferMode" style="${inputStyle}">
+                    <option value="copy">Copy</option>
+                    <option value="move">Move</option>
+                </select>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Target</label>
+                <select id="transferTarget" style="${inputStyle}">
+                    ${targets.map(t => `<option value="${escapeHtml(t.value)}">${escapeHtml(t.label)}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">New name (optional)</label>
+                <input type="text" id="transferNewName" placeholder="${escapeHtml(itemId)}" style="${inputStyle}">
+            </div>
+        </div>
+    `;
+
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn" ${targets.length === 0 ? 'disabled' : ''}>Continue</button>
+    `;
+
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', () => {
+        const mode = document.getElementById('transferMode').value;
+        const [targetScope, workspace] = document.getElementById('transferTarget').value.split(':');
+        const newName = document.getElementById('transferNewName').value.trim();
+
+        if (newName && !isValidItemName(type, newName)) {
+            showToast('Name can only contain letters, numbers, - and _', 'error');
+            return;
+        }
+
+        transferItem(type, itemId, mode, { from, to: { scope: targetScope, workspace }, newName: newName || undefined });
+    });
+
+    showModal();
+}
+
+// Send a copy/move request; on a name conflict ask whether to overwrite, rename or skip
+async function transferItem(type, itemId, mode, request) {
+    const { label, path: apiPath, reload } = TRANSFER_TYPES[type];
+
+    try {
+        const response = await fetch(`${API_BASE}/api/${apiPath}/${encodeURIComponent(itemId)}/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        const data = await response.json();
+
+        if (response.status === 409 && data.conflict) {
+            showTransferConflict(type, itemId, mode, request, data);
+            return;
+        }
+        if (!response.ok) throw new Error(data.error || `${mode} failed`);
+
+        hideModal();
+        if (data.status === 'skipped') {
+            showToast(`${label} ${escapeHtml(itemId)} skipped`, 'info');
+        } else {
+            showToast(`${label} ${escapeHtml(itemId)} ${data.status}${data.name !== itemId ? ` as ${escapeHtml(data.name)}` : ''}`, 'success');
+        }
+        await reload();
+    } catch (error) {
+        showToast(`Failed to ${mode} ${type}: ${escapeHtml(error.message)}`, 'error');
+    }
+}
+
+// Conflict choices for a copy/move whose target name is taken
+function showTransferConflict(type, itemId, mode, request, conflict) {
+    document.getElementById('modalTitle').textContent = `${TRANSFER_TYPES[type].label} Already Exists`;
+    document.getElementById('modalBody').textContent = `${conflict.error}. Overwrite it, ${mode} under the name "${conflict.suggestedName}", or skip?`;
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="transferSkipBtn">Skip</button>
+        <button class="btn btn-primary" id="transferRenameBtn">Rename</button>
+        <button class="btn btn-danger" id="transferOverwriteBtn">Overwrite</button>
+    `;
+
+    document.getElementById('transferSkipBtn').addEventListener('click', () => transferItem(type, itemId, mode, { ...request, conflict: 'skip' }));
+    document.getElementById('transferRenameBtn').addEventListener('click', () => transferItem(type, itemId, mode, { ...request, newName: conflict.suggestedName }));
+    document.getElementById('transferOverwriteBtn').addEventListener('click', () => transferItem(type, itemId, mode, { ...request, conflict: 'overwrite' }));
+}
+
+// Rename or duplicate a command or agent within its scope; asks before overwriting an existing one
+async function renameOrDuplicateItem(type, itemId, scope, action) {
+    const { label, path: apiPath, reload } = TRANSFER_TYPES[type];
+    const input = window.prompt(action === 'rename' ? `Rename ${type} "${itemId}" to` : `Name of the copy of "${itemId}"`,
+        action === 'rename' ? itemId : `${itemId}-copy`);
+    const newName = input ? input.trim() : '';
+    if (!newName || newName === itemId) return;
+
+    if (!isValidItemName(type, newName)) {
+        showToast('Name can only contain letters, numbers, - and _', 'error');
+        return;
+    }
+
+    const params = new URLSearchParams({ scope });
+    if (scope === 'project' && selectedWorkspaceId) params.set('workspace', selectedWorkspaceId);
+    const send = overwrite => fetch(`${API_BASE}/api/${apiPath}/${encodeURIComponent(itemId)}/${action}?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newName, overwrite })
+    });
+
+    try {
+        let response = await send(false);
+        let data = await response.json();
+
+        if (response.status === 409 && data.conflict) {
+            if (!(await showConfirmModal(`${label} Already Exists`, `${data.error}. Overwrite it?`))) return;
+            response = await send(true);
+            data = await response.json();
+        }
+        if (!response.ok) throw new Error(data.error || `${action} failed`);
+
+        showToast(`${label} ${escapeHtml(itemId)} ${action === 'rename' ? 'renamed' : 'duplicated'} as ${escapeHtml(data.name)}`, 'success');
+        await reload();
+    } catch (error) {
+        showToast(`Failed to ${action} ${type}: ${escapeHtml(error.message)}`, 'error');
+    }
+}
+
+// =====================
+// FILE HISTORY
+// =====================
+
+// Line diffs per file; unchanged runs are collapsed to a few lines of context
+function renderFileChanges(changes) {
+    if (changes.length === 0) {
+        return '<p>No differences.</p>';
+    }
+
+    const context = 3;
+    return changes.map(change => {
+        let body;
+        if (change.status === 'binary') {
+            body = '<div class="file-diff-note">Binary file changed</div>';
+        } else {
+            const lines = change.lines;
+            const shown = lines.map((line, index) => line.type !== ' ' ||
+                lines.slice(Math.max(0, index - context), index + context + 1).some(l => l.type !== ' '));
+            body = lines.map((line, index) => {
+                if (!shown[index]) {
+                    return index > 0 && shown[index - 1] ? '<div class="file-diff-skip">…</div>' : '';
+                }
+                const cls = line.type === '+' ? 'diff-added' : (line.type === '-' ? 'diff-removed' : '');
+                return `<div class="${cls}">${line.type} ${escapeHtml(line.text)}</div>`;
+            }).join('');
+        }
+        return `
+            <div class="file-diff">
+                <div class="file-diff-path">${escapeHtml(change.path)} <span class="category-badge">${change.status}</span></div>
+                <pre>${body}</pre>
+            </div>
+        `;
+    }).join('');
+}
+
+// Revisions of a skill, command or agent with diffs, comparison and restore
+async function showItemHistory(type, itemId, scope) {
+    const { label } = TRANSFER_TYPES[type];
+    const params = new URLSearchParams({ type, name: itemId, scope });
+    if (scope === 'project' && selectedWorkspaceId) params.set('workspace', selectedWorkspaceId);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/history?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Cannot load history');
+        const { entries } = data;
+
+        document.getElementById('modalTitle').textContent = `${label} History: ${itemId}`;
+        document.getElementById('modalBody').innerHTML = entries.length === 0
+            ? '<p>No changes recorded yet. Revisions are kept for changes made in the manager.</p>'
+            : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th style="width: 30px;"></th>
+                            <th>When</th>
+                            <th>Change</th>
+                            <th style="width: 110px;">Files</th>
+                            <th style="width: 150px;">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td><input type="checkbox" class="history-compare" value="${entry.id}"></td>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td>${entry.action}${entry.restoredFrom ? ` <span class="plugin-marketplace">of ${new Date(Number(entry.restoredFrom.split('-')[0])).toLocaleString()}</span>` : ''}</td>
+                                <td>${entry.files}${entry.added || entry.removed ? ` <span class="plugin-marketplace">+${entry.added} −${entry.removed}</span>` : ''}</td>
+                                <td>
+                                    <div class="action-buttons">
+                                        <button class="action-btn" onclick="toggleFileHistoryDiff('${entry.id}')">Diff</button>
+                                        <button class="action-btn" onclick="restoreFileHistoryEntry('${type}', '${entry.id}')">Restore</button>
+                                    </div>
+                                </td>
+                            </tr>
+                            <tr id="file-history-diff-${entry.id}" style="display: none;">
+                                <td colspan="5"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div id="historyCompare"></div>
+            `;
+
+        document.querySelector('.modal-footer').innerHTML = `
+            <button class="btn btn-secondary" id="modalCloseBtn">Close</button>
+            ${entries.length > 1 ? '<button class="btn btn-primary" id="historyCompareBtn">Compare Selected</button>' : ''}
+        `;
+        document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
+        if (entries.length > 1) {
+            document.getElementById('historyCompareBtn').addEventListener('click', () => compareFileHistoryEntries());
+        }
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to load history: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Toggle the inline diff of what one change did
+async function toggleFileHistoryDiff(entryId) {
+    const row = document.getElementById(`file-history-diff-${entryId}`);
+    if (row.style.display !== 'none') {
+        row.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/history/${encodeURIComponent(entryId)}/diff`);
+        if (!response.ok) throw new Error('Cannot load diff');
+        const { changes } = await response.json();
+
+        row.firstElementChild.innerHTML = renderFileChanges(changes);
+        row.style.display = '';
+    } catch (error) {
+        showToast('Failed to load diff: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Diff the two checked revisions, older to newer
+async function compareFileHistoryEntries() {
+    const ids = [...document.querySelectorAll('.history-compare:checked')].map(box => box.value).sort();
+    if (ids.length !== 2) {
+        showToast('Select two revisions to compare', 'info');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/history/${encodeURIComponent(ids[1])}/diff?against=${encodeURIComponent(ids[0])}`);
+        if (!response.ok) throw new Error('Cannot load diff');
+        const { changes } = await response.json();
+
+        document.getElementById('historyCompare').innerHTML = `
+            <h3 style="margin: 15px 0 10px;">${new Date(Number(ids[0].split('-')[0])).toLocaleString()} → ${new Date(Number(ids[1].split('-')[0])).toLocaleString()}</h3>
+            ${renderFileChanges(changes)}
+        `;
+    } catch (error) {
+        showToast('Failed to compare: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Put a revision back on disk (a deleted item comes back as it was deleted)
+async function restoreFileHistoryEntry(type, entryId) {
+    if (!window.confirm('Restore this revision? The current version stays in the history.')) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/history/${encodeURIComponent(entryId)}/restore`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Restore failed');
+
+        hideModal();
+        showToast(`${TRANSFER_TYPES[type].label} ${escapeHtml(data.entry.name)} restored`, 'success');
+        await TRANSFER_TYPES[type].reload();
+    } catch (error) {
+        showToast('Restore failed: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Deleted skills, commands or agents that can still be restored
+async function showTrash(type) {
+    const { label } = TRANSFER_TYPES[type];
+
+    try {
+        const response = await fetch(`${API_BASE}/api/history/trash`);
+        if (!response.ok) throw new Error('Cannot load trash');
+        const entries = (await response.json()).entries.filter(entry => entry.type === type);
+
+        document.getElementById('modalTitle').textContent = `Deleted ${label}s`;
+        document.getElementById('modalBody').innerHTML = entries.length === 0
+            ? `<p>No deleted ${type}s to restore.</p>`
+            : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Deleted</th>
+                            <th style="width: 100px;">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td>
+                                    <div class="plugin-name">${escapeHtml(entry.name)} <span class="tag scope-${entry.location}">${entry.location}</span></div>
+                                    <div class="plugin-marketplace">${escapeHtml(entry.path)}</div>
+                                </td>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td>
+                                    <button class="action-btn" onclick="restoreFileHistoryEntry('${type}', '${entry.id}')">Restore</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        document.querySelector('.modal-footer').innerHTML = '<button class="btn btn-secondary" id="modalCloseBtn">Close</button>';
+        document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to load trash: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Delete a skill directory
+async function deleteSkill(skillId, scope) {
+    if (!(await showConfirmModal('Delete Skill', `Delete the ${scope} skill "${skillId}" and all of its files?`))) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/skills/${encodeURIComponent(skillId)}?scope=${scope}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Delete failed');
+
+        showToast(`Skill ${escapeHtml(skillId)} deleted`, 'success');
+        await loadSkills();
+        renderSkills();
+    } catch (error) {
+        showToast('Failed to delete skill: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Render plugins
+function renderPlugins() {
+    const container = document.getElementById('pluginContainer');
+    updateBulkActionBar();
+
+    // Available (not installed) plugins are listed alongside installed ones
+    const candidates = currentFilter === 'available'
+        ? availablePlugins
+        : currentFilter === 'all' ? [...plugins, ...availablePlugins] : plugins;
+
+    // Filter and search
+    let filtered = candidates.filter(plugin => {
+        // Filter by status
+        if (currentFilter === 'enabled' && !plugin.enabled) return false;
+        if (currentFilter === 'disabled' && plugin.enabled) return false;
+
+        // Search
+        if (searchQuery) {
+            const searchText = `${plugin.name} ${plugin.description} ${plugin.marketplace} ${plugin.tags.join(' ')}`.toLowerCase();
+            if (!searchText.includes(searchQuery)) return false;
+        }
+
+        return true;
+    });
+
+    // Group by marketplace
+    const grouped = {};
+    filtered.forEach(plugin => {
+        if (!grouped[plugin.marketplace]) {
+            grouped[plugin.marketplace] = [];
+        }
+        grouped[plugin.marketplace].push(plugin);
+    });
+
+    // Render
+    if (filtered.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <div>No plugins found matching your criteria</div>
+            </div>
+        `;
+        return;
+    }
+
+    let html = '';
+    Object.keys(grouped).sort().forEach(marketplace => {
+        const marketplacePlugins = grouped[marketplace];
+        const installedCount = marketplacePlugins.filter(p => !p.available).length;
+        const enabledCount = marketplacePlugins.filter(p => p.enabled).length;
+
+        html += `
+            <div class="table-container">
+                <div class="category-header" onclick="toggleCategory('${marketplace}')">
+                    <div class="category-title-group">
+                        <span class="category-toggle">▼</span>
+                        <span class="category-title">${marketplace}</span>
+                        <span class="category-badge">${enabledCount}/${installedCount}</span>
+                        ${installedCount < marketplacePlugins.length ? `<span class="category-badge">${marketplacePlugins.length - installedCount} available</span>` : ''}
+                    </div>
+                    <div class="category-actions" onclick="event.stopPropagation()">
+                        <button class="category-btn" onclick="enableCategory('${marketplace}')">Enable All</button>
+                        <button class="category-btn" onclick="disableCategory('${marketplace}')">Disable All</button>
+                    </div>
+                </div>
+                <div class="table-wrapper" id="table-${marketplace}">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style="width: 50px;">
+                                    <input type="checkbox" class="checkbox" onchange="toggleCategorySelection('${marketplace}', this.checked)">
+                                </th>
+                                <th class="sortable" onclick="sortTable('${marketplace}', 'name')">Plugin</th>
+                                <th class="sortable" onclick="sortTable('${marketplace}', 'description')">Description</th>
+                                <th style="width: 200px;">Tags</th>
+                                <th class="sortable" onclick="sortTable('${marketplace}', 'enabled')" style="width: 100px;">Status</th>
+                                <th style="width: 100px;">Toggle</th>
+                                <th style="width: 180px;">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${marketplacePlugins.map(plugin => renderPluginRow(plugin)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+// Render single plugin row
+function renderPluginRow(plugin) {
+    if (plugin.available) {
+        return renderAvailablePluginRow(plugin);
+    }
+
+    const isSelected = selectedPlugins.has(plugin.id);
+
+    return `
+        <tr class="${isSelected ? 'selected' : ''}">
+            <td>
+                <input type="checkbox"
+                       class="checkbox"
+                       ${isSelected ? 'checked' : ''}
+                       onchange="togglePluginSelection('${plugin.id}', this.checked)">
+            </td>
+            <td>
+                <div class="plugin-name plugin-name-link" onclick="showPluginDetail('${plugin.id}')" title="Show details">${plugin.displayName || plugin.name}</div>
+                <div class="plugin-marketplace">
+                    ${plugin.marketplace}${plugin.installedVersion || plugin.version ? ` · v${escapeHtml(plugin.installedVersion || plugin.version)}` : ''}
+                </div>
+            </td>
+            <td>
+                <div class="plugin-description" title="${escapeHtml(plugin.description || 'No description')}">
+                    ${escapeHtml(plugin.description || 'No description')}
+                </div>
+                ${/^https?:\/\//.test(plugin.homepage || '') ? `<a class="plugin-marketplace" href="${escapeHtml(plugin.homepage)}" target="_blank" rel="noopener">Homepage</a>` : ''}
+            </td>
+            <td>
+                <div class="plugin-tags">
+                    ${plugin.tags.slice(0, 3).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+                    ${plugin.tags.length > 3 ? `<span class="tag">+${plugin.tags.length - 3}</span>` : ''}
+                </div>
+            </td>
+            <td>
+                <span class="status-badge ${plugin.enabled ? 'enabled' : 'disabled'}">
+                    <span class="status-dot"></span>
+                    ${plugin.enabled ? 'Enabled' : 'Disabled'}
+                </span>
+                ${plugin.scope ? `<span class="scope-badge" title="${escapeHtml(describePluginLayers(plugin))}">via ${plugin.scope}</span>` : ''}
+            </td>
+            <td>
+                <div class="toggle-switch ${plugin.enabled ? 'enabled' : ''}"
+                     onclick="togglePlugin('${plugin.id}')"></div>
+            </td>
+            <td>
+                <div class="action-buttons">
+                    ${writeScope !== 'user' && plugin.layers && plugin.layers[writeScope] !== undefined
+                        ? `<button class="action-btn" onclick="resetPluginOverride('${plugin.id}')">Reset ${writeScope}</button>`
+                        : ''}
+                    <button class="action-btn" onclick="updatePlugin('${plugin.id}')">Update</button>
+                    <button class="action-btn danger" onclick="uninstallPlugin('${plugin.id}')">Uninstall</button>
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+// Render a marketplace plugin that is not installed
+function renderAvailablePluginRow(plugin) {
+    return `
+        <tr class="plugin-available">
+            <td></td>
+            <td>
+                <div class="plugin-name">${escapeHtml(plugin.displayName || plugin.name)}</div>
+                <div class="plugin-marketplace">
+                    ${escapeHtml(plugin.marketplace)}${plugin.version ? ` · v${escapeHtml(plugin.version)}` : ''}
+                </div>
+            </td>
+            <td>
+                <div class="plugin-description" title="${escapeHtml(plugin.description || 'No description')}">
+                    ${escapeHtml(plugin.description || 'No description')}
+                </div>
+            </td>
+            <td>
+                <div class="plugin-tags">
+                    ${plugin.tags.slice(0, 3).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+                    ${plugin.tags.length > 3 ? `<span class="tag">+${plugin.tags.length - 3}</span>` : ''}
+                </div>
+            </td>
+            <td>
+                <span class="status-badge available">Available</span>
+            </td>
+            <td></td>
+            <td>
+                <div class="action-buttons">
+                    <button class="action-btn plugin-install-btn" data-plugin-id="${escapeHtml(plugin.id)}">Install</button>
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+// Load marketplace plugins that are not installed
+async function loadAvailablePlugins() {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/available`);
+        if (!response.ok) throw new Error('Cannot load available plugins');
+
+        const data = await response.json();
+        availablePlugins = data.plugins.map(plugin => ({ ...plugin, available: true }));
+    } catch (error) {
+        console.error('Error loading available plugins:', error);
+    }
+}
+
+// Install a plugin from a configured marketplace
+async function installPlugin(pluginId) {
+    if (!(await showConfirmModal('Install Plugin', `Install ${pluginId} with the Claude CLI?`))) return;
+
+    const installed = await runClaudeJob(`${API_BASE}/api/plugins/install`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: pluginId })
+    }, 'Install failed');
+    if (!installed) return;
+
+    await loadPlugins();
+    await loadAvailablePlugins();
+    renderPlugins();
+    showToast(`${escapeHtml(pluginId)} installed`, 'success');
+}
+
+// Toggle category expand/collapse
+function toggleCategory(marketplace) {
+    const header = event.currentTarget;
+    const wrapper = document.getElementById(`table-${marketplace}`);
+
+    header.classList.toggle('collapsed');
+    wrapper.classList.toggle('collapsed');
+}
+
+// Toggle category selection
+function toggleCategorySelection(marketplace, checked) {
+    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+
+    categoryPlugins.forEach(plugin => {
+        if (checked) {
+            selectedPlugins.add(plugin.id);
+        } else {
+            selectedPlugins.delete(plugin.id);
+        }
+    });
+
+    renderPlugins();
+}
+
+// Toggle plugin selection
+function togglePluginSelection(pluginId, checked) {
+    if (checked) {
+        selectedPlugins.add(pluginId);
+    } else {
+        selectedPlugins.delete(pluginId);
+    }
+
+    renderPlugins();
+}
+
+// Clear the plugin selection
+function clearPluginSelection() {
+    selectedPlugins.clear();
+    renderPlugins();
+}
+
+// Show the bulk action bar while plugins are checked
+function updateBulkActionBar() {
+    const bar = document.getElementById('bulkActionBar');
+    bar.hidden = selectedPlugins.size === 0;
+    document.getElementById('bulkSelectionCount').textContent = `${selectedPlugins.size} selected`;
+}
+
+// Apply an action to several plugins with one request. Resolves to the
+// per-plugin results, or null when the request failed.
+async function runPluginBatch(ids, action) {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/batch?scope=${writeScope}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids, action })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Operation failed');
+        return result.results;
+    } catch (error) {
+        showToast('Bulk operation failed: ' + escapeHtml(error.message), 'error');
+        return null;
+    }
+}
+
+// Enable, disable, update or uninstall every checked plugin
+async function bulkPluginAction(action) {
+    const ids = Array.from(selectedPlugins);
+    if (ids.length === 0) return;
+
+    if (action === 'update' || action === 'uninstall') {
+        const title = action === 'update' ? 'Update Plugins' : 'Uninstall Plugins';
+        const warning = action === 'uninstall' ? ' This action cannot be undone.' : '';
+        if (!(await showConfirmModal(title, `Are you sure you want to ${action} ${ids.length} plugin(s)?${warning}`))) return;
+    }
+
+    const results = await runPluginBatch(ids, action);
+    if (!results) return;
+
+    // Update and uninstall run as background jobs; wait for all of them
+    const queued = results.filter(r => r.jobId);
+    if (queued.length > 0) {
+        showToast(`${queued.length} job(s) queued. Follow their progress under Jobs.`, 'info');
+        await Promise.all(queued.map(async (result) => {
+            try {
+                const job = await waitForJob(result.jobId);
+                result.success = job.status === 'succeeded';
+                result.error = job.error;
+            } catch (error) {
+                result.success = false;
+                result.error = error.message;
+            }
+        }));
+    }
+
+    if (action === 'uninstall') {
+        results.filter(r => r.success).forEach(r => selectedPlugins.delete(r.id));
+    }
+
+    await loadPlugins();
+    renderPlugins();
+
+    const past = { enable: 'enabled', disable: 'disabled', update: 'updated', uninstall: 'uninstalled' }[action];
+    const failed = results.filter(r => !r.success);
+    if (failed.length === 0) {
+        showToast(`${results.length} plugin(s) ${past}`, 'success');
+    } else {
+        const details = failed.map(r => `${r.id}: ${r.error}`).join(', ');
+        showToast(`${results.length - failed.length} of ${results.length} plugin(s) ${past}. Failed: ${escapeHtml(details)}`, 'error');
+    }
+}
+
+// Sort table
+function sortTable(marketplace, column) {
+    if (sortColumn === column) {
+        sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        sortColumn = column;
+        sortDirection = 'asc';
+    }
+
+    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+
+    categoryPlugins.sort((a, b) => {
+        let aVal = a[column];
+        let bVal = b[column];
+
+        if (column === 'enabled') {
+            aVal = a.enabled ? 1 : 0;
+            bVal = b.enabled ? 1 : 0;
+        }
+
+        if (typeof aVal === 'string') {
+            aVal = aVal.toLowerCase();
+            bVal = bVal.toLowerCase();
+        }
+
+        if (sortDirection === 'asc') {
+            return aVal > bVal ? 1 : -1;
+        } else {
+            return aVal < bVal ? 1 : -1;
+        }
+    });
+
+    // Update plugins array
+    const otherPlugins = plugins.filter(p => p.marketplace !== marketplace);
+    plugins = [...otherPlugins, ...categoryPlugins];
+
+    renderPlugins();
+}
+
+// Toggle plugin
+async function togglePlugin(pluginId) {
+    const plugin = plugins.find(p => p.id === pluginId);
+    if (!plugin) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}/toggle?scope=${writeScope}`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Operation failed');
+
+        // Another layer may still decide the state, so reload instead of flipping locally
+        await loadPlugins();
+        renderPlugins();
+
+        if (result.shadowedBy) {
+            showToast(`Saved to ${result.scope} settings, but the ${result.shadowedBy} layer still decides ${plugin.displayName || plugin.name}`, 'info');
+        } else {
+            showToast(`${plugin.displayName || plugin.name} ${result.enabled ? 'enabled' : 'disabled'}`, 'success');
+        }
+    } catch (error) {
+        showToast('Operation failed: ' + error.message, 'error');
+    }
+}
+
+// Remove a plugin's override from the selected project/local layer
+async function resetPluginOverride(pluginId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}/reset?scope=${writeScope}`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Operation failed');
+
+        await loadPlugins();
+        renderPlugins();
+        showToast(`Removed ${writeScope} override for ${pluginId}`, 'success');
+    } catch (error) {
+        showToast('Reset failed: ' + error.message, 'error');
+    }
+}
+
+// Describe the value each settings layer holds for a plugin
+function describePluginLayers(plugin) {
+    return Object.entries(plugin.layers || {})
+        .map(([scope, enabled]) => `${scope}: ${enabled ? 'enabled' : 'disabled'}`)
+        .join(', ');
+}
+
+// Enable category
+async function enableCategory(marketplace) {
+    const ids = plugins.filter(p => p.marketplace === marketplace && !p.enabled).map(p => p.id);
+    if (ids.length > 0 && !(await runPluginBatch(ids, 'enable'))) return;
+
+    await loadPlugins();
+    renderPlugins();
+    showToast(`All plugins in ${marketplace} enabled`, 'success');
+}
+
+// Disable category
+async function disableCategory(marketplace) {
+    const ids = plugins.filter(p => p.marketplace === marketplace && p.enabled).map(p => p.id);
+    if (ids.length > 0 && !(await runPluginBatch(ids, 'disable'))) return;
+
+    await loadPlugins();
+    renderPlugins();
+    showToast(`All plugins in ${marketplace} disabled`, 'success');
+}
+
+// Enable all plugins
+async function enableAllPlugins() {
+    showConfirmModal(
+        'Enable All Plugins',
+        'Are you sure you want to enable all plugins? This may affect performance.',
+        async () => {
+            try {
+                const response = await fetch(`${API_BASE}/api/plugins/enable-all`, {
+                    method: 'POST'
+                });
+
+                if (!response.ok) throw new Error('Operation failed');
+
+                plugins.forEach(p => p.enabled = true);
+                updateStats();
+                renderPlugins();
+                showToast('All plugins enabled', 'success');
+            } catch (error) {
+                showToast('Operation failed: ' + error.message, 'error');
+            }
+        }
+    );
+}
+
+// Disable all plugins
+async function disableAllPlugins() {
+    showConfirmModal(
+        'Disable All Plugins',
+        'Are you sure you want to disable all plugins?',
+        async () => {
+            try {
+                const response = await fetch(`${API_BASE}/api/plugins/disable-all`, {
+                    method: 'POST'
+                });
+
+                if (!response.ok) throw new Error('Operation failed');
+
+                plugins.forEach(p => p.enabled = false);
+                updateStats();
+                renderPlugins();
+                showToast('All plugins disabled', 'success');
+            } catch (error) {
+                showToast('Operation failed: ' + error.message, 'error');
+            }
+        }
+    );
+}
+
+// Update plugin
+async function updatePlugin(pluginId) {
+    const plugin = plugins.find(p => p.id === pluginId);
+    if (!plugin) return;
+
+    const name = plugin.displayName || plugin.name;
+    if (!(await showConfirmModal('Update Plugin', `Are you sure you want to update ${name}?`))) return;
+
+    const updated = await runClaudeJob(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}/update`, {
+        method: 'POST'
+    }, 'Update failed');
+    if (!updated) return;
+
+    await loadPlugins();
+    renderPlugins();
+    showToast(`${escapeHtml(name)} updated successfully`, 'success');
+}
+
+// Uninstall plugin
+async function uninstallPlugin(pluginId) {
+    const plugin = plugins.find(p => p.id === pluginId);
+    if (!plugin) return;
+
+    const name = plugin.displayName || plugin.name;
+    if (!(await showConfirmModal('Uninstall Plugin', `Are you sure you want to uninstall ${name}? This action cannot be undone.`))) return;
+
+    const uninstalled = await runClaudeJob(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}`, {
+        method: 'DELETE'
+    }, 'Uninstall failed');
+    if (!uninstalled) return;
+
+    plugins = plugins.filter(p => p.id !== pluginId);
+    selectedPlugins.delete(pluginId);
+    updateStats();
+    renderPlugins();
+    showToast(`${escapeHtml(name)} uninstalled`, 'success');
+}
+
+// Update all plugins
+async function updateAllPlugins() {
+    if (!(await showConfirmModal('Update All Plugins', 'Are you sure you want to update all marketplaces and plugins? This may take some time.'))) return;
+
+    const updated = await runClaudeJob(`${API_BASE}/api/plugins/update-all`, {
+        method: 'POST'
+    }, 'Update failed');
+    if (!updated) return;
+
+    await loadPlugins();
+    await loadAvailablePlugins();
+    renderPlugins();
+    showToast('All plugins updated successfully', 'success');
+}
+
+// Save configuration
+async function saveConfig() {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/save`, {
+            method: 'POST'
+        });
+
+        if (!response.ok) throw new Error('Save failed');
+
+        showToast('Configuration saved successfully', 'success');
+    } catch (error) {
+        showToast('Save failed: ' + error.message, 'error');
+    }
+}
+
+// =====================
+// SETTINGS HISTORY
+// =====================
+
+// Reload plugin state after settings.json was rewritten
+async function refreshAfterSettingsRestore() {
+    await loadPlugins();
+    renderPlugins();
+    await loadProfiles();
+}
+
+// Undo the most recent settings change
+async function undoLastSettingsChange() {
+    const confirmed = await showConfirmModal(
+        'Undo Last Change',
+        'Restore settings.json to the state before the most recent change made by the manager?'
+    );
+
+    if (!confirmed) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/settings/history/undo`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Undo failed');
+
+        await refreshAfterSettingsRestore();
+        showToast(`Undid: ${data.source}`, 'success');
+    } catch (error) {
+        showToast('Undo failed: ' + error.message, 'error');
+    }
+}
+
+// Render settings diff changes as HTML
+function renderSettingsChanges(changes) {
+    if (changes.length === 0) {
+        return '<p>No differences.</p>';
+    }
+
+    const format = value => value === undefined ? '(none)' : escapeHtml(JSON.stringify(value));
+
+    return `<ul class="diff-list">${changes.map(change => {
+        const key = escapeHtml(change.path.join(' › '));
+        if (change.type === 'added') {
+            return `<li class="diff-added">+ ${key}: ${format(change.after)}</li>`;
+        }
+        if (change.type === 'removed') {
+            return `<li class="diff-removed">- ${key}: ${format(change.before)}</li>`;
+        }
+        return `<li>~ ${key}: ${format(change.before)} → ${format(change.after)}</li>`;
+    }).join('')}</ul>`;
+}
+
+// Show settings history modal
+async function showSettingsHistory() {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings/history`);
+        if (!response.ok) throw new Error('Cannot load history');
+        const { entries } = await response.json();
+
+        document.getElementById('modalTitle').textContent = 'Settings History';
+        document.getElementById('modalBody').innerHTML = entries.length === 0
+            ? '<p>No changes recorded yet.</p>'
+            : `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>Caused by</th>
+                            <th style="width: 70px;">Changes</th>
+                            <th style="width: 150px;">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td><code style="font-size: 12px;">${escapeHtml(entry.source)}</code></td>
+                                <td>${entry.changes}</td>
+                                <td>
+                                    <div class="action-buttons">
+                                        <button class="action-btn" onclick="showSettingsHistoryDiff('${entry.id}')">Diff</button>
+                                        <button class="action-btn" onclick="restoreSettingsEntry('${entry.id}')">Restore</button>
+                                    </div>
+                                </td>
+                            </tr>
+                            <tr id="history-diff-${entry.id}" style="display: none;">
+                                <td colspan="4"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        document.querySelector('.modal-footer').innerHTML = '<button class="btn btn-secondary" id="modalCloseBtn">Close</button>';
+        document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to load history: ' + error.message, 'error');
+    }
+}
+
+// Toggle the inline diff for a history entry
+async function showSettingsHistoryDiff(entryId) {
+    const row = document.getElementById(`history-diff-${entryId}`);
+    if (row.style.display !== 'none') {
+        row.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/settings/history/${encodeURIComponent(entryId)}/diff`);
+        if (!response.ok) throw new Error('Cannot load diff');
+        const { changes } = await response.json();
+
+        row.firstElementChild.innerHTML = renderSettingsChanges(changes);
+        row.style.display = '';
+    } catch (error) {
+        showToast('Failed to load diff: ' + error.message, 'error');
+    }
+}
+
+// Restore settings to the state before a history entry
+async function restoreSettingsEntry(entryId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings/history/${encodeURIComponent(entryId)}/restore`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Restore failed');
+
+        hideModal();
+        await refreshAfterSettingsRestore();
+        showToast('Settings restored', 'success');
+    } catch (error) {
+        showToast('Restore failed: ' + error.message, 'error');
+    }
+}
+
+// =====================
+// PLUGIN DETAILS
+// =====================
+
+// Render one section of things a plugin contributes
+function renderContributionSection(title, items, renderItem, emptyText) {
+    return `
+        <div class="detail-section">
+            <h3>${title} (${items.length})</h3>
+            ${items.length === 0 ? `<p class="contribution-empty">${emptyText}</p>` : `
+                <ul class="contribution-list">
+                    ${items.map(item => `<li>${renderItem(item)}</li>`).join('')}
+                </ul>
+            `}
+        </div>
+    `;
+}
+
+// Link to view a file of a plugin; showPluginDetail wires up the click
+function renderPluginFileLink(file) {
+    if (!file) return '';
+    return `<button class="action-btn plugin-file-link" data-file="${escapeHtml(file.replace(/\\/g, '/'))}">View source</button>`;
+}
+
+// Show plugin detail panel
+async function showPluginDetail(pluginId) {
+    document.getElementById('detailPanelOverlay').classList.add('show');
+    document.getElementById('detailPanel').classList.add('open');
+
+    const detailHeader = document.getElementById('detailPanelHeader');
+    const detailBody = document.getElementById('detailPanelBody');
+    const detailActions = document.getElementById('detailPanelActions');
+
+    detailHeader.innerHTML = '<div style="text-align: center; padding: 40px;">Loading...</div>';
+    detailBody.innerHTML = '<div class="loading"><div class="spinner"></div>Loading plugin details...</div>';
+    detailActions.innerHTML = '';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}`);
+        const plugin = await response.json();
+        if (!response.ok) throw new Error(plugin.error || 'Failed to load plugin details');
+
+        detailHeader.innerHTML = `
+            <div class="extension-icon" style="margin-bottom: 12px;">🔌</div>
+            <div class="extension-name" style="font-size: 20px;">${escapeHtml(plugin.displayName || plugin.name)}</div>
+            <div class="extension-author">${escapeHtml(plugin.id)}${plugin.author ? ` · by ${escapeHtml(plugin.author)}` : ''}</div>
+            <div class="extension-badges" style="margin-top: 12px;">
+                <span class="status-badge ${plugin.enabled ? 'enabled' : 'disabled'}">
+                    <span class="status-dot"></span>
+                    ${plugin.enabled ? 'Enabled' : 'Disabled'}
+                </span>
+                ${plugin.scope ? `<span class="scope-badge">via ${plugin.scope}</span>` : ''}
+            </div>
+        `;
+
+        const contents = plugin.contents;
+        let html = `
+            <div class="detail-section">
+                <h3>Description</h3>
+                <p>${escapeHtml(plugin.description || 'No description')}</p>
+            </div>
+
+            <div class="detail-section">
+                <h3>Information</h3>
+                <div style="display: grid; gap: 8px; font-size: 14px;">
+                    <div><strong>Installed Version:</strong> ${escapeHtml(plugin.installedVersion || plugin.version || 'Unknown')}</div>
+                    ${plugin.license ? `<div><strong>License:</strong> ${escapeHtml(plugin.license)}</div>` : ''}
+                    ${/^https?:\/\//.test(plugin.homepage || '') ? `<div><strong>Homepage:</strong> <a href="${escapeHtml(plugin.homepage)}" target="_blank" rel="noopener">${escapeHtml(plugin.homepage)}</a></div>` : ''}
+                    <div><strong>Path:</strong> <code style="font-size: 12px;">${escapeHtml(plugin.installPath || 'Not installed')}</code></div>
+                </div>
+            </div>
+        `;
+
+        if (!contents) {
+            html += `
+                <div class="detail-section">
+                    <p class="contribution-empty">The plugin directory was not found, so its commands, agents, skills, hooks and MCP servers cannot be listed.</p>
+                </div>
+            `;
+        } else {
+            html += renderContributionSection('Slash Commands', contents.commands, command => `
+                <div class="contribution-name">/${escapeHtml(command.name)} ${renderFrontmatterBadge(command)}</div>
+                <div class="contribution-description">${escapeHtml(command.description || '')}</div>
+                ${renderPluginFileLink(command.file)}
+            `, 'No slash commands');
+
+            html += renderContributionSection('Agents', contents.agents, agent => `
+                <div class="contribution-name">@${escapeHtml(agent.name)} ${renderFrontmatterBadge(agent)}</div>
+                <div class="contribution-description">${escapeHtml(agent.description || '')}</div>
+                ${renderPluginFileLink(agent.file)}
+            `, 'No agents');
+
+            html += renderContributionSection('Skills', contents.skills, skill => `
+                <div class="contribution-name">${escapeHtml(skill.name)} ${renderFrontmatterBadge(skill)}</div>
+                <div class="contribution-description">${escapeHtml(skill.description || '')}</div>
+                ${renderPluginFileLink(skill.file)}
+            `, 'No skills');
+
+            html += renderContributionSection('Hooks', contents.hooks.items, hook => `
+                <div class="contribution-name">${escapeHtml(hook.event)} <span class="tag">${escapeHtml(hook.matcher)}</span></div>
+                <div class="contribution-description"><code>${escapeHtml(hook.command)}</code></div>
+            `, contents.hooks.error ? escapeHtml(contents.hooks.error) : 'No hooks');
+            if (contents.hooks.items.length > 0) {
+                html += renderPluginFileLink(contents.hooks.file);
+            }
+
+            html += renderContributionSection('MCP Servers', contents.mcpServers.items, server => `
+                <div class="contribution-name">${escapeHtml(server.name)} <span class="tag">${escapeHtml(server.type)}</span></div>
+                <div class="contribution-description"><code>${escapeHtml(server.url || [server.command, ...server.args].join(' '))}</code></div>
+            `, contents.mcpServers.error ? escapeHtml(contents.mcpServers.error) : 'No MCP servers');
+            if (contents.mcpServers.items.length > 0) {
+                html += renderPluginFileLink(contents.mcpServers.file);
+            }
+        }
+
+        detailBody.innerHTML = html;
+        detailBody.querySelectorAll('.plugin-file-link').forEach(button => {
+            button.addEventListener('click', () => showPluginFile(pluginId, button.dataset.file));
+        });
+    } catch (error) {
+        console.error('Error loading plugin details:', error);
+        detailBody.innerHTML = `<div class="empty-state"><p>${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+// Show the source of a plugin file
+async function showPluginFile(pluginId, file) {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugins/${encodeURIComponent(pluginId)}/file?path=${encodeURIComponent(file)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Cannot load file');
+
+        document.getElementById('modalTitle').textContent = file;
+        document.getElementById('modalBody').innerHTML = `
+            <div style="text-align: left;">
+                <p><strong>Path:</strong> <code style="font-size: 12px;">${escapeHtml(result.absolutePath)}</code></p>
+                <hr style="margin: 15px 0; border: none; border-top: 1px solid var(--border-primary);">
+                <pre style="background: var(--bg-secondary); padding: 15px; border-radius: 6px; overflow-x: auto; font-size: 13px; line-height: 1.5; max-height: 400px; overflow-y: auto;">${escapeHtml(result.content)}</pre>
+            </div>
+        `;
+        document.querySelector('.modal-footer').innerHTML = '<button class="btn btn-secondary" id="modalCloseBtn">Close</button>';
+        document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to load file: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// =====================
+// PLUGIN MARKETPLACES
+// =====================
+
+// Show configured plugin marketplaces
+async function showPluginMarketplaces() {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugin-marketplaces`);
+        if (!response.ok) throw new Error('Cannot load marketplaces');
+        const { marketplaces } = await response.json();
+
+        document.getElementById('modalTitle').textContent = 'Plugin Marketplaces';
+        document.getElementById('modalBody').innerHTML = `
+            <div style="text-align: left;">
+                <div class="url-import-input" style="margin-bottom: 16px;">
+                    <input type="text" id="marketplaceSourceInput" placeholder="owner/repo, git URL or absolute local path">
+                    <button class="btn btn-primary" id="addMarketplaceBtn">Add</button>
+                </div>
+                ${marketplaces.length === 0 ? '<p>No marketplaces configured.</p>' : `
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Source</th>
+                                <th>Last Updated</th>
+                                <th style="width: 80px;">Plugins</th>
+                                <th style="width: 150px;">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${marketplaces.map(marketplace => `
+                                <tr>
+                                    <td>
+                                        <div class="plugin-name">${escapeHtml(marketplace.name)}</div>
+                                        ${marketplace.exists ? '' : '<div class="plugin-marketplace">checkout missing</div>'}
+                                    </td>
+                                    <td><code style="font-size: 12px;">${escapeHtml(marketplace.sourceLabel)}</code></td>
+                                    <td>${marketplace.lastUpdated ? new Date(marketplace.lastUpdated).toLocaleString() : 'Never'}</td>
+                                    <td title="${marketplace.pluginsInUse} in your settings">${marketplace.pluginCount}</td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="action-btn marketplace-refresh" data-marketplace="${escapeHtml(marketplace.name)}">Refresh</button>
+                                            <button class="action-btn danger marketplace-remove" data-marketplace="${escapeHtml(marketplace.name)}" data-plugins-in-use="${marketplace.pluginsInUse}">Remove</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+
+        document.querySelector('.modal-footer').innerHTML = '<button class="btn btn-secondary" id="modalCloseBtn">Close</button>';
+        document.getElementById('modalCloseBtn').addEventListener('click', hideModal);
+        document.getElementById('addMarketplaceBtn').addEventListener('click', () => addPluginMarketplace());
+        document.querySelectorAll('.marketplace-refresh').forEach(button => {
+            button.addEventListener('click', () => refreshPluginMarketplace(button.dataset.marketplace));
+        });
+        document.querySelectorAll('.marketplace-remove').forEach(button => {
+            button.addEventListener('click', () => removePluginMarketplace(button.dataset.marketplace, Number(button.dataset.pluginsInUse)));
+        });
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to load marketplaces: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Run a marketplace CLI job and reload the list once it succeeds
+async function runPluginMarketplaceAction(url, options, successMessage) {
+    const succeeded = await runClaudeJob(url, options, 'Marketplace operation failed');
+    if (!succeeded) return;
+
+    showToast(successMessage, 'success');
+    await showPluginMarketplaces();
+    await loadPlugins();
+    await loadAvailablePlugins();
+    renderPlugins();
+}
+
+// Add a marketplace from the source input
+async function addPluginMarketplace() {
+    const source = document.getElementById('marketplaceSourceInput').value.trim();
+    if (!source) {
+        showToast('Enter a marketplace source', 'error');
+        return;
+    }
+
+    await runPluginMarketplaceAction(`${API_BASE}/api/plugin-marketplaces`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source })
+    }, 'Marketplace added');
+}
+
+// Refresh a marketplace checkout
+async function refreshPluginMarketplace(name) {
+    await runPluginMarketplaceAction(`${API_BASE}/api/plugin-marketplaces/${encodeURIComponent(name)}/refresh`, {
+        method: 'POST'
+    }, `${escapeHtml(name)} refreshed`);
+}
+
+// Remove a marketplace
+async function removePluginMarketplace(name, pluginsInUse) {
+    const warning = pluginsInUse > 0 ? ` ${pluginsInUse} plugin(s) in your settings come from it.` : '';
+    if (!(await showConfirmModal('Remove Marketplace', `Remove the "${name}" marketplace?${warning}`))) return;
+
+    await runPluginMarketplaceAction(`${API_BASE}/api/plugin-marketplaces/${encodeURIComponent(name)}`, {
+        method: 'DELETE'
+    }, `${escapeHtml(name)} removed`);
+}
+
+// =====================
+// BACKGROUND JOBS
+// =====================
+
+// Start a CLI job and wait until it finishes. Failures are reported with a
+// toast; resolves to true only when the job succeeded.
+async function runClaudeJob(url, options, failureMessage) {
+    try {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Operation failed');
+
+        handleJobEvent(result.job);
+        showToast(`${escapeHtml(result.job.title)} started. Follow its progress under Jobs.`, 'info');
+
+        const job = await waitForJob(result.jobId);
+        if (job.status !== 'succeeded') throw new Error(job.error || `Job ${job.status}`);
+        return true;
+    } catch (error) {
+        showToast(`${failureMessage}: ${escapeHtml(error.message)}`, 'error');
+        return false;
+    }
+}
+
+// Poll a job until it has finished
+async function waitForJob(jobId) {
+    let since = 0;
+
+    for (;;) {
+        const response = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}?since=${since}`);
+        const job = await response.json();
+        if (!response.ok) throw new Error(job.error || 'Cannot load job');
+
+        if (job.finishedAt) return job;
+        since = job.logLines;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Load running and recent jobs
+async function loadJobs() {
+    try {
+        const response = await fetch(`${API_BASE}/api/jobs`);
+        if (!response.ok) throw new Error('Cannot load jobs');
+
+        jobs = (await response.json()).jobs;
+        updateJobsButton();
+    } catch (error) {
+        console.error('Error loading jobs:', error);
+    }
+}
+
+// Show the number of unfinished jobs on the toolbar button
+function updateJobsButton() {
+    const active = jobs.filter(job => !job.finishedAt).length;
+    const badge = document.getElementById('jobsCount');
+    badge.textContent = active;
+    badge.hidden = active === 0;
+}
+
+// Apply a job status update from the event stream or an API response
+function handleJobEvent(job) {
+    const index = jobs.findIndex(j => j.id === job.id);
+    if (index === -1) {
+        jobs.unshift(job);
+    } else {
+        jobs[index] = job;
+    }
+    updateJobsButton();
+
+    // Only while the jobs panel is showing
+    if (!document.getElementById('jobsList')) return;
+
+    const header = document.querySelector(`#job-${job.id} .job-header`);
+    if (header) {
+        header.innerHTML = renderJobHeader(job);
+    } else {
+        renderJobsPanel();
+    }
+}
+
+// Append a streamed log line to an expanded job log
+function handleJobOutput(entry) {
+    const log = document.querySelector(`#job-${entry.id} .job-log`);
+    if (!log || !expandedJobIds.has(entry.id)) return;
+
+    // Lines already fetched with the full log are skipped
+    const count = Number(log.dataset.count);
+    if (entry.index < count) return;
+
+    log.appendChild(renderJobLogLine(entry));
+    log.dataset.count = entry.index + 1;
+    log.scrollTop = log.scrollHeight;
+}
+
+// Render a job's status, title and actions
+function renderJobHeader(job) {
+    const finished = job.finishedAt ? new Date(job.finishedAt).toLocaleString() : null;
+    return `
+        <div style="flex: 1; min-width: 0;">
+            <div class="contribution-name">${escapeHtml(job.title)}</div>
+            <div class="contribution-description">
+                ${finished ? `Finished ${finished}` : `Started ${new Date(job.startedAt || job.createdAt).toLocaleString()}`}
+                ${job.error ? ` · ${escapeHtml(job.error)}` : ''}
+            </div>
+        </div>
+        <span class="status-badge job-${job.status}">${job.status}</span>
+        <div class="action-buttons">
+            <button class="action-btn" onclick="toggleJobLog('${job.id}')">Log</button>
+            ${job.finishedAt ? '' : `<button class="action-btn danger" onclick="cancelJob('${job.id}')">Cancel</button>`}
+        </div>
+    `;
+}
+
+// Render one log line
+function renderJobLogLine(entry) {
+    const line = document.createElement('div');
+    line.className = `job-log-${entry.stream}`;
+    line.textContent = entry.text;
+    return line;
+}
+
+// Render the job list into the detail panel
+function renderJobsPanel() {
+    const detailBody = document.getElementById('detailPanelBody');
+
+    if (jobs.length === 0) {
+        detailBody.innerHTML = '<div id="jobsList" class="empty-state"><p>No jobs yet. Installs, updates and marketplace changes run here.</p></div>';
+        return;
+    }
+
+    detailBody.innerHTML = `
+        <ul id="jobsList" class="contribution-list">
+            ${jobs.map(job => `
+                <li id="job-${job.id}">
+                    <div class="job-header">${renderJobHeader(job)}</div>
+                    <div class="job-log" data-count="0" hidden></div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    expandedJobIds.forEach(jobId => loadJobLog(jobId));
+}
+
+// Show running and recent jobs in the detail panel
+async function showJobsPanel() {
+    document.getElementById('detailPanelOverlay').classList.add('show');
+    document.getElementById('detailPanel').classList.add('open');
+
+    document.getElementById('detailPanelHeader').innerHTML = `
+        <div class="extension-icon" style="margin-bottom: 12px;">⚙️</div>
+        <div class="extension-name" style="font-size: 20px;">Jobs</div>
+        <div class="extension-author">Claude CLI operations running in the background</div>
+    `;
+    document.getElementById('detailPanelActions').innerHTML = '';
+
+    await loadJobs();
+    renderJobsPanel();
+}
+
+// Fill an expanded job log with everything logged so far
+async function loadJobLog(jobId) {
+    const log = document.querySelector(`#job-${jobId} .job-log`);
+    if (!log) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}`);
+        const job = await response.json();
+        if (!response.ok) throw new Error(job.error || 'Cannot load job');
+
+        log.innerHTML = '';
+        job.log.forEach(entry => log.appendChild(renderJobLogLine(entry)));
+        log.dataset.count = job.log.length;
+        log.hidden = false;
+        log.scrollTop = log.scrollHeight;
+    } catch (error) {
+        showToast('Failed to load job log: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Expand or collapse a job log
+async function toggleJobLog(jobId) {
+    if (expandedJobIds.has(jobId)) {
+        expandedJobIds.delete(jobId);
+        document.querySelector(`#job-${jobId} .job-log`).hidden = true;
+        return;
+    }
+
+    expandedJobIds.add(jobId);
+    await loadJobLog(jobId);
+}
 
+// Cancel a queued or running job
+async function cancelJob(jobId) {
     try {
-        const response = await fetch(`${API_BASE}/api/plugins/${pluginId}/toggle`, {
+        const response = await fetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}/cancel`, {
             method: 'POST'
         });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Cancel failed');
 
-        if (!response.ok) throw new Error('Operation failed');
+        handleJobEvent(result.job);
+    } catch (error) {
+        showToast('Cancel failed: ' + escapeHtml(error.message), 'error');
+    }
+}
 
-        plugin.enabled = !plugin.enabled;
-        updateStats();
-        renderPlugins();
+// =====================
+// PLUGIN PROFILES
+// =====================
 
-        showToast(`${plugin.displayName || plugin.name} ${plugin.enabled ? 'enabled' : 'disabled'}`, 'success');
+// Load plugin profiles
+async function loadProfiles() {
+    try {
+        const response = await fetch(`${API_BASE}/api/plugin-profiles`);
+        if (!response.ok) throw new Error('Cannot load profiles');
+
+        const data = await response.json();
+        profiles = data.profiles;
+        renderProfileSelect();
     } catch (error) {
-        showToast('Operation failed: ' + error.message, 'error');
+        console.error('Error loading profiles:', error);
     }
 }
 
-// Enable category
-async function enableCategory(marketplace) {
-    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+// Render profile dropdown, keeping the current selection when possible
+function renderProfileSelect(selectedName) {
+    const select = document.getElementById('profileSelect');
+    const current = selectedName !== undefined ? selectedName : select.value;
 
-    for (const plugin of categoryPlugins) {
-        if (!plugin.enabled) {
-            try {
-                await fetch(`${API_BASE}/api/plugins/${plugin.id}/enable`, { method: 'POST' });
-                plugin.enabled = true;
-            } catch (error) {
-                console.error('Error enabling plugin:', error);
-            }
-        }
+    if (profiles.length === 0) {
+        select.innerHTML = '<option value="">No profiles saved</option>';
+        return;
     }
 
-    updateStats();
-    renderPlugins();
-    showToast(`All plugins in ${marketplace} enabled`, 'success');
+    select.innerHTML = profiles.map(profile => {
+        const changes = profile.diff.enable.length + profile.diff.disable.length;
+        const label = `${profile.name} (${profile.enabledCount} enabled${changes === 0 ? ', active' : ''})`;
+        return `<option value="${escapeHtml(profile.name)}" ${profile.name === current ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    }).join('');
 }
 
-// Disable category
-async function disableCategory(marketplace) {
-    const categoryPlugins = plugins.filter(p => p.marketplace === marketplace);
+// Get the profile picked in the dropdown
+function getSelectedProfile() {
+    const name = document.getElementById('profileSelect').value;
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) {
+        showToast('Select a profile first', 'error');
+    }
+    return profile || null;
+}
 
-    for (const plugin of categoryPlugins) {
-        if (plugin.enabled) {
-            try {
-                await fetch(`${API_BASE}/api/plugins/${plugin.id}/disable`, { method: 'POST' });
-                plugin.enabled = false;
-            } catch (error) {
-                console.error('Error disabling plugin:', error);
-            }
-        }
+// Render a profile diff as HTML
+function renderProfileDiff(diff) {
+    const section = (label, ids) => ids.length === 0 ? '' : `
+        <p><strong>${label} (${ids.length})</strong></p>
+        <ul class="diff-list">${ids.map(id => `<li>${escapeHtml(id)}</li>`).join('')}</ul>
+    `;
+
+    if (diff.enable.length === 0 && diff.disable.length === 0) {
+        return '<p>This profile matches the current plugin state. Nothing to change.</p>';
     }
 
-    updateStats();
-    renderPlugins();
-    showToast(`All plugins in ${marketplace} disabled`, 'success');
+    return `
+        ${section('Will be enabled', diff.enable)}
+        ${section('Will be disabled', diff.disable)}
+        ${section('Not installed (skipped)', diff.missing)}
+    `;
 }
 
-// Enable all plugins
-async function enableAllPlugins() {
-    showConfirmModal(
-        'Enable All Plugins',
-        'Are you sure you want to enable all plugins? This may affect performance.',
-        async () => {
+// Apply the selected profile after showing its diff
+async function applySelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+
+    try {
+        const diffRes = await fetch(`${API_BASE}/api/plugin-profiles/${encodeURIComponent(profile.name)}/diff`);
+        if (!diffRes.ok) throw new Error('Cannot load profile diff');
+        const { diff } = await diffRes.json();
+
+        document.getElementById('modalTitle').textContent = `Apply Profile "${profile.name}"`;
+        document.getElementById('modalBody').innerHTML = `<div style="text-align: left;">${renderProfileDiff(diff)}</div>`;
+        document.querySelector('.modal-footer').innerHTML = `
+            <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+            <button class="btn btn-primary" id="modalApplyBtn">Apply</button>
+        `;
+
+        document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+        document.getElementById('modalApplyBtn').addEventListener('click', async () => {
             try {
-                const response = await fetch(`${API_BASE}/api/plugins/enable-all`, {
+                const response = await fetch(`${API_BASE}/api/plugin-profiles/${encodeURIComponent(profile.name)}/apply?scope=${writeScope}`, {
                     method: 'POST'
                 });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Apply failed');
 
-                if (!response.ok) throw new Error('Operation failed');
-
-                plugins.forEach(p => p.enabled = true);
-                updateStats();
+                hideModal();
+                await loadPlugins();
                 renderPlugins();
-                showToast('All plugins enabled', 'success');
+                await loadProfiles();
+                if (data.overridden.length > 0) {
+                    const ids = data.overridden.map(p => `${p.id} (${p.scope})`).join(', ');
+                    showToast(`Profile "${escapeHtml(profile.name)}" applied to ${data.scope}; still overridden by a higher layer: ${escapeHtml(ids)}`, 'info');
+                } else {
+                    showToast(`Profile "${escapeHtml(profile.name)}" applied to ${data.scope}`, 'success');
+                }
             } catch (error) {
-                showToast('Operation failed: ' + error.message, 'error');
+                showToast('Failed to apply profile: ' + error.message, 'error');
             }
-        }
-    );
+        });
+
+        showModal();
+    } catch (error) {
+        showToast('Failed to apply profile: ' + error.message, 'error');
+    }
 }
 
-// Disable all plugins
-async function disableAllPlugins() {
-    showConfirmModal(
-        'Disable All Plugins',
-        'Are you sure you want to disable all plugins?',
-        async () => {
-            try {
-                const response = await fetch(`${API_BASE}/api/plugins/disable-all`, {
-                    method: 'POST'
-                });
+// Show modal for saving the current plugin state as a profile
+function showSaveProfileModal() {
+    const selected = profiles.find(p => p.name === document.getElementById('profileSelect').value);
 
-                if (!response.ok) throw new Error('Operation failed');
+    document.getElementById('modalTitle').textContent = 'Save Plugin Profile';
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Profile Name</label>
+                <input type="text" id="profileNameInput" value="${selected ? escapeHtml(selected.name) : ''}"
+                       placeholder="web fullstack"
+                       style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;">
+            </div>
+            <div>
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Description</label>
+                <input type="text" id="profileDescriptionInput" value="${selected ? escapeHtml(selected.description) : ''}"
+                       placeholder="Optional"
+                       style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;">
+            </div>
+            <p style="margin-top: 12px; font-size: 13px;">The current enabled/disabled state of all ${plugins.length} plugins will be saved.</p>
+        </div>
+    `;
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn">Save</button>
+    `;
 
-                plugins.forEach(p => p.enabled = false);
-                updateStats();
-                renderPlugins();
-                showToast('All plugins disabled', 'success');
-            } catch (error) {
-                showToast('Operation failed: ' + error.message, 'error');
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', async () => {
+        const name = document.getElementById('profileNameInput').value.trim();
+        const description = document.getElementById('profileDescriptionInput').value.trim();
+
+        if (!name) {
+            showToast('Name is required', 'error');
+            return;
+        }
+
+        const exists = profiles.some(p => p.name === name);
+        if (exists && !window.confirm(`Overwrite profile "${name}" with the current plugin state?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/api/plugin-profiles`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, description, overwrite: exists })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Save failed');
             }
+
+            hideModal();
+            await loadProfiles();
+            renderProfileSelect(name);
+            showToast(`Profile "${name}" saved`, 'success');
+        } catch (error) {
+            showToast('Failed to save profile: ' + error.message, 'error');
         }
-    );
-}
+    });
 
-// Update plugin
-async function updatePlugin(pluginId) {
-    const plugin = plugins.find(p => p.id === pluginId);
-    if (!plugin) return;
+    showModal();
+}
 
-    showConfirmModal(
-        'Update Plugin',
-        `Are you sure you want to update ${plugin.displayName || plugin.name}?`,
-        async () => {
-            try {
-                showToast('Updating, please wait...', 'info');
+// Rename the selected profile
+async function renameSelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
 
-                const response = await fetch(`${API_BASE}/api/plugins/${pluginId}/update`, {
-                    method: 'POST'
-                });
+    const newName = window.prompt('New profile name', profile.name);
+    if (!newName || newName.trim() === profile.name) return;
 
-                if (!response.ok) throw new Error('Update failed');
+    try {
+        const response = await fetch(`${API_BASE}/api/plugin-profiles/${encodeURIComponent(profile.name)}/rename`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: newName.trim() })
+        });
 
-                showToast(`${plugin.displayName || plugin.name} updated successfully`, 'success');
-            } catch (error) {
-                showToast('Update failed: ' + error.message, 'error');
-            }
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Rename failed');
         }
+
+        await loadProfiles();
+        renderProfileSelect(newName.trim());
+        showToast('Profile renamed', 'success');
+    } catch (error) {
+        showToast('Failed to rename profile: ' + error.message, 'error');
+    }
+}
+
+// Delete the selected profile
+async function deleteSelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+
+    const confirmed = await showConfirmModal(
+        'Delete Profile',
+        `Are you sure you want to delete the profile "${profile.name}"? Plugin settings are not changed.`
     );
+
+    if (!confirmed) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/plugin-profiles/${encodeURIComponent(profile.name)}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) throw new Error('Delete failed');
+
+        await loadProfiles();
+        showToast('Profile deleted', 'success');
+    } catch (error) {
+        showToast('Failed to delete profile: ' + error.message, 'error');
+    }
+}
+
+// =====================
+// WORKSPACES
+// =====================
+
+// Load registered workspaces
+async function loadWorkspaces() {
+    try {
+        const response = await fetch(`${API_BASE}/api/workspaces`);
+        if (!response.ok) throw new Error('Cannot load workspaces');
+
+        const data = await response.json();
+        workspaces = data.workspaces;
+        selectedWorkspaceId = data.selected;
+        recentWorkspaceIds = data.recent;
+        renderWorkspaceSelect();
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+    }
+}
+
+// Render workspace dropdown with recent workspaces first
+function renderWorkspaceSelect() {
+    const select = document.getElementById('workspaceSelect');
+
+    if (workspaces.length === 0) {
+        select.innerHTML = '<option value="">No workspace</option>';
+        return;
+    }
+
+    const renderOption = (workspace) => {
+        const label = `${workspace.name}${workspace.exists ? '' : ' (missing)'}`;
+        return `<option value="${workspace.id}" title="${escapeHtml(workspace.path)}" ${workspace.id === selectedWorkspaceId ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    };
+
+    const recent = recentWorkspaceIds
+        .map(id => workspaces.find(w => w.id === id))
+        .filter(Boolean);
+    const others = workspaces.filter(w => !recentWorkspaceIds.includes(w.id));
+
+    // An option can only be selected once, so recent workspaces are not repeated below
+    select.innerHTML = `
+        ${recent.length > 0 ? `<optgroup label="Recent">${recent.map(renderOption).join('')}</optgroup>` : ''}
+        ${others.length > 0 ? `<optgroup label="All workspaces">${others.map(renderOption).join('')}</optgroup>` : ''}
+    `;
+
+    const selected = workspaces.find(w => w.id === selectedWorkspaceId);
+    select.title = selected ? selected.path : '';
+}
+
+// Reload everything that depends on the selected workspace
+async function refreshAfterWorkspaceChange() {
+    await loadPlugins();
+    renderPlugins();
+
+    skills = [];
+    if (currentTab === 'skills') {
+        await loadSkills();
+        renderSkills();
+    } else if (currentTab === 'commands') {
+        await loadCommands();
+        renderCommands();
+    } else if (currentTab === 'agents') {
+        await loadAgents();
+        renderAgents();
+    }
+    loadAllStats();
+}
+
+// Switch the active workspace
+async function selectWorkspace(workspaceId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/workspaces/${encodeURIComponent(workspaceId)}/select`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Operation failed');
+
+        await loadWorkspaces();
+        await refreshAfterWorkspaceChange();
+        showToast(`Workspace: ${escapeHtml(result.workspace.name)}`, 'success');
+    } catch (error) {
+        renderWorkspaceSelect();
+        showToast('Failed to switch workspace: ' + error.message, 'error');
+    }
 }
 
-// Uninstall plugin
-async function uninstallPlugin(pluginId) {
-    const plugin = plugins.find(p => p.id === pluginId);
-    if (!plugin) return;
-
-    showConfirmModal(
-        'Uninstall Plugin',
-        `Are you sure you want to uninstall ${plugin.displayName || plugin.name}? This action cannot be undone.`,
-        async () => {
-            try {
-                const response = await fetch(`${API_BASE}/api/plugins/${pluginId}`, {
-                    method: 'DELETE'
-                });
+// Show modal for registering a project root
+function showAddWorkspaceModal() {
+    document.getElementById('modalTitle').textContent = 'Add Workspace';
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Project Path</label>
+                <input type="text" id="workspacePathInput"
+                       placeholder="/home/me/projects/my-repo"
+                       style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;">
+            </div>
+            <div>
+                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Name</label>
+                <input type="text" id="workspaceNameInput"
+                       placeholder="Defaults to the directory name"
+                       style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;">
+            </div>
+        </div>
+    `;
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn">Add and Switch</button>
+    `;
 
-                if (!response.ok) throw new Error('Uninstall failed');
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', async () => {
+        const workspacePath = document.getElementById('workspacePathInput').value.trim();
+        const name = document.getElementById('workspaceNameInput').value.trim();
 
-                plugins = plugins.filter(p => p.id !== pluginId);
-                selectedPlugins.delete(pluginId);
-                updateStats();
-                renderPlugins();
-                showToast(`${plugin.displayName || plugin.name} uninstalled`, 'success');
-            } catch (error) {
-                showToast('Uninstall failed: ' + error.message, 'error');
-            }
+        if (!workspacePath) {
+            showToast('Path is required', 'error');
+            return;
         }
-    );
-}
-
-// Update all plugins
-async function updateAllPlugins() {
-    showConfirmModal(
-        'Update All Plugins',
-        'Are you sure you want to update all marketplaces and plugins? This may take some time.',
-        async () => {
-            try {
-                showToast('Updating all plugins, please wait...', 'info');
 
-                const response = await fetch(`${API_BASE}/api/plugins/update-all`, {
-                    method: 'POST'
-                });
+        try {
+            const response = await fetch(`${API_BASE}/api/workspaces`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path: workspacePath, name, select: true })
+            });
 
-                if (!response.ok) throw new Error('Update failed');
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Add failed');
 
-                await loadPlugins();
-                renderPlugins();
-                showToast('All plugins updated successfully', 'success');
-            } catch (error) {
-                showToast('Update failed: ' + error.message, 'error');
-            }
+            hideModal();
+            await loadWorkspaces();
+            await refreshAfterWorkspaceChange();
+            showToast(`Workspace "${escapeHtml(result.workspace.name)}" added`, 'success');
+        } catch (error) {
+            showToast('Failed to add workspace: ' + error.message, 'error');
         }
-    );
+    });
+
+    showModal();
 }
 
-// Save configuration
-async function saveConfig() {
+// Remove the selected workspace from the registry (files are not touched)
+async function removeSelectedWorkspace() {
+    const workspace = workspaces.find(w => w.id === document.getElementById('workspaceSelect').value);
+    if (!workspace) {
+        showToast('Select a workspace first', 'error');
+        return;
+    }
+
+    if (!(await showConfirmModal('Remove Workspace', `Remove "${workspace.name}" from the workspace list? No files are deleted.`))) return;
+
     try {
-        const response = await fetch(`${API_BASE}/api/plugins/save`, {
-            method: 'POST'
+        const response = await fetch(`${API_BASE}/api/workspaces/${encodeURIComponent(workspace.id)}`, {
+            method: 'DELETE'
         });
 
-        if (!response.ok) throw new Error('Save failed');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Remove failed');
 
-        showToast('Configuration saved successfully', 'success');
+        await loadWorkspaces();
+        await refreshAfterWorkspaceChange();
+        showToast(`Workspace "${escapeHtml(workspace.name)}" removed`, 'success');
     } catch (error) {
-        showToast('Save failed: ' + error.message, 'error');
+        showToast('Failed to remove workspace: ' + error.message, 'error');
+    }
+}
+
+// =====================
+// LIVE UPDATES
+// =====================
+
+// Subscribe to server-sent file change and job events
+function connectEvents() {
+    if (!window.EventSource) return;
+
+    const source = new EventSource(`${API_BASE}/api/events`);
+    source.addEventListener('change', (e) => {
+        handleChangeEvent(JSON.parse(e.data)).catch(error => {
+            console.error('Error applying live update:', error);
+        });
+    });
+    source.addEventListener('job', (e) => handleJobEvent(JSON.parse(e.data)));
+    source.addEventListener('job-output', (e) => handleJobOutput(JSON.parse(e.data)));
+}
+
+// Reload whatever a changed watch target feeds
+async function handleChangeEvent(change) {
+    switch (change.target) {
+        case 'settings':
+            await loadPlugins();
+            await loadAvailablePlugins();
+            if (currentTab === 'plugins') renderPlugins();
+            loadProfiles();
+            break;
+        case 'user-skills':
+        case 'project-skills':
+            await loadSkills();
+            if (currentTab === 'skills') renderSkills();
+            break;
+        case 'user-commands':
+        case 'project-commands':
+            await loadCommands();
+            if (currentTab === 'commands') renderCommands();
+            break;
+        case 'user-agents':
+        case 'project-agents':
+            await loadAgents();
+            if (currentTab === 'agents') renderAgents();
+            break;
+        case 'extensions':
+            // Only refresh the marketplace once it has been opened
+            if (marketplaceExtensions.length > 0) await loadMarketplaceExtensions();
+            break;
     }
 }
 
@@ -899,41 +3048,89 @@ function renderCommands() {
                         <th style="width: 200px;">Name</th>
                         <th>Description</th>
                         <th style="width: 100px;">Lines</th>
-                        <th style="width: 150px;">Actions</th>
+                        <th style="width: 250px;">Actions</th>
                     </tr>
                 </thead>
                 <tbody>
     `;
 
-    filtered.forEach(cmd => {
-        html += `
-            <tr>
+    // Top-level commands first, then one block per namespace (subdirectory)
+    const groups = new Map();
+    [...filtered].sort((a, b) => (a.namespace || '').localeCompare(b.namespace || '')).forEach(cmd => {
+        if (!groups.has(cmd.namespace)) groups.set(cmd.namespace, []);
+        groups.get(cmd.namespace).push(cmd);
+    });
+
+    groups.forEach((groupCommands, namespace) => {
+        if (namespace) {
+            html += `
+            <tr class="namespace-row">
+                <td colspan="4">${escapeHtml(namespace)}: <span class="category-badge">${groupCommands.length}</span></td>
+            </tr>
+            `;
+        }
+        groupCommands.forEach(cmd => { html += renderCommandRow(cmd); });
+    });
+
+    html += '</tbody></table></div>';
+    container.innerHTML = html;
+}
+
+// Run the data-item-action buttons of a command or agent table with the id and scope of their row
+function bindItemActions(containerId, type, handlers) {
+    document.getElementById(containerId).addEventListener('click', (e) => {
+        const button = e.target.closest('[data-item-action]');
+        if (!button) return;
+        const { id, location } = button.closest('tr').dataset;
+
+        switch (button.dataset.itemAction) {
+            case 'rename':
+            case 'duplicate':
+                renameOrDuplicateItem(type, id, location, button.dataset.itemAction);
+                break;
+            case 'transfer':
+                showTransferModal(type, id, location);
+                break;
+            case 'history':
+                showItemHistory(type, id, location);
+                break;
+            default:
+                handlers[button.dataset.itemAction](id, location);
+        }
+    });
+}
+
+// Table row of a command
+function renderCommandRow(cmd) {
+    return `
+            <tr class="${cmd.shadowed ? 'item-shadowed' : ''}" data-id="${escapeHtml(cmd.id)}" data-location="${escapeHtml(cmd.location)}">
                 <td>
-                    <div class="plugin-name">/${cmd.name}</div>
+                    <div class="plugin-name">/${escapeHtml(cmd.name)} ${renderScopeBadges(cmd, 'command')} ${renderFrontmatterBadge(cmd)}</div>
+                    ${cmd.argumentHint ? `<div class="plugin-marketplace">${escapeHtml(String(cmd.argumentHint))}</div>` : ''}
                 </td>
                 <td>
-                    <div class="plugin-description">${cmd.description}</div>
+                    <div class="plugin-description">${escapeHtml(cmd.description)}</div>
                 </td>
                 <td>${cmd.lines}</td>
                 <td>
                     <div class="action-buttons">
-                        <button class="action-btn" onclick="viewCommand('${cmd.id}')">View</button>
-                        <button class="action-btn" onclick="editCommand('${cmd.id}')">Edit</button>
-                        <button class="action-btn danger" onclick="deleteCommand('${cmd.id}')">Delete</button>
+                        <button class="action-btn" data-item-action="view">View</button>
+                        <button class="action-btn" data-item-action="edit">Edit</button>
+                        <button class="action-btn" data-item-action="rename">Rename</button>
+                        <button class="action-btn" data-item-action="duplicate">Duplicate</button>
+                        <button class="action-btn" data-item-action="transfer">Copy/Move</button>
+                        <button class="action-btn" data-item-action="history">History</button>
+                        <button class="action-btn danger" data-item-action="delete">Delete</button>
                     </div>
                 </td>
             </tr>
         `;
-    });
-
-    html += '</tbody></table></div>';
-    container.innerHTML = html;
 }
 
 // View command
-async function viewCommand(commandId) {
+async function viewCommand(commandId, scope) {
     try {
-        const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}`);
+        const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}?scope=${scope}`);
         if (!response.ok) throw new Error('Cannot load command');
 
         const command = await response.json();
@@ -945,7 +3142,9 @@ async function viewCommand(commandId) {
         modalTitle.textContent = `/${command.name}`;
         modalBody.innerHTML = `
             <div style="text-align: left;">
-                <p><strong>Path:</strong> <code style="font-size: 12px;">${command.path}</code></p>
+                <p><strong>Location:</strong> ${renderScopeBadges(command, 'command')}</p>
+                <p><strong>Path:</strong> <code style="font-size: 12px;">${escapeHtml(command.path)}</code></p>
+                ${renderFrontmatterDetails(command)}
                 <hr style="margin: 15px 0; border: none; border-top: 1px solid var(--border-primary);">
                 <pre style="background: var(--bg-secondary); padding: 15px; border-radius: 6px; overflow-x: auto; font-size: 13px; line-height: 1.5; max-height: 400px; overflow-y: auto;">${escapeHtml(command.content)}</pre>
             </div>
@@ -961,39 +3160,34 @@ async function viewCommand(commandId) {
 }
 
 // Edit command
-async function editCommand(commandId) {
+async function editCommand(commandId, scope) {
     try {
-        const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}`);
+        const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}?scope=${scope}`);
         if (!response.ok) throw new Error('Cannot load command');
 
         const command = await response.json();
-        showEditModal('command', command);
+        showCommandEditor(command);
     } catch (error) {
         showToast('Failed to load command: ' + error.message, 'error');
     }
 }
 
 // Delete command
-function deleteCommand(commandId) {
-    showConfirmModal(
-        'Delete Command',
-        `Are you sure you want to delete /${commandId}?`,
-        async () => {
-            try {
-                const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}`, {
-                    method: 'DELETE'
-                });
-                if (!response.ok) throw new Error('Delete failed');
+async function deleteCommand(commandId, scope) {
+    if (!(await showConfirmModal('Delete Command', `Are you sure you want to delete the ${scope} command /${commandId}?`))) return;
 
-                commands = commands.filter(c => c.id !== commandId);
-                document.getElementById('totalCommands').textContent = commands.length;
-                renderCommands();
-                showToast('Command deleted', 'success');
-            } catch (error) {
-                showToast('Failed to delete: ' + error.message, 'error');
-            }
-        }
-    );
+    try {
+        const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(commandId)}?scope=${scope}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) throw new Error('Delete failed');
+
+        await loadCommands();
+        renderCommands();
+        showToast('Command deleted', 'success');
+    } catch (error) {
+        showToast('Failed to delete: ' + error.message, 'error');
+    }
 }
 
 // Load agents
@@ -1004,6 +3198,7 @@ async function loadAgents() {
 
         const data = await response.json();
         agents = data.agents;
+        agentOptions = data.agentOptions || agentOptions;
         document.getElementById('totalAgents').textContent = agents.length;
     } catch (error) {
         console.error('Error loading agents:', error);
@@ -1042,7 +3237,7 @@ function renderAgents() {
                         <th style="width: 200px;">Name</th>
                         <th>Description</th>
                         <th style="width: 100px;">Lines</th>
-                        <th style="width: 150px;">Actions</th>
+                        <th style="width: 250px;">Actions</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -1050,19 +3245,24 @@ function renderAgents() {
 
     filtered.forEach(agent => {
         html += `
-            <tr>
+            <tr class="${agent.shadowed ? 'item-shadowed' : ''}" data-id="${escapeHtml(agent.id)}" data-location="${escapeHtml(agent.location)}">
                 <td>
-                    <div class="plugin-name">@${agent.name}</div>
+                    <div class="plugin-name">@${escapeHtml(agent.name)} ${renderScopeBadges(agent, 'agent')} ${renderFrontmatterBadge(agent)}</div>
+                    ${agent.model ? `<div class="plugin-marketplace">model: ${escapeHtml(String(agent.model))}</div>` : ''}
                 </td>
                 <td>
-                    <div class="plugin-description">${agent.description}</div>
+                    <div class="plugin-description">${escapeHtml(agent.description)}</div>
                 </td>
                 <td>${agent.lines}</td>
                 <td>
                     <div class="action-buttons">
-                        <button class="action-btn" onclick="viewAgent('${agent.id}')">View</button>
-                        <button class="action-btn" onclick="editAgent('${agent.id}')">Edit</button>
-                        <button class="action-btn danger" onclick="deleteAgent('${agent.id}')">Delete</button>
+                        <button class="action-btn" data-item-action="view">View</button>
+                        <button class="action-btn" data-item-action="edit">Edit</button>
+                        <button class="action-btn" data-item-action="rename">Rename</button>
+                        <button class="action-btn" data-item-action="duplicate">Duplicate</button>
+                        <button class="action-btn" data-item-action="transfer">Copy/Move</button>
+                        <button class="action-btn" data-item-action="history">History</button>
+                        <button class="action-btn danger" data-item-action="delete">Delete</button>
                     </div>
                 </td>
             </tr>
@@ -1074,9 +3274,9 @@ function renderAgents() {
 }
 
 // View agent
-async function viewAgent(agentId) {
+async function viewAgent(agentId, scope) {
     try {
-        const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}`);
+        const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}?scope=${scope}`);
         if (!response.ok) throw new Error('Cannot load agent');
 
         const agent = await response.json();
@@ -1088,7 +3288,9 @@ async function viewAgent(agentId) {
         modalTitle.textContent = `@${agent.name}`;
         modalBody.innerHTML = `
             <div style="text-align: left;">
-                <p><strong>Path:</strong> <code style="font-size: 12px;">${agent.path}</code></p>
+                <p><strong>Location:</strong> ${renderScopeBadges(agent, 'agent')}</p>
+                <p><strong>Path:</strong> <code style="font-size: 12px;">${escapeHtml(agent.path)}</code></p>
+                ${renderFrontmatterDetails(agent)}
                 <hr style="margin: 15px 0; border: none; border-top: 1px solid var(--border-primary);">
                 <pre style="background: var(--bg-secondary); padding: 15px; border-radius: 6px; overflow-x: auto; font-size: 13px; line-height: 1.5; max-height: 400px; overflow-y: auto;">${escapeHtml(agent.content)}</pre>
             </div>
@@ -1104,122 +3306,373 @@ async function viewAgent(agentId) {
 }
 
 // Edit agent
-async function editAgent(agentId) {
+async function editAgent(agentId, scope) {
     try {
-        const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}`);
+        const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}?scope=${scope}`);
         if (!response.ok) throw new Error('Cannot load agent');
 
         const agent = await response.json();
-        showEditModal('agent', agent);
+        showAgentEditor(agent);
     } catch (error) {
         showToast('Failed to load agent: ' + error.message, 'error');
     }
 }
 
-// Delete agent
-function deleteAgent(agentId) {
-    showConfirmModal(
-        'Delete Agent',
-        `Are you sure you want to delete @${agentId}?`,
-        async () => {
-            try {
-                const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}`, {
-                    method: 'DELETE'
-                });
-                if (!response.ok) throw new Error('Delete failed');
+// Structured agent editor: frontmatter fields as form controls, the system prompt as markdown.
+// Agents whose frontmatter does not parse are edited as raw markdown instead.
+function showAgentEditor(agent) {
+    const isNew = !agent;
+    const metadata = (agent && agent.metadata) || {};
+    const raw = Boolean(agent && agent.frontmatterError);
+    const workspace = workspaces.find(w => w.id === selectedWorkspaceId);
+    const tools = agent ? agent.tools : [];
+    const otherTools = tools.filter(tool => !agentOptions.tools.includes(tool));
+    const models = agent && agent.model && !agentOptions.models.includes(agent.model)
+        ? [...agentOptions.models, agent.model]
+        : agentOptions.models;
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;';
+    const textareaStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 13px; font-family: monospace; resize: vertical;';
+    const hint = text => `<span style="font-weight: normal; color: var(--text-secondary);">${text}</span>`;
+    const field = (label, control) => `
+        <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${label}</label>
+            ${control}
+        </div>
+    `;
 
-                agents = agents.filter(a => a.id !== agentId);
-                document.getElementById('totalAgents').textContent = agents.length;
-                renderAgents();
-                showToast('Agent deleted', 'success');
-            } catch (error) {
-                showToast('Failed to delete: ' + error.message, 'error');
+    document.getElementById('modalTitle').textContent = isNew ? 'New Agent' : `Edit Agent: ${agent.name} (${agent.location})`;
+    document.getElementById('modalBody').innerHTML = `
+        <div style="text-align: left;">
+            ${field('Name', `<input type="text" id="agentName" value="${escapeHtml(agent ? agent.name : '')}" placeholder="code-reviewer" style="${inputStyle}" ${isNew ? '' : 'disabled'}>`)}
+            ${isNew ? field('Location', `
+                <select id="agentScope" style="${inputStyle}">
+                    <option value="user">User (~/.claude/agents)</option>
+                    <option value="project" ${workspace ? '' : 'disabled'}>Project${workspace ? ` (${escapeHtml(workspace.name)}/.claude/agents)` : ' (no workspace selected)'}</option>
+                </select>
+            `) : ''}
+            ${raw ? `
+                <p class="frontmatter-error">⚠ Frontmatter could not be parsed: ${escapeHtml(agent.frontmatterError)}. Fix it in the raw file below.</p>
+                ${field('Agent file', `<textarea id="agentRaw" style="${textareaStyle} height: 360px;">${escapeHtml(agent.content)}</textarea>`)}
+            ` : `
+                ${field('Description ' + hint('(when Claude should delegate to this agent)'),
+                    `<textarea id="agentDescription" style="${inputStyle} height: 70px; resize: vertical;">${escapeHtml(typeof metadata.description === 'string' ? metadata.description : '')}</textarea>`)}
+                ${field('Tools ' + hint('(none checked: the agent inherits all tools)'), `
+                    <div class="agent-tools">
+                        ${agentOptions.tools.map(tool => `
+                            <label><input type="checkbox" class="agent-tool" value="${escapeHtml(tool)}" ${tools.includes(tool) ? 'checked' : ''}> ${escapeHtml(tool)}</label>
+                        `).join('')}
+                    </div>
+                    <input type="text" id="agentOtherTools" value="${escapeHtml(otherTools.join(', '))}"
+                           placeholder="Other tools: mcp__github__create_issue, Bash(git diff:*)" style="${inputStyle} margin-top: 8px;">
+                `)}
+                <div style="display: flex; gap: 12px;">
+                    <div style="flex: 1;">
+                        ${field('Model', `
+                            <select id="agentModel" style="${inputStyle}">
+                                <option value="">Default</option>
+                                ${models.map(model => `<option value="${escapeHtml(model)}" ${agent && agent.model === model ? 'selected' : ''}>${escapeHtml(model)}</option>`).join('')}
+                            </select>
+                        `)}
+                    </div>
+                    <div style="flex: 1;">
+                        ${field('Color', `
+                            <select id="agentColor" style="${inputStyle}">
+                                <option value="">None</option>
+                                ${agentOptions.colors.map(color => `<option value="${color}" ${agent && agent.color === color ? 'selected' : ''}>${color}</option>`).join('')}
+                            </select>
+                        `)}
+                    </div>
+                </div>
+                ${field('System prompt (Markdown)', `<textarea id="agentPrompt" style="${textareaStyle} height: 240px;" placeholder="You are a ...">${escapeHtml(agent ? agent.body || '' : '')}</textarea>`)}
+            `}
+        </div>
+    `;
+
+    document.querySelector('.modal-footer').innerHTML = `
+        <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
+        <button class="btn btn-primary" id="modalSaveBtn">Save</button>
+    `;
+
+    document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
+    document.getElementById('modalSaveBtn').addEventListener('click', async () => {
+        const name = isNew ? document.getElementById('agentName').value.trim() : agent.name;
+        const scope = isNew ? document.getElementById('agentScope').value : agent.location;
+
+        if (!isValidItemName('agent', name)) {
+            showToast('Name can only contain letters, numbers, - and _', 'error');
+            return;
+        }
+
+        let payload;
+        if (raw) {
+            payload = { content: document.getElementById('agentRaw').value };
+        } else {
+            // Keep frontmatter fields the form does not show
+            payload = {
+                fields: {
+                    ...metadata,
+                    name,
+                    description: document.getElementById('agentDescription').value.trim(),
+                    tools: [
+                        ...[...document.querySelectorAll('.agent-tool:checked')].map(input => input.value),
+                        ...parseToolList(document.getElementById('agentOtherTools').value)
+                    ],
+                    model: document.getElementById('agentModel').value,
+                    color: document.getElementById('agentColor').value
+                },
+                body: document.getElementById('agentPrompt').value
+            };
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(name)}?scope=${scope}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Save failed');
+
+            hideModal();
+            if (data.warnings && data.warnings.length > 0) {
+                showToast('Agent saved with warnings: ' + escapeHtml(data.warnings.join('; ')), 'info');
+            } else {
+                showToast('Agent saved', 'success');
             }
+            await loadAgents();
+            renderAgents();
+        } catch (error) {
+            showToast('Failed to save agent: ' + escapeHtml(error.message), 'error');
         }
-    );
+    });
+
+    showModal();
 }
 
-// Show edit modal for command/agent
-function showEditModal(type, item) {
-    const isNew = !item;
-    const title = isNew ? `New ${type.charAt(0).toUpperCase() + type.slice(1)}` : `Edit ${type.charAt(0).toUpperCase() + type.slice(1)}`;
-    
-    const modalTitle = document.getElementById('modalTitle');
-    const modalBody = document.getElementById('modalBody');
-    const modalFooter = document.querySelector('.modal-footer');
+// Delete agent
+async function deleteAgent(agentId, scope) {
+    if (!(await showConfirmModal('Delete Agent', `Are you sure you want to delete the ${scope} agent @${agentId}?`))) return;
 
-    modalTitle.textContent = title;
-    modalBody.innerHTML = `
+    try {
+        const response = await fetch(`${API_BASE}/api/agents/${encodeURIComponent(agentId)}?scope=${scope}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) throw new Error('Delete failed');
+
+        await loadAgents();
+        renderAgents();
+        showToast('Agent deleted', 'success');
+    } catch (error) {
+        showToast('Failed to delete: ' + error.message, 'error');
+    }
+}
+
+// Command editor: frontmatter fields as form controls, the prompt as markdown, and a
+// preview that expands sample arguments. Commands whose frontmatter does not parse are
+// edited as raw markdown instead.
+function showCommandEditor(command) {
+    const isNew = !command;
+    const metadata = (command && command.metadata) || {};
+    const raw = Boolean(command && command.frontmatterError);
+    const workspace = workspaces.find(w => w.id === selectedWorkspaceId);
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;';
+    const textareaStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 13px; font-family: monospace; resize: vertical;';
+    const hint = text => `<span style="font-weight: normal; color: var(--text-secondary);">${text}</span>`;
+    const field = (label, control) => `
+        <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 600;">${label}</label>
+            ${control}
+        </div>
+    `;
+
+    document.getElementById('modalTitle').textContent = isNew ? 'New Command' : `Edit Command: /${command.name} (${command.location})`;
+    document.getElementById('modalBody').innerHTML = `
         <div style="text-align: left;">
-            <div style="margin-bottom: 15px;">
-                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Name</label>
-                <input type="text" id="editName" value="${item ? item.name : ''}" 
-                       placeholder="my-${type}" 
-                       style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 14px;"
-                       ${item ? 'disabled' : ''}>
-            </div>
-            <div>
-                <label style="display: block; margin-bottom: 5px; font-weight: 600;">Content (Markdown)</label>
-                <textarea id="editContent" 
-                          placeholder="Enter ${type} content..."
-                          style="width: 100%; height: 300px; padding: 10px; border: 1px solid var(--border-primary); border-radius: 6px; font-size: 13px; font-family: monospace; resize: vertical;">${item ? escapeHtml(item.content) : ''}</textarea>
-            </div>
+            ${field('Name', `<input type="text" id="commandName" value="${escapeHtml(command ? command.name : '')}" placeholder="my-command or namespace:my-command" style="${inputStyle}" ${isNew ? '' : 'disabled'}>`)}
+            ${isNew ? field('Location', `
+                <select id="commandScope" style="${inputStyle}">
+                    <option value="user">User (~/.claude/commands)</option>
+                    <option value="project" ${workspace ? '' : 'disabled'}>Project${workspace ? ` (${escapeHtml(workspace.name)}/.claude/commands)` : ' (no workspace selected)'}</option>
+                </select>
+            `) : ''}
+            ${raw ? `
+                <p class="frontmatter-error">⚠ Frontmatter could not be parsed: ${escapeHtml(command.frontmatterError)}. Fix it in the raw file below.</p>
+                ${field('Command file', `<textarea id="commandRaw" style="${textareaStyle} height: 300px;">${escapeHtml(command.content)}</textarea>`)}
+            ` : `
+                ${field('Description ' + hint('(shown in the / menu)'),
+                    `<input type="text" id="commandDescription" value="${escapeHtml(typeof metadata.description === 'string' ? metadata.description : '')}" style="${inputStyle}">`)}
+                <div style="display: flex; gap: 12px;">
+                    <div style="flex: 1;">
+                        ${field('Argument hint', `<input type="text" id="commandArgumentHint" value="${escapeHtml(command && command.argumentHint ? String(command.argumentHint) : '')}" placeholder="[pr-number] [priority]" style="${inputStyle}">`)}
+                    </div>
+                    <div style="flex: 1;">
+                        ${field('Model ' + hint('(optional)'), `<input type="text" id="commandModel" value="${escapeHtml(typeof metadata.model === 'string' ? metadata.model : '')}" placeholder="sonnet" style="${inputStyle}">`)}
+                    </div>
+                </div>
+                ${field('Allowed tools ' + hint('(comma-separated, empty for the session defaults)'),
+                    `<input type="text" id="commandTools" value="${escapeHtml((command ? command.allowedTools : []).join(', '))}" placeholder="Bash(git status:*), Bash(git diff:*)" style="${inputStyle}">`)}
+                ${field('Prompt (Markdown) ' + hint('— $ARGUMENTS, $1, $2, !`bash`, @file'),
+                    `<textarea id="commandBody" style="${textareaStyle} height: 200px;" placeholder="Review PR #$1 with priority $2.">${escapeHtml(command ? command.body || '' : '')}</textarea>`)}
+            `}
+            <hr style="margin: 15px 0; border: none; border-top: 1px solid var(--border-primary);">
+            ${field('Preview ' + hint('(bash and file references are highlighted, not run)'),
+                `<input type="text" id="commandPreviewArgs" placeholder="Sample arguments, e.g. 123 high" style="${inputStyle}">`)}
+            <pre id="commandPreview" class="command-preview"></pre>
+            <div id="commandPreviewNotes" class="command-preview-notes"></div>
         </div>
     `;
 
-    modalFooter.innerHTML = `
+    document.querySelector('.modal-footer').innerHTML = `
         <button class="btn btn-secondary" id="modalCancelBtn">Cancel</button>
         <button class="btn btn-primary" id="modalSaveBtn">Save</button>
     `;
 
+    const source = document.getElementById(raw ? 'commandRaw' : 'commandBody');
+    const previewArgs = document.getElementById('commandPreviewArgs');
+    let previewTimer = null;
+    const schedulePreview = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(() => updateCommandPreview(source.value, previewArgs.value), 250);
+    };
+    source.addEventListener('input', schedulePreview);
+    previewArgs.addEventListener('input', schedulePreview);
+    updateCommandPreview(source.value, '');
+
     document.getElementById('modalCancelBtn').addEventListener('click', hideModal);
     document.getElementById('modalSaveBtn').addEventListener('click', async () => {
-        const name = document.getElementById('editName').value.trim();
-        const content = document.getElementById('editContent').value;
+        const name = isNew ? document.getElementById('commandName').value.trim() : command.name;
+        const scope = isNew ? document.getElementById('commandScope').value : command.location;
 
-        if (!name) {
-            showToast('Name is required', 'error');
+        if (!isValidItemName('command', name)) {
+            showToast('Name can only contain letters, numbers, - and _ (use : for a namespace)', 'error');
             return;
         }
 
-        if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
-            showToast('Name can only contain letters, numbers, - and _', 'error');
-            return;
+        let payload;
+        if (raw) {
+            payload = { content: source.value };
+        } else {
+            // Keep frontmatter fields the form does not show
+            const tools = parseToolList(document.getElementById('commandTools').value);
+            payload = {
+                fields: {
+                    ...metadata,
+                    description: document.getElementById('commandDescription').value.trim() || undefined,
+                    'argument-hint': document.getElementById('commandArgumentHint').value.trim() || undefined,
+                    'allowed-tools': tools.length > 0 ? tools.join(', ') : undefined,
+                    model: document.getElementById('commandModel').value.trim() || undefined
+                },
+                body: source.value
+            };
         }
 
         try {
-            const response = await fetch(`${API_BASE}/api/${type}s/${encodeURIComponent(name)}`, {
+            const response = await fetch(`${API_BASE}/api/commands/${encodeURIComponent(name)}?scope=${scope}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ content })
+                body: JSON.stringify(payload)
             });
-
-            if (!response.ok) throw new Error('Save failed');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Save failed');
 
             hideModal();
-            showToast(`${type.charAt(0).toUpperCase() + type.slice(1)} saved`, 'success');
-
-            // Reload data
-            if (type === 'command') {
-                await loadCommands();
-                renderCommands();
+            if (data.frontmatterError) {
+                showToast(`Command saved, but its frontmatter is invalid: ${escapeHtml(data.frontmatterError)}`, 'error');
             } else {
-                await loadAgents();
-                renderAgents();
+                showToast('Command saved', 'success');
             }
+            await loadCommands();
+            renderCommands();
         } catch (error) {
-            showToast('Failed to save: ' + error.message, 'error');
+            showToast('Failed to save command: ' + escapeHtml(error.message), 'error');
         }
     });
 
     showModal();
 }
 
+// Expand the command being edited with sample arguments and show the result
+async function updateCommandPreview(content, sampleArguments) {
+    const preview = document.getElementById('commandPreview');
+    const notes = document.getElementById('commandPreviewNotes');
+    if (!preview) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/preview/command`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, arguments: sampleArguments })
+        });
+        if (!response.ok) throw new Error('Preview failed');
+        const result = await response.json();
+
+        const titles = {
+            argument: 'Sample argument',
+            missing: 'No value for this placeholder',
+            bash: 'Runs before the prompt is sent (not run in the preview)',
+            file: 'File contents are included (not read in the preview)'
+        };
+        preview.innerHTML = result.segments.map(segment => segment.type === 'text'
+            ? escapeHtml(segment.text)
+            : `<span class="preview-${segment.type}" title="${titles[segment.type]}">${escapeHtml(segment.text)}</span>`
+        ).join('') || '<span style="color: var(--text-secondary);">Empty prompt</span>';
+
+        notes.innerHTML = [
+            result.missing.length > 0 ? `<span class="preview-missing">Missing: ${result.missing.map(escapeHtml).join(', ')}</span>` : '',
+            result.bash.length > 0 ? `<span class="preview-bash">Bash: ${result.bash.map(escapeHtml).join('; ')}</span>` : '',
+            result.files.length > 0 ? `<span class="preview-file">Files: ${result.files.map(escapeHtml).join(', ')}</span>` : ''
+        ].filter(Boolean).join(' ');
+    } catch (error) {
+        preview.textContent = error.message;
+        notes.innerHTML = '';
+    }
+}
+
 // Escape HTML
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Also escape quotes so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Names are letters, numbers, - and _; commands may add namespaces (frontend:component)
+function isValidItemName(type, name) {
+    return (type === 'command' ? /^[a-zA-Z0-9_-]+(:[a-zA-Z0-9_-]+)*$/ : /^[a-zA-Z0-9_-]+$/).test(name);
+}
+
+// Scope tag of a command or agent, plus a note when it shadows or is shadowed by the other scope
+function renderScopeBadges(item, type) {
+    const note = item.shadowed ? `Shadowed by project ${type}` : (item.overrides ? `Overrides user ${type}` : '');
+    return `<span class="tag scope-${item.location}">${item.location}</span>` +
+        (note ? ` <span class="tag shadow-tag">${note}</span>` : '');
+}
+
+// Badge flagging a file whose frontmatter could not be parsed
+function renderFrontmatterBadge(item) {
+    return item.frontmatterError
+        ? `<span class="tag frontmatter-warning" title="${escapeHtml(item.frontmatterError)}">⚠ frontmatter</span>`
+        : '';
+}
+
+// Frontmatter fields of a skill, command or agent, plus its parse error
+function renderFrontmatterDetails(item) {
+    const formatValue = value => {
+        if (Array.isArray(value)) return value.map(v => escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v))).join(', ');
+        if (value !== null && typeof value === 'object') return `<code style="font-size: 12px;">${escapeHtml(JSON.stringify(value))}</code>`;
+        return escapeHtml(String(value));
+    };
+
+    const fields = Object.entries(item.metadata || {}).filter(([key]) => key !== 'description');
+
+    return `
+        ${item.frontmatterError ? `<p class="frontmatter-error">⚠ Frontmatter could not be parsed: ${escapeHtml(item.frontmatterError)}</p>` : ''}
+        ${fields.length > 0 ? `
+            <div style="display: grid; gap: 6px; font-size: 14px; margin: 10px 0;">
+                ${fields.map(([key, value]) => `<div><strong>${escapeHtml(key)}:</strong> ${formatValue(value)}</div>`).join('')}
+            </div>
+        ` : ''}
+    `;
 }
 
 // =====================
@@ -1246,7 +3699,10 @@ async function loadMarketplaceExtensions() {
         document.getElementById('updatesCount').textContent = updates.length;
 
         renderMarketplaceExtensions();
-        setupMarketplaceEventListeners();
+        if (!marketplaceListenersBound) {
+            setupMarketplaceEventListeners();
+            marketplaceListenersBound = true;
+        }
     } catch (error) {
         console.error('Error loading marketplace:', error);
         showToast('Failed to load marketplace: ' + error.message, 'error');
@@ -1640,10 +4096,6 @@ function setupMarketplaceEventListeners() {
         });
     }
 
-    // Detail panel close
-    document.getElementById('detailPanelClose').addEventListener('click', closeDetailPanel);
-    document.getElementById('detailPanelOverlay').addEventListener('click', closeDetailPanel);
-
     // URL import
     document.getElementById('urlImportBtn')?.addEventListener('click', () => {
         const url = document.getElementById('urlImportInput').value.trim();
@@ -1795,3 +4247,131 @@ function showConfirmModal(title, message) {
         showModal();
     });
 }
+
+// =====================
+// COMMAND PALETTE
+// =====================
+
+const PALETTE_KINDS = {
+    skill: 'Skill',
+    command: 'Command',
+    agent: 'Agent',
+    plugin: 'Plugin',
+    extension: 'Extension'
+};
+
+// Open the palette with the last query selected
+function openCommandPalette() {
+    const input = document.getElementById('paletteInput');
+    document.getElementById('commandPalette').classList.add('show');
+    if (!input.value.trim()) renderPaletteResults('');
+    input.focus();
+    input.select();
+}
+
+function closeCommandPalette() {
+    document.getElementById('commandPalette').classList.remove('show');
+}
+
+// Query /api/search for the current workspace
+async function searchCommandPalette(query) {
+    if (!query.trim()) {
+        paletteResults = [];
+        renderPaletteResults(query);
+        return;
+    }
+
+    const params = new URLSearchParams({ q: query, limit: '30' });
+    if (selectedWorkspaceId) params.set('workspace', selectedWorkspaceId);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/search?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Search failed');
+
+        // A slower response for an older query must not replace newer results
+        if (data.query !== document.getElementById('paletteInput').value.trim()) return;
+
+        paletteResults = data.results;
+        paletteActiveIndex = 0;
+        renderPaletteResults(query);
+    } catch (error) {
+        showToast('Search failed: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+// Snippet text with its highlight ranges wrapped in <mark>
+function renderHighlightedSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    snippet.highlights.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.slice(position, start)) + `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(snippet.text.slice(position));
+}
+
+function renderPaletteResults(query) {
+    const container = document.getElementById('paletteResults');
+    if (paletteResults.length === 0) {
+        container.innerHTML = query.trim()
+            ? `<div class="palette-empty">No results for "${escapeHtml(query.trim())}"</div>`
+            : '<div class="palette-empty">Type to search names, descriptions and contents. ↑↓ to pick, Enter to open.</div>';
+        return;
+    }
+
+    container.innerHTML = paletteResults.map((result, index) => `
+        <div class="palette-result ${index === paletteActiveIndex ? 'active' : ''}" data-index="${index}">
+            <div class="palette-result-title">
+                <span class="category-badge">${PALETTE_KINDS[result.kind]}</span>
+                ${escapeHtml(result.title)}
+                ${result.location ? `<span class="tag scope-${escapeHtml(result.location)}">${escapeHtml(result.location)}</span>` : ''}
+            </div>
+            ${result.snippets.map(snippet => `<div class="palette-snippet">${renderHighlightedSnippet(snippet)}</div>`).join('')}
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.palette-result').forEach(element => {
+        element.addEventListener('click', () => openPaletteResult(paletteResults[Number(element.dataset.index)]));
+    });
+}
+
+function handlePaletteKeydown(e) {
+    if (e.key === 'Escape') {
+        closeCommandPalette();
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && paletteResults.length > 0) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        paletteActiveIndex = (paletteActiveIndex + step + paletteResults.length) % paletteResults.length;
+        renderPaletteResults(e.target.value);
+        const active = document.querySelector('.palette-result.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && paletteResults[paletteActiveIndex]) {
+        e.preventDefault();
+        openPaletteResult(paletteResults[paletteActiveIndex]);
+    }
+}
+
+// Switch to the result's tab and open it
+async function openPaletteResult(result) {
+    closeCommandPalette();
+
+    if (result.kind === 'skill') {
+        switchTab('skills');
+        viewSkill(result.id, result.location);
+    } else if (result.kind === 'command') {
+        switchTab('commands');
+        viewCommand(result.id, result.location);
+    } else if (result.kind === 'agent') {
+        switchTab('agents');
+        viewAgent(result.id, result.location);
+    } else if (result.kind === 'plugin') {
+        switchTab('plugins');
+        showPluginDetail(result.id);
+    } else if (result.kind === 'extension') {
+        if (marketplaceExtensions.length === 0) await loadMarketplaceExtensions();
+        switchTab('marketplace');
+        const ext = marketplaceExtensions.find(e => e.id === result.id);
+        if (ext) showExtensionDetail(ext);
+    }
+}
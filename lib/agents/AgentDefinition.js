@@ -0,0 +1,136 @@
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * AgentDefinition
+ *
+ * Subagents are markdown files (<name>.md) whose frontmatter configures the
+ * agent and whose body is its system prompt:
+ *
+ *   ---
+ *   name: code-reviewer
+ *   description: Reviews diffs. Use right after code changes.
+ *   tools: Read, Grep, Glob
+ *   model: sonnet
+ *   color: blue
+ *   ---
+ *   You are a senior reviewer...
+ *
+ * `tools` is optional (all tools when left out); entries are Claude Code
+ * tools, optionally with a pattern (Bash(git diff:*)), or MCP tools
+ * (mcp__server__tool). Claude Code adds tools over time, so a tool this
+ * list does not know is only a warning.
+ */
+class AgentDefinition {
+  /**
+   * Build an agent file from frontmatter fields and a system prompt. The
+   * known fields come first in a fixed order; tools are written as the
+   * comma-separated list Claude Code documents.
+   * @param {object} fields - Frontmatter fields (tools may be an array)
+   * @param {string} prompt - System prompt (markdown body)
+   * @returns {string}
+   */
+  static build(fields, prompt = '') {
+    const { name, description, tools, model, color, ...rest } = fields || {};
+    const toolList = Frontmatter.toList(tools);
+
+    return Frontmatter.stringify({
+      name,
+      description,
+      tools: toolList.length > 0 ? toolList.join(', ') : undefined,
+      model: model || undefined,
+      color: color || undefined,
+      ...rest
+    }, prompt);
+  }
+
+  /**
+   * Validate an agent file before it is written. Errors block the write;
+   * warnings are reported alongside a successful one.
+   * @param {string} content - Agent markdown
+   * @param {string} fileName - Agent file name without .md; `name` must match it
+   * @param {object} options - Options
+   * @param {boolean} options.requireFrontmatter - Missing frontmatter is an
+   *   error (default); false makes it a warning, for files that never had any
+   * @returns {object} - { errors: Array<string>, warnings: Array<string>, data, body }
+   */
+  static validate(content, fileName, options = {}) {
+    const { data, body, error, hasFrontmatter } = Frontmatter.parse(content);
+    const errors = [];
+    const warnings = [];
+
+    if (error) {
+      return { errors: [`Frontmatter: ${error}`], warnings, data, body };
+    }
+    if (!hasFrontmatter) {
+      const message = 'Agent has no frontmatter with name and description';
+      return options.requireFrontmatter === false
+        ? { errors, warnings: [message], data, body }
+        : { errors: [message], warnings, data, body };
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    } else if (data.name.trim() !== fileName) {
+      errors.push(`name '${data.name.trim()}' does not match the file name '${fileName}'`);
+    }
+
+    if (typeof data.description !== 'string' || !data.description.trim()) {
+      errors.push('description is required');
+    }
+
+    if (data.tools !== undefined && data.tools !== null) {
+      if (typeof data.tools !== 'string' && !Array.isArray(data.tools)) {
+        errors.push('tools must be a comma-separated list');
+      } else {
+        for (const tool of Frontmatter.toList(data.tools)) {
+          if (!AgentDefinition.isKnownTool(tool)) {
+            warnings.push(`Unknown tool '${tool}'`);
+          }
+        }
+      }
+    }
+
+    if (data.model !== undefined && data.model !== null && !AgentDefinition.isValidModel(data.model)) {
+      errors.push(`model must be one of ${AgentDefinition.MODELS.join(', ')} or a full model ID`);
+    }
+
+    if (data.color !== undefined && data.color !== null && !AgentDefinition.COLORS.includes(data.color)) {
+      errors.push(`color must be one of ${AgentDefinition.COLORS.join(', ')}`);
+    }
+
+    return { errors, warnings, data, body };
+  }
+
+  /**
+   * Check a tools entry: Read, Bash(git diff:*) or mcp__server__tool
+   * @param {string} tool - Tool entry
+   * @returns {boolean}
+   */
+  static isKnownTool(tool) {
+    if (/^mcp__[\w-]+(__[\w-]+)?$/.test(tool)) {
+      return true;
+    }
+    const match = tool.match(/^([A-Za-z]+)(\(.+\))?$/);
+    return Boolean(match) && AgentDefinition.TOOLS.includes(match[1]);
+  }
+
+  /**
+   * Check a model value: an alias, inherit, or a full Claude model ID
+   * @param {*} model - Model value
+   * @returns {boolean}
+   */
+  static isValidModel(model) {
+    return typeof model === 'string' && (AgentDefinition.MODELS.includes(model) || /^claude-[a-z0-9.-]+$/.test(model));
+  }
+}
+
+// Built-in Claude Code tools an agent can be given
+AgentDefinition.TOOLS = [
+  'AskUserQuestion', 'Bash', 'BashOutput', 'Edit', 'ExitPlanMode', 'Glob', 'Grep', 'KillShell',
+  'LS', 'MultiEdit', 'NotebookEdit', 'NotebookRead', 'Read', 'Skill', 'SlashCommand', 'Task',
+  'TodoWrite', 'WebFetch', 'WebSearch', 'Write'
+];
+AgentDefinition.MODELS = ['sonnet', 'opus', 'haiku', 'inherit'];
+AgentDefinition.COLORS = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'cyan'];
+
+module.exports = AgentDefinition;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CommandFiles
+ *
+ * Maps slash command ids to files in a commands directory and back.
+ *
+ * Command ids are a name or namespace:name, where each namespace is a
+ * subdirectory of commands/ (frontend/component.md is /frontend:component).
+ * Names are letters, numbers, - and _; files whose id does not fit are not
+ * commands the manager can open or edit, so they are left out of listings.
+ */
+class CommandFiles {
+  /**
+   * Validate a command id
+   * @param {string} commandId - Command id (name or namespace:name)
+   * @returns {boolean}
+   */
+  static isValidId(commandId) {
+    return typeof commandId === 'string' && /^[a-zA-Z0-9_-]+(:[a-zA-Z0-9_-]+)*$/.test(commandId);
+  }
+
+  /**
+   * File of a command id inside a commands directory
+   * @param {string} commandsPath - Commands directory
+   * @param {string} commandId - Valid command id
+   * @returns {string}
+   */
+  static filePath(commandsPath, commandId) {
+    return path.join(commandsPath, ...commandId.split(':')) + '.md';
+  }
+
+  /**
+   * Command id of a file path relative to a commands directory
+   * @param {string} relativePath - e.g. frontend/component.md
+   * @returns {{id: string, namespace: string|null}}
+   */
+  static commandId(relativePath) {
+    const parts = relativePath.replace(/\.md$/, '').split(/[\\/]/);
+    const namespace = parts.length > 1 ? parts.slice(0, -1).join(':') : null;
+    return { id: parts.join(':'), namespace };
+  }
+
+  /**
+   * Command files of a commands directory; subdirectories become namespaces.
+   * Dot files or folders and files without a valid id are skipped.
+   * @param {string} commandsPath - Commands directory
+   * @returns {Array<object>} - [{ id, namespace, path }], empty when missing
+   */
+  static list(commandsPath) {
+    const found = [];
+
+    const walk = dir => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(filePath);
+        } else if (entry.isFile() && entry.name.endsWith('.md')) {
+          const command = CommandFiles.commandId(path.relative(commandsPath, filePath));
+          if (CommandFiles.isValidId(command.id)) {
+            found.push({ ...command, path: filePath });
+          }
+        }
+      }
+    };
+
+    if (fs.existsSync(commandsPath)) {
+      walk(commandsPath);
+    }
+    return found;
+  }
+}
+
+module.exports = CommandFiles;
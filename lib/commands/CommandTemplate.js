@@ -0,0 +1,124 @@
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * CommandTemplate
+ *
+ * Expands a slash command body the way Claude Code does when the command is
+ * invoked, for previewing only: nothing is executed or read.
+ *
+ * Placeholders:
+ * - $ARGUMENTS: everything typed after the command
+ * - $1, $2, ...: positional arguments (whitespace-separated, quotes group)
+ *
+ * Highlighted, not run:
+ * - !`git status`: bash run before the prompt is sent (also a whole line
+ *   starting with !)
+ * - @src/file.js: file contents included in the prompt
+ *
+ * The expansion is a list of segments { type, text } with type 'text',
+ * 'argument', 'missing' (a placeholder without a value), 'bash' or 'file'.
+ */
+class CommandTemplate {
+  /**
+   * Split an argument string into positional arguments
+   * @param {string} text - Arguments as typed after the command
+   * @returns {Array<string>}
+   */
+  static splitArguments(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      args.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+    }
+    return args;
+  }
+
+  /**
+   * Expand a command file with sample arguments
+   * @param {string} content - Command markdown (frontmatter is stripped)
+   * @param {string} argumentsText - Sample arguments
+   * @returns {object} - { segments, arguments, missing, bash, files, frontmatterError }
+   */
+  static expand(content, argumentsText = '') {
+    const { body, error } = Frontmatter.parse(content || '');
+    const args = CommandTemplate.splitArguments(argumentsText);
+    const result = {
+      segments: [],
+      arguments: args,
+      missing: [],
+      bash: [],
+      files: [],
+      frontmatterError: error
+    };
+
+    const push = (type, text) => {
+      const last = result.segments[result.segments.length - 1];
+      if (type === 'text' && last && last.type === 'text') {
+        last.text += text;
+      } else if (text) {
+        result.segments.push({ type, text });
+      }
+    };
+
+    const lines = body.split('\n');
+    lines.forEach((line, index) => {
+      const newline = index < lines.length - 1 ? '\n' : '';
+
+      // A whole line of bash: "!git status"
+      const bashLine = line.match(/^!\s*([^`\s].*)$/);
+      if (bashLine) {
+        result.bash.push(bashLine[1].trim());
+        push('bash', line);
+        push('text', newline);
+        return;
+      }
+
+      const token = /!`([^`]+)`|\$ARGUMENTS|\$(\d+)|(^|\s)@([\w.~/-]*[\w/-])/g;
+      let position = 0;
+      let match;
+      while ((match = token.exec(line)) !== null) {
+        push('text', line.slice(position, match.index));
+        position = match.index + match[0].length;
+
+        if (match[1] !== undefined) {
+          result.bash.push(match[1]);
+          push('bash', match[0]);
+        } else if (match[0] === '$ARGUMENTS') {
+          if (argumentsText.trim()) {
+            push('argument', argumentsText.trim());
+          } else {
+            CommandTemplate._addMissing(result, '$ARGUMENTS');
+            push('missing', '$ARGUMENTS');
+          }
+        } else if (match[2] !== undefined) {
+          const value = args[Number(match[2]) - 1];
+          if (value !== undefined) {
+            push('argument', value);
+          } else {
+            CommandTemplate._addMissing(result, match[0]);
+            push('missing', match[0]);
+          }
+        } else {
+          push('text', match[3]);
+          result.files.push(match[4]);
+          push('file', `@${match[4]}`);
+        }
+      }
+      push('text', line.slice(position) + newline);
+    });
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  static _addMissing(result, placeholder) {
+    if (!result.missing.includes(placeholder)) {
+      result.missing.push(placeholder);
+    }
+  }
+}
+
+module.exports = CommandTemplate;
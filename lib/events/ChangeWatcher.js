@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * ChangeWatcher
+ *
+ * Watches named files and directories and emits one debounced `change`
+ * event per burst of filesystem activity:
+ *
+ *   { target, path, paths: [changed paths], timestamp }
+ *
+ * Features:
+ * - Files are watched through their parent directory, so atomic writes
+ *   (temp file then rename) keep being noticed
+ * - Targets that do not exist yet are picked up when they are created
+ * - Recursive directory watching, falling back to the directory plus its
+ *   immediate subdirectories where fs.watch cannot recurse (Linux, Node < 20)
+ * - Targets whose watcher fails are re-armed periodically
+ */
+class ChangeWatcher extends EventEmitter {
+  /**
+   * Create a ChangeWatcher
+   * @param {object} config - Configuration options
+   * @param {number} config.debounceMs - Quiet period before a change is emitted (ms)
+   * @param {number} config.rearmInterval - How often unarmed targets are retried (ms)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.debounceMs = config.debounceMs !== undefined ? config.debounceMs : 300;
+    this.rearmInterval = config.rearmInterval || 5000;
+
+    this.targets = new Map(); // name -> target state
+    this.rearmTimer = null;
+  }
+
+  /**
+   * Start watching a file or directory under a name. Watching an existing
+   * name replaces its previous path.
+   * @param {string} name - Target name reported in change events
+   * @param {string} targetPath - File or directory path
+   * @param {object} options - Additional options
+   * @param {string} options.kind - 'directory' (default) or 'file'
+   */
+  watch(name, targetPath, options = {}) {
+    this.unwatch(name);
+
+    const target = {
+      name,
+      path: path.resolve(targetPath),
+      kind: options.kind === 'file' ? 'file' : 'directory',
+      watchers: [],
+      armed: false,
+      existed: false,
+      rearmOnFlush: false,
+      pending: new Set(),
+      timer: null
+    };
+
+    this.targets.set(name, target);
+    this._arm(target);
+
+    if (!this.rearmTimer) {
+      this.rearmTimer = setInterval(() => this._rearmFailed(), this.rearmInterval);
+      this.rearmTimer.unref();
+    }
+  }
+
+  /**
+   * Stop watching a target
+   * @param {string} name - Target name
+   * @returns {boolean} - True if the target was being watched
+   */
+  unwatch(name) {
+    const target = this.targets.get(name);
+    if (!target) {
+      return false;
+    }
+
+    this._disarm(target);
+    clearTimeout(target.timer);
+    this.targets.delete(name);
+    return true;
+  }
+
+  /**
+   * List watched targets
+   * @returns {Array<object>} - [{ name, path, kind, armed }]
+   */
+  list() {
+    return Array.from(this.targets.values()).map(({ name, path: targetPath, kind, armed }) => ({
+      name,
+      path: targetPath,
+      kind,
+      armed
+    }));
+  }
+
+  /**
+   * Stop all watchers and timers
+   */
+  close() {
+    for (const name of Array.from(this.targets.keys())) {
+      this.unwatch(name);
+    }
+
+    clearInterval(this.rearmTimer);
+    this.rearmTimer = null;
+  }
+
+  /**
+   * Close the fs watchers of a target
+   * @private
+   * @param {object} target - Target state
+   */
+  _disarm(target) {
+    for (const watcher of target.watchers) {
+      watcher.close();
+    }
+    target.watchers = [];
+    target.armed = false;
+  }
+
+  /**
+   * Create an fs watcher for a target
+   * @private
+   * @param {object} target - Target state
+   * @param {string} watchPath - Directory to watch
+   * @param {object} options - fs.watch options
+   * @param {function(string): boolean} filter - Filter on the changed entry name
+   */
+  _addWatcher(target, watchPath, options, filter) {
+    const watcher = fs.watch(watchPath, options, (eventType, filename) => {
+      const entry = filename ? filename.toString() : '';
+      if (filter && !filter(entry)) {
+        return;
+      }
+      this._onEvent(target, entry ? path.join(watchPath, entry) : watchPath);
+    });
+
+    // Watched directory removed or unreadable: retry on the next re-arm pass
+    watcher.on('error', () => this._disarm(target));
+    target.watchers.push(watcher);
+  }
+
+  /**
+   * (Re)create the fs watchers of a target
+   * @private
+   * @param {object} target - Target state
+   */
+  _arm(target) {
+    this._disarm(target);
+    target.existed = fs.existsSync(target.path);
+    target.rearmOnFlush = false;
+
+    try {
+      if (target.kind === 'file' || !target.existed) {
+        // Watch the parent for the target's own entry
+        const parent = path.dirname(target.path);
+        const base = path.basename(target.path);
+
+        if (!fs.existsSync(parent)) {
+          return;
+        }
+
+        this._addWatcher(target, parent, {}, entry => entry === base);
+      } else {
+        try {
+          this._addWatcher(target, target.path, { recursive: true }, null);
+        } catch (error) {
+          if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+            throw error;
+          }
+
+          // No recursive watching: one level of subdirectories is enough for
+          // skills/commands/agents; new subdirectories are picked up on flush
+          this._addWatcher(target, target.path, {}, null);
+          for (const entry of fs.readdirSync(target.path, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+              this._addWatcher(target, path.join(target.path, entry.name), {}, null);
+            }
+          }
+          target.rearmOnFlush = true;
+        }
+      }
+
+      target.armed = true;
+    } catch (error) {
+      this._disarm(target);
+    }
+  }
+
+  /**
+   * Retry targets whose watchers could not be created or failed
+   * @private
+   */
+  _rearmFailed() {
+    for (const target of this.targets.values()) {
+      if (!target.armed) {
+        this._arm(target);
+      }
+    }
+  }
+
+  /**
+   * Record a raw fs event and (re)start the debounce timer
+   * @private
+   * @param {object} target - Target state
+   * @param {string} changedPath - Path reported by fs.watch
+   */
+  _onEvent(target, changedPath) {
+    target.pending.add(changedPath);
+
+    clearTimeout(target.timer);
+    target.timer = setTimeout(() => this._flush(target), this.debounceMs);
+  }
+
+  /**
+   * Emit the collected changes of a target
+   * @private
+   * @param {object} target - Target state
+   */
+  _flush(target) {
+    const paths = Array.from(target.pending).sort();
+    target.pending.clear();
+    target.timer = null;
+
+    // Target created or removed, or new subdirectories to pick up
+    if (target.rearmOnFlush || fs.existsSync(target.path) !== target.existed) {
+      this._arm(target);
+    }
+
+    this.emit('change', {
+      target: target.name,
+      path: target.path,
+      paths,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = ChangeWatcher;
@@ -0,0 +1,549 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * FileHistory
+ *
+ * Rotating history of the commands, agents and skills the manager writes or
+ * deletes. Every entry snapshots the item before and after the change, so
+ * any revision can be diffed and restored, and deleted items stay
+ * recoverable from the trash until they rotate out.
+ *
+ * An item is a single file (command, agent) or a directory (skill). A
+ * snapshot is { kind: 'file'|'directory', files: { <path>: { encoding, content } } }
+ * where paths are relative to the skill directory, or the file name for a
+ * single file; content is utf8 text or base64 for binary files. Items larger
+ * than maxSnapshotSize are recorded without content ({ kind, tooLarge: true }).
+ *
+ * Features:
+ * - One JSON file per change, oldest entries rotated out
+ * - Change stats (files, lines added and removed) worked out once when the
+ *   change is recorded and kept in a small index, so listing never loads
+ *   snapshots
+ * - Revisions of one item, and a trash of items deleted through the manager
+ *   (moved or renamed items are not in the trash)
+ * - Line diff between two snapshots
+ * - Restore of any snapshot (recorded as a change itself)
+ */
+class FileHistory {
+  /**
+   * Create a FileHistory
+   * @param {object} config - Configuration options
+   * @param {string} config.historyDir - Directory holding history entries
+   * @param {number} config.maxEntries - Number of entries to keep
+   * @param {number} config.maxSnapshotSize - Largest item stored with content (bytes)
+   */
+  constructor(config = {}) {
+    this.historyDir = config.historyDir || path.join(
+      os.homedir(),
+      '.claude',
+      'manager',
+      'file-history'
+    );
+
+    this.maxEntries = config.maxEntries || 200;
+    this.maxSnapshotSize = config.maxSnapshotSize || 2 * 1024 * 1024; // 2 MB
+
+    // Keeps IDs strictly increasing when several writes land in the same millisecond
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * Validate a history entry ID (prevents path traversal)
+   * @param {string} id - Entry ID
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^\d{13}-[a-f0-9]{8}$/.test(id);
+  }
+
+  /**
+   * Snapshot an item as it is on disk
+   * @param {string} itemPath - File or directory
+   * @returns {Promise<object|null>} - Snapshot, or null if the item does not exist
+   */
+  async snapshot(itemPath) {
+    let stats;
+    try {
+      stats = await fsPromises.stat(itemPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const kind = stats.isDirectory() ? 'directory' : 'file';
+    const paths = kind === 'directory' ? await this._listFiles(itemPath) : [path.basename(itemPath)];
+    const root = kind === 'directory' ? itemPath : path.dirname(itemPath);
+
+    const files = {};
+    let size = 0;
+    for (const relativePath of paths) {
+      const buffer = await fsPromises.readFile(path.join(root, ...relativePath.split('/')));
+      size += buffer.length;
+      if (size > this.maxSnapshotSize) {
+        return { kind, tooLarge: true };
+      }
+      files[relativePath] = this._isBinary(buffer)
+        ? { encoding: 'base64', content: buffer.toString('base64') }
+        : { encoding: 'utf8', content: buffer.toString('utf8') };
+    }
+
+    return { kind, files };
+  }
+
+  /**
+   * Record a change to an item. Changes that leave the item as it was are
+   * not recorded.
+   * @param {object} entry - Entry data
+   * @param {string} entry.type - 'command', 'agent' or 'skill'
+   * @param {string} entry.name - Item name
+   * @param {string} entry.location - 'user' or 'project'
+   * @param {string} entry.itemPath - Path of the file or directory
+   * @param {string} entry.action - 'write', 'delete', 'move' (renamed or moved away) or 'restore'
+   * @param {object|null} entry.before - Snapshot before the change (null if the item did not exist)
+   * @param {object|null} entry.after - Snapshot after the change (null once deleted)
+   * @param {string} entry.restoredFrom - ID of the entry this change restored, if any
+   * @returns {Promise<object|null>} - Stored entry, or null if nothing changed
+   */
+  async record({ type, name, location, itemPath, action, before, after, restoredFrom }) {
+    if (JSON.stringify(before || null) === JSON.stringify(after || null)) {
+      return null;
+    }
+
+    await fsPromises.mkdir(this.historyDir, { recursive: true, mode: 0o700 });
+
+    const now = Math.max(Date.now(), this.lastTimestamp + 1);
+    this.lastTimestamp = now;
+
+    const stored = {
+      id: `${now}-${crypto.randomBytes(4).toString('hex')}`,
+      timestamp: new Date(now).toISOString(),
+      type,
+      name,
+      location: location || null,
+      path: path.resolve(itemPath),
+      action,
+      before: before || null,
+      after: after || null,
+      restoredFrom: restoredFrom || null,
+      stats: this._stats(before, after)
+    };
+
+    const filePath = path.join(this.historyDir, `${stored.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+
+    await fsPromises.writeFile(tempPath, JSON.stringify(stored), { mode: 0o600 });
+    await fsPromises.rename(tempPath, filePath);
+
+    await this._rotate();
+
+    return stored;
+  }
+
+  /**
+   * Snapshot an item, run a change and record it
+   * @param {object} item - { type, name, location, itemPath }
+   * @param {string} action - 'write', 'delete' or 'move'
+   * @param {function} change - Performs the change; its result is returned
+   * @returns {Promise<*>}
+   */
+  async track(item, action, change) {
+    const before = await this.snapshot(item.itemPath);
+    const result = await change();
+    try {
+      await this.record({ ...item, action, before, after: await this.snapshot(item.itemPath) });
+    } catch (error) {
+      console.error('[FileHistory] Failed to record change:', error.message);
+    }
+    return result;
+  }
+
+  /**
+   * List entries without their snapshots, newest first
+   * @param {object} filter - Optional filter
+   * @param {string} filter.itemPath - Only entries of this item
+   * @returns {Promise<Array<object>>}
+   */
+  async list(filter = {}) {
+    const wanted = filter.itemPath ? path.resolve(filter.itemPath) : null;
+    const summaries = await this._summaries();
+    return wanted ? summaries.filter(summary => summary.path === wanted) : summaries;
+  }
+
+  /**
+   * Items whose latest recorded change is a delete and that are still gone
+   * @returns {Promise<Array<object>>} - Entry summaries of the deletes, newest first
+   */
+  async trash() {
+    const seen = new Set();
+    const deleted = [];
+
+    for (const summary of await this._summaries()) {
+      if (seen.has(summary.path)) {
+        continue;
+      }
+      seen.add(summary.path);
+
+      if (summary.action === 'delete' && !(await this._exists(summary.path))) {
+        deleted.push(summary);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Get a full history entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    try {
+      const data = await fsPromises.readFile(path.join(this.historyDir, `${id}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshot a revision stands for: the state after the change, or for a
+   * delete the state that was deleted
+   * @param {object} entry - History entry
+   * @returns {object|null}
+   */
+  revision(entry) {
+    return entry.after || entry.before;
+  }
+
+  /**
+   * Restore the revision of an entry, replacing whatever is on disk now.
+   * The restore is recorded as a change of its own.
+   * @param {string} id - Entry ID
+   * @returns {Promise<object|null>} - Summary of the new entry, or null if the entry does not exist
+   */
+  async restore(id) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const snapshot = this.revision(entry);
+    if (!snapshot || snapshot.tooLarge) {
+      throw new Error('This revision was too large to keep and cannot be restored');
+    }
+
+    const before = await this.snapshot(entry.path);
+    await this._write(entry.path, snapshot);
+
+    const restored = await this.record({
+      type: entry.type,
+      name: entry.name,
+      location: entry.location,
+      itemPath: entry.path,
+      action: 'restore',
+      before,
+      after: await this.snapshot(entry.path),
+      restoredFrom: entry.id
+    });
+    return restored ? this._summary(restored) : { ...this._summary(entry), unchanged: true };
+  }
+
+  /**
+   * Line diff between two snapshots, per file
+   * @param {object|null} before - Old snapshot
+   * @param {object|null} after - New snapshot
+   * @returns {Array<object>} - [{ path, status: 'added'|'removed'|'changed'|'binary', lines: [{ type: ' '|'+'|'-', text }] }]
+   */
+  diff(before, after) {
+    const oldFiles = (before && before.files) || {};
+    const newFiles = (after && after.files) || {};
+    const paths = [...new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])].sort();
+    const changes = [];
+
+    for (const filePath of paths) {
+      const a = oldFiles[filePath];
+      const b = newFiles[filePath];
+      if (a && b && a.encoding === b.encoding && a.content === b.content) {
+        continue;
+      }
+
+      const status = !a ? 'added' : (!b ? 'removed' : 'changed');
+      if ((a && a.encoding !== 'utf8') || (b && b.encoding !== 'utf8')) {
+        changes.push({ path: filePath, status: status === 'changed' ? 'binary' : status, lines: [] });
+        continue;
+      }
+
+      changes.push({ path: filePath, status, lines: this._diffLines(a ? a.content : '', b ? b.content : '') });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Line diff (longest common subsequence); very large inputs fall back to
+   * replacing every line
+   * @private
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {Array<object>}
+   */
+  _diffLines(oldText, newText) {
+    const a = oldText === '' ? [] : oldText.split('\n');
+    const b = newText === '' ? [] : newText.split('\n');
+
+    if (a.length * b.length > 4000000) {
+      return [...a.map(text => ({ type: '-', text })), ...b.map(text => ({ type: '+', text }))];
+    }
+
+    // lengths[i][j]: LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: ' ', text: a[i++] });
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        lines.push({ type: '-', text: a[i++] });
+      } else {
+        lines.push({ type: '+', text: b[j++] });
+      }
+    }
+    while (i < a.length) lines.push({ type: '-', text: a[i++] });
+    while (j < b.length) lines.push({ type: '+', text: b[j++] });
+
+    return lines;
+  }
+
+  /**
+   * Replace an item on disk with a snapshot
+   * @private
+   * @param {string} itemPath - File or directory
+   * @param {object} snapshot - Snapshot to write
+   * @returns {Promise<void>}
+   */
+  async _write(itemPath, snapshot) {
+    await fsPromises.rm(itemPath, { recursive: true, force: true });
+
+    const root = snapshot.kind === 'directory' ? itemPath : path.dirname(itemPath);
+    await fsPromises.mkdir(root, { recursive: true });
+
+    for (const [relativePath, file] of Object.entries(snapshot.files)) {
+      const target = snapshot.kind === 'directory'
+        ? path.resolve(root, ...relativePath.split('/'))
+        : itemPath;
+      if (!target.startsWith(path.resolve(root) + path.sep)) {
+        throw new Error('Snapshot path is outside the item');
+      }
+      await fsPromises.mkdir(path.dirname(target), { recursive: true });
+      await fsPromises.writeFile(target, Buffer.from(file.content, file.encoding));
+    }
+  }
+
+  /**
+   * All regular files below a directory, as sorted relative paths
+   * @private
+   * @param {string} dir - Directory
+   * @returns {Promise<Array<string>>}
+   */
+  async _listFiles(dir) {
+    const files = [];
+
+    const walk = async (relativeDir) => {
+      const entries = await fsPromises.readdir(path.join(dir, relativeDir), { withFileTypes: true });
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          files.push(relativePath);
+        }
+      }
+    };
+
+    await walk('');
+    return files.sort();
+  }
+
+  /**
+   * NUL bytes or invalid UTF-8
+   * @private
+   * @param {Buffer} buffer - File content
+   * @returns {boolean}
+   */
+  _isBinary(buffer) {
+    if (buffer.includes(0)) {
+      return true;
+    }
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _exists(itemPath) {
+    try {
+      await fsPromises.stat(itemPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Entry without its snapshots
+   * @private
+   */
+  _summary(entry) {
+    const stats = entry.stats || this._stats(entry.before, entry.after);
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      type: entry.type,
+      name: entry.name,
+      location: entry.location,
+      path: entry.path,
+      action: entry.action,
+      restoredFrom: entry.restoredFrom || null,
+      files: stats.files,
+      added: stats.added,
+      removed: stats.removed
+    };
+  }
+
+  /**
+   * Files changed and lines added and removed between two snapshots
+   * @private
+   * @param {object|null} before - Old snapshot
+   * @param {object|null} after - New snapshot
+   * @returns {{files: number, added: number, removed: number}}
+   */
+  _stats(before, after) {
+    const stats = { files: 0, added: 0, removed: 0 };
+    for (const change of this.diff(before, after)) {
+      stats.files++;
+      stats.added += change.lines.filter(line => line.type === '+').length;
+      stats.removed += change.lines.filter(line => line.type === '-').length;
+    }
+    return stats;
+  }
+
+  /**
+   * Summaries of all entries, newest first. They come from index.json;
+   * only entries the index does not know yet (recorded since the last
+   * listing, or before the index existed) are loaded, and the index is
+   * rewritten when it was out of date.
+   * @private
+   * @returns {Promise<Array<object>>}
+   */
+  async _summaries() {
+    const ids = await this._listIds();
+    const indexPath = path.join(this.historyDir, 'index.json');
+
+    let index = {};
+    try {
+      index = JSON.parse(await fsPromises.readFile(indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+        throw error;
+      }
+    }
+
+    let stale = Object.keys(index).some(id => !ids.includes(id));
+    const summaries = [];
+    for (const id of ids) {
+      if (!index[id]) {
+        const entry = await this.get(id);
+        if (!entry) {
+          continue;
+        }
+        index[id] = this._summary(entry);
+        stale = true;
+      }
+      summaries.push(index[id]);
+    }
+
+    if (stale) {
+      const fresh = Object.fromEntries(summaries.map(summary => [summary.id, summary]));
+      const tempPath = `${indexPath}.tmp.${process.pid}.${Date.now()}`;
+      try {
+        await fsPromises.writeFile(tempPath, JSON.stringify(fresh), { mode: 0o600 });
+        await fsPromises.rename(tempPath, indexPath);
+      } catch (error) {
+        console.warn('[FileHistory] Failed to write index:', error.message);
+      }
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Remove entries beyond maxEntries (oldest first)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _rotate() {
+    const ids = await this._listIds();
+    const stale = ids.slice(this.maxEntries);
+
+    for (const id of stale) {
+      try {
+        await fsPromises.unlink(path.join(this.historyDir, `${id}.json`));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn('[FileHistory] Failed to rotate entry:', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * List entry IDs, newest first
+   * @private
+   * @returns {Promise<Array<string>>}
+   */
+  async _listIds() {
+    let files;
+    try {
+      files = await fsPromises.readdir(this.historyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5))
+      .filter(id => this.isValidId(id))
+      .sort()
+      .reverse();
+  }
+}
+
+module.exports = FileHistory;
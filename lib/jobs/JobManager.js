@@ -0,0 +1,457 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+/**
+ * JobManager
+ *
+ * Runs long CLI operations (plugin install/update/uninstall, marketplace
+ * updates) in the background instead of inside the HTTP request.
+ *
+ * Features:
+ * - FIFO queue; jobs run one at a time by default because the Claude CLI
+ *   operations share the same plugin and settings files
+ * - stdout/stderr captured line by line and emitted as `output` events
+ * - `update` events on every status change
+ * - Cancellation of queued and running jobs, per-job timeout
+ * - Finished jobs (with their logs) persisted and rotated on disk
+ *
+ * Job status: queued -> running -> succeeded | failed | cancelled
+ */
+class JobManager extends EventEmitter {
+  /**
+   * Create a JobManager
+   * @param {object} config - Configuration options
+   * @param {string} config.jobsDir - Directory for finished job records
+   * @param {number} config.concurrency - Jobs run at the same time
+   * @param {number} config.timeout - Max run time per job (ms)
+   * @param {number} config.maxJobs - Finished jobs kept in memory and on disk
+   */
+  constructor(config = {}) {
+    super();
+
+    this.jobsDir = config.jobsDir || path.join(os.homedir(), '.claude', 'manager', 'jobs');
+    this.concurrency = config.concurrency || 1;
+    this.timeout = config.timeout || 10 * 60 * 1000; // 10 minutes
+    this.maxJobs = config.maxJobs || 50;
+
+    this.jobs = new Map(); // id -> job (insertion order = creation order)
+    this.queue = []; // { id, options } waiting to run
+    this.running = new Map(); // id -> { child, timer, stopReason }
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load finished jobs from disk (once)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    let files = [];
+    try {
+      files = (await fsPromises.readdir(this.jobsDir)).filter(f => f.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const loaded = [];
+    for (const file of files.slice(-this.maxJobs)) {
+      try {
+        loaded.push(JSON.parse(await fsPromises.readFile(path.join(this.jobsDir, file), 'utf8')));
+      } catch (error) {
+        console.warn(`[JobManager] Skipping unreadable job ${file}:`, error.message);
+      }
+    }
+
+    // Jobs started before initialize() finished stay after the loaded ones
+    const current = Array.from(this.jobs.values());
+    this.jobs.clear();
+    for (const job of [...loaded, ...current]) {
+      this.jobs.set(job.id, job);
+    }
+
+    this.isLoaded = true;
+  }
+
+  /**
+   * Validate a job ID
+   * @param {string} id - Job ID
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^\d{13}-[a-f0-9]{8}$/.test(id);
+  }
+
+  /**
+   * Queue a command
+   * @param {object} options - Job options
+   * @param {string} options.type - Job type (e.g. 'plugin-update')
+   * @param {string} options.title - Human-readable title
+   * @param {string} options.command - Executable
+   * @param {Array<string>} options.args - Arguments (never interpreted by a shell on POSIX)
+   * @param {function(object): Promise<void>} options.onSuccess - Called after a zero exit code
+   * @returns {object} - Job summary
+   */
+  start(options) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const job = {
+      id,
+      type: options.type || 'command',
+      title: options.title || [options.command, ...(options.args || [])].join(' '),
+      command: options.command,
+      args: options.args || [],
+      status: 'queued',
+      exitCode: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      log: []
+    };
+
+    this.jobs.set(id, job);
+    this.queue.push({ id, options });
+    this.emit('update', this.summarize(job));
+    this._next();
+
+    return this.summarize(job);
+  }
+
+  /**
+   * Job without its log
+   * @param {object} job - Job
+   * @returns {object}
+   */
+  summarize(job) {
+    const { log, ...summary } = job;
+    return { ...summary, logLines: log.length };
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Array<object>} - Job summaries
+   */
+  list() {
+    return Array.from(this.jobs.values()).reverse().map(job => this.summarize(job));
+  }
+
+  /**
+   * Get a job with its log
+   * @param {string} id - Job ID
+   * @param {number} since - Only return log entries from this index on
+   * @returns {object|null}
+   */
+  get(id, since = 0) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    return { ...this.summarize(job), since, log: job.log.slice(since) };
+  }
+
+  /**
+   * Wait until a job has finished
+   * @param {string} id - Job ID
+   * @returns {Promise<object|null>} - Final job summary, or null if not found
+   */
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.resolve(null);
+    }
+    if (job.finishedAt) {
+      return Promise.resolve(this.summarize(job));
+    }
+
+    return new Promise((resolve) => {
+      const onUpdate = (summary) => {
+        if (summary.id === id && summary.finishedAt) {
+          this.off('update', onUpdate);
+          resolve(summary);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {object|null} - Job summary, or null if not found
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(item => item.id !== id);
+      this._finish(job, 'cancelled', null, 'Cancelled before start');
+    } else if (job.status === 'running') {
+      this._stop(this.running.get(id), 'cancelled');
+    } else {
+      throw new Error(`Job already ${job.status}`);
+    }
+
+    return this.summarize(job);
+  }
+
+  /**
+   * Stop running processes and drop the queue (server shutdown)
+   */
+  close() {
+    this.queue = [];
+    for (const entry of this.running.values()) {
+      clearTimeout(entry.timer);
+      this._stop(entry, 'cancelled');
+    }
+  }
+
+  /**
+   * Terminate a running process together with anything it spawned
+   * @private
+   * @param {object} entry - Running entry ({ child, timer, stopReason })
+   * @param {string} reason - 'cancelled' or 'timeout'
+   */
+  _stop(entry, reason) {
+    entry.stopReason = entry.stopReason || reason;
+    try {
+      // POSIX children lead their own process group (see _run)
+      if (process.platform !== 'win32') {
+        process.kill(-entry.child.pid, 'SIGTERM');
+        return;
+      }
+    } catch (error) {
+      // Group already gone; fall through to the direct kill
+    }
+    entry.child.kill('SIGTERM');
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   * @private
+   */
+  _next() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const { id, options } = this.queue.shift();
+      this._run(this.jobs.get(id), options);
+    }
+  }
+
+  /**
+   * Append output to a job log, one entry per line
+   * @private
+   * @param {object} job - Job
+   * @param {string} stream - 'stdout', 'stderr' or 'system'
+   * @param {string} text - Output text
+   */
+  _append(job, stream, text) {
+    for (const line of text.split(/\r?\n/)) {
+      const entry = { stream, text: line, at: new Date().toISOString() };
+      job.log.push(entry);
+      this.emit('output', { id: job.id, index: job.log.length - 1, ...entry });
+    }
+  }
+
+  /**
+   * Run a job's process
+   * @private
+   * @param {object} job - Job
+   * @param {object} options - Job options
+   */
+  _run(job, options) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._append(job, 'system', `$ ${[job.command, ...job.args].join(' ')}`);
+    this.emit('update', this.summarize(job));
+
+    // Windows needs a shell to resolve .cmd shims such as claude.cmd. Node
+    // then joins the command line unquoted, so each part is escaped here;
+    // a batch file parses its arguments once more, so those are escaped twice.
+    const useShell = process.platform === 'win32';
+    const batch = useShell && JobManager.isWindowsBatch(job.command);
+    const command = useShell && /\s/.test(job.command) ? `"${job.command}"` : job.command;
+    const args = useShell ? job.args.map(arg => JobManager.quoteWindowsArg(arg, batch)) : job.args;
+
+    let child;
+    try {
+      child = spawn(command, args, {
+        shell: useShell,
+        // Own process group so cancelling also stops git and other helpers
+        detached: process.platform !== 'win32',
+        windowsHide: true
+      });
+    } catch (error) {
+      this._finish(job, 'failed', null, error.message);
+      return;
+    }
+
+    const entry = { child, timer: null, stopReason: null };
+    entry.timer = setTimeout(() => this._stop(entry, 'timeout'), this.timeout);
+    this.running.set(job.id, entry);
+
+    // Keep partial lines until their newline arrives
+    const buffers = { stdout: '', stderr: '' };
+    const onData = (stream) => (chunk) => {
+      const text = buffers[stream] + chunk.toString();
+      const lastNewline = text.lastIndexOf('\n');
+      buffers[stream] = lastNewline === -1 ? text : text.slice(lastNewline + 1);
+      if (lastNewline !== -1) {
+        this._append(job, stream, text.slice(0, lastNewline));
+      }
+    };
+    child.stdout.on('data', onData('stdout'));
+    child.stderr.on('data', onData('stderr'));
+
+    let settled = false;
+    const done = async (code, spawnError) => {
+      if (settled) return;
+      settled = true;
+
+      clearTimeout(entry.timer);
+      this.running.delete(job.id);
+
+      for (const stream of ['stdout', 'stderr']) {
+        if (buffers[stream]) {
+          this._append(job, stream, buffers[stream]);
+        }
+      }
+
+      if (spawnError) {
+        this._finish(job, 'failed', null, spawnError.message);
+      } else if (entry.stopReason === 'cancelled') {
+        this._finish(job, 'cancelled', code, 'Cancelled');
+      } else if (entry.stopReason === 'timeout') {
+        this._finish(job, 'failed', code, `Timed out after ${Math.round(this.timeout / 1000)}s`);
+      } else if (code !== 0) {
+        this._finish(job, 'failed', code, `Exited with code ${code}`);
+      } else {
+        try {
+          if (options.onSuccess) {
+            await options.onSuccess(job);
+          }
+          this._finish(job, 'succeeded', code, null);
+        } catch (error) {
+          this._finish(job, 'failed', code, error.message);
+        }
+      }
+
+      this._next();
+    };
+
+    child.on('error', error => done(null, error));
+    child.on('close', code => done(code, null));
+  }
+
+  /**
+   * Mark a job finished, persist it and rotate old jobs
+   * @private
+   * @param {object} job - Job
+   * @param {string} status - Final status
+   * @param {number|null} exitCode - Process exit code
+   * @param {string|null} error - Error message
+   */
+  _finish(job, status, exitCode, error) {
+    job.status = status;
+    job.exitCode = exitCode;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+
+    if (error) {
+      this._append(job, 'system', error);
+    }
+
+    this.emit('update', this.summarize(job));
+
+    this._persist(job).catch(persistError => {
+      console.warn('[JobManager] Failed to save job:', persistError.message);
+    });
+  }
+
+  /**
+   * Save a finished job and drop the oldest finished ones beyond maxJobs
+   * @private
+   * @param {object} job - Finished job
+   * @returns {Promise<void>}
+   */
+  async _persist(job) {
+    const finished = Array.from(this.jobs.values()).filter(j => j.finishedAt);
+    for (const old of finished.slice(0, Math.max(0, finished.length - this.maxJobs))) {
+      this.jobs.delete(old.id);
+      await fsPromises.unlink(path.join(this.jobsDir, `${old.id}.json`)).catch(() => {});
+    }
+
+    if (!this.jobs.has(job.id)) {
+      return;
+    }
+
+    await fsPromises.mkdir(this.jobsDir, { recursive: true, mode: 0o700 });
+    const filePath = path.join(this.jobsDir, `${job.id}.json`);
+    const tempPath = `${filePath}.tmp.${Date.now()}`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(job, null, 2), { mode: 0o600 });
+    await fsPromises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Quote an argument for a cmd.exe command line. Plain arguments stay as
+   * they are. Others are double-quoted for the C runtime's argv parsing
+   * (backslashes before a quote doubled), then every cmd metacharacter,
+   * quotes and % included, is escaped with ^ so cmd.exe neither expands
+   * %VARS% nor treats & or | as operators.
+   * @param {string} arg - Argument
+   * @param {boolean} batch - The command is a .cmd/.bat file, which parses
+   *   its arguments again, so the escaping is applied twice
+   * @returns {string}
+   */
+  static quoteWindowsArg(arg, batch = false) {
+    const text = String(arg);
+    if (text && /^[\w@.:/\\=+-]+$/.test(text)) {
+      return text;
+    }
+
+    const meta = /([()\][%!^"`<>&|;, *?])/g;
+    let quoted = `"${text.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`.replace(meta, '^$1');
+    if (batch) {
+      quoted = quoted.replace(meta, '^$1');
+    }
+    return quoted;
+  }
+
+  /**
+   * Whether a command runs a Windows batch file (.cmd or .bat), looking it
+   * up on PATH with PATHEXT the way cmd.exe does when it has no extension
+   * @param {string} command - Command name or path
+   * @param {object} env - Environment with PATH and PATHEXT
+   * @returns {boolean}
+   */
+  static isWindowsBatch(command, env = process.env) {
+    const isBatch = file => /\.(cmd|bat)$/i.test(file);
+    if (path.extname(command)) {
+      return isBatch(command);
+    }
+
+    const extensions = (env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+    const dirs = /[\\/]/.test(command) ? [''] : (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+      for (const extension of extensions) {
+        const candidate = path.join(dir, command + extension);
+        if (fs.existsSync(candidate)) {
+          return isBatch(candidate);
+        }
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = JobManager;
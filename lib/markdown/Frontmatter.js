@@ -0,0 +1,733 @@
+/**
+ * Frontmatter
+ *
+ * Parses the YAML frontmatter of SKILL.md, slash command and agent files.
+ *
+ * Supports the YAML subset these files use in practice:
+ * - Nested block mappings and sequences (including `- key: value` items)
+ * - Plain, single- and double-quoted scalars, also spanning several lines
+ * - Literal (`|`) and folded (`>`) block scalars with chomping indicators
+ * - Flow sequences and mappings (`[a, b]`, `{ a: 1 }`)
+ * - Booleans, null and numbers that round-trip (`1.0` stays a string)
+ * - Comments
+ *
+ * Plain values are read leniently to the end of the line, so descriptions
+ * such as `description: Review: the diff` keep their colon and hints such as
+ * `argument-hint: [file] [line]` stay text. Structural
+ * problems (bad indentation, unterminated strings, duplicate keys) raise
+ * errors that carry the line number in the file.
+ *
+ * `stringify` writes fields back as block YAML that this parser reads
+ * unchanged, quoting only the strings that would not survive as plain text.
+ */
+
+/**
+ * Line-based reader for a frontmatter block
+ * @private
+ */
+class YamlReader {
+  /**
+   * @param {string} text - YAML text
+   * @param {number} firstLine - Line number of the first line in the file
+   */
+  constructor(text, firstLine) {
+    this.lines = text.split(/\r?\n/).map((raw, index) => ({ raw, no: firstLine + index }));
+    this.pos = 0;
+  }
+
+  error(line, message) {
+    const no = line ? line.no : (this.lines.length > 0 ? this.lines[this.lines.length - 1].no : 1);
+    return new Error(`Line ${no}: ${message}`);
+  }
+
+  /**
+   * Next line with content, skipping blank and comment-only lines
+   */
+  peek() {
+    while (this.pos < this.lines.length && /^\s*(#.*)?$/.test(this.lines[this.pos].raw)) {
+      this.pos++;
+    }
+    return this.lines[this.pos] || null;
+  }
+
+  indentOf(line) {
+    const match = line.raw.match(/^( *)(\t?)/);
+    if (match[2]) {
+      throw this.error(line, 'Tabs are not allowed for indentation');
+    }
+    return match[1].length;
+  }
+
+  isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * Parse the block starting at the next line if it is indented at least minIndent
+   */
+  parseNode(minIndent) {
+    const line = this.peek();
+    if (!line) {
+      return null;
+    }
+
+    const indent = this.indentOf(line);
+    if (indent < minIndent) {
+      return null;
+    }
+
+    return this.isSequenceItem(line.raw.slice(indent))
+      ? this.parseSequence(indent)
+      : this.parseMapping(indent);
+  }
+
+  parseMapping(indent) {
+    const map = {};
+
+    for (let line = this.peek(); line; line = this.peek()) {
+      const lineIndent = this.indentOf(line);
+      if (lineIndent < indent) {
+        break;
+      }
+      if (lineIndent > indent) {
+        throw this.error(line, 'Unexpected indentation');
+      }
+
+      const text = line.raw.slice(indent);
+      const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},:-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        throw this.error(line, this.isSequenceItem(text) ? 'Unexpected list item' : 'Expected "key: value"');
+      }
+
+      const key = /^["']/.test(match[1]) ? this.parseQuotedText(match[1], line) : match[1];
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw this.error(line, `Duplicate key '${key}'`);
+      }
+
+      this.pos++;
+      map[key] = this.parseValue(match[2] || '', indent, line, true);
+    }
+
+    return map;
+  }
+
+  parseSequence(indent) {
+    const list = [];
+
+    for (let line = this.peek(); line; line = this.peek()) {
+      const lineIndent = this.indentOf(line);
+      if (lineIndent < indent) {
+        break;
+      }
+      if (lineIndent > indent) {
+        throw this.error(line, 'Unexpected indentation');
+      }
+
+      const text = line.raw.slice(indent);
+      if (!this.isSequenceItem(text)) {
+        break;
+      }
+
+      const rest = text.slice(1).replace(/^ +/, '');
+      const itemIndent = indent + text.length - rest.length;
+
+      if (rest === '' || rest.startsWith('#')) {
+        this.pos++;
+        list.push(this.parseNode(indent + 1));
+      } else if (/^[^\s#'"{[\]},:-][^:]*?:(\s|$)/.test(rest)) {
+        // `- key: value` starts a mapping indented at the key
+        this.lines[this.pos] = { raw: ' '.repeat(itemIndent) + rest, no: line.no };
+        list.push(this.parseMapping(itemIndent));
+      } else {
+        this.pos++;
+        list.push(this.parseValue(rest, indent, line, false));
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * Parse the value after `key:` or `- `
+   * @param {string} rest - Text after the indicator
+   * @param {number} parentIndent - Indentation of the key or list item
+   * @param {object} line - Current line
+   * @param {boolean} allowSameIndentList - Whether `key:` may be followed by `- item` at its own indent
+   */
+  parseValue(rest, parentIndent, line, allowSameIndentList) {
+    const value = rest.trim();
+
+    if (value === '' || value.startsWith('#')) {
+      const next = this.peek();
+      if (!next) {
+        return null;
+      }
+      const nextIndent = this.indentOf(next);
+      if (nextIndent > parentIndent) {
+        return this.parseNode(parentIndent + 1);
+      }
+      if (allowSameIndentList && nextIndent === parentIndent && this.isSequenceItem(next.raw.slice(nextIndent))) {
+        return this.parseSequence(parentIndent);
+      }
+      return null;
+    }
+
+    const blockHeader = value.match(/^([|>])([+-]?)([1-9]?)\s*(#.*)?$/);
+    if (blockHeader) {
+      return this.parseBlockScalar(blockHeader[1], blockHeader[2], blockHeader[3], parentIndent);
+    }
+
+    if (value.startsWith('"') || value.startsWith("'")) {
+      return this.parseQuotedValue(value, parentIndent, line);
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      return this.parseFlowValue(value, parentIndent, line);
+    }
+
+    return this.resolvePlain(this.parsePlainValue(value, parentIndent));
+  }
+
+  /**
+   * Plain scalar, folding continuation lines that are indented deeper
+   */
+  parsePlainValue(value, parentIndent) {
+    let text = value.replace(/\s+#.*$/, '');
+    let blankLines = 0;
+
+    while (this.pos < this.lines.length) {
+      const raw = this.lines[this.pos].raw;
+      if (raw.trim() === '') {
+        blankLines++;
+        this.pos++;
+        continue;
+      }
+      const indent = raw.match(/^ */)[0].length;
+      if (indent <= parentIndent || raw.trim().startsWith('#')) {
+        break;
+      }
+      text += (blankLines > 0 ? '\n'.repeat(blankLines) : ' ') + raw.trim().replace(/\s+#.*$/, '');
+      blankLines = 0;
+      this.pos++;
+    }
+
+    return text;
+  }
+
+  resolvePlain(text) {
+    if (text === '' || text === '~' || /^null$/i.test(text)) {
+      return null;
+    }
+    if (/^true$/i.test(text)) {
+      return true;
+    }
+    if (/^false$/i.test(text)) {
+      return false;
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text) && String(Number(text)) === text.replace(/^\+/, '')) {
+      return Number(text);
+    }
+    return text;
+  }
+
+  parseBlockScalar(style, chomping, explicitIndent, parentIndent) {
+    const lines = [];
+    let blockIndent = explicitIndent ? parentIndent + Number(explicitIndent) : null;
+
+    while (this.pos < this.lines.length) {
+      const raw = this.lines[this.pos].raw;
+      if (raw.trim() === '') {
+        lines.push('');
+        this.pos++;
+        continue;
+      }
+      const indent = raw.match(/^ */)[0].length;
+      if (blockIndent === null) {
+        if (indent <= parentIndent) {
+          break;
+        }
+        blockIndent = indent;
+      }
+      if (indent < blockIndent) {
+        break;
+      }
+      lines.push(raw.slice(blockIndent));
+      this.pos++;
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let text;
+    if (style === '|') {
+      text = lines.join('\n');
+    } else {
+      // Folded: single line breaks become spaces, blank lines become breaks
+      text = lines.reduce((out, current, index) => {
+        if (index === 0) return current;
+        const previous = lines[index - 1];
+        if (current === '') return `${out}\n`;
+        if (previous === '') return out + current;
+        if (current.startsWith(' ') || previous.startsWith(' ')) return `${out}\n${current}`;
+        return `${out} ${current}`;
+      }, '');
+    }
+
+    if (text === '' || chomping === '-') {
+      return text;
+    }
+    return text + '\n'.repeat(chomping === '+' ? trailing + 1 : 1);
+  }
+
+  /**
+   * Quoted scalar; continuation lines are folded until the closing quote
+   */
+  parseQuotedValue(value, parentIndent, line) {
+    let text = value;
+    let lastLine = line;
+
+    for (;;) {
+      const end = this.findClosingQuote(text);
+      if (end !== -1) {
+        const after = text.slice(end + 1).trim();
+        if (after && !after.startsWith('#')) {
+          throw this.error(lastLine, 'Unexpected text after quoted string');
+        }
+        return this.parseQuotedText(text.slice(0, end + 1), lastLine);
+      }
+
+      const next = this.lines[this.pos];
+      if (!next || (next.raw.trim() !== '' && next.raw.match(/^ */)[0].length <= parentIndent)) {
+        throw this.error(line, 'Unterminated quoted string');
+      }
+      text += next.raw.trim() === '' ? '\n' : (text.endsWith('\n') ? '' : ' ') + next.raw.trim();
+      lastLine = next;
+      this.pos++;
+    }
+  }
+
+  findClosingQuote(text) {
+    const quote = text[0];
+    for (let i = 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  parseQuotedText(quoted, line) {
+    const inner = quoted.slice(1, -1);
+    if (quoted[0] === "'") {
+      return inner.replace(/''/g, "'");
+    }
+
+    const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', e: '\x1b' };
+    return inner.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (match, code) => {
+      if (code.length > 1) {
+        return String.fromCharCode(parseInt(code.slice(1), 16));
+      }
+      if (escapes[code] === undefined) {
+        throw this.error(line, `Unknown escape sequence '\\${code}'`);
+      }
+      return escapes[code];
+    });
+  }
+
+  /**
+   * Flow collection; continuation lines are joined until brackets balance
+   */
+  parseFlowValue(value, parentIndent, line) {
+    let text = value;
+    const singleLine = this.isBalanced(value);
+    while (!this.isBalanced(text)) {
+      const next = this.lines[this.pos];
+      if (!next) {
+        throw this.error(line, 'Unterminated flow collection');
+      }
+      text += ' ' + next.raw.trim();
+      this.pos++;
+    }
+
+    const parser = { text, pos: 0 };
+    const result = this.parseFlowNode(parser, line);
+    const after = text.slice(parser.pos).trim();
+    if (after && !after.startsWith('#')) {
+      // `argument-hint: [file] [line]` is plain text, not a list
+      if (singleLine) {
+        return this.resolvePlain(this.parsePlainValue(value, parentIndent));
+      }
+      throw this.error(line, 'Unexpected text after flow collection');
+    }
+    return result;
+  }
+
+  isBalanced(text) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (quote === '"' && char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) return true;
+      }
+    }
+    return depth <= 0;
+  }
+
+  parseFlowNode(parser, line) {
+    const skip = () => {
+      while (/\s/.test(parser.text[parser.pos] || '')) parser.pos++;
+    };
+    skip();
+    const char = parser.text[parser.pos];
+
+    if (char === '[' || char === '{') {
+      const isList = char === '[';
+      const close = isList ? ']' : '}';
+      const result = isList ? [] : {};
+      parser.pos++;
+
+      for (;;) {
+        skip();
+        if (parser.text[parser.pos] === close) {
+          parser.pos++;
+          return result;
+        }
+
+        if (isList) {
+          result.push(this.parseFlowNode(parser, line));
+        } else {
+          const key = this.parseFlowNode(parser, line);
+          skip();
+          if (parser.text[parser.pos] !== ':') {
+            throw this.error(line, `Expected ':' after '${key}' in flow mapping`);
+          }
+          parser.pos++;
+          result[String(key)] = this.parseFlowNode(parser, line);
+        }
+
+        skip();
+        const separator = parser.text[parser.pos];
+        if (separator === ',') {
+          parser.pos++;
+        } else if (separator !== close) {
+          throw this.error(line, `Expected ',' or '${close}' in flow collection`);
+        }
+      }
+    }
+
+    if (char === '"' || char === "'") {
+      const end = this.findClosingQuote(parser.text.slice(parser.pos));
+      if (end === -1) {
+        throw this.error(line, 'Unterminated quoted string');
+      }
+      const quoted = parser.text.slice(parser.pos, parser.pos + end + 1);
+      parser.pos += end + 1;
+      return this.parseQuotedText(quoted, line);
+    }
+
+    const match = parser.text.slice(parser.pos).match(/^[^,[\]{}]*?(?=\s*(,|\]|\}|:\s|$))/);
+    if (!match) {
+      throw this.error(line, 'Invalid flow collection');
+    }
+    parser.pos += match[0].length;
+    return this.resolvePlain(match[0].trim());
+  }
+}
+
+class Frontmatter {
+  /**
+   * Split markdown into its frontmatter block and body
+   * @param {string} content - Markdown content
+   * @returns {object|null} - { yaml, body, firstLine, closed } or null without frontmatter
+   */
+  static split(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const open = text.match(/^---[ \t]*\r?\n/);
+    if (!open) {
+      return null;
+    }
+
+    const rest = text.slice(open[0].length);
+    const close = rest.match(/^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m);
+    if (!close) {
+      return { yaml: rest, body: '', firstLine: 2, closed: false };
+    }
+
+    return {
+      yaml: rest.slice(0, Math.max(0, close.index - 1)).replace(/\r$/, ''),
+      body: rest.slice(close.index + close[0].length),
+      firstLine: 2,
+      closed: true
+    };
+  }
+
+  /**
+   * Parse YAML frontmatter text
+   * @param {string} yaml - YAML text
+   * @param {number} firstLine - Line number of the first YAML line in the file
+   * @returns {object} - Parsed mapping
+   */
+  static parseYaml(yaml, firstLine = 1) {
+    const reader = new YamlReader(yaml, firstLine);
+    const first = reader.peek();
+    if (!first) {
+      return {};
+    }
+
+    const data = reader.parseNode(0);
+    const leftover = reader.peek();
+    if (leftover) {
+      throw reader.error(leftover, 'Unexpected content');
+    }
+    if (!data || Array.isArray(data)) {
+      throw reader.error(first, 'Frontmatter must be a mapping of key: value pairs');
+    }
+    return data;
+  }
+
+  /**
+   * Parse a markdown file's frontmatter. Never throws; problems are reported
+   * in `error` and leave `data` empty.
+   * @param {string} content - Markdown content
+   * @returns {object} - { data, body, error, hasFrontmatter }
+   */
+  static parse(content) {
+    const block = Frontmatter.split(content);
+    if (!block) {
+      return { data: {}, body: content, error: null, hasFrontmatter: false };
+    }
+
+    if (!block.closed) {
+      return { data: {}, body: content, error: 'Frontmatter is not closed with ---', hasFrontmatter: true };
+    }
+
+    try {
+      return { data: Frontmatter.parseYaml(block.yaml, block.firstLine), body: block.body, error: null, hasFrontmatter: true };
+    } catch (error) {
+      return { data: {}, body: block.body, error: error.message, hasFrontmatter: true };
+    }
+  }
+
+  /**
+   * Build markdown from frontmatter fields and a body. Fields that are
+   * undefined are left out; without fields only the body is returned.
+   * @param {object} data - Frontmatter fields
+   * @param {string} body - Markdown body
+   * @returns {string}
+   */
+  static stringify(data, body = '') {
+    const entries = Object.entries(data || {}).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+      return body;
+    }
+
+    const lines = Frontmatter._formatMapping(Object.fromEntries(entries), 0);
+    return `---\n${lines.join('\n')}\n---\n${body}`;
+  }
+
+  /**
+   * Set one top-level field, keeping the rest of the file as written
+   * (comments, quoting, order). Adds frontmatter when there is none; leaves
+   * files with broken frontmatter unchanged.
+   * @param {string} content - Markdown content
+   * @param {string} key - Field name
+   * @param {*} value - New value (scalar or list)
+   * @returns {string}
+   */
+  static setField(content, key, value) {
+    const formatted = Frontmatter._formatMapping({ [key]: value }, 0);
+    if (!Frontmatter.split(content)) {
+      return `---\n${formatted.join('\n')}\n---\n${content}`;
+    }
+    if (Frontmatter.parse(content).error) {
+      return content;
+    }
+
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const close = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)[ \t]*$/.test(line));
+
+    const start = lines.findIndex((line, index) => index > 0 && index < close &&
+      (line.startsWith(`${key}:`) || line.startsWith(`"${key}":`) || line.startsWith(`'${key}':`)));
+
+    if (start === -1) {
+      lines.splice(close, 0, ...formatted);
+    } else {
+      // The old value may continue on indented lines (blank lines inside it included)
+      const continues = line => /^[ \t]+\S/.test(line) || line.startsWith('- ');
+      let end = start + 1;
+      while (end < close) {
+        let next = end;
+        while (next < close && lines[next].trim() === '') next++;
+        if (next === close || !continues(lines[next])) break;
+        end = next + 1;
+      }
+      lines.splice(start, end - start, ...formatted);
+    }
+
+    return lines.join(eol);
+  }
+
+  /**
+   * Block mapping lines
+   * @private
+   * @param {object} data - Mapping
+   * @param {number} indent - Indentation in spaces
+   * @returns {Array<string>}
+   */
+  static _formatMapping(data, indent) {
+    const pad = ' '.repeat(indent);
+    const lines = [];
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) {
+        continue;
+      }
+      const name = Frontmatter._formatScalar(key);
+      if (Array.isArray(value) && value.length > 0) {
+        lines.push(`${pad}${name}:`, ...Frontmatter._formatSequence(value, indent + 2));
+      } else if (Frontmatter._isMapping(value) && Object.keys(value).length > 0) {
+        lines.push(`${pad}${name}:`, ...Frontmatter._formatMapping(value, indent + 2));
+      } else {
+        lines.push(`${pad}${name}: ${Frontmatter._formatScalar(value)}`);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Block sequence lines
+   * @private
+   * @param {Array} items - Sequence
+   * @param {number} indent - Indentation in spaces
+   * @returns {Array<string>}
+   */
+  static _formatSequence(items, indent) {
+    const pad = ' '.repeat(indent);
+    const lines = [];
+
+    for (const item of items) {
+      if (Frontmatter._isMapping(item) && Object.keys(item).length > 0) {
+        // First key shares the dash line: "- key: value"
+        const nested = Frontmatter._formatMapping(item, indent + 2);
+        lines.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+      } else if (Array.isArray(item) && item.length > 0) {
+        lines.push(`${pad}-`, ...Frontmatter._formatSequence(item, indent + 2));
+      } else {
+        lines.push(`${pad}- ${Frontmatter._formatScalar(item)}`);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Scalar (or empty collection) as a single line of YAML
+   * @private
+   * @param {*} value - Value
+   * @returns {string}
+   */
+  static _formatScalar(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return '[]';
+    }
+    if (Frontmatter._isMapping(value)) {
+      return '{}';
+    }
+    if (typeof value !== 'string') {
+      return String(value);
+    }
+
+    // Plain only when strict YAML parsers agree too (no indicator at the
+    // start, no ": " or " #", nothing that reads as a number or YAML 1.1
+    // boolean) and reading it back here gives the same string
+    const plain = value && value === value.trim() && !/[\n\r\t]/.test(value) &&
+      !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) && !/:( |$)|\s#/.test(value) &&
+      !/^([-+]?(\d[\d_]*\.?\d*|\.\d+)([eE][-+]?\d+)?|y|n|yes|no|on|off)$/i.test(value);
+    if (plain) {
+      try {
+        if (Frontmatter.parseYaml(`key: ${value}`).key === value) {
+          return value;
+        }
+      } catch (error) {
+        // Not valid as plain text; quote it
+      }
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @private
+   */
+  static _isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * First line of text in a markdown body that is not a heading
+   * @param {string} body - Markdown body
+   * @param {number} maxLength - Truncate to this many characters
+   * @returns {string}
+   */
+  static firstLine(body, maxLength = 100) {
+    const line = body.split(/\r?\n/).map(l => l.trim()).find(l => l && !l.startsWith('#'));
+    return line ? line.substring(0, maxLength) : '';
+  }
+
+  /**
+   * Normalize list-valued fields such as `allowed-tools` or `tools`, which
+   * may be YAML lists or comma-separated strings
+   * @param {*} value - Field value
+   * @returns {Array<string>}
+   */
+  static toList(value) {
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== null && item !== '').map(String);
+    }
+    if (typeof value !== 'string') {
+      return [];
+    }
+
+    // Split on commas outside parentheses: Bash(git add:*), Read
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth = Math.max(0, depth - 1);
+      if (char === ',' && depth === 0) {
+        items.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(Boolean);
+  }
+}
+
+module.exports = Frontmatter;
@@ -0,0 +1,283 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * PluginContents
+ *
+ * Lists what an installed plugin contributes to Claude Code sessions:
+ * slash commands, agents, skills, hooks and MCP servers.
+ *
+ * Follows the plugin layout (commands/, agents/, skills/<name>/SKILL.md,
+ * hooks/hooks.json, .mcp.json) plus the extra paths and inline definitions a
+ * plugin.json manifest may declare. All returned file paths are relative to
+ * the plugin directory.
+ */
+class PluginContents {
+  /**
+   * Create a PluginContents inspector
+   * @param {object} config - Configuration options
+   * @param {number} config.maxDepth - Max directory depth for command/agent discovery
+   * @param {number} config.maxFileSize - Max size of files returned by readFile (bytes)
+   */
+  constructor(config = {}) {
+    this.maxDepth = config.maxDepth || 3;
+    this.maxFileSize = config.maxFileSize || 1024 * 1024; // 1 MB
+  }
+
+  /**
+   * Inspect a plugin directory
+   * @param {string} pluginRoot - Plugin install path
+   * @param {object|null} manifest - Parsed .claude-plugin/plugin.json
+   * @returns {Promise<object>} - { commands, agents, skills, hooks, mcpServers }
+   */
+  async inspect(pluginRoot, manifest = null) {
+    const declared = manifest || {};
+
+    const [commands, agents, skills, hooks, mcpServers] = await Promise.all([
+      this._listMarkdown(pluginRoot, this._paths('commands', declared.commands)),
+      this._listMarkdown(pluginRoot, this._paths('agents', declared.agents)),
+      this._listSkills(pluginRoot, this._paths('skills', declared.skills)),
+      this._listHooks(pluginRoot, declared.hooks),
+      this._listMcpServers(pluginRoot, declared.mcpServers)
+    ]);
+
+    return { commands, agents, skills, hooks, mcpServers };
+  }
+
+  /**
+   * Read a file inside a plugin directory
+   * @param {string} pluginRoot - Plugin install path
+   * @param {string} relativePath - Path relative to the plugin root
+   * @returns {Promise<string|null>} - Content or null if not found
+   */
+  async readFile(pluginRoot, relativePath) {
+    const filePath = this._resolveInside(pluginRoot, relativePath);
+
+    try {
+      const stats = await fsPromises.stat(filePath);
+      if (!stats.isFile()) {
+        return null;
+      }
+      if (stats.size > this.maxFileSize) {
+        throw new Error(`File is larger than ${this.maxFileSize} bytes`);
+      }
+      return await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a relative path, rejecting anything outside the plugin root
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {string} relativePath - Relative path
+   * @returns {string}
+   */
+  _resolveInside(pluginRoot, relativePath) {
+    const root = path.resolve(pluginRoot);
+    const resolved = path.resolve(root, String(relativePath || ''));
+
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error('Path is outside the plugin directory');
+    }
+    return resolved;
+  }
+
+  /**
+   * Default directory plus paths declared in the manifest
+   * @private
+   * @param {string} defaultDir - Conventional directory name
+   * @param {string|Array<string>|undefined} declared - Manifest value
+   * @returns {Array<string>}
+   */
+  _paths(defaultDir, declared) {
+    const extra = Array.isArray(declared) ? declared : (typeof declared === 'string' ? [declared] : []);
+    return Array.from(new Set([defaultDir, ...extra.map(p => path.normalize(p))]));
+  }
+
+  /**
+   * Read frontmatter fields and a fallback description from markdown
+   * @private
+   * @param {string} content - Markdown content
+   * @returns {object} - { fields, description, error }
+   */
+  _describe(content) {
+    const { data, body, error } = Frontmatter.parse(content);
+    const description = typeof data.description === 'string' && data.description.trim()
+      ? data.description.trim()
+      : Frontmatter.firstLine(body);
+
+    return { fields: data, description, error };
+  }
+
+  /**
+   * Recursively list markdown files under directories of the plugin
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {Array<string>} dirs - Directories relative to the plugin root
+   * @returns {Promise<Array<object>>} - [{ name, description, file, frontmatterError }]
+   */
+  async _listMarkdown(pluginRoot, dirs) {
+    const items = [];
+
+    const walk = async (relativeDir, segments, depth) => {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(this._resolveInside(pluginRoot, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+
+        const relativePath = path.join(relativeDir, entry.name);
+        if (entry.isDirectory() && depth < this.maxDepth) {
+          await walk(relativePath, [...segments, entry.name], depth + 1);
+        } else if (entry.isFile() && entry.name.endsWith('.md')) {
+          const content = await fsPromises.readFile(path.join(pluginRoot, relativePath), 'utf8');
+          const { fields, description, error } = this._describe(content);
+
+          items.push({
+            // Subdirectories namespace the entry (frontend/build.md -> frontend:build)
+            name: typeof fields.name === 'string' ? fields.name : [...segments, entry.name.replace(/\.md$/, '')].join(':'),
+            description,
+            file: relativePath,
+            frontmatterError: error
+          });
+        }
+      }
+    };
+
+    for (const dir of dirs) {
+      await walk(dir, [], 1);
+    }
+
+    return items;
+  }
+
+  /**
+   * List skills (directories containing SKILL.md)
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {Array<string>} dirs - Skill directories relative to the plugin root
+   * @returns {Promise<Array<object>>} - [{ name, description, file, frontmatterError }]
+   */
+  async _listSkills(pluginRoot, dirs) {
+    const skills = [];
+
+    for (const dir of dirs) {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(this._resolveInside(pluginRoot, dir), { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (!entry.isDirectory()) {
+          continue;
+        }
+
+        const file = path.join(dir, entry.name, 'SKILL.md');
+        try {
+          const { fields, description, error } = this._describe(await fsPromises.readFile(path.join(pluginRoot, file), 'utf8'));
+          skills.push({ name: typeof fields.name === 'string' ? fields.name : entry.name, description, file, frontmatterError: error });
+        } catch (error) {
+          // Not a skill directory
+        }
+      }
+    }
+
+    return skills;
+  }
+
+  /**
+   * Load a JSON config that may be declared inline, as a path, or found at a default path
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {object|string|undefined} declared - Manifest value
+   * @param {string} defaultFile - Conventional file path
+   * @returns {Promise<object>} - { config, file, error }
+   */
+  async _loadConfig(pluginRoot, declared, defaultFile) {
+    if (declared && typeof declared === 'object') {
+      return { config: declared, file: '.claude-plugin/plugin.json', error: null };
+    }
+
+    const file = typeof declared === 'string' ? path.normalize(declared) : defaultFile;
+    try {
+      const content = await fsPromises.readFile(this._resolveInside(pluginRoot, file), 'utf8');
+      return { config: JSON.parse(content), file, error: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { config: null, file: null, error: null };
+      }
+      return { config: null, file, error: `Cannot read ${file}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Flatten hook definitions
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {object|string|undefined} declared - Manifest `hooks` value
+   * @returns {Promise<object>} - { file, error, items: [{ event, matcher, type, command }] }
+   */
+  async _listHooks(pluginRoot, declared) {
+    const { config, file, error } = await this._loadConfig(pluginRoot, declared, path.join('hooks', 'hooks.json'));
+    const events = config ? (config.hooks || config) : {};
+    const items = [];
+
+    for (const [event, groups] of Object.entries(events)) {
+      if (!Array.isArray(groups)) {
+        continue;
+      }
+      for (const group of groups) {
+        for (const hook of (group && group.hooks) || []) {
+          items.push({
+            event,
+            matcher: group.matcher || '*',
+            type: hook.type || 'command',
+            command: hook.command || hook.prompt || ''
+          });
+        }
+      }
+    }
+
+    return { file, error, items };
+  }
+
+  /**
+   * Flatten MCP server definitions
+   * @private
+   * @param {string} pluginRoot - Plugin install path
+   * @param {object|string|undefined} declared - Manifest `mcpServers` value
+   * @returns {Promise<object>} - { file, error, items: [{ name, type, command, args, url }] }
+   */
+  async _listMcpServers(pluginRoot, declared) {
+    const { config, file, error } = await this._loadConfig(pluginRoot, declared, '.mcp.json');
+    const servers = config ? (config.mcpServers || config) : {};
+
+    const items = Object.entries(servers)
+      .filter(([, server]) => server && typeof server === 'object')
+      .map(([name, server]) => ({
+        name,
+        type: server.type || (server.url ? 'http' : 'stdio'),
+        command: server.command || null,
+        args: Array.isArray(server.args) ? server.args : [],
+        url: server.url || null
+      }));
+
+    return { file, error, items };
+  }
+}
+
+module.exports = PluginContents;
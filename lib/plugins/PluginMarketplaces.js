@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const PluginResolver = require('./PluginResolver');
+
+/**
+ * PluginMarketplaces
+ *
+ * Read-side view of the Claude Code plugin marketplaces configured in
+ * ~/.claude/plugins/known_marketplaces.json, plus validation of the values
+ * passed to `claude plugin marketplace add/remove/update`.
+ *
+ * Features:
+ * - List marketplaces with their source, checkout and catalog summary
+ * - Human-readable source descriptions (GitHub, git URL, local directory)
+ * - Catalog plugins that are available but not installed
+ * - Strict validation of marketplace names and sources before they reach the CLI
+ */
+class PluginMarketplaces {
+  /**
+   * Create a PluginMarketplaces view
+   * @param {object} config - Configuration options
+   * @param {PluginResolver} config.resolver - Resolver reading the plugins directory
+   */
+  constructor(config = {}) {
+    this.resolver = config.resolver || new PluginResolver();
+  }
+
+  /**
+   * Validate a marketplace name
+   * @param {string} name - Marketplace name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,99}$/.test(name);
+  }
+
+  /**
+   * Validate and normalize a marketplace source for `marketplace add`.
+   * Accepts GitHub `owner/repo` shorthand, https/ssh git URLs and absolute
+   * local directory paths.
+   * @param {string} source - Source entered by the user
+   * @returns {string} - Normalized source
+   */
+  validateSource(source) {
+    const value = typeof source === 'string' ? source.trim() : '';
+
+    if (!value) {
+      throw new Error('Marketplace source is required');
+    }
+
+    // Never let shell syntax reach the CLI
+    if (/["'`$;|&<>\r\n]/.test(value)) {
+      throw new Error('Marketplace source contains invalid characters');
+    }
+
+    if (/^[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+$/.test(value)) {
+      return value;
+    }
+
+    if (/^(https?:\/\/|git@)[^\s]+$/.test(value)) {
+      return value;
+    }
+
+    if (path.isAbsolute(value)) {
+      if (!fs.existsSync(value)) {
+        throw new Error(`Local marketplace path '${value}' does not exist`);
+      }
+      return path.resolve(value);
+    }
+
+    throw new Error('Marketplace source must be owner/repo, a git URL or an absolute local path');
+  }
+
+  /**
+   * Describe a known_marketplaces.json source record
+   * @param {object|null} source - Source record
+   * @returns {string}
+   */
+  describeSource(source) {
+    if (!source) {
+      return 'unknown';
+    }
+
+    switch (source.source) {
+      case 'github':
+        return `github:${source.repo}`;
+      case 'git':
+      case 'url':
+        return source.url;
+      case 'directory':
+      case 'file':
+        return source.path;
+      default:
+        return source.repo || source.url || source.path || JSON.stringify(source);
+    }
+  }
+
+  /**
+   * List configured marketplaces sorted by name
+   * @returns {Promise<Array<object>>} - [{ name, source, sourceLabel, installLocation, lastUpdated, exists, pluginCount, owner, description }]
+   */
+  async list() {
+    const marketplaces = await this.resolver.loadMarketplaces();
+
+    const items = await Promise.all(Array.from(marketplaces.entries()).map(async ([name, marketplace]) => {
+      const exists = fs.existsSync(marketplace.installLocation);
+      const manifest = exists ? await this.resolver.readMarketplaceManifest(marketplace.installLocation) : null;
+      const catalog = manifest && Array.isArray(manifest.plugins) ? manifest.plugins : [];
+      const owner = manifest && manifest.owner;
+
+      return {
+        name,
+        source: marketplace.source,
+        sourceLabel: this.describeSource(marketplace.source),
+        installLocation: marketplace.installLocation,
+        lastUpdated: marketplace.lastUpdated,
+        exists,
+        pluginCount: catalog.length,
+        owner: typeof owner === 'string' ? owner : (owner && owner.name) || null,
+        description: (manifest && (manifest.description || (manifest.metadata && manifest.metadata.description))) || null
+      };
+    }));
+
+    return items.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List catalog plugins of every configured marketplace that are not
+   * installed yet
+   * @param {Array<string>|Set<string>} knownIds - IDs already installed or listed in settings
+   * @returns {Promise<Array<object>>} - [{ id, name, marketplace, description, version, author, homepage, keywords, category }]
+   */
+  async listAvailable(knownIds = []) {
+    const known = new Set(knownIds);
+    const [marketplaces, installed] = await Promise.all([
+      this.resolver.loadMarketplaces(),
+      this.resolver.loadInstalled()
+    ]);
+    const available = [];
+
+    for (const [marketplace, record] of marketplaces.entries()) {
+      const catalog = await this.resolver.readMarketplaceCatalog(record.installLocation);
+
+      for (const entry of catalog) {
+        const id = `${entry.name}@${marketplace}`;
+        if (!entry.name || known.has(id) || installed.has(id)) {
+          continue;
+        }
+
+        const author = entry.author;
+        available.push({
+          id,
+          name: entry.name,
+          marketplace,
+          description: entry.description || null,
+          version: entry.version || null,
+          author: typeof author === 'string' ? author : (author && author.name) || null,
+          homepage: entry.homepage || null,
+          keywords: Array.isArray(entry.keywords) ? entry.keywords : (Array.isArray(entry.tags) ? entry.tags : []),
+          category: entry.category || null
+        });
+      }
+    }
+
+    return available.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a configured marketplace by name
+   * @param {string} name - Marketplace name
+   * @returns {Promise<object|null>}
+   */
+  async get(name) {
+    return (await this.list()).find(marketplace => marketplace.name === name) || null;
+  }
+}
+
+module.exports = PluginMarketplaces;
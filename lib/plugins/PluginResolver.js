@@ -0,0 +1,221 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+/**
+ * PluginResolver
+ *
+ * Maps `name@marketplace` entries from enabledPlugins to the plugin installed
+ * by Claude Code and reads its real metadata.
+ *
+ * Sources, in order:
+ * - ~/.claude/plugins/installed_plugins.json for the install path and version
+ * - <marketplace>/.claude-plugin/marketplace.json for plugins not (yet)
+ *   recorded as installed, and for metadata missing from the manifest
+ * - <plugin>/.claude-plugin/plugin.json for the manifest itself
+ *
+ * Unreadable or missing files resolve to null fields; callers decide on
+ * fallbacks.
+ */
+class PluginResolver {
+  /**
+   * Create a PluginResolver
+   * @param {object} config - Configuration options
+   * @param {string} config.pluginsDir - Claude Code plugins directory (~/.claude/plugins)
+   */
+  constructor(config = {}) {
+    this.pluginsDir = config.pluginsDir || path.join(os.homedir(), '.claude', 'plugins');
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<object|null>} - Parsed content or null if missing/invalid
+   */
+  async _readJson(filePath) {
+    try {
+      return JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[PluginResolver] Cannot read ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Expand a leading ~ in paths written by Claude Code
+   * @private
+   * @param {string} filePath - Path
+   * @returns {string}
+   */
+  _expandHome(filePath) {
+    return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+  }
+
+  /**
+   * Load installed plugin records keyed by `name@marketplace`. Supports the
+   * flat (v1) and per-scope array (v2) formats of installed_plugins.json.
+   * @returns {Promise<Map<string, object>>} - id -> { installPath, version, installedAt, lastUpdated }
+   */
+  async loadInstalled() {
+    const data = await this._readJson(path.join(this.pluginsDir, 'installed_plugins.json'));
+    const installed = new Map();
+
+    for (const [id, record] of Object.entries((data && data.plugins) || {})) {
+      const entry = Array.isArray(record) ? record[0] : record;
+      if (entry && entry.installPath) {
+        installed.set(id, {
+          installPath: this._expandHome(entry.installPath),
+          version: entry.version || null,
+          installedAt: entry.installedAt || null,
+          lastUpdated: entry.lastUpdated || null
+        });
+      }
+    }
+
+    return installed;
+  }
+
+  /**
+   * Load known marketplaces keyed by name
+   * @returns {Promise<Map<string, object>>} - name -> { installLocation, source, lastUpdated }
+   */
+  async loadMarketplaces() {
+    const data = await this._readJson(path.join(this.pluginsDir, 'known_marketplaces.json'));
+    const marketplaces = new Map();
+
+    for (const [name, record] of Object.entries(data || {})) {
+      marketplaces.set(name, {
+        installLocation: record.installLocation
+          ? this._expandHome(record.installLocation)
+          : path.join(this.pluginsDir, 'marketplaces', name),
+        source: record.source || null,
+        lastUpdated: record.lastUpdated || null
+      });
+    }
+
+    return marketplaces;
+  }
+
+  /**
+   * Read a marketplace's manifest
+   * @param {string} installLocation - Marketplace directory
+   * @returns {Promise<object|null>} - Parsed .claude-plugin/marketplace.json
+   */
+  async readMarketplaceManifest(installLocation) {
+    return this._readJson(path.join(installLocation, '.claude-plugin', 'marketplace.json'));
+  }
+
+  /**
+   * Read a marketplace's plugin catalog
+   * @param {string} installLocation - Marketplace directory
+   * @returns {Promise<Array<object>>} - Plugin entries from marketplace.json
+   */
+  async readMarketplaceCatalog(installLocation) {
+    const data = await this.readMarketplaceManifest(installLocation);
+    return data && Array.isArray(data.plugins) ? data.plugins : [];
+  }
+
+  /**
+   * Normalize manifest/catalog fields into plugin metadata
+   * @private
+   * @param {object} source - plugin.json or marketplace entry
+   * @returns {object}
+   */
+  _metadata(source) {
+    const author = source.author;
+    const repository = source.repository;
+
+    return {
+      description: source.description || null,
+      version: source.version || null,
+      author: typeof author === 'string' ? author : (author && author.name) || null,
+      homepage: source.homepage || null,
+      repository: typeof repository === 'string' ? repository : (repository && repository.url) || null,
+      license: source.license || null,
+      keywords: Array.isArray(source.keywords)
+        ? source.keywords
+        : (Array.isArray(source.tags) ? source.tags : [])
+    };
+  }
+
+  /**
+   * Resolve several plugins, reading each shared registry file once
+   * @param {Array<string>} ids - Plugin IDs (`name@marketplace`)
+   * @returns {Promise<Map<string, object>>} - id -> resolution (see resolve())
+   */
+  async resolveAll(ids) {
+    const [installed, marketplaces] = await Promise.all([this.loadInstalled(), this.loadMarketplaces()]);
+    const catalogs = new Map(); // marketplace name -> catalog promise
+    const results = new Map();
+
+    const getCatalog = (marketplace) => {
+      const known = marketplaces.get(marketplace);
+      if (!known) {
+        return Promise.resolve([]);
+      }
+      if (!catalogs.has(marketplace)) {
+        catalogs.set(marketplace, this.readMarketplaceCatalog(known.installLocation));
+      }
+      return catalogs.get(marketplace);
+    };
+
+    await Promise.all(ids.map(async (id) => {
+      const at = id.lastIndexOf('@');
+      const name = at > 0 ? id.slice(0, at) : id;
+      const marketplace = at > 0 ? id.slice(at + 1) : null;
+
+      const record = installed.get(id) || null;
+      const entry = marketplace
+        ? (await getCatalog(marketplace)).find(plugin => plugin.name === name) || null
+        : null;
+
+      // Not recorded as installed: marketplace plugins with a relative source live in the marketplace checkout
+      let installPath = record ? record.installPath : null;
+      if (!installPath && entry && typeof entry.source === 'string' && marketplaces.has(marketplace)) {
+        installPath = path.resolve(marketplaces.get(marketplace).installLocation, entry.source);
+      }
+
+      const manifest = installPath
+        ? await this._readJson(path.join(installPath, '.claude-plugin', 'plugin.json'))
+        : null;
+
+      // Manifest fields win, the marketplace entry fills the gaps
+      const fromManifest = manifest ? this._metadata(manifest) : {};
+      const fromCatalog = entry ? this._metadata(entry) : {};
+      const metadata = {};
+      for (const key of ['description', 'version', 'author', 'homepage', 'repository', 'license']) {
+        metadata[key] = fromManifest[key] || fromCatalog[key] || null;
+      }
+      metadata.keywords = (fromManifest.keywords && fromManifest.keywords.length > 0)
+        ? fromManifest.keywords
+        : (fromCatalog.keywords || []);
+
+      results.set(id, {
+        id,
+        installed: record !== null,
+        installPath,
+        installedVersion: record ? record.version : null,
+        metadataSource: manifest ? 'manifest' : (entry ? 'marketplace' : null),
+        manifest,
+        ...metadata
+      });
+    }));
+
+    return results;
+  }
+
+  /**
+   * Resolve a single plugin
+   * @param {string} id - Plugin ID (`name@marketplace`)
+   * @returns {Promise<object>} - { id, installed, installPath, installedVersion, metadataSource, manifest,
+   *   description, version, author, homepage, repository, license, keywords }
+   */
+  async resolve(id) {
+    return (await this.resolveAll([id])).get(id);
+  }
+}
+
+module.exports = PluginResolver;
@@ -0,0 +1,311 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+/**
+ * ProfileManager
+ *
+ * Stores named snapshots of the `enabledPlugins` map from settings.json so a
+ * whole plugin set can be switched in one step ("web fullstack", "devops", ...).
+ *
+ * Features:
+ * - Create, rename, delete and list profiles
+ * - Diff a profile against the current enabledPlugins state
+ * - Compute the enabledPlugins map for applying a profile in a single write
+ * - Atomic persistence (temp file then rename)
+ */
+class ProfileManager {
+  /**
+   * Create a ProfileManager
+   * @param {object} config - Configuration options
+   * @param {string} config.storePath - Path to the profiles file
+   */
+  constructor(config = {}) {
+    this.storePath = config.storePath || path.join(
+      os.homedir(),
+      '.claude',
+      'manager',
+      'plugin-profiles.json'
+    );
+
+    this.profiles = new Map(); // name -> profile
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load profiles from disk (once)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const data = await fsPromises.readFile(this.storePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      if (!Array.isArray(parsed.profiles)) {
+        throw new Error('Invalid profiles file format');
+      }
+
+      this.profiles.clear();
+      for (const profile of parsed.profiles) {
+        this.profiles.set(profile.name, profile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.profiles.clear();
+    }
+
+    this.isLoaded = true;
+  }
+
+  /**
+   * Persist profiles with an atomic write
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    await fsPromises.mkdir(path.dirname(this.storePath), { recursive: true, mode: 0o700 });
+
+    const data = {
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      profiles: Array.from(this.profiles.values())
+    };
+
+    const tempPath = `${this.storePath}.tmp.${Date.now()}`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fsPromises.rename(tempPath, this.storePath);
+  }
+
+  /**
+   * Validate a profile name
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && /^[a-zA-Z0-9_][a-zA-Z0-9_ .-]{0,63}$/.test(name) && name.trim() === name;
+  }
+
+  /**
+   * Normalize an enabledPlugins map to strict booleans
+   * @private
+   * @param {object} plugins - enabledPlugins map
+   * @returns {object}
+   */
+  _normalizePlugins(plugins) {
+    const normalized = {};
+    for (const [id, enabled] of Object.entries(plugins || {})) {
+      normalized[id] = enabled === true;
+    }
+    return normalized;
+  }
+
+  /**
+   * List all profiles sorted by name
+   * @returns {Array<object>}
+   */
+  listProfiles() {
+    return Array.from(this.profiles.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get profile by name
+   * @param {string} name - Profile name
+   * @returns {object|null}
+   */
+  getProfile(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  /**
+   * Create or overwrite a profile from an enabledPlugins snapshot
+   * @param {string} name - Profile name
+   * @param {object} plugins - enabledPlugins map to snapshot
+   * @param {object} options - Additional options
+   * @param {string} options.description - Optional description
+   * @param {boolean} options.overwrite - Replace an existing profile
+   * @returns {Promise<object>} - Saved profile
+   */
+  async saveProfile(name, plugins, options = {}) {
+    if (!this.isValidName(name)) {
+      throw new Error(`Invalid profile name '${name}'`);
+    }
+
+    const existing = this.profiles.get(name);
+    if (existing && !options.overwrite) {
+      throw new Error(`Profile '${name}' already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      name,
+      description: options.description !== undefined
+        ? String(options.description)
+        : (existing ? existing.description : ''),
+      plugins: this._normalizePlugins(plugins),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.profiles.set(name, profile);
+
+    try {
+      await this._save();
+    } catch (error) {
+      // Rollback on failure
+      if (existing) {
+        this.profiles.set(name, existing);
+      } else {
+        this.profiles.delete(name);
+      }
+      throw new Error(`Failed to save profile: ${error.message}`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   * @returns {Promise<object|null>} - Renamed profile or null if not found
+   */
+  async renameProfile(name, newName) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      return null;
+    }
+
+    if (!this.isValidName(newName)) {
+      throw new Error(`Invalid profile name '${newName}'`);
+    }
+
+    if (newName !== name && this.profiles.has(newName)) {
+      throw new Error(`Profile '${newName}' already exists`);
+    }
+
+    const renamed = { ...profile, name: newName, updatedAt: new Date().toISOString() };
+
+    this.profiles.delete(name);
+    this.profiles.set(newName, renamed);
+
+    try {
+      await this._save();
+    } catch (error) {
+      this.profiles.delete(newName);
+      this.profiles.set(name, profile);
+      throw new Error(`Failed to rename profile: ${error.message}`);
+    }
+
+    return renamed;
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} - True if removed, false if not found
+   */
+  async deleteProfile(name) {
+    const existed = this.profiles.delete(name);
+
+    if (existed) {
+      await this._save();
+    }
+
+    return existed;
+  }
+
+  /**
+   * Diff a profile against the current enabledPlugins map
+   * @param {string} name - Profile name
+   * @param {object} currentPlugins - Current enabledPlugins map
+   * @returns {object|null} - { enable, disable, missing, unchanged } or null if not found
+   */
+  diffProfile(name, currentPlugins) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      return null;
+    }
+
+    const current = this._normalizePlugins(currentPlugins);
+    const diff = { enable: [], disable: [], missing: [], unchanged: [] };
+
+    for (const [id, enabled] of Object.entries(current)) {
+      // Installed plugins that are not part of the snapshot end up disabled
+      const target = profile.plugins[id] === true;
+
+      if (target === enabled) {
+        diff.unchanged.push(id);
+      } else if (target) {
+        diff.enable.push(id);
+      } else {
+        diff.disable.push(id);
+      }
+    }
+
+    // Plugins the profile enables that are no longer installed
+    for (const [id, enabled] of Object.entries(profile.plugins)) {
+      if (enabled && current[id] === undefined) {
+        diff.missing.push(id);
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Compute the enabledPlugins map that results from applying a profile.
+   * Only installed plugins (keys of currentPlugins) are kept so applying a
+   * profile never adds entries for plugins that are not installed.
+   * @param {string} name - Profile name
+   * @param {object} currentPlugins - Current enabledPlugins map
+   * @returns {object|null} - New enabledPlugins map or null if not found
+   */
+  resolveProfile(name, currentPlugins) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      return null;
+    }
+
+    const resolved = {};
+    for (const id of Object.keys(currentPlugins || {})) {
+      resolved[id] = profile.plugins[id] === true;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Compute one settings layer's enabledPlugins after applying a profile to
+   * it. The current state is the one resolved across all layers; the layer
+   * only gets entries for plugins it already lists or whose resolved state
+   * differs from the profile, so its other entries stay as they are.
+   * @param {string} name - Profile name
+   * @param {object} effectivePlugins - Resolved enabled state of every plugin
+   * @param {object} layerPlugins - enabledPlugins of the layer written to
+   * @returns {object|null} - New enabledPlugins of the layer or null if not found
+   */
+  resolveLayer(name, effectivePlugins, layerPlugins) {
+    const target = this.resolveProfile(name, effectivePlugins);
+    if (!target) {
+      return null;
+    }
+
+    const resolved = { ...(layerPlugins || {}) };
+    for (const [id, enabled] of Object.entries(target)) {
+      if (Object.prototype.hasOwnProperty.call(resolved, id) || effectivePlugins[id] !== enabled) {
+        resolved[id] = enabled;
+      }
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = ProfileManager;
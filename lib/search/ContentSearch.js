@@ -0,0 +1,229 @@
+/**
+ * ContentSearch
+ *
+ * Ranks skills, commands, agents, plugins and extensions against a query
+ * and cuts highlighted snippets out of their text. It works on documents the
+ * caller has already read; nothing here touches the filesystem.
+ *
+ * Document: { kind, id, title, description, keywords, content, ...extra }
+ * - title: name shown in results, weighted highest
+ * - keywords: tags or keywords, weighted above the description
+ * - content: body text (SKILL.md, command or agent prompt); snippets come
+ *   from here, or from the description when the body does not match
+ * Other properties (location, path, ...) are passed through to the result.
+ *
+ * Every query term must match somewhere; quoted terms match as a phrase.
+ * Highlights are [start, end) ranges in the snippet text so the client can
+ * escape the text before marking it up.
+ */
+class ContentSearch {
+  /**
+   * Create a ContentSearch
+   * @param {object} config - Configuration options
+   * @param {number} config.maxResults - Most results returned
+   * @param {number} config.snippetRadius - Characters of context around a match
+   * @param {number} config.maxSnippets - Snippets per result
+   */
+  constructor(config = {}) {
+    this.maxResults = config.maxResults || 50;
+    this.snippetRadius = config.snippetRadius || 60;
+    this.maxSnippets = config.maxSnippets || 2;
+  }
+
+  /**
+   * Split a query into lowercase terms; "quoted words" stay one term
+   * @param {string} query - Search query
+   * @returns {Array<string>}
+   */
+  static terms(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+      const term = (match[1] !== undefined ? match[1] : match[2]).trim().toLowerCase();
+      if (term && !terms.includes(term)) {
+        terms.push(term);
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Search documents, best matches first
+   * @param {Array<object>} documents - Documents to search
+   * @param {string} query - Search query
+   * @param {object} options - Options
+   * @param {number} options.limit - Most results returned (default maxResults)
+   * @returns {Array<object>} - Documents without content, plus score and snippets
+   */
+  search(documents, query, options = {}) {
+    const terms = ContentSearch.terms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const document of documents) {
+      const score = this.score(document, terms);
+      if (score > 0) {
+        const { content, ...rest } = document;
+        results.push({ ...rest, score, snippets: this._documentSnippets(document, terms) });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)));
+    return results.slice(0, options.limit || this.maxResults);
+  }
+
+  /**
+   * Score a document; 0 when a term matches nowhere
+   * @param {object} document - Document
+   * @param {Array<string>} terms - Lowercase query terms
+   * @returns {number}
+   */
+  score(document, terms) {
+    const title = String(document.title || '').toLowerCase();
+    const description = String(document.description || '').toLowerCase();
+    const keywords = (document.keywords || []).map(keyword => String(keyword).toLowerCase());
+    const content = String(document.content || '').toLowerCase();
+
+    let total = 0;
+    for (const term of terms) {
+      let score = 0;
+
+      if (title === term) {
+        score += 100;
+      } else if (title.startsWith(term)) {
+        score += 60;
+      } else if (title.includes(term)) {
+        score += 40;
+      }
+
+      if (keywords.includes(term)) {
+        score += 20;
+      } else if (keywords.some(keyword => keyword.includes(term))) {
+        score += 10;
+      }
+
+      if (description.includes(term)) {
+        score += 15;
+      }
+
+      score += Math.min(this._count(content, term), 5) * 2;
+
+      if (score === 0) {
+        return 0;
+      }
+      total += score;
+    }
+
+    // The whole query as typed, beyond its separate words
+    if (terms.length > 1) {
+      const phrase = terms.join(' ');
+      if (title.includes(phrase)) {
+        total += 50;
+      } else if (description.includes(phrase) || content.includes(phrase)) {
+        total += 10;
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Snippets around the first matches of the terms in a text
+   * @param {string} text - Text to cut snippets from
+   * @param {Array<string>} terms - Lowercase query terms
+   * @returns {Array<object>} - [{ text, highlights: [[start, end]] }]
+   */
+  snippets(text, terms) {
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+
+    // First occurrence of each term, in text order
+    const positions = terms
+      .map(term => ({ index: lower.indexOf(term), length: term.length }))
+      .filter(match => match.index !== -1)
+      .sort((a, b) => a.index - b.index);
+
+    // Windows around the matches; a match inside the previous window extends it
+    const windows = [];
+    for (const match of positions) {
+      const start = Math.max(0, match.index - this.snippetRadius);
+      const end = Math.min(source.length, match.index + match.length + this.snippetRadius);
+      const last = windows[windows.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+        last.matchEnd = Math.max(last.matchEnd, match.index + match.length);
+      } else if (windows.length < this.maxSnippets) {
+        windows.push({ start, end, matchStart: match.index, matchEnd: match.index + match.length });
+      }
+    }
+
+    return windows.map(({ start, end, matchStart, matchEnd }) => {
+      // Do not cut words at the edges
+      if (start > 0) {
+        const space = source.slice(start, matchStart).search(/\s/);
+        start = space === -1 ? matchStart : start + space + 1;
+      }
+      if (end < source.length) {
+        const space = source.slice(matchEnd, end + 1).search(/\s[^\s]*$/);
+        end = space === -1 ? matchEnd : matchEnd + space;
+      }
+
+      const snippetText = (start > 0 ? '…' : '') +
+        source.slice(start, end).replace(/\s+/g, ' ').trim() +
+        (end < source.length ? '…' : '');
+      return { text: snippetText, highlights: this._highlights(snippetText, terms) };
+    });
+  }
+
+  /**
+   * Snippets from the content, or the description when the content has no match
+   * @private
+   */
+  _documentSnippets(document, terms) {
+    const fromContent = this.snippets(document.content, terms);
+    return fromContent.length > 0 ? fromContent : this.snippets(document.description, terms);
+  }
+
+  /**
+   * Merged [start, end) ranges of every term occurrence
+   * @private
+   */
+  _highlights(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+      for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, index + term.length)) {
+        ranges.push([index, index + term.length]);
+      }
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Occurrences of a term in a text
+   * @private
+   */
+  _count(text, term) {
+    let count = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+      count++;
+    }
+    return count;
+  }
+}
+
+module.exports = ContentSearch;
@@ -0,0 +1,270 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * SettingsHistory
+ *
+ * Rotating, timestamped history of settings.json writes made by the manager.
+ * Every entry keeps the file content before and after the write together with
+ * the route that caused it, so any change can be inspected, diffed and undone.
+ *
+ * Features:
+ * - One JSON file per write, oldest entries rotated out
+ * - Key-level diff between two settings objects
+ * - Lookup of the most recent entry for "undo last change"
+ */
+class SettingsHistory {
+  /**
+   * Create a SettingsHistory
+   * @param {object} config - Configuration options
+   * @param {string} config.historyDir - Directory holding history entries
+   * @param {number} config.maxEntries - Number of entries to keep
+   */
+  constructor(config = {}) {
+    this.historyDir = config.historyDir || path.join(
+      os.homedir(),
+      '.claude',
+      'manager',
+      'settings-history'
+    );
+
+    this.maxEntries = config.maxEntries || 50;
+
+    // Keeps IDs strictly increasing when several writes land in the same millisecond
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * Validate a history entry ID (prevents path traversal)
+   * @param {string} id - Entry ID
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^\d{13}-[a-f0-9]{8}$/.test(id);
+  }
+
+  /**
+   * Record a settings write
+   * @param {object} entry - Entry data
+   * @param {string} entry.source - Route or action that caused the write
+   * @param {string} entry.settingsPath - Path of the written settings file
+   * @param {object|null} entry.before - Settings before the write (null if the file did not exist)
+   * @param {object} entry.after - Settings after the write
+   * @param {string} entry.restoredFrom - ID of the entry this write restored, if any
+   * @returns {Promise<object>} - Stored entry
+   */
+  async record({ source, settingsPath, before, after, restoredFrom }) {
+    await fsPromises.mkdir(this.historyDir, { recursive: true, mode: 0o700 });
+
+    const now = Math.max(Date.now(), this.lastTimestamp + 1);
+    this.lastTimestamp = now;
+
+    const stored = {
+      id: `${now}-${crypto.randomBytes(4).toString('hex')}`,
+      timestamp: new Date(now).toISOString(),
+      source: source || 'unknown',
+      settingsPath: settingsPath || null,
+      before: before === undefined ? null : before,
+      after,
+      restoredFrom: restoredFrom || null
+    };
+
+    const filePath = path.join(this.historyDir, `${stored.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+
+    await fsPromises.writeFile(tempPath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    await fsPromises.rename(tempPath, filePath);
+
+    await this._rotate();
+
+    return stored;
+  }
+
+  /**
+   * Remove entries beyond maxEntries (oldest first)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _rotate() {
+    const ids = await this._listIds();
+    const stale = ids.slice(this.maxEntries);
+
+    for (const id of stale) {
+      try {
+        await fsPromises.unlink(path.join(this.historyDir, `${id}.json`));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn('[SettingsHistory] Failed to rotate entry:', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * List entry IDs, newest first
+   * @private
+   * @returns {Promise<Array<string>>}
+   */
+  async _listIds() {
+    let files;
+    try {
+      files = await fsPromises.readdir(this.historyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5))
+      .filter(id => this.isValidId(id))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * List history entries without their settings payloads, newest first
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    const entries = [];
+
+    for (const id of await this._listIds()) {
+      const entry = await this.get(id);
+      if (entry) {
+        entries.push({
+          id: entry.id,
+          timestamp: entry.timestamp,
+          source: entry.source,
+          settingsPath: entry.settingsPath,
+          restoredFrom: entry.restoredFrom || null,
+          changes: this.diff(entry.before, entry.after).length
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get a full history entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    try {
+      const data = await fsPromises.readFile(path.join(this.historyDir, `${id}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent entry
+   * @returns {Promise<object|null>}
+   */
+  async latest() {
+    const [id] = await this._listIds();
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Settings that undo an entry: the state before it, or an empty object
+   * when the entry's write created the settings file
+   * @param {object} entry - History entry
+   * @returns {object}
+   */
+  restoreState(entry) {
+    return entry.before || {};
+  }
+
+  /**
+   * Find the entry "undo last change" should revert: the newest write that
+   * is neither a restore itself nor already reverted by a later restore.
+   * Repeated undos therefore walk further back instead of toggling.
+   * @returns {Promise<object|null>}
+   */
+  async latestUndoable() {
+    const reverted = new Set();
+
+    for (const id of await this._listIds()) {
+      const entry = await this.get(id);
+      if (!entry) {
+        continue;
+      }
+
+      if (entry.restoredFrom) {
+        reverted.add(entry.restoredFrom);
+        continue;
+      }
+
+      if (!reverted.has(entry.id)) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * What restoring an entry would change, compared with its own settings
+   * file as it is now (the entry may come from any layer, not only user)
+   * @param {object} entry - History entry
+   * @param {SettingsStore} store - Store of entry.settingsPath
+   * @returns {Promise<Array<object>>} - Same shape as diff()
+   */
+  async diffWithCurrent(entry, store) {
+    const { settings } = await store.read();
+    return this.diff(settings, entry.before);
+  }
+
+  /**
+   * Compute a key-level diff between two settings objects.
+   * Plain objects are compared recursively; arrays and scalars as whole values.
+   * @param {object|null} before - Old settings
+   * @param {object|null} after - New settings
+   * @returns {Array<object>} - [{ path, type: 'added'|'removed'|'changed', before, after }]
+   */
+  diff(before, after) {
+    const changes = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const walk = (a, b, prefix) => {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+      for (const key of keys) {
+        const keyPath = [...prefix, key];
+        const hasA = Object.prototype.hasOwnProperty.call(a, key);
+        const hasB = Object.prototype.hasOwnProperty.call(b, key);
+
+        if (!hasA) {
+          changes.push({ path: keyPath, type: 'added', before: undefined, after: b[key] });
+        } else if (!hasB) {
+          changes.push({ path: keyPath, type: 'removed', before: a[key], after: undefined });
+        } else if (isObject(a[key]) && isObject(b[key])) {
+          walk(a[key], b[key], keyPath);
+        } else if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+          changes.push({ path: keyPath, type: 'changed', before: a[key], after: b[key] });
+        }
+      }
+    };
+
+    walk(isObject(before) ? before : {}, isObject(after) ? after : {}, []);
+
+    return changes;
+  }
+}
+
+module.exports = SettingsHistory;
@@ -0,0 +1,154 @@
+const path = require('path');
+const os = require('os');
+const SettingsStore = require('./SettingsStore');
+
+/**
+ * Settings scopes in precedence order, lowest first. A plugin's effective
+ * enabled state is decided by the highest-precedence layer that lists it.
+ */
+const SCOPES = ['user', 'project', 'local'];
+
+/**
+ * SettingsLayers
+ *
+ * Resolves Claude Code's layered settings files:
+ * - user:    ~/.claude/settings.json
+ * - project: <project>/.claude/settings.json
+ * - local:   <project>/.claude/settings.local.json
+ *
+ * Features:
+ * - One SettingsStore per settings file (shared lock and atomic writes)
+ * - Effective enabledPlugins state with the deciding layer per plugin
+ * - Per-layer read errors reported instead of thrown
+ */
+class SettingsLayers {
+  /**
+   * Create SettingsLayers
+   * @param {object} config - Configuration options
+   * @param {string} config.userSettingsPath - Path to the user settings.json
+   * @param {string} config.projectRoot - Project root containing .claude/
+   */
+  constructor(config = {}) {
+    this.userSettingsPath = config.userSettingsPath || path.join(os.homedir(), '.claude', 'settings.json');
+    this.projectRoot = config.projectRoot || process.cwd();
+
+    this.stores = new Map(); // settings path -> SettingsStore
+  }
+
+  /**
+   * Check whether a scope name is valid
+   * @param {string} scope - Scope name
+   * @returns {boolean}
+   */
+  isValidScope(scope) {
+    return SCOPES.includes(scope);
+  }
+
+  /**
+   * Change the project root used for the project and local layers
+   * @param {string} projectRoot - Project root directory
+   */
+  setProjectRoot(projectRoot) {
+    this.projectRoot = projectRoot;
+  }
+
+  /**
+   * Get the settings file path for a scope
+   * @param {string} scope - Scope name
+   * @returns {string}
+   */
+  getPath(scope) {
+    switch (scope) {
+      case 'user':
+        return this.userSettingsPath;
+      case 'project':
+        return path.join(this.projectRoot, '.claude', 'settings.json');
+      case 'local':
+        return path.join(this.projectRoot, '.claude', 'settings.local.json');
+      default:
+        throw new Error(`Invalid settings scope '${scope}'. Must be one of: ${SCOPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the store for a settings file path (cached)
+   * @param {string} settingsPath - Settings file path
+   * @returns {SettingsStore}
+   */
+  storeForPath(settingsPath) {
+    const resolved = path.resolve(settingsPath);
+
+    if (!this.stores.has(resolved)) {
+      this.stores.set(resolved, new SettingsStore({ settingsPath: resolved }));
+    }
+
+    return this.stores.get(resolved);
+  }
+
+  /**
+   * Get the store for a scope
+   * @param {string} scope - Scope name
+   * @returns {SettingsStore}
+   */
+  getStore(scope) {
+    return this.storeForPath(this.getPath(scope));
+  }
+
+  /**
+   * Read a single layer
+   * @param {string} scope - Scope name
+   * @returns {Promise<object>} - { scope, path, exists, settings, error }
+   */
+  async readLayer(scope) {
+    const store = this.getStore(scope);
+
+    try {
+      const { settings, exists } = await store.read();
+      return { scope, path: store.settingsPath, exists, settings, error: null };
+    } catch (error) {
+      return { scope, path: store.settingsPath, exists: true, settings: {}, error: error.message };
+    }
+  }
+
+  /**
+   * Read all layers in precedence order (lowest first)
+   * @returns {Promise<Array<object>>}
+   */
+  async readAll() {
+    return Promise.all(SCOPES.map(scope => this.readLayer(scope)));
+  }
+
+  /**
+   * Resolve the effective enabled state of every plugin listed in any layer
+   * @returns {Promise<object>} - { plugins: [{ id, enabled, scope, layers }], layers }
+   */
+  async resolvePlugins() {
+    const layers = await this.readAll();
+    const plugins = new Map(); // id -> resolution
+
+    for (const layer of layers) {
+      const enabledPlugins = layer.settings.enabledPlugins || {};
+
+      for (const [id, value] of Object.entries(enabledPlugins)) {
+        if (!plugins.has(id)) {
+          plugins.set(id, { id, enabled: false, scope: null, layers: {} });
+        }
+
+        // Later layers have higher precedence and overwrite the decision
+        const plugin = plugins.get(id);
+        plugin.layers[layer.scope] = value === true;
+        plugin.enabled = value === true;
+        plugin.scope = layer.scope;
+      }
+    }
+
+    return {
+      plugins: Array.from(plugins.values()),
+      layers: layers.map(({ scope, path: layerPath, exists, error }) => ({ scope, path: layerPath, exists, error }))
+    };
+  }
+}
+
+SettingsLayers.SCOPES = SCOPES;
+
+module.exports = SettingsLayers;
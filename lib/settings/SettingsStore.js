@@ -0,0 +1,214 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * SettingsStore
+ *
+ * Lock-protected, atomic read-modify-write access to a Claude Code
+ * settings.json file.
+ *
+ * Features:
+ * - Lock file shared by every manager process/tab writing the same file
+ * - Atomic writes (temp file then rename), preserving the file mode
+ * - Detects the file changing underneath (e.g. a Claude Code session that
+ *   does not honor the lock) and re-applies the mutation to the fresh
+ *   content instead of clobbering it
+ * - Refuses to overwrite a settings file it cannot parse
+ */
+class SettingsStore {
+  /**
+   * Create a SettingsStore
+   * @param {object} config - Configuration options
+   * @param {string} config.settingsPath - Path to settings.json
+   * @param {number} config.lockAcquireTimeout - Max time to wait for the lock (ms)
+   * @param {number} config.maxRetries - Retries when the file changes mid-update
+   */
+  constructor(config = {}) {
+    this.settingsPath = config.settingsPath || path.join(
+      os.homedir(),
+      '.claude',
+      'settings.json'
+    );
+
+    // File locking state
+    this.lockPath = `${this.settingsPath}.lock`;
+    this.lockAcquireTimeout = config.lockAcquireTimeout || 5000; // 5 seconds
+    this.maxRetries = config.maxRetries || 5;
+  }
+
+  /**
+   * Acquire file lock with timeout
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _acquireLock() {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < this.lockAcquireTimeout) {
+      try {
+        // Try to create lock file exclusively
+        await fsPromises.writeFile(
+          this.lockPath,
+          JSON.stringify({ pid: process.pid, timestamp: Date.now() }),
+          { flag: 'wx', mode: 0o644 }
+        );
+        return;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // Settings directory does not exist yet
+          await fsPromises.mkdir(path.dirname(this.settingsPath), { recursive: true });
+          continue;
+        }
+
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        // Lock file exists, check if it's stale
+        try {
+          const lockData = JSON.parse(await fsPromises.readFile(this.lockPath, 'utf8'));
+
+          // If lock is older than 30 seconds, consider it stale
+          if (Date.now() - lockData.timestamp > 30000) {
+            await this._releaseLock();
+            continue;
+          }
+        } catch (readError) {
+          // Lock file vanished or is corrupted; only remove it if it's still there
+          if (readError.code !== 'ENOENT') {
+            await this._releaseLock();
+          }
+          continue;
+        }
+
+        // Wait and retry
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+
+    throw new Error('Failed to acquire settings lock within timeout');
+  }
+
+  /**
+   * Release file lock
+   * @private
+   */
+  async _releaseLock() {
+    try {
+      await fsPromises.unlink(this.lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[SettingsStore] Failed to release lock:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Hash file content for change detection
+   * @private
+   * @param {string|null} raw - Raw file content
+   * @returns {string}
+   */
+  _hash(raw) {
+    return raw === null ? 'missing' : crypto.createHash('sha256').update(raw).digest('hex');
+  }
+
+  /**
+   * Read the raw file content
+   * @private
+   * @returns {Promise<string|null>} - Content or null if the file does not exist
+   */
+  async _readRaw() {
+    try {
+      return await fsPromises.readFile(this.settingsPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read and parse settings
+   * @returns {Promise<object>} - { settings, exists, hash }
+   */
+  async read() {
+    const raw = await this._readRaw();
+
+    if (raw === null) {
+      return { settings: {}, exists: false, hash: this._hash(null) };
+    }
+
+    try {
+      return { settings: JSON.parse(raw), exists: true, hash: this._hash(raw) };
+    } catch (error) {
+      throw new Error(`Cannot parse ${this.settingsPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically apply a mutation to the settings file.
+   *
+   * The mutator receives a private copy of the current settings and returns
+   * the new settings, or null/undefined to abort without writing. It may run
+   * more than once: when the file changes between read and rename, the
+   * mutation is re-applied to the fresh content, so it must not have side
+   * effects beyond its return value.
+   *
+   * @param {function(object): (object|null)} mutator - Settings mutation
+   * @returns {Promise<object>} - { written: boolean, before: object|null, after: object|null }
+   */
+  async update(mutator) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this._acquireLock();
+
+      try {
+        const { settings, exists, hash } = await this.read();
+        const before = exists ? settings : null;
+        const after = mutator(JSON.parse(JSON.stringify(settings)));
+
+        if (!after) {
+          return { written: false, before, after: null };
+        }
+
+        // Atomic write: write to temp file then rename
+        const tempPath = `${this.settingsPath}.tmp.${process.pid}.${Date.now()}`;
+        let mode = 0o600;
+        try {
+          mode = (await fsPromises.stat(this.settingsPath)).mode & 0o777;
+        } catch (error) {
+          // New file, keep default mode
+        }
+
+        await fsPromises.writeFile(tempPath, JSON.stringify(after, null, 2), { mode });
+
+        // Someone wrote the file without taking the lock: retry on fresh content
+        if (this._hash(await this._readRaw()) !== hash) {
+          await fsPromises.unlink(tempPath).catch(() => {});
+          continue;
+        }
+
+        await fsPromises.rename(tempPath, this.settingsPath);
+        return { written: true, before, after };
+      } finally {
+        await this._releaseLock();
+      }
+    }
+
+    throw new Error('Settings file kept changing during update; giving up');
+  }
+
+  /**
+   * Replace the whole settings file atomically
+   * @param {object} settings - New settings
+   * @returns {Promise<object>} - { written, before, after }
+   */
+  async write(settings) {
+    return this.update(() => settings);
+  }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,550 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * SkillFiles
+ *
+ * Creates and edits filesystem skills: a directory per skill holding a
+ * SKILL.md plus bundled resources (scripts, reference docs, templates).
+ *
+ * Every method takes the skills root it works in (~/.claude/skills or
+ * <project>/.claude/skills), so the same instance serves both scopes.
+ * Skill names follow the command/agent rule (^[a-zA-Z0-9_-]+$) and resource
+ * paths are resolved inside the skill directory; anything escaping it is
+ * rejected.
+ *
+ * Disabled skills are moved to `<skillsRoot>/.disabled/<name>`. Claude Code
+ * only loads direct children of the skills directory that hold a SKILL.md,
+ * so the folder stays out of sessions but keeps its files (and stays inside
+ * the repository for project skills).
+ */
+class SkillFiles {
+  /**
+   * Create a SkillFiles editor
+   * @param {object} config - Configuration options
+   * @param {number} config.maxFileSize - Max size of resource files written (bytes)
+   * @param {number} config.maxFiles - Max files listed per skill
+   */
+  constructor(config = {}) {
+    this.maxFileSize = config.maxFileSize || 1024 * 1024; // 1 MB
+    this.maxFiles = config.maxFiles || 500;
+  }
+
+  /**
+   * Directory holding the disabled skills of a scope
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @returns {string}
+   */
+  disabledRoot(skillsRoot) {
+    return path.join(skillsRoot, SkillFiles.DISABLED_DIR);
+  }
+
+  /**
+   * Validate a skill name
+   * @param {string} name - Skill directory name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && /^[a-zA-Z0-9_-]+$/.test(name);
+  }
+
+  /**
+   * Skill directory path
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {string}
+   */
+  skillDir(skillsRoot, name) {
+    if (!this.isValidName(name)) {
+      throw new Error('Invalid skill name');
+    }
+    return path.join(skillsRoot, name);
+  }
+
+  /**
+   * Check whether a skill directory exists
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<boolean>}
+   */
+  async exists(skillsRoot, name) {
+    try {
+      return (await fsPromises.stat(this.skillDir(skillsRoot, name))).isDirectory();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * SKILL.md content for a new skill
+   * @param {string} name - Skill name
+   * @param {string} description - When Claude should use the skill
+   * @returns {string}
+   */
+  template(name, description) {
+    const title = name.split(/[-_]/).filter(Boolean).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    const body = [
+      `# ${title}`,
+      '',
+      '## Instructions',
+      '',
+      'Describe step by step what Claude should do when this skill is used.',
+      '',
+      '## Examples',
+      '',
+      '- Example request and the expected result',
+      ''
+    ].join('\n');
+
+    return Frontmatter.stringify({
+      name,
+      description: description || `Describe what ${name} does and when Claude should use it`
+    }, body);
+  }
+
+  /**
+   * Create a skill directory with a SKILL.md
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {object} options - { description, content } (content replaces the template)
+   * @returns {Promise<object>} - { name, path }
+   */
+  async create(skillsRoot, name, options = {}) {
+    const dir = this.skillDir(skillsRoot, name);
+    if (await this.exists(skillsRoot, name)) {
+      throw new Error(`Skill '${name}' already exists`);
+    }
+
+    await fsPromises.mkdir(skillsRoot, { recursive: true });
+    await fsPromises.mkdir(dir);
+    await this._writeAtomic(path.join(dir, 'SKILL.md'), options.content || this.template(name, options.description));
+
+    return { name, path: dir };
+  }
+
+  /**
+   * Read a skill's SKILL.md
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<object|null>} - { fields, body, content, error } or null if not found
+   */
+  async read(skillsRoot, name) {
+    let content;
+    try {
+      content = await fsPromises.readFile(path.join(this.skillDir(skillsRoot, name), 'SKILL.md'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const { data, body, error } = Frontmatter.parse(content);
+    return { fields: data, body, content, error };
+  }
+
+  /**
+   * Replace a skill's SKILL.md
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} content - New SKILL.md content
+   * @returns {Promise<boolean>} - False if the skill does not exist
+   */
+  async write(skillsRoot, name, content) {
+    if (!(await this.exists(skillsRoot, name))) {
+      return false;
+    }
+
+    await this._writeAtomic(path.join(this.skillDir(skillsRoot, name), 'SKILL.md'), content);
+    return true;
+  }
+
+  /**
+   * Delete a skill directory with all its files
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<boolean>} - False if the skill does not exist
+   */
+  async remove(skillsRoot, name) {
+    if (!(await this.exists(skillsRoot, name))) {
+      return false;
+    }
+
+    await fsPromises.rm(this.skillDir(skillsRoot, name), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Disable a skill by moving it to the .disabled area
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<boolean>} - False if no enabled skill has this name
+   */
+  async disable(skillsRoot, name) {
+    if (!(await this.exists(skillsRoot, name))) {
+      return false;
+    }
+
+    const disabledRoot = this.disabledRoot(skillsRoot);
+    if (await this.exists(disabledRoot, name)) {
+      throw new Error(`A disabled skill '${name}' already exists`);
+    }
+
+    await fsPromises.mkdir(disabledRoot, { recursive: true });
+    await fsPromises.rename(this.skillDir(skillsRoot, name), this.skillDir(disabledRoot, name));
+    return true;
+  }
+
+  /**
+   * Enable a disabled skill by moving it back
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<boolean>} - False if no disabled skill has this name
+   */
+  async enable(skillsRoot, name) {
+    const disabledRoot = this.disabledRoot(skillsRoot);
+    if (!(await this.exists(disabledRoot, name))) {
+      return false;
+    }
+    if (await this.exists(skillsRoot, name)) {
+      throw new Error(`An enabled skill '${name}' already exists`);
+    }
+
+    await fsPromises.rename(this.skillDir(disabledRoot, name), this.skillDir(skillsRoot, name));
+
+    // Drop the .disabled folder once it is empty
+    await fsPromises.rmdir(disabledRoot).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Resolve a resource path inside a skill directory
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} relativePath - Path relative to the skill directory
+   * @returns {string} - Absolute path
+   */
+  resolveFile(skillsRoot, name, relativePath) {
+    const root = path.resolve(this.skillDir(skillsRoot, name));
+    const resolved = path.resolve(root, String(relativePath || ''));
+
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error('Path is outside the skill directory');
+    }
+    return resolved;
+  }
+
+  /**
+   * File tree of a skill. Directories come first, then files, each sorted by
+   * name. Symbolic links are listed but not followed.
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<object>} - { entries, files, size, truncated } where each
+   *   entry is { name, path, type: 'directory'|'file'|'symlink', size, executable, children }
+   */
+  async tree(skillsRoot, name) {
+    const root = this.skillDir(skillsRoot, name);
+    const totals = { files: 0, size: 0, truncated: false };
+
+    const walk = async (relativeDir) => {
+      let dirents;
+      try {
+        dirents = await fsPromises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      dirents.sort((a, b) => (b.isDirectory() - a.isDirectory()) || (a.name < b.name ? -1 : 1));
+
+      const entries = [];
+      for (const dirent of dirents) {
+        if (totals.files >= this.maxFiles) {
+          totals.truncated = true;
+          break;
+        }
+
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+          entries.push({ name: dirent.name, path: relativePath, type: 'directory', children: await walk(relativePath) });
+        } else if (dirent.isFile() || dirent.isSymbolicLink()) {
+          const stats = await fsPromises.lstat(path.join(root, relativePath));
+          entries.push({
+            name: dirent.name,
+            path: relativePath,
+            type: dirent.isFile() ? 'file' : 'symlink',
+            size: stats.size,
+            executable: dirent.isFile() && (stats.mode & 0o111) !== 0
+          });
+          totals.files++;
+          totals.size += stats.size;
+        }
+      }
+      return entries;
+    };
+
+    const entries = await walk('');
+    return { entries, ...totals };
+  }
+
+  /**
+   * List the files of a skill, SKILL.md included
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @returns {Promise<Array<object>>} - [{ path, size }] sorted by path (forward slashes)
+   */
+  async listFiles(skillsRoot, name) {
+    const files = [];
+    const collect = (entries) => {
+      for (const entry of entries) {
+        if (entry.type === 'directory') {
+          collect(entry.children);
+        } else if (entry.type === 'file') {
+          files.push({ path: entry.path, size: entry.size });
+        }
+      }
+    };
+
+    collect((await this.tree(skillsRoot, name)).entries);
+    return files.sort((a, b) => (a.path < b.path ? -1 : 1));
+  }
+
+  /**
+   * Read a file of a skill. Binary and oversized files are reported without
+   * their content.
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} relativePath - Path relative to the skill directory
+   * @returns {Promise<object|null>} - { path, size, binary, tooLarge, content } or null if not found
+   */
+  async readFile(skillsRoot, name, relativePath) {
+    const filePath = this.resolveFile(skillsRoot, name, relativePath);
+
+    let realPath;
+    try {
+      realPath = await fsPromises.realpath(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // Symbolic links may point anywhere; only follow those that stay inside
+    const root = await fsPromises.realpath(this.skillDir(skillsRoot, name));
+    if (!realPath.startsWith(root + path.sep)) {
+      throw new Error('Path is outside the skill directory');
+    }
+
+    const stats = await fsPromises.stat(realPath);
+    if (!stats.isFile()) {
+      return null;
+    }
+
+    const result = { path: relativePath, size: stats.size, binary: false, tooLarge: false, content: null };
+    if (stats.size > this.maxFileSize) {
+      result.tooLarge = true;
+      return result;
+    }
+
+    const buffer = await fsPromises.readFile(realPath);
+    if (this.isBinary(buffer)) {
+      result.binary = true;
+      return result;
+    }
+
+    result.content = buffer.toString('utf8');
+    return result;
+  }
+
+  /**
+   * Detect binary content: a NUL byte or invalid UTF-8 in the first 8 KB
+   * @param {Buffer} buffer - File content
+   * @returns {boolean}
+   */
+  isBinary(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    if (sample.includes(0)) {
+      return true;
+    }
+
+    try {
+      // A multi-byte character cut at the sample end is not an error
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Check whether a resource path exists in a skill
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} relativePath - Path relative to the skill directory
+   * @returns {Promise<boolean>}
+   */
+  async fileExists(skillsRoot, name, relativePath) {
+    return this._pathExists(this.resolveFile(skillsRoot, name, relativePath));
+  }
+
+  /**
+   * Create or overwrite a resource file, creating parent folders
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} relativePath - Path relative to the skill directory
+   * @param {string} content - File content
+   * @returns {Promise<boolean>} - False if the skill does not exist
+   */
+  async writeFile(skillsRoot, name, relativePath, content) {
+    const filePath = this.resolveFile(skillsRoot, name, relativePath);
+    if (typeof content !== 'string') {
+      throw new Error('File content must be a string');
+    }
+    if (Buffer.byteLength(content) > this.maxFileSize) {
+      throw new Error(`File is larger than ${this.maxFileSize} bytes`);
+    }
+    if (!(await this.exists(skillsRoot, name))) {
+      return false;
+    }
+
+    await this._assertNoSymlinkEscape(skillsRoot, name, filePath);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await this._writeAtomic(filePath, content);
+    return true;
+  }
+
+  /**
+   * Rename or move a resource file or folder within the skill
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} from - Current path relative to the skill directory
+   * @param {string} to - New path relative to the skill directory
+   * @returns {Promise<boolean>} - False if the source does not exist
+   */
+  async renameFile(skillsRoot, name, from, to) {
+    const source = this.resolveFile(skillsRoot, name, from);
+    const target = this.resolveFile(skillsRoot, name, to);
+    this._guardSkillMd(skillsRoot, name, source, 'renamed');
+
+    if (!(await this._pathExists(source))) {
+      return false;
+    }
+    if (await this._pathExists(target)) {
+      throw new Error(`'${to}' already exists`);
+    }
+    if (target.startsWith(source + path.sep)) {
+      throw new Error('Cannot move a folder into itself');
+    }
+
+    await this._assertNoSymlinkEscape(skillsRoot, name, target);
+    await fsPromises.mkdir(path.dirname(target), { recursive: true });
+    await fsPromises.rename(source, target);
+    return true;
+  }
+
+  /**
+   * Delete a resource file or folder
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} relativePath - Path relative to the skill directory
+   * @returns {Promise<boolean>} - False if not found
+   */
+  async deleteFile(skillsRoot, name, relativePath) {
+    const filePath = this.resolveFile(skillsRoot, name, relativePath);
+    this._guardSkillMd(skillsRoot, name, filePath, 'deleted');
+
+    if (!(await this._pathExists(filePath))) {
+      return false;
+    }
+
+    await fsPromises.rm(filePath, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Reject operations that would leave the skill without its SKILL.md
+   * @private
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} filePath - Resolved path
+   * @param {string} verb - 'renamed' or 'deleted'
+   */
+  _guardSkillMd(skillsRoot, name, filePath, verb) {
+    if (filePath === path.resolve(this.skillDir(skillsRoot, name), 'SKILL.md')) {
+      throw new Error(`SKILL.md cannot be ${verb}`);
+    }
+  }
+
+  /**
+   * Reject writes through symbolic links that lead outside the skill.
+   * Checks the nearest existing parent, so it runs before missing folders
+   * are created.
+   * @private
+   * @param {string} skillsRoot - Skills directory of the scope
+   * @param {string} name - Skill name
+   * @param {string} filePath - Resolved path
+   * @returns {Promise<void>}
+   */
+  async _assertNoSymlinkEscape(skillsRoot, name, filePath) {
+    const root = await fsPromises.realpath(this.skillDir(skillsRoot, name));
+    let existing = path.dirname(filePath);
+    while (!(await this._pathExists(existing))) {
+      existing = path.dirname(existing);
+    }
+    const parent = await fsPromises.realpath(existing);
+    if (parent !== root && !parent.startsWith(root + path.sep)) {
+      throw new Error('Path is outside the skill directory');
+    }
+
+    const stats = await fsPromises.lstat(filePath).catch(() => null);
+    if (stats && stats.isSymbolicLink()) {
+      throw new Error('Refusing to write through a symbolic link');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _pathExists(filePath) {
+    try {
+      await fsPromises.lstat(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file via a temp file and rename, keeping the mode of an existing
+   * file (an executable script stays executable)
+   * @private
+   * @param {string} filePath - Target path
+   * @param {string} content - Content
+   * @returns {Promise<void>}
+   */
+  async _writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.tmp.${Date.now()}`;
+    let mode = null;
+    try {
+      mode = (await fsPromises.stat(filePath)).mode & 0o777;
+    } catch (error) {
+      // New file, keep default mode
+    }
+
+    await fsPromises.writeFile(tempPath, content, 'utf8');
+    if (mode !== null) {
+      await fsPromises.chmod(tempPath, mode);
+    }
+    await fsPromises.rename(tempPath, filePath);
+  }
+}
+
+SkillFiles.DISABLED_DIR = '.disabled';
+
+module.exports = SkillFiles;
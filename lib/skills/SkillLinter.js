@@ -0,0 +1,267 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * SkillLinter
+ *
+ * Checks that a filesystem skill is well formed and reports what the
+ * scanners would otherwise paper over (a missing description silently
+ * becomes 'No description available').
+ *
+ * Checks:
+ * - SKILL.md present and its frontmatter parses
+ * - name/description present and within the length limits; name matches
+ *   the directory
+ * - Relative markdown links and backticked file paths in SKILL.md point to
+ *   files that exist inside the skill. A bare backticked file name
+ *   (`package.json`) may mean a file of the user's project, so a missing
+ *   one is only a warning
+ * - Executable files start with a shebang
+ * - Total size, file count and single file size stay reasonable
+ *
+ * Issues: { severity: 'error'|'warning', code, message, file, line }
+ */
+class SkillLinter {
+  /**
+   * Create a SkillLinter
+   * @param {object} config - Configuration options
+   * @param {number} config.maxNameLength - Longest allowed name
+   * @param {number} config.maxDescriptionLength - Longest allowed description
+   * @param {number} config.maxFiles - File count above which a skill is flagged
+   * @param {number} config.maxTotalSize - Total size above which a skill is flagged (bytes)
+   * @param {number} config.maxFileSize - Single file size above which it is flagged (bytes)
+   */
+  constructor(config = {}) {
+    this.maxNameLength = config.maxNameLength || 64;
+    this.maxDescriptionLength = config.maxDescriptionLength || 1024;
+    this.maxFiles = config.maxFiles || 100;
+    this.maxTotalSize = config.maxTotalSize || 5 * 1024 * 1024; // 5 MB
+    this.maxFileSize = config.maxFileSize || 1024 * 1024; // 1 MB
+  }
+
+  /**
+   * Lint a skill directory
+   * @param {string} skillDir - Skill directory
+   * @returns {Promise<object>} - { issues, errors, warnings }
+   */
+  async lint(skillDir) {
+    const issues = [];
+    const add = (severity, code, message, file = null, line = null) => {
+      issues.push({ severity, code, message, file, line });
+    };
+
+    const files = await this._listFiles(skillDir);
+    this._checkSize(files, add);
+
+    for (const file of files.filter(f => f.executable)) {
+      const head = await this._readHead(path.join(skillDir, file.path));
+      if (!head.startsWith('#!')) {
+        add('warning', 'missing-shebang', 'Executable file has no shebang (#!) line', file.path);
+      }
+    }
+
+    let content;
+    try {
+      content = await fsPromises.readFile(path.join(skillDir, 'SKILL.md'), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      add('error', 'missing-skill-md', 'SKILL.md is missing');
+      return this._result(issues);
+    }
+
+    const { data, body, error, hasFrontmatter } = Frontmatter.parse(content);
+    if (error) {
+      add('error', 'frontmatter', error, 'SKILL.md');
+    } else if (!hasFrontmatter) {
+      add('error', 'missing-frontmatter', 'SKILL.md has no frontmatter with name and description', 'SKILL.md', 1);
+    } else {
+      this._checkFields(data, path.basename(skillDir), add);
+    }
+
+    const bodyOffset = content.split('\n').length - body.split('\n').length;
+    this._checkReferences(body, bodyOffset, skillDir, new Set(files.map(f => f.path)), add);
+
+    return this._result(issues);
+  }
+
+  /**
+   * Name and description checks
+   * @private
+   * @param {object} data - Frontmatter fields
+   * @param {string} dirName - Skill directory name
+   * @param {function} add - Issue collector
+   */
+  _checkFields(data, dirName, add) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      add('error', 'missing-name', 'Frontmatter has no name', 'SKILL.md');
+    } else {
+      if (name.length > this.maxNameLength) {
+        add('error', 'name-too-long', `Name is longer than ${this.maxNameLength} characters`, 'SKILL.md');
+      }
+      if (!/^[a-z0-9-]+$/.test(name)) {
+        add('warning', 'name-format', 'Name should use lowercase letters, numbers and hyphens only', 'SKILL.md');
+      }
+      if (name !== dirName) {
+        add('warning', 'name-mismatch', `Name '${name}' does not match the directory '${dirName}'`, 'SKILL.md');
+      }
+    }
+
+    const description = typeof data.description === 'string' ? data.description.trim() : '';
+    if (!description) {
+      add('error', 'missing-description', 'Frontmatter has no description; Claude cannot tell when to use the skill', 'SKILL.md');
+    } else if (description.length > this.maxDescriptionLength) {
+      add('error', 'description-too-long', `Description is longer than ${this.maxDescriptionLength} characters`, 'SKILL.md');
+    }
+  }
+
+  /**
+   * Relative links and backticked paths in the SKILL.md body
+   * @private
+   * @param {string} body - Markdown body
+   * @param {number} lineOffset - Lines before the body in SKILL.md
+   * @param {string} skillDir - Skill directory
+   * @param {Set<string>} files - Relative paths of the skill's files
+   * @param {function} add - Issue collector
+   */
+  _checkReferences(body, lineOffset, skillDir, files, add) {
+    const root = path.resolve(skillDir);
+    const reported = new Set();
+    let inFence = false;
+
+    body.split('\n').forEach((text, index) => {
+      const line = lineOffset + index + 1;
+      if (/^\s*(```|~~~)/.test(text)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+
+      const check = (target, code, label, severity = 'error') => {
+        const relative = target.split('#')[0].split('?')[0];
+        if (!relative || reported.has(`${code}:${relative}`)) return;
+
+        let decoded = relative;
+        try {
+          decoded = decodeURIComponent(relative);
+        } catch (error) {
+          // Keep the raw target
+        }
+
+        const resolved = path.resolve(root, decoded);
+        if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+          reported.add(`${code}:${relative}`);
+          add('warning', 'link-outside', `${label} '${relative}' points outside the skill`, 'SKILL.md', line);
+          return;
+        }
+
+        const normalized = path.relative(root, resolved).split(path.sep).join('/');
+        const isDirectory = [...files].some(f => f.startsWith(`${normalized}/`));
+        if (!files.has(normalized) && !isDirectory) {
+          reported.add(`${code}:${relative}`);
+          add(severity, code, `${label} '${relative}' does not exist${severity === 'error' ? '' : ' in the skill'}`, 'SKILL.md', line);
+        }
+      };
+
+      // [text](target) and ![alt](target), skipping URLs and anchors
+      for (const match of text.matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+        if (!/^([a-z][a-z0-9+.-]*:|#|\/)/i.test(match[1])) {
+          check(match[1], 'broken-link', 'Link');
+        }
+      }
+
+      // `scripts/fill.py` or `reference.md`: paths with a folder or a file extension
+      for (const match of text.matchAll(/`([^`\s]+)`/g)) {
+        const candidate = match[1];
+        const looksLikePath = /^(\.{1,2}\/)?[\w.-]+(\/[\w.-]+)*\/?$/.test(candidate) &&
+          (candidate.includes('/') || /\.(md|txt|py|sh|js|ts|json|ya?ml|csv|html|xml|rb|pl)$/i.test(candidate));
+        if (looksLikePath && !/^[a-z][a-z0-9+.-]*:/i.test(candidate) && !candidate.startsWith('/')) {
+          check(candidate.replace(/\/$/, ''), 'missing-file', 'Referenced file', candidate.includes('/') ? 'error' : 'warning');
+        }
+      }
+    });
+  }
+
+  /**
+   * File count and size checks
+   * @private
+   * @param {Array<object>} files - Skill files
+   * @param {function} add - Issue collector
+   */
+  _checkSize(files, add) {
+    const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+    if (files.length > this.maxFiles) {
+      add('warning', 'too-many-files', `Skill contains ${files.length} files (more than ${this.maxFiles})`);
+    }
+    if (totalSize > this.maxTotalSize) {
+      add('warning', 'too-large', `Skill is ${Math.round(totalSize / 1024)} KB in total (more than ${Math.round(this.maxTotalSize / 1024)} KB)`);
+    }
+    for (const file of files.filter(f => f.size > this.maxFileSize)) {
+      add('warning', 'large-file', `File is ${Math.round(file.size / 1024)} KB (more than ${Math.round(this.maxFileSize / 1024)} KB)`, file.path);
+    }
+  }
+
+  /**
+   * All regular files below a directory
+   * @private
+   * @param {string} skillDir - Skill directory
+   * @returns {Promise<Array<object>>} - [{ path, size, executable }]
+   */
+  async _listFiles(skillDir) {
+    const files = [];
+
+    const walk = async (relativeDir) => {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(path.join(skillDir, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          const stats = await fsPromises.stat(path.join(skillDir, relativePath));
+          files.push({ path: relativePath, size: stats.size, executable: (stats.mode & 0o111) !== 0 });
+        }
+      }
+    };
+
+    await walk('');
+    return files;
+  }
+
+  /**
+   * First bytes of a file
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<string>}
+   */
+  async _readHead(filePath) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(2);
+      const { bytesRead } = await handle.read(buffer, 0, 2, 0);
+      return buffer.toString('utf8', 0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _result(issues) {
+    return {
+      issues,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length
+    };
+  }
+}
+
+module.exports = SkillLinter;
@@ -0,0 +1,65 @@
+/**
+ * ScopePrecedence
+ *
+ * Decides which of several same-named slash commands or agents is active.
+ * Items come from the user scope (~/.claude/...) and the project scope of
+ * the selected workspace (<project>/.claude/...); for the same id, the
+ * project item wins and the user item is hidden. It only compares ids and
+ * locations; reading the items is up to the caller.
+ */
+class ScopePrecedence {
+  /**
+   * Create a ScopePrecedence
+   * @param {object} config - Configuration options
+   * @param {Array<string>} config.order - Locations, lowest precedence first
+   */
+  constructor(config = {}) {
+    this.order = config.order || ScopePrecedence.ORDER;
+  }
+
+  /**
+   * Flag name clashes between scopes: shadowed items are hidden by an item of
+   * the same id in a higher scope; overriding items hide one in a lower scope
+   * @param {Array<object>} items - Items with id and location
+   * @returns {Array<object>} - The same items, with shadowed and overrides set
+   */
+  mark(items) {
+    const ranks = new Map();
+    for (const item of items) {
+      const rank = this.order.indexOf(item.location);
+      ranks.set(item.id, [...(ranks.get(item.id) || []), rank]);
+    }
+
+    items.forEach(item => {
+      const rank = this.order.indexOf(item.location);
+      const others = ranks.get(item.id);
+      item.shadowed = others.some(other => other > rank);
+      item.overrides = others.some(other => other < rank);
+    });
+    return items;
+  }
+
+  /**
+   * Find an item by id: the one of the given location, or else the one in effect
+   * @param {Array<object>} items - Items with id and location
+   * @param {string} id - Item id
+   * @param {string} location - Location to look in; omit for the item in effect
+   * @returns {object|null}
+   */
+  find(items, id, location) {
+    let found = null;
+    for (const item of items) {
+      if (item.id !== id || (location && item.location !== location)) {
+        continue;
+      }
+      if (!found || this.order.indexOf(item.location) > this.order.indexOf(found.location)) {
+        found = item;
+      }
+    }
+    return found;
+  }
+}
+
+ScopePrecedence.ORDER = ['user', 'project'];
+
+module.exports = ScopePrecedence;
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const Frontmatter = require('../markdown/Frontmatter');
+
+/**
+ * ScopeTransfer
+ *
+ * Copies and moves skills, slash commands and agents between directories,
+ * i.e. between the user scope (~/.claude/...) and the project scope of any
+ * workspace (<project>/.claude/...).
+ *
+ * Item layout per type:
+ * - skill:   <dir>/<name>/ (a folder with SKILL.md)
+ * - command: <dir>/<name>.md, or <dir>/<namespace>/<name>.md for namespace:name
+ * - agent:   <dir>/<name>.md
+ *
+ * When the target name is taken, `conflict` decides: 'fail' (default)
+ * throws, 'overwrite' replaces the target, 'rename' picks a free name (or
+ * uses `newName`) and 'skip' leaves both untouched. Renamed skills and
+ * agents get their frontmatter `name:` updated to match.
+ *
+ * planRename() applies the rules for renaming or duplicating an item within
+ * its own directory before any transfer runs.
+ */
+class ScopeTransfer {
+  /**
+   * Validate an item name
+   * @param {string} name - Item name
+   * @param {string} type - Item type; commands may be namespaced (frontend:component)
+   * @returns {boolean}
+   */
+  isValidName(name, type) {
+    const pattern = type === 'command' ? /^[a-zA-Z0-9_-]+(:[a-zA-Z0-9_-]+)*$/ : /^[a-zA-Z0-9_-]+$/;
+    return typeof name === 'string' && pattern.test(name);
+  }
+
+  /**
+   * Path of an item
+   * @param {string} type - 'skill', 'command' or 'agent'
+   * @param {string} dir - Directory holding items of this type
+   * @param {string} name - Item name
+   * @returns {string}
+   */
+  itemPath(type, dir, name) {
+    if (!ScopeTransfer.TYPES.includes(type)) {
+      throw new Error(`Unknown item type '${type}'`);
+    }
+    if (!this.isValidName(name, type)) {
+      throw new Error(`Invalid ${type} name`);
+    }
+    return type === 'skill' ? path.join(dir, name) : path.join(dir, ...name.split(':')) + '.md';
+  }
+
+  /**
+   * Check whether an item exists
+   * @param {string} type - Item type
+   * @param {string} dir - Directory holding items of this type
+   * @param {string} name - Item name
+   * @returns {Promise<boolean>}
+   */
+  async exists(type, dir, name) {
+    try {
+      const stats = await fsPromises.stat(this.itemPath(type, dir, name));
+      return type === 'skill' ? stats.isDirectory() : stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * First free name: <name>-copy, <name>-copy-2, ...
+   * @param {string} type - Item type
+   * @param {string} dir - Target directory
+   * @param {string} name - Wanted name
+   * @returns {Promise<string>}
+   */
+  async freeName(type, dir, name) {
+    for (let n = 1; ; n++) {
+      const candidate = n === 1 ? `${name}-copy` : `${name}-copy-${n}`;
+      if (!(await this.exists(type, dir, candidate))) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Copy or move an item
+   * @param {object} options - Transfer options
+   * @param {string} options.type - 'skill', 'command' or 'agent'
+   * @param {string} options.name - Item name
+   * @param {string} options.sourceDir - Directory the item is in
+   * @param {string} options.targetDir - Directory to put it in
+   * @param {string} options.mode - 'copy' or 'move'
+   * @param {string} options.conflict - 'fail', 'overwrite', 'rename' or 'skip'
+   * @param {string} options.newName - Target name (rename, or copy under another name)
+   * @returns {Promise<object|null>} - { status: 'copied'|'moved'|'skipped', name, path }, or null if the source does not exist
+   */
+  async transfer(options) {
+    const { type, name, mode = 'copy', conflict = 'fail' } = options;
+    if (!['copy', 'move'].includes(mode)) {
+      throw new Error(`Unknown mode '${mode}'`);
+    }
+    if (!ScopeTransfer.CONFLICTS.includes(conflict)) {
+      throw new Error(`Unknown conflict resolution '${conflict}'`);
+    }
+
+    const source = this.itemPath(type, options.sourceDir, name);
+    let targetName = options.newName || name;
+    let target = this.itemPath(type, options.targetDir, targetName);
+    if (!(await this.exists(type, options.sourceDir, name))) {
+      return null;
+    }
+    if (path.resolve(source) === path.resolve(target)) {
+      throw new Error('Source and target are the same');
+    }
+
+    if (await this.exists(type, options.targetDir, targetName)) {
+      if (conflict === 'skip') {
+        return { status: 'skipped', name: targetName, path: target };
+      }
+      if (conflict === 'rename') {
+        targetName = await this.freeName(type, options.targetDir, targetName);
+        target = this.itemPath(type, options.targetDir, targetName);
+      } else if (conflict === 'overwrite') {
+        await fsPromises.rm(target, { recursive: true, force: true });
+      } else {
+        throw new Error(`A ${type} named '${targetName}' already exists in the target`);
+      }
+    }
+
+    await fsPromises.mkdir(path.dirname(target), { recursive: true });
+    if (mode === 'move') {
+      await this._move(source, target);
+      await this._removeEmptyParents(source, options.sourceDir);
+    } else {
+      await this._copy(source, target);
+    }
+
+    if (targetName !== name && type !== 'command') {
+      await this._renameInFrontmatter(type === 'skill' ? path.join(target, 'SKILL.md') : target, targetName);
+    }
+
+    return { status: mode === 'move' ? 'moved' : 'copied', name: targetName, path: target };
+  }
+
+  /**
+   * Work out a rename or duplicate of an item within its directory. The
+   * plan's mode, conflict and name are the options to pass to transfer().
+   * @param {object} options - Rename options
+   * @param {string} options.type - 'skill', 'command' or 'agent'
+   * @param {string} options.dir - Directory the item is in
+   * @param {string} options.name - Item name
+   * @param {string} options.newName - New name; a duplicate without one gets <name>-copy
+   * @param {boolean} options.duplicate - Copy instead of rename
+   * @param {boolean} options.overwrite - Replace an item that already has the new name
+   * @returns {Promise<object|null>} - { status: 'ready', name, mode, conflict }, or
+   *   { status: 'conflict', name, suggestedName } when the new name is taken;
+   *   null if the item does not exist
+   */
+  async planRename(options) {
+    const { type, dir, name, newName, duplicate = false, overwrite = false } = options;
+    if (!this.isValidName(name, type)) {
+      throw new Error(`Invalid ${type} name`);
+    }
+    if (!(await this.exists(type, dir, name))) {
+      return null;
+    }
+
+    const targetName = newName || (duplicate ? await this.freeName(type, dir, name) : null);
+    if (!this.isValidName(targetName, type)) {
+      throw new Error(`Invalid new ${type} name`);
+    }
+    if (targetName === name) {
+      throw new Error('The new name is the same as the current one');
+    }
+
+    if (!overwrite && (await this.exists(type, dir, targetName))) {
+      return { status: 'conflict', name: targetName, suggestedName: await this.freeName(type, dir, targetName) };
+    }
+    return {
+      status: 'ready',
+      name: targetName,
+      mode: duplicate ? 'copy' : 'move',
+      conflict: overwrite ? 'overwrite' : 'fail'
+    };
+  }
+
+  /**
+   * Rename, falling back to copy and delete across file systems
+   * @private
+   * @param {string} source - Source path
+   * @param {string} target - Target path
+   * @returns {Promise<void>}
+   */
+  async _move(source, target) {
+    try {
+      await fsPromises.rename(source, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await this._copy(source, target);
+      await fsPromises.rm(source, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Copy a file or folder recursively, failing if the target exists.
+   * Symbolic links are copied as links. (fs.promises.cp needs Node 16.7.)
+   * @private
+   * @param {string} source - Source path
+   * @param {string} target - Target path
+   * @returns {Promise<void>}
+   */
+  async _copy(source, target) {
+    const stats = await fsPromises.lstat(source);
+    if (stats.isSymbolicLink()) {
+      await fsPromises.symlink(await fsPromises.readlink(source), target);
+      return;
+    }
+    if (!stats.isDirectory()) {
+      await fsPromises.copyFile(source, target, fs.constants.COPYFILE_EXCL);
+      return;
+    }
+
+    await fsPromises.mkdir(target);
+    for (const entry of await fsPromises.readdir(source)) {
+      await this._copy(path.join(source, entry), path.join(target, entry));
+    }
+  }
+
+  /**
+   * Remove directories left empty by a move, up to (not including) the root
+   * @private
+   * @param {string} itemPath - Path of the moved item
+   * @param {string} root - Directory holding items of this type
+   * @returns {Promise<void>}
+   */
+  async _removeEmptyParents(itemPath, root) {
+    const stop = path.resolve(root);
+    for (let dir = path.dirname(path.resolve(itemPath)); dir.startsWith(stop + path.sep); dir = path.dirname(dir)) {
+      if ((await fsPromises.readdir(dir)).length > 0) return;
+      await fsPromises.rmdir(dir);
+    }
+  }
+
+  /**
+   * Update the frontmatter name of a renamed skill or agent
+   * @private
+   * @param {string} filePath - SKILL.md or agent file
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async _renameInFrontmatter(filePath, name) {
+    let content;
+    try {
+      content = await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const updated = Frontmatter.setField(content, 'name', name);
+    if (updated !== content) {
+      await fsPromises.writeFile(filePath, updated, 'utf8');
+    }
+  }
+}
+
+ScopeTransfer.TYPES = ['skill', 'command', 'agent'];
+ScopeTransfer.CONFLICTS = ['fail', 'overwrite', 'rename', 'skip'];
+
+module.exports = ScopeTransfer;
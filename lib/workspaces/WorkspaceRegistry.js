@@ -0,0 +1,256 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * WorkspaceRegistry
+ *
+ * Persisted list of known project roots so one running manager can work on
+ * project-level skills, commands, agents and settings of several repos.
+ *
+ * Features:
+ * - Add, remove and select workspaces
+ * - Most-recently-used ordering for quick switching
+ * - Seeds the registry with a default root (the launch directory) on first run
+ * - Atomic persistence (temp file then rename)
+ */
+class WorkspaceRegistry {
+  /**
+   * Create a WorkspaceRegistry
+   * @param {object} config - Configuration options
+   * @param {string} config.storePath - Path to the registry file
+   * @param {string} config.defaultRoot - Workspace registered and selected when the registry is empty
+   */
+  constructor(config = {}) {
+    this.storePath = config.storePath || path.join(
+      os.homedir(),
+      '.claude',
+      'manager',
+      'workspaces.json'
+    );
+    this.defaultRoot = config.defaultRoot || null;
+
+    this.workspaces = new Map(); // id -> workspace
+    this.selectedId = null;
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load the registry from disk (once)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const data = await fsPromises.readFile(this.storePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      if (!Array.isArray(parsed.workspaces)) {
+        throw new Error('Invalid workspaces file format');
+      }
+
+      this.workspaces.clear();
+      for (const workspace of parsed.workspaces) {
+        this.workspaces.set(workspace.id, workspace);
+      }
+      this.selectedId = this.workspaces.has(parsed.selected) ? parsed.selected : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.workspaces.clear();
+      this.selectedId = null;
+    }
+
+    this.isLoaded = true;
+
+    if (this.workspaces.size === 0 && this.defaultRoot) {
+      const workspace = await this.add(this.defaultRoot);
+      await this.select(workspace.id);
+    }
+  }
+
+  /**
+   * Persist the registry with an atomic write
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    await fsPromises.mkdir(path.dirname(this.storePath), { recursive: true, mode: 0o700 });
+
+    const data = {
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      selected: this.selectedId,
+      workspaces: Array.from(this.workspaces.values())
+    };
+
+    const tempPath = `${this.storePath}.tmp.${Date.now()}`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fsPromises.rename(tempPath, this.storePath);
+  }
+
+  /**
+   * Derive a stable, URL-safe ID from a workspace path
+   * @param {string} workspacePath - Absolute workspace path
+   * @returns {string}
+   */
+  idForPath(workspacePath) {
+    return crypto.createHash('sha1').update(path.resolve(workspacePath)).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * List all workspaces sorted by name
+   * @returns {Array<object>}
+   */
+  list() {
+    return Array.from(this.workspaces.values())
+      .sort((a, b) => a.name.localeCompare(b.name) || a.path.localeCompare(b.path));
+  }
+
+  /**
+   * List recently used workspaces, most recent first
+   * @param {number} limit - Maximum number of workspaces
+   * @returns {Array<object>}
+   */
+  recent(limit = 5) {
+    return Array.from(this.workspaces.values())
+      .filter(workspace => workspace.lastUsedAt)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get workspace by ID
+   * @param {string} id - Workspace ID
+   * @returns {object|null}
+   */
+  get(id) {
+    return this.workspaces.get(id) || null;
+  }
+
+  /**
+   * Get the selected workspace
+   * @returns {object|null}
+   */
+  getSelected() {
+    return this.selectedId ? this.get(this.selectedId) : null;
+  }
+
+  /**
+   * Register a project root. Adding an already registered path returns the
+   * existing workspace.
+   * @param {string} workspacePath - Absolute path to the project root
+   * @param {object} options - Additional options
+   * @param {string} options.name - Display name (defaults to the directory name)
+   * @returns {Promise<object>} - Registered workspace
+   */
+  async add(workspacePath, options = {}) {
+    if (typeof workspacePath !== 'string' || !path.isAbsolute(workspacePath)) {
+      throw new Error('Workspace path must be an absolute path');
+    }
+
+    const resolved = path.resolve(workspacePath);
+    const id = this.idForPath(resolved);
+
+    if (this.workspaces.has(id)) {
+      return this.workspaces.get(id);
+    }
+
+    let stats;
+    try {
+      stats = await fsPromises.stat(resolved);
+    } catch (error) {
+      throw new Error(`Workspace path '${resolved}' does not exist`);
+    }
+    if (!stats.isDirectory()) {
+      throw new Error(`Workspace path '${resolved}' is not a directory`);
+    }
+
+    const name = options.name ? String(options.name).trim() : '';
+    const workspace = {
+      id,
+      name: name || path.basename(resolved) || resolved,
+      path: resolved,
+      addedAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.workspaces.set(id, workspace);
+
+    try {
+      await this._save();
+    } catch (error) {
+      // Rollback on failure
+      this.workspaces.delete(id);
+      throw new Error(`Failed to save workspaces: ${error.message}`);
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Select a workspace and mark it as recently used
+   * @param {string} id - Workspace ID
+   * @returns {Promise<object|null>} - Selected workspace or null if not found
+   */
+  async select(id) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) {
+      return null;
+    }
+
+    const previous = { selectedId: this.selectedId, lastUsedAt: workspace.lastUsedAt };
+    this.selectedId = id;
+    workspace.lastUsedAt = new Date().toISOString();
+
+    try {
+      await this._save();
+    } catch (error) {
+      // Rollback on failure
+      this.selectedId = previous.selectedId;
+      workspace.lastUsedAt = previous.lastUsedAt;
+      throw new Error(`Failed to save workspaces: ${error.message}`);
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Remove a workspace. Removing the selected workspace selects the most
+   * recently used remaining one.
+   * @param {string} id - Workspace ID
+   * @returns {Promise<boolean>} - True if removed, false if not found
+   */
+  async remove(id) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) {
+      return false;
+    }
+
+    const previousSelected = this.selectedId;
+    this.workspaces.delete(id);
+
+    if (this.selectedId === id) {
+      const [next] = this.recent(1);
+      this.selectedId = next ? next.id : null;
+    }
+
+    try {
+      await this._save();
+    } catch (error) {
+      // Rollback on failure
+      this.workspaces.set(id, workspace);
+      this.selectedId = previousSelected;
+      throw new Error(`Failed to save workspaces: ${error.message}`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = WorkspaceRegistry;
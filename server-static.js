@@ -2,9 +2,6 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
 
 // Marketplace routes
 const MarketplaceRoutes = require('./lib/marketplace/routes/marketplace');
@@ -12,12 +9,94 @@ const marketplaceRoutes = new MarketplaceRoutes({
   currentVersion: '1.0.0'
 });
 
+const ProfileManager = require('./lib/plugins/ProfileManager');
+const PluginResolver = require('./lib/plugins/PluginResolver');
+const PluginContents = require('./lib/plugins/PluginContents');
+const PluginMarketplaces = require('./lib/plugins/PluginMarketplaces');
+const SettingsHistory = require('./lib/settings/SettingsHistory');
+const SettingsLayers = require('./lib/settings/SettingsLayers');
+const WorkspaceRegistry = require('./lib/workspaces/WorkspaceRegistry');
+const ChangeWatcher = require('./lib/events/ChangeWatcher');
+const JobManager = require('./lib/jobs/JobManager');
+const Frontmatter = require('./lib/markdown/Frontmatter');
+const SkillFiles = require('./lib/skills/SkillFiles');
+const SkillLinter = require('./lib/skills/SkillLinter');
+const ScopeTransfer = require('./lib/transfer/ScopeTransfer');
+const ScopePrecedence = require('./lib/transfer/ScopePrecedence');
+const AgentDefinition = require('./lib/agents/AgentDefinition');
+const CommandTemplate = require('./lib/commands/CommandTemplate');
+const CommandFiles = require('./lib/commands/CommandFiles');
+const FileHistory = require('./lib/history/FileHistory');
+const ContentSearch = require('./lib/search/ContentSearch');
+
 const PORT = 3456;
 const SETTINGS_PATH = path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'settings.json');
 const USER_SKILLS_PATH = path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'skills');
-const PROJECT_SKILLS_PATH = path.join(process.cwd(), '.claude', 'skills');
 const USER_COMMANDS_PATH = path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'commands');
 const USER_AGENTS_PATH = path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'agents');
+const MANAGER_DATA_PATH = path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'manager');
+
+// Plugin profiles (named enabledPlugins snapshots)
+const profileManager = new ProfileManager({
+    storePath: path.join(MANAGER_DATA_PATH, 'plugin-profiles.json')
+});
+
+// Installed plugin locations and manifests (~/.claude/plugins)
+const pluginResolver = new PluginResolver({
+    pluginsDir: path.join(process.env.USERPROFILE || process.env.HOME, '.claude', 'plugins')
+});
+
+// Configured plugin marketplaces (~/.claude/plugins/known_marketplaces.json)
+const pluginMarketplaces = new PluginMarketplaces({ resolver: pluginResolver });
+
+// Commands, agents, skills, hooks and MCP servers shipped by a plugin
+const pluginContents = new PluginContents();
+
+// User, project and local settings layers with lock-protected, atomic access
+const settingsLayers = new SettingsLayers({
+    userSettingsPath: SETTINGS_PATH,
+    projectRoot: process.cwd()
+});
+
+// Known project roots; the selected one backs project-level scanners and settings layers
+const workspaceRegistry = new WorkspaceRegistry({
+    storePath: path.join(MANAGER_DATA_PATH, 'workspaces.json'),
+    defaultRoot: process.cwd()
+});
+
+// Rotating history of every settings.json write made by the manager
+const settingsHistory = new SettingsHistory({
+    historyDir: path.join(MANAGER_DATA_PATH, 'settings-history')
+});
+
+// Revisions of the commands, agents and skills the manager writes or deletes
+const fileHistory = new FileHistory({
+    historyDir: path.join(MANAGER_DATA_PATH, 'file-history')
+});
+
+// Filesystem watchers feeding the /api/events stream
+const changeWatcher = new ChangeWatcher();
+const eventClients = new Set(); // open SSE responses
+
+// Background Claude CLI operations with streamed, persisted logs
+const jobManager = new JobManager({
+    jobsDir: path.join(MANAGER_DATA_PATH, 'jobs')
+});
+
+// Create and edit filesystem skills (SKILL.md and bundled resources)
+const skillFiles = new SkillFiles();
+
+// Well-formedness checks for filesystem skills
+const skillLinter = new SkillLinter();
+
+// Copy/move skills, commands and agents between user and project scopes
+const scopeTransfer = new ScopeTransfer();
+
+// Which of same-named user and project commands/agents is in effect
+const scopePrecedence = new ScopePrecedence();
+
+// Ranked full-text search for /api/search
+const contentSearch = new ContentSearch();
 
 // MIME types
 const MIME_TYPES = {
@@ -41,15 +120,89 @@ function readSettings() {
     }
 }
 
-// Write settings file
-function writeSettings(settings) {
+// Apply a read-modify-write to a settings file under the settings lock and
+// record the change in the settings history. The mutator may run more than
+// once (see SettingsStore.update) and returns null to skip the write.
+// options.scope picks the layer (default 'user'); options.settingsPath
+// targets a specific file, e.g. when restoring a history entry.
+async function updateSettings(mutator, source, options = {}) {
+    const store = options.settingsPath
+        ? settingsLayers.storeForPath(options.settingsPath)
+        : settingsLayers.getStore(options.scope || 'user');
+
+    let result;
     try {
-        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf8');
-        return true;
+        result = await store.update(mutator);
     } catch (error) {
         console.error('Error writing settings:', error);
         return false;
     }
+
+    // Skip no-op writes so "undo" always reverts a real change. Restores are always
+    // recorded, even when the file already matched, so undo moves on to older entries.
+    if (result.written && (options.restoredFrom || settingsHistory.diff(result.before, result.after).length > 0)) {
+        try {
+            await settingsHistory.record({
+                source,
+                settingsPath: store.settingsPath,
+                before: result.before,
+                after: result.after,
+                restoredFrom: options.restoredFrom
+            });
+        } catch (error) {
+            console.error('Error recording settings history:', error);
+        }
+    }
+
+    return true;
+}
+
+// Enabled state of every plugin resolved across the user, project and local layers
+async function getEffectivePlugins() {
+    const { plugins } = await settingsLayers.resolvePlugins();
+    return Object.fromEntries(plugins.map(plugin => [plugin.id, plugin.enabled]));
+}
+
+// Replace settings file
+async function writeSettings(settings, source, options = {}) {
+    return updateSettings(() => settings, source, options);
+}
+
+// Restore settings to the state before a history entry was written (empty settings
+// when that write created the file).
+// Returns the HTTP status alongside the response body.
+async function restoreSettingsEntry(entry, source) {
+    const written = await writeSettings(settingsHistory.restoreState(entry), source, {
+        settingsPath: entry.settingsPath || SETTINGS_PATH,
+        restoredFrom: entry.id
+    });
+    if (!written) {
+        return { success: false, status: 500, error: 'Failed to write settings' };
+    }
+
+    return { success: true, status: 200, restored: entry.id };
+}
+
+// Send JSON response
+function sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// Parse JSON request body
+function parseBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
 }
 
 // Validate plugin name (prevent command injection)
@@ -155,61 +308,68 @@ function getPluginDescription(pluginName) {
     return descriptions[pluginName] || 'Claude Code plugin';
 }
 
-// Get all plugins
+// Get all plugins with their effective state across settings layers
 async function getPlugins() {
-    const settings = readSettings();
-    const enabledPlugins = settings.enabledPlugins || {};
+    const resolved = await settingsLayers.resolvePlugins();
+    const metadata = await pluginResolver.resolveAll(resolved.plugins.map(p => p.id));
 
-    const plugins = Object.keys(enabledPlugins).map(fullId => {
-        const parsed = parsePluginId(fullId);
-        const enabled = enabledPlugins[fullId] === true;
+    return resolved.plugins.map(resolution => {
+        const parsed = parsePluginId(resolution.id);
+        const meta = metadata.get(resolution.id);
 
+        // Manifest metadata first; the name-based heuristics only fill gaps
         return {
-            id: fullId,
+            id: resolution.id,
             name: parsed.name,
             displayName: parsed.name.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
             marketplace: parsed.marketplace,
-            enabled: enabled,
-            description: getPluginDescription(parsed.name),
-            tags: generateTags(parsed.name, parsed.marketplace)
+            enabled: resolution.enabled,
+            scope: resolution.scope,
+            layers: resolution.layers,
+            description: meta.description || getPluginDescription(parsed.name),
+            tags: meta.keywords.length > 0 ? meta.keywords : generateTags(parsed.name, parsed.marketplace),
+            version: meta.version,
+            author: meta.author,
+            homepage: meta.homepage,
+            repository: meta.repository,
+            license: meta.license,
+            installed: meta.installed,
+            installedVersion: meta.installedVersion,
+            installPath: meta.installPath,
+            metadataSource: meta.metadataSource
         };
     });
+}
 
-    return plugins;
+// Read the frontmatter of a SKILL.md, command or agent file. Parse errors are
+// returned per file; the description then falls back to the first body line.
+function readMarkdownMetadata(content) {
+    const { data, body, error } = Frontmatter.parse(content);
+    const description = typeof data.description === 'string' && data.description.trim()
+        ? data.description.trim()
+        : Frontmatter.firstLine(body);
+
+    return { metadata: data, description, frontmatterError: error };
 }
 
-// Parse YAML frontmatter from SKILL.md
+// Parse SKILL.md with its YAML frontmatter
 function parseSkillMd(skillPath) {
     try {
         const mdPath = path.join(skillPath, 'SKILL.md');
         if (fs.existsSync(mdPath)) {
             const content = fs.readFileSync(mdPath, 'utf8');
-
-            // Parse YAML frontmatter
-            const frontmatterMatch = content.match(/^---\s*\r?\n([\s\S]*?)\r?\n---/);
-            if (frontmatterMatch) {
-                const frontmatter = frontmatterMatch[1];
-                const metadata = {};
-
-                // Simple YAML parser for name and description
-                const lines = frontmatter.split(/\r?\n/);
-                for (const line of lines) {
-                    const match = line.match(/^(\w+):\s*(.*)$/);
-                    if (match) {
-                        const key = match[1];
-                        const value = match[2].trim();
-                        if (value) {
-                            metadata[key] = value;
-                        }
-                    }
-                }
-
-                return {
-                    name: metadata.name || path.basename(skillPath),
-                    description: metadata.description || 'No description available',
-                    content: content // Store full content for README
-                };
-            }
+            const { metadata, description, frontmatterError } = readMarkdownMetadata(content);
+
+            return {
+                name: typeof metadata.name === 'string' ? metadata.name : path.basename(skillPath),
+                description: description || 'No description available',
+                version: metadata.version,
+                author: metadata.author,
+                tags: Frontmatter.toList(metadata.tags),
+                metadata,
+                frontmatterError,
+                content: content // Store full content for README
+            };
         }
     } catch (error) {
         console.error(`Error reading SKILL.md for ${skillPath}:`, error.message);
@@ -253,7 +413,8 @@ function getSettingsSkills() {
             source: 'settings',
             version: skill.version || '1.0.0',
             author: skill.author || 'Anthropic',
-            tags: skill.tags || []
+            tags: skill.tags || [],
+            enabled: skill.enabled !== false
         }));
     } catch (error) {
         console.error('Error reading skills from settings:', error);
@@ -261,12 +422,197 @@ function getSettingsSkills() {
     }
 }
 
+// Resolve the workspace for project-level scanners: ?workspace=<id> or the selected one
+async function resolveWorkspace(query) {
+    await workspaceRegistry.initialize();
+    const workspaceId = query.get('workspace');
+    return workspaceId ? workspaceRegistry.get(workspaceId) : workspaceRegistry.getSelected();
+}
+
+// Directory holding skills, commands or agents of a scope: 'user' (~/.claude/...)
+// or 'project' (<workspace>/.claude/..., the selected workspace unless one is given)
+async function resolveScopeDir(type, scope, workspaceId) {
+    const userDirs = { skill: USER_SKILLS_PATH, command: USER_COMMANDS_PATH, agent: USER_AGENTS_PATH };
+    if (scope === 'user') {
+        return { scope, dir: userDirs[type] };
+    }
+    if (scope !== 'project') {
+        return { status: 400, error: 'Scope is required: scope=user or scope=project' };
+    }
+
+    await workspaceRegistry.initialize();
+    const workspace = workspaceId ? workspaceRegistry.get(workspaceId) : workspaceRegistry.getSelected();
+    if (!workspace) {
+        return workspaceId
+            ? { status: 404, error: 'Workspace not found' }
+            : { status: 400, error: 'No workspace selected for project scope' };
+    }
+    return { scope, dir: path.join(workspace.path, '.claude', `${type}s`), workspace };
+}
+
+// Run a change to a command, agent or skill in a resolved scope and record it in the file history
+function trackItem(type, name, target, action, change) {
+    const itemPath = scopeTransfer.itemPath(type, target.dir, name);
+    return fileHistory.track({ type, name, location: target.scope, itemPath }, action, change);
+}
+
+// Copy or move an item between resolved scopes, recording the target write (and for a move, the
+// source as moved away, so renamed or moved items do not show up in the trash)
+function transferTracked({ type, name, mode, conflict, newName, source, target }) {
+    const transfer = () => scopeTransfer.transfer({
+        type, name, mode, conflict, newName,
+        sourceDir: source.dir,
+        targetDir: target.dir
+    });
+    return trackItem(type, newName || name, target, 'write', () =>
+        mode === 'move' ? trackItem(type, name, source, 'move', transfer) : transfer()
+    );
+}
+
+// Skills directory for ?scope=user|project (project uses ?workspace=<id> or the selected one)
+async function resolveSkillsRoot(query) {
+    const target = await resolveScopeDir('skill', query.get('scope'), query.get('workspace'));
+    return target.error ? target : { ...target, skillsRoot: target.dir };
+}
+
+// Resolve ?scope= and an existing skill for the editing routes. Sends the
+// error response itself and returns null when the request cannot proceed.
+async function resolveEditableSkill(res, query, skillId) {
+    const target = await resolveSkillsRoot(query);
+    if (target.error) {
+        sendJSON(res, target.status, { error: target.error });
+        return null;
+    }
+    if (!skillFiles.isValidName(skillId)) {
+        sendJSON(res, 400, { error: 'Invalid skill name' });
+        return null;
+    }
+    if (!(await skillFiles.exists(target.skillsRoot, skillId))) {
+        sendJSON(res, 404, { error: 'Skill not found' });
+        return null;
+    }
+    return target;
+}
+
+// Find a filesystem skill by id (?scope= picks user or project, ?workspace= the project).
+// Sends the error response itself and returns null when there is no such skill.
+async function findFilesystemSkill(res, query, skillId) {
+    const workspace = await resolveWorkspace(query);
+    if (!workspace && query.get('workspace')) {
+        sendJSON(res, 404, { error: 'Workspace not found' });
+        return null;
+    }
+
+    const scope = query.get('scope');
+    const skills = await getSkills(workspace ? workspace.path : null);
+    const skill = skills.find(s => s.id === skillId && s.source === 'filesystem' && (!scope || s.location === scope));
+    if (!skill || !skillFiles.isValidName(skill.id)) {
+        sendJSON(res, 404, { error: 'Skill not found' });
+        return null;
+    }
+    return skill;
+}
+
+// Markdown body of a skill, command or agent file for searching ('' when unreadable)
+function readSearchBody(filePath) {
+    try {
+        return Frontmatter.parse(fs.readFileSync(filePath, 'utf8')).body;
+    } catch (error) {
+        return '';
+    }
+}
+
+// Everything /api/search looks through: skills, commands and agents (user and
+// project of the workspace), configured plugins and installed extensions
+async function getSearchDocuments(projectRoot) {
+    const [skills, commands, agents, plugins] = await Promise.all([
+        getSkills(projectRoot),
+        getCommands(projectRoot),
+        getAgents(projectRoot),
+        getPlugins()
+    ]);
+    await marketplaceRoutes.initialize();
+    const extensions = marketplaceRoutes.extensionManager.getInstalledExtensions().map(ext => ext.toJSON());
+
+    return [
+        ...skills.map(skill => ({
+            kind: 'skill',
+            id: skill.id,
+            title: skill.name,
+            description: skill.description,
+            keywords: skill.tags,
+            content: skill.source === 'filesystem' ? readSearchBody(path.join(skill.path, 'SKILL.md')) : '',
+            location: skill.location,
+            enabled: skill.enabled !== false
+        })),
+        ...commands.map(cmd => ({
+            kind: 'command',
+            id: cmd.id,
+            title: cmd.name,
+            description: cmd.description,
+            keywords: cmd.namespace ? [cmd.namespace] : [],
+            content: readSearchBody(cmd.path),
+            location: cmd.location,
+            shadowed: cmd.shadowed
+        })),
+        ...agents.map(agent => ({
+            kind: 'agent',
+            id: agent.id,
+            title: agent.name,
+            description: agent.description,
+            keywords: [],
+            content: readSearchBody(agent.path),
+            location: agent.location,
+            shadowed: agent.shadowed
+        })),
+        ...plugins.map(plugin => ({
+            kind: 'plugin',
+            id: plugin.id,
+            title: plugin.displayName,
+            description: plugin.description,
+            keywords: [plugin.name, plugin.marketplace, plugin.author, ...plugin.tags].filter(Boolean),
+            location: plugin.scope,
+            enabled: plugin.enabled
+        })),
+        ...extensions.map(ext => ({
+            kind: 'extension',
+            id: ext.id,
+            title: ext.displayName || ext.name,
+            description: ext.description,
+            keywords: [ext.type, ext.author, ...(ext.keywords || [])].filter(Boolean),
+            content: ext.readme || ''
+        }))
+    ];
+}
+
+// Point the project settings layers and the project skills/commands/agents watchers at the selected workspace
+function syncProjectRoot() {
+    const workspace = workspaceRegistry.getSelected();
+    settingsLayers.setProjectRoot(workspace ? workspace.path : process.cwd());
+
+    for (const dir of ['skills', 'commands', 'agents']) {
+        if (workspace) {
+            changeWatcher.watch(`project-${dir}`, path.join(workspace.path, '.claude', dir));
+        } else {
+            changeWatcher.unwatch(`project-${dir}`);
+        }
+    }
+}
+
+// Send an event to every connected /api/events client
+function broadcastEvent(event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of eventClients) {
+        client.write(payload);
+    }
+}
+
 // Get all skills (from filesystem and settings.json)
-async function getSkills() {
+async function getSkills(projectRoot) {
     const skills = [];
 
-    // Helper function to scan a skills directory
-    function scanSkillsDir(skillsPath, level) {
+    // Helper function to scan a skills directory (enabled = false for the .disabled area)
+    function scanSkillsDir(skillsPath, level, enabled = true) {
         if (!fs.existsSync(skillsPath)) {
             return [];
         }
@@ -275,7 +621,8 @@ async function getSkills() {
         const foundSkills = [];
 
         for (const entry of entries) {
-            if (entry.isDirectory()) {
+            // Dot folders such as .disabled are not skills
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
                 const skillPath = path.join(skillsPath, entry.name);
                 const skillJson = readSkillJson(skillPath);
 
@@ -290,7 +637,11 @@ async function getSkills() {
                         path: skillPath,
                         version: skillJson.version || '1.0.0',
                         author: skillJson.author || 'Unknown',
-                        tags: skillJson.tags || []
+                        tags: skillJson.tags || [],
+                        metadata: skillJson.metadata || null,
+                        allowedTools: Frontmatter.toList(skillJson.metadata && skillJson.metadata['allowed-tools']),
+                        frontmatterError: skillJson.frontmatterError || null,
+                        enabled
                     });
                 }
             }
@@ -302,10 +653,15 @@ async function getSkills() {
     // Scan user-level skills
     const userSkills = scanSkillsDir(USER_SKILLS_PATH, 'user');
     skills.push(...userSkills);
-
-    // Scan project-level skills
-    const projectSkills = scanSkillsDir(PROJECT_SKILLS_PATH, 'project');
-    skills.push(...projectSkills);
+    skills.push(...scanSkillsDir(skillFiles.disabledRoot(USER_SKILLS_PATH), 'user', false));
+
+    // Scan project-level skills of the workspace
+    if (projectRoot) {
+        const projectSkillsPath = path.join(projectRoot, '.claude', 'skills');
+        const projectSkills = scanSkillsDir(projectSkillsPath, 'project');
+        skills.push(...projectSkills);
+        skills.push(...scanSkillsDir(skillFiles.disabledRoot(projectSkillsPath), 'project', false));
+    }
 
     // Get skills from settings.json
     const settingsSkills = getSettingsSkills();
@@ -314,98 +670,105 @@ async function getSkills() {
     return skills;
 }
 
-// Get all commands
-async function getCommands() {
+// Get all commands (user-level and project-level of the workspace)
+async function getCommands(projectRoot) {
     const commands = [];
-    
-    if (!fs.existsSync(USER_COMMANDS_PATH)) {
-        return commands;
-    }
 
-    const entries = fs.readdirSync(USER_COMMANDS_PATH, { withFileTypes: true });
-    
-    for (const entry of entries) {
-        if (entry.isFile() && entry.name.endsWith('.md') && !entry.name.startsWith('.')) {
-            const filePath = path.join(USER_COMMANDS_PATH, entry.name);
+    // Helper function to read the commands of a directory; subdirectories become namespaces
+    function scanCommandsDir(commandsPath, level) {
+        return CommandFiles.list(commandsPath).map(({ id: name, namespace, path: filePath }) => {
             const content = fs.readFileSync(filePath, 'utf8');
-            const name = entry.name.replace('.md', '');
-            
-            // Extract description from first line or frontmatter
-            let description = 'No description';
-            const lines = content.split('\n');
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('---')) {
-                    description = trimmed.substring(0, 100);
-                    break;
-                }
-            }
-            
-            commands.push({
+            const { metadata, description, frontmatterError } = readMarkdownMetadata(content);
+
+            return {
                 id: name,
                 name: name,
+                namespace,
                 displayName: name.charAt(0).toUpperCase() + name.slice(1),
-                description: description,
+                description: description || 'No description',
+                allowedTools: Frontmatter.toList(metadata['allowed-tools']),
+                // `argument-hint: [message]` parses as a YAML list
+                argumentHint: Array.isArray(metadata['argument-hint'])
+                    ? metadata['argument-hint'].map(arg => `[${arg}]`).join(' ')
+                    : metadata['argument-hint'] || null,
+                model: metadata.model || null,
+                metadata,
+                frontmatterError,
+                location: level,
                 path: filePath,
                 size: content.length,
-                lines: lines.length
-            });
-        }
+                lines: content.split('\n').length
+            };
+        });
     }
-    
-    return commands;
+
+    commands.push(...scanCommandsDir(USER_COMMANDS_PATH, 'user'));
+    if (projectRoot) {
+        commands.push(...scanCommandsDir(path.join(projectRoot, '.claude', 'commands'), 'project'));
+    }
+
+    return scopePrecedence.mark(commands);
 }
 
-// Get all agents
-async function getAgents() {
+// Get all agents (user-level and project-level of the workspace)
+async function getAgents(projectRoot) {
     const agents = [];
-    
-    if (!fs.existsSync(USER_AGENTS_PATH)) {
-        return agents;
-    }
 
-    const entries = fs.readdirSync(USER_AGENTS_PATH, { withFileTypes: true });
-    
-    for (const entry of entries) {
-        if (entry.isFile() && entry.name.endsWith('.md') && !entry.name.startsWith('.')) {
-            const filePath = path.join(USER_AGENTS_PATH, entry.name);
-            const content = fs.readFileSync(filePath, 'utf8');
-            const name = entry.name.replace('.md', '');
-            
-            // Extract description from first line or frontmatter
-            let description = 'No description';
-            const lines = content.split('\n');
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('---')) {
-                    description = trimmed.substring(0, 100);
-                    break;
-                }
+    // Helper function to scan an agents directory
+    function scanAgentsDir(agentsPath, level) {
+        if (!fs.existsSync(agentsPath)) {
+            return [];
+        }
+
+        const entries = fs.readdirSync(agentsPath, { withFileTypes: true });
+        const foundAgents = [];
+
+        for (const entry of entries) {
+            if (entry.isFile() && entry.name.endsWith('.md') && !entry.name.startsWith('.')) {
+                const filePath = path.join(agentsPath, entry.name);
+                const content = fs.readFileSync(filePath, 'utf8');
+                const name = entry.name.replace('.md', '');
+                const { metadata, description, frontmatterError } = readMarkdownMetadata(content);
+
+                foundAgents.push({
+                    id: name,
+                    name: name,
+                    displayName: name.charAt(0).toUpperCase() + name.slice(1),
+                    description: description || 'No description',
+                    tools: Frontmatter.toList(metadata.tools),
+                    model: metadata.model || null,
+                    color: metadata.color || null,
+                    metadata,
+                    frontmatterError,
+                    location: level,
+                    path: filePath,
+                    size: content.length,
+                    lines: content.split('\n').length
+                });
             }
-            
-            agents.push({
-                id: name,
-                name: name,
-                displayName: name.charAt(0).toUpperCase() + name.slice(1),
-                description: description,
-                path: filePath,
-                size: content.length,
-                lines: lines.length
-            });
         }
+
+        return foundAgents;
     }
-    
-    return agents;
-}
 
-// Execute Claude CLI command
-async function execClaude(command) {
-    try {
-        const { stdout, stderr } = await execPromise(`claude ${command}`, { timeout: 60000 });
-        return { success: true, output: stdout, error: stderr };
-    } catch (error) {
-        return { success: false, output: error.stdout || '', error: error.stderr || error.message };
+    agents.push(...scanAgentsDir(USER_AGENTS_PATH, 'user'));
+    if (projectRoot) {
+        agents.push(...scanAgentsDir(path.join(projectRoot, '.claude', 'agents'), 'project'));
     }
+
+    return scopePrecedence.mark(agents);
+}
+
+// Queue a Claude CLI command as a background job. Arguments are passed as an
+// array so user input never reaches a shell.
+function startClaudeJob({ type, title, args, onSuccess }) {
+    return jobManager.start({ type, title, command: 'claude', args, onSuccess });
+}
+
+// Queue a Claude CLI job and answer 202 with its ID
+function sendClaudeJob(res, options) {
+    const job = startClaudeJob(options);
+    sendJSON(res, 202, { jobId: job.id, job });
 }
 
 // Serve static files
@@ -454,6 +817,11 @@ async function handleRequest(req, res) {
     const method = req.method;
 
     try {
+        // Path without query string, and query parameters for API routes
+        const parsedUrl = new URL(url, 'http://localhost');
+        const pathname = parsedUrl.pathname;
+        const query = parsedUrl.searchParams;
+
         // API Routes
         if (url.startsWith('/api/')) {
             // Marketplace routes
@@ -462,194 +830,810 @@ async function handleRequest(req, res) {
                 return;
             }
 
+            // GET /api/events - Server-sent stream of debounced file change and job events
+            if (method === 'GET' && pathname === '/api/events') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                res.write(`retry: 3000\nevent: ready\ndata: ${JSON.stringify({ targets: changeWatcher.list() })}\n\n`);
+
+                eventClients.add(res);
+                req.on('close', () => eventClients.delete(res));
+                return;
+            }
+
+            // GET /api/search?q=[&workspace=][&limit=] - Ranked search with highlighted snippets
+            if (method === 'GET' && pathname === '/api/search') {
+                const q = (query.get('q') || '').trim();
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+                if (!q) {
+                    sendJSON(res, 200, { query: q, results: [] });
+                    return;
+                }
+
+                const documents = await getSearchDocuments(workspace ? workspace.path : null);
+                const results = contentSearch.search(documents, q, { limit: Number(query.get('limit')) || undefined });
+                sendJSON(res, 200, { query: q, results });
+                return;
+            }
+
             // GET /api/plugins
-            if (method === 'GET' && url === '/api/plugins') {
+            if (method === 'GET' && pathname === '/api/plugins') {
                 const plugins = await getPlugins();
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ plugins }));
                 return;
             }
 
-            // GET /api/skills
-            if (method === 'GET' && url === '/api/skills') {
-                const skills = await getSkills();
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ skills }));
+            // GET /api/workspaces
+            if (method === 'GET' && pathname === '/api/workspaces') {
+                await workspaceRegistry.initialize();
+                const selected = workspaceRegistry.getSelected();
+
+                sendJSON(res, 200, {
+                    selected: selected ? selected.id : null,
+                    workspaces: workspaceRegistry.list().map(workspace => ({
+                        ...workspace,
+                        exists: fs.existsSync(workspace.path)
+                    })),
+                    recent: workspaceRegistry.recent().map(workspace => workspace.id)
+                });
                 return;
             }
 
-            // GET /api/commands
-            if (method === 'GET' && url === '/api/commands') {
-                const commands = await getCommands();
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ commands }));
-                return;
-            }
+            // POST /api/workspaces - Register a project root { path, name, select }
+            if (method === 'POST' && pathname === '/api/workspaces') {
+                await workspaceRegistry.initialize();
+                const body = await parseBody(req);
 
-            // GET /api/commands/:id
-            if (method === 'GET' && url.match(/^\/api\/commands\/[^/]+$/)) {
-                const commandId = decodeURIComponent(url.split('/')[3]);
-                const commands = await getCommands();
-                const command = commands.find(c => c.id === commandId);
+                let workspace;
+                try {
+                    workspace = await workspaceRegistry.add(body.path, { name: body.name });
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
 
-                if (command) {
-                    command.content = fs.readFileSync(command.path, 'utf8');
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(command));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Command not found' }));
+                if (body.select) {
+                    await workspaceRegistry.select(workspace.id);
+                    syncProjectRoot();
                 }
+
+                sendJSON(res, 201, { success: true, workspace });
                 return;
             }
 
-            // POST /api/commands/:id - Create or update command
-            if (method === 'POST' && url.match(/^\/api\/commands\/[^/]+$/)) {
-                const commandId = decodeURIComponent(url.split('/')[3]);
-                
-                // Validate command name
-                if (!/^[a-zA-Z0-9_-]+$/.test(commandId)) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid command name' }));
+            // POST /api/workspaces/:id/select
+            if (method === 'POST' && pathname.match(/^\/api\/workspaces\/[^/]+\/select$/)) {
+                await workspaceRegistry.initialize();
+                const workspaceId = decodeURIComponent(pathname.split('/')[3]);
+                const workspace = await workspaceRegistry.select(workspaceId);
+
+                if (!workspace) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
                     return;
                 }
 
-                let body = '';
-                req.on('data', chunk => body += chunk);
-                req.on('end', () => {
-                    try {
-                        const { content } = JSON.parse(body);
-                        const filePath = path.join(USER_COMMANDS_PATH, `${commandId}.md`);
-                        
-                        // Ensure directory exists
-                        if (!fs.existsSync(USER_COMMANDS_PATH)) {
-                            fs.mkdirSync(USER_COMMANDS_PATH, { recursive: true });
-                        }
-                        
-                        fs.writeFileSync(filePath, content, 'utf8');
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: error.message }));
-                    }
-                });
+                syncProjectRoot();
+                sendJSON(res, 200, { success: true, workspace });
                 return;
             }
 
-            // DELETE /api/commands/:id
-            if (method === 'DELETE' && url.match(/^\/api\/commands\/[^/]+$/)) {
-                const commandId = decodeURIComponent(url.split('/')[3]);
-                const filePath = path.join(USER_COMMANDS_PATH, `${commandId}.md`);
-                
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Command not found' }));
+            // DELETE /api/workspaces/:id
+            if (method === 'DELETE' && pathname.match(/^\/api\/workspaces\/[^/]+$/)) {
+                await workspaceRegistry.initialize();
+                const workspaceId = decodeURIComponent(pathname.split('/')[3]);
+
+                if (!(await workspaceRegistry.remove(workspaceId))) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
                 }
+
+                syncProjectRoot();
+                const selected = workspaceRegistry.getSelected();
+                sendJSON(res, 200, { success: true, selected: selected ? selected.id : null });
                 return;
             }
 
-            // GET /api/agents
-            if (method === 'GET' && url === '/api/agents') {
-                const agents = await getAgents();
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ agents }));
+            // GET /api/plugins/available - Catalog plugins of configured marketplaces that are not installed
+            if (method === 'GET' && pathname === '/api/plugins/available') {
+                const { plugins } = await settingsLayers.resolvePlugins();
+                const available = await pluginMarketplaces.listAvailable(plugins.map(p => p.id));
+
+                sendJSON(res, 200, {
+                    plugins: available.map(plugin => ({
+                        ...plugin,
+                        displayName: plugin.name.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
+                        description: plugin.description || getPluginDescription(plugin.name),
+                        tags: plugin.keywords.length > 0 ? plugin.keywords : generateTags(plugin.name, plugin.marketplace)
+                    }))
+                });
                 return;
             }
 
-            // GET /api/agents/:id
-            if (method === 'GET' && url.match(/^\/api\/agents\/[^/]+$/)) {
-                const agentId = decodeURIComponent(url.split('/')[3]);
-                const agents = await getAgents();
-                const agent = agents.find(a => a.id === agentId);
+            // POST /api/plugins/install - Install a plugin from a configured marketplace { id }
+            if (method === 'POST' && pathname === '/api/plugins/install') {
+                const body = await parseBody(req);
+                const pluginId = typeof body.id === 'string' ? body.id : '';
+                const parsed = parsePluginId(pluginId);
 
-                if (agent) {
-                    agent.content = fs.readFileSync(agent.path, 'utf8');
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(agent));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Agent not found' }));
+                if (!isValidPluginName(parsed.name) || !pluginMarketplaces.isValidName(parsed.marketplace)) {
+                    sendJSON(res, 400, { error: 'Plugin ID must be name@marketplace' });
+                    return;
+                }
+
+                const { plugins } = await settingsLayers.resolvePlugins();
+                const available = await pluginMarketplaces.listAvailable(plugins.map(p => p.id));
+
+                if (!available.some(p => p.id === pluginId)) {
+                    const installed = plugins.some(p => p.id === pluginId);
+                    sendJSON(res, installed ? 409 : 404, {
+                        error: installed ? 'Plugin is already installed' : 'Plugin not found in configured marketplaces'
+                    });
+                    return;
                 }
+
+                sendClaudeJob(res, {
+                    type: 'plugin-install',
+                    title: `Install ${pluginId}`,
+                    args: ['plugin', 'install', pluginId]
+                });
                 return;
             }
 
-            // POST /api/agents/:id - Create or update agent
-            if (method === 'POST' && url.match(/^\/api\/agents\/[^/]+$/)) {
-                const agentId = decodeURIComponent(url.split('/')[3]);
-                
-                // Validate agent name
-                if (!/^[a-zA-Z0-9_-]+$/.test(agentId)) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid agent name' }));
+            // POST /api/plugins/batch[?scope=user|project|local] - { ids, action: enable|disable|update|uninstall }
+            if (method === 'POST' && pathname === '/api/plugins/batch') {
+                const body = await parseBody(req);
+                const action = body.action;
+                const scope = query.get('scope') || 'user';
+
+                if (!['enable', 'disable', 'update', 'uninstall'].includes(action)) {
+                    sendJSON(res, 400, { error: 'Action must be enable, disable, update or uninstall' });
                     return;
                 }
 
-                let body = '';
-                req.on('data', chunk => body += chunk);
-                req.on('end', () => {
-                    try {
-                        const { content } = JSON.parse(body);
-                        const filePath = path.join(USER_AGENTS_PATH, `${agentId}.md`);
-                        
-                        // Ensure directory exists
-                        if (!fs.existsSync(USER_AGENTS_PATH)) {
-                            fs.mkdirSync(USER_AGENTS_PATH, { recursive: true });
-                        }
-                        
-                        fs.writeFileSync(filePath, content, 'utf8');
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true }));
-                    } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: error.message }));
+                if (!Array.isArray(body.ids) || body.ids.length === 0 || !body.ids.every(id => typeof id === 'string')) {
+                    sendJSON(res, 400, { error: 'ids must be a non-empty array of plugin IDs' });
+                    return;
+                }
+
+                if (!settingsLayers.isValidScope(scope)) {
+                    sendJSON(res, 400, { error: `Invalid scope '${scope}'` });
+                    return;
+                }
+
+                const ids = Array.from(new Set(body.ids));
+                const known = new Set((await settingsLayers.resolvePlugins()).plugins.map(p => p.id));
+                const results = ids.map(id => {
+                    if (!known.has(id)) return { id, success: false, error: 'Plugin not found' };
+                    if (!isValidPluginName(parsePluginId(id).name)) return { id, success: false, error: 'Invalid plugin name' };
+                    return { id, success: true };
+                });
+                const accepted = results.filter(r => r.success).map(r => r.id);
+                const source = `${method} ${url}`;
+
+                if (action === 'enable' || action === 'disable') {
+                    // One write for the whole selection, so one undo reverts it
+                    const written = accepted.length === 0 || await updateSettings(settings => {
+                        settings.enabledPlugins = settings.enabledPlugins || {};
+                        accepted.forEach(id => {
+                            settings.enabledPlugins[id] = action === 'enable';
+                        });
+                        return settings;
+                    }, source, { scope });
+
+                    if (!written) {
+                        sendJSON(res, 500, { error: 'Failed to write settings' });
+                        return;
                     }
+
+                    const resolved = new Map((await settingsLayers.resolvePlugins()).plugins.map(p => [p.id, p]));
+                    results.filter(r => r.success).forEach(result => {
+                        const plugin = resolved.get(result.id);
+                        result.enabled = plugin.enabled;
+                        result.decidedBy = plugin.scope;
+                    });
+
+                    sendJSON(res, 200, { success: results.every(r => r.success), action, scope, results });
+                    return;
+                }
+
+                // CLI actions: one queued job per plugin
+                results.filter(r => r.success).forEach(result => {
+                    const job = startClaudeJob({
+                        type: `plugin-${action}`,
+                        title: `${action === 'update' ? 'Update' : 'Uninstall'} ${result.id}`,
+                        args: ['plugin', action, parsePluginId(result.id).name]
+                    });
+                    result.jobId = job.id;
                 });
+
+                if (action === 'uninstall' && accepted.length > 0) {
+                    // Drop every successfully uninstalled plugin from settings in a single write
+                    Promise.all(results.filter(r => r.jobId).map(r => jobManager.wait(r.jobId)))
+                        .then(finished => {
+                            const removed = new Set(finished.filter(job => job && job.status === 'succeeded')
+                                .map(job => results.find(r => r.jobId === job.id).id));
+                            if (removed.size === 0) return;
+
+                            return updateSettings(settings => {
+                                const enabledPlugins = settings.enabledPlugins || {};
+                                const present = Array.from(removed).filter(id => enabledPlugins[id] !== undefined);
+                                if (present.length === 0) return null;
+                                present.forEach(id => delete enabledPlugins[id]);
+                                return settings;
+                            }, source);
+                        })
+                        .catch(error => console.error('Error cleaning up uninstalled plugins:', error));
+                }
+
+                sendJSON(res, 202, { success: results.every(r => r.success), action, results });
                 return;
             }
 
-            // DELETE /api/agents/:id
-            if (method === 'DELETE' && url.match(/^\/api\/agents\/[^/]+$/)) {
-                const agentId = decodeURIComponent(url.split('/')[3]);
-                const filePath = path.join(USER_AGENTS_PATH, `${agentId}.md`);
-                
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Agent not found' }));
+            // GET /api/plugins/:id - Plugin details with everything it contributes
+            if (method === 'GET' && pathname.match(/^\/api\/plugins\/[^/]+$/)) {
+                const pluginId = decodeURIComponent(pathname.split('/')[3]);
+                const plugin = (await getPlugins()).find(p => p.id === pluginId);
+
+                if (!plugin) {
+                    sendJSON(res, 404, { error: 'Plugin not found' });
+                    return;
                 }
+
+                const resolved = await pluginResolver.resolve(pluginId);
+                plugin.contents = resolved.installPath && fs.existsSync(resolved.installPath)
+                    ? await pluginContents.inspect(resolved.installPath, resolved.manifest)
+                    : null;
+
+                sendJSON(res, 200, plugin);
                 return;
             }
 
-            // GET /api/skills/:id
-            if (method === 'GET' && url.match(/^\/api\/skills\/[^/]+$/)) {
-                const skillId = decodeURIComponent(url.split('/')[3]);
-                const skills = await getSkills();
-                const skill = skills.find(s => s.id === skillId);
+            // GET /api/plugins/:id/file?path=<path relative to the plugin>
+            if (method === 'GET' && pathname.match(/^\/api\/plugins\/[^/]+\/file$/)) {
+                const pluginId = decodeURIComponent(pathname.split('/')[3]);
+                const resolved = await pluginResolver.resolve(pluginId);
 
-                if (skill) {
-                    // Read full skill details including SKILL.md or README.md
-                    // Only applicable for filesystem-based skills
-                    if (skill.source === 'filesystem' && skill.path) {
-                        try {
-                            // Try SKILL.md first (new format)
-                            const skillMdPath = path.join(skill.path, 'SKILL.md');
-                            if (fs.existsSync(skillMdPath)) {
-                                skill.readme = fs.readFileSync(skillMdPath, 'utf8');
-                            } else {
-                                // Fallback to README.md (old format)
-                                const readmePath = path.join(skill.path, 'README.md');
-                                if (fs.existsSync(readmePath)) {
+                if (!resolved.installPath) {
+                    sendJSON(res, 404, { error: 'Plugin is not installed' });
+                    return;
+                }
+
+                let content;
+                try {
+                    content = await pluginContents.readFile(resolved.installPath, query.get('path'));
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+
+                if (content === null) {
+                    sendJSON(res, 404, { error: 'File not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, { path: query.get('path'), absolutePath: path.join(resolved.installPath, query.get('path')), content });
+                return;
+            }
+
+            // GET /api/skills
+            if (method === 'GET' && pathname === '/api/skills') {
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+
+                const skills = await getSkills(workspace ? workspace.path : null);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ skills }));
+                return;
+            }
+
+            // POST /api/preview/command - Expand a command body with sample arguments { content, arguments }
+            // Bash and @file references are only marked, never run or read
+            if (method === 'POST' && pathname === '/api/preview/command') {
+                const { content, arguments: sampleArguments } = await parseBody(req);
+                sendJSON(res, 200, CommandTemplate.expand(
+                    typeof content === 'string' ? content : '',
+                    typeof sampleArguments === 'string' ? sampleArguments : ''
+                ));
+                return;
+            }
+
+            // GET /api/commands[?workspace=] - User-level and project-level commands
+            if (method === 'GET' && pathname === '/api/commands') {
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+
+                const commands = await getCommands(workspace ? workspace.path : null);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ commands }));
+                return;
+            }
+
+            // GET /api/commands/:id[?scope=user|project] - Without a scope, the effective one (project wins)
+            if (method === 'GET' && pathname.match(/^\/api\/commands\/[^/]+$/)) {
+                const commandId = decodeURIComponent(pathname.split('/')[3]);
+                const workspace = await resolveWorkspace(query);
+                const scope = query.get('scope');
+                const commands = await getCommands(workspace ? workspace.path : null);
+                const command = scopePrecedence.find(commands, commandId, scope);
+
+                if (command) {
+                    command.content = fs.readFileSync(command.path, 'utf8');
+                    command.body = Frontmatter.parse(command.content).body;
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(command));
+                } else {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Command not found' }));
+                }
+                return;
+            }
+
+            // POST /api/commands/:id[?scope=user|project] - Create or update command (user scope by default)
+            // Body: { content } or { fields, body }
+            if (method === 'POST' && pathname.match(/^\/api\/commands\/[^/]+$/)) {
+                const commandId = decodeURIComponent(pathname.split('/')[3]);
+                
+                // Validate command name (namespace:name creates a subdirectory)
+                if (!CommandFiles.isValidId(commandId)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Invalid command name' }));
+                    return;
+                }
+
+                const target = await resolveScopeDir('command', query.get('scope') || 'user', query.get('workspace'));
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+
+                const body = await parseBody(req);
+                const content = typeof body.content === 'string'
+                    ? body.content
+                    : Frontmatter.stringify(body.fields || {}, typeof body.body === 'string' ? body.body : '');
+
+                try {
+                    const filePath = CommandFiles.filePath(target.dir, commandId);
+                    
+                    await trackItem('command', commandId, target, 'write', async () => {
+                        // Ensure directory exists
+                        if (!fs.existsSync(path.dirname(filePath))) {
+                            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                        }
+
+                        fs.writeFileSync(filePath, content, 'utf8');
+                    });
+                    sendJSON(res, 200, { success: true, location: target.scope, frontmatterError: Frontmatter.parse(content).error });
+                } catch (error) {
+                    sendJSON(res, 500, { error: error.message });
+                }
+                return;
+            }
+
+            // DELETE /api/commands/:id[?scope=user|project]
+            if (method === 'DELETE' && pathname.match(/^\/api\/commands\/[^/]+$/)) {
+                const commandId = decodeURIComponent(pathname.split('/')[3]);
+                if (!CommandFiles.isValidId(commandId)) {
+                    sendJSON(res, 400, { error: 'Invalid command name' });
+                    return;
+                }
+
+                const target = await resolveScopeDir('command', query.get('scope') || 'user', query.get('workspace'));
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+                const filePath = CommandFiles.filePath(target.dir, commandId);
+                
+                if (fs.existsSync(filePath)) {
+                    await trackItem('command', commandId, target, 'delete', async () => {
+                        fs.unlinkSync(filePath);
+
+                        // Drop namespace directories left empty
+                        for (let dir = path.dirname(filePath); dir !== target.dir && fs.readdirSync(dir).length === 0; dir = path.dirname(dir)) {
+                            fs.rmdirSync(dir);
+                        }
+                    });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true }));
+                } else {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Command not found' }));
+                }
+                return;
+            }
+
+            // GET /api/agents[?workspace=] - User-level and project-level agents
+            if (method === 'GET' && pathname === '/api/agents') {
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+
+                const agents = await getAgents(workspace ? workspace.path : null);
+                // Choices for the structured agent editor
+                const agentOptions = { tools: AgentDefinition.TOOLS, models: AgentDefinition.MODELS, colors: AgentDefinition.COLORS };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ agents, agentOptions }));
+                return;
+            }
+
+            // GET /api/agents/:id[?scope=user|project] - Without a scope, the effective one (project wins)
+            if (method === 'GET' && pathname.match(/^\/api\/agents\/[^/]+$/)) {
+                const agentId = decodeURIComponent(pathname.split('/')[3]);
+                const workspace = await resolveWorkspace(query);
+                const scope = query.get('scope');
+                const agents = await getAgents(workspace ? workspace.path : null);
+                const agent = scopePrecedence.find(agents, agentId, scope);
+
+                if (agent) {
+                    agent.content = fs.readFileSync(agent.path, 'utf8');
+                    agent.body = Frontmatter.parse(agent.content).body;
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(agent));
+                } else {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Agent not found' }));
+                }
+                return;
+            }
+
+            // POST /api/agents/:id[?scope=user|project] - Create or update agent (user scope by default)
+            // Body: { content } or { fields, body }; the frontmatter is validated before writing,
+            // and warnings (such as unknown tools) come back with the saved response
+            if (method === 'POST' && pathname.match(/^\/api\/agents\/[^/]+$/)) {
+                const agentId = decodeURIComponent(pathname.split('/')[3]);
+                
+                // Validate agent name
+                if (!/^[a-zA-Z0-9_-]+$/.test(agentId)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Invalid agent name' }));
+                    return;
+                }
+
+                const target = await resolveScopeDir('agent', query.get('scope') || 'user', query.get('workspace'));
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+
+                const body = await parseBody(req);
+                const content = typeof body.content === 'string'
+                    ? body.content
+                    : AgentDefinition.build(body.fields || {}, typeof body.body === 'string' ? body.body : '');
+
+                // A raw save may keep a hand-written agent file that never had frontmatter
+                const filePath = path.join(target.dir, `${agentId}.md`);
+                const requireFrontmatter = typeof body.content !== 'string' || !fs.existsSync(filePath) ||
+                    Frontmatter.parse(fs.readFileSync(filePath, 'utf8')).hasFrontmatter;
+
+                const { errors, warnings } = AgentDefinition.validate(content, agentId, { requireFrontmatter });
+                if (errors.length > 0) {
+                    sendJSON(res, 400, { error: `Invalid agent: ${errors.join('; ')}`, errors, warnings });
+                    return;
+                }
+
+                try {
+                    await trackItem('agent', agentId, target, 'write', async () => {
+                        // Ensure directory exists
+                        if (!fs.existsSync(target.dir)) {
+                            fs.mkdirSync(target.dir, { recursive: true });
+                        }
+
+                        fs.writeFileSync(filePath, content, 'utf8');
+                    });
+                    sendJSON(res, 200, { success: true, location: target.scope, warnings });
+                } catch (error) {
+                    sendJSON(res, 500, { error: error.message });
+                }
+                return;
+            }
+
+            // DELETE /api/agents/:id[?scope=user|project]
+            if (method === 'DELETE' && pathname.match(/^\/api\/agents\/[^/]+$/)) {
+                const agentId = decodeURIComponent(pathname.split('/')[3]);
+                if (!/^[a-zA-Z0-9_-]+$/.test(agentId)) {
+                    sendJSON(res, 400, { error: 'Invalid agent name' });
+                    return;
+                }
+
+                const target = await resolveScopeDir('agent', query.get('scope') || 'user', query.get('workspace'));
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+                const filePath = path.join(target.dir, `${agentId}.md`);
+                
+                if (fs.existsSync(filePath)) {
+                    await trackItem('agent', agentId, target, 'delete', async () => fs.unlinkSync(filePath));
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true }));
+                } else {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Agent not found' }));
+                }
+                return;
+            }
+
+            // POST /api/(skills|commands|agents)/:id/(copy|move) - Copy or move between scopes
+            // Body: { from: { scope, workspace }, to: { scope, workspace }, conflict, newName }
+            const transferMatch = pathname.match(/^\/api\/(skills|commands|agents)\/([^/]+)\/(copy|move)$/);
+            if (method === 'POST' && transferMatch) {
+                const type = transferMatch[1].slice(0, -1);
+                const name = decodeURIComponent(transferMatch[2]);
+                const mode = transferMatch[3];
+                const { from = {}, to = {}, conflict = 'fail', newName } = await parseBody(req);
+
+                const source = await resolveScopeDir(type, from.scope, from.workspace);
+                const target = await resolveScopeDir(type, to.scope, to.workspace);
+                for (const resolved of [source, target]) {
+                    if (resolved.error) {
+                        sendJSON(res, resolved.status, { error: resolved.error });
+                        return;
+                    }
+                }
+
+                const targetName = newName || name;
+                if (!scopeTransfer.isValidName(name, type) || !scopeTransfer.isValidName(targetName, type)) {
+                    sendJSON(res, 400, { error: `Invalid ${type} name` });
+                    return;
+                }
+                if (!(await scopeTransfer.exists(type, source.dir, name))) {
+                    sendJSON(res, 404, { error: `${type.charAt(0).toUpperCase() + type.slice(1)} not found` });
+                    return;
+                }
+
+                // Let the client choose overwrite, rename or skip
+                const samePath = path.resolve(scopeTransfer.itemPath(type, source.dir, name)) ===
+                    path.resolve(scopeTransfer.itemPath(type, target.dir, targetName));
+                if (conflict === 'fail' && !samePath && await scopeTransfer.exists(type, target.dir, targetName)) {
+                    sendJSON(res, 409, {
+                        error: `A ${type} named '${targetName}' already exists in the target`,
+                        conflict: true,
+                        suggestedName: await scopeTransfer.freeName(type, target.dir, targetName)
+                    });
+                    return;
+                }
+
+                // Renaming on conflict picks the free name up front so the history records the right item
+                const finalName = conflict === 'rename' && !samePath && await scopeTransfer.exists(type, target.dir, targetName)
+                    ? await scopeTransfer.freeName(type, target.dir, targetName)
+                    : targetName;
+
+                try {
+                    const result = await transferTracked({ type, name, mode, conflict, newName: finalName, source, target });
+                    sendJSON(res, 200, { success: true, ...result });
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                }
+                return;
+            }
+
+            // POST /api/(commands|agents)/:id/(rename|duplicate)[?scope=user|project] - Within the same scope
+            // Body: { newName, overwrite }; duplicate without newName picks <name>-copy
+            const renameMatch = pathname.match(/^\/api\/(commands|agents)\/([^/]+)\/(rename|duplicate)$/);
+            if (method === 'POST' && renameMatch) {
+                const type = renameMatch[1].slice(0, -1);
+                const name = decodeURIComponent(renameMatch[2]);
+                const action = renameMatch[3];
+                const label = type.charAt(0).toUpperCase() + type.slice(1);
+                const { newName, overwrite = false } = await parseBody(req);
+
+                const scope = await resolveScopeDir(type, query.get('scope') || 'user', query.get('workspace'));
+                if (scope.error) {
+                    sendJSON(res, scope.status, { error: scope.error });
+                    return;
+                }
+
+                let plan;
+                try {
+                    plan = await scopeTransfer.planRename({
+                        type, name, newName, overwrite,
+                        dir: scope.dir,
+                        duplicate: action === 'duplicate'
+                    });
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+                if (!plan) {
+                    sendJSON(res, 404, { error: `${label} not found` });
+                    return;
+                }
+                if (plan.status === 'conflict') {
+                    sendJSON(res, 409, {
+                        error: `${label} '${plan.name}' already exists`,
+                        conflict: true,
+                        suggestedName: plan.suggestedName
+                    });
+                    return;
+                }
+
+                try {
+                    const result = await transferTracked({
+                        type, name,
+                        mode: plan.mode,
+                        conflict: plan.conflict,
+                        newName: plan.name,
+                        source: scope,
+                        target: scope
+                    });
+                    sendJSON(res, 200, { success: true, location: scope.scope, name: result.name, path: result.path });
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                }
+                return;
+            }
+
+            // POST /api/skills/:id/(enable|disable)?scope=user|project|managed
+            const skillStateMatch = pathname.match(/^\/api\/skills\/([^/]+)\/(enable|disable)$/);
+            if (method === 'POST' && skillStateMatch) {
+                const skillId = decodeURIComponent(skillStateMatch[1]);
+                const action = skillStateMatch[2];
+
+                // Settings skills carry an enabled flag in settings.json
+                if (query.get('scope') === 'managed') {
+                    let found = false;
+                    const written = await updateSettings(settings => {
+                        const entry = (settings.skills || []).find(skill => (skill.id || skill.name) === skillId);
+                        found = Boolean(entry);
+                        if (!entry) return null;
+                        if (action === 'enable') {
+                            delete entry.enabled;
+                        } else {
+                            entry.enabled = false;
+                        }
+                        return settings;
+                    }, `${method} ${url}`);
+
+                    if (!written) {
+                        sendJSON(res, 500, { error: 'Failed to write settings' });
+                    } else if (!found) {
+                        sendJSON(res, 404, { error: 'Skill not found' });
+                    } else {
+                        sendJSON(res, 200, { success: true, id: skillId, location: 'managed', enabled: action === 'enable' });
+                    }
+                    return;
+                }
+
+                const target = await resolveSkillsRoot(query);
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+                if (!skillFiles.isValidName(skillId)) {
+                    sendJSON(res, 400, { error: 'Invalid skill name' });
+                    return;
+                }
+
+                let changed;
+                try {
+                    changed = action === 'enable'
+                        ? await skillFiles.enable(target.skillsRoot, skillId)
+                        : await skillFiles.disable(target.skillsRoot, skillId);
+                } catch (error) {
+                    sendJSON(res, 409, { error: error.message });
+                    return;
+                }
+
+                if (!changed) {
+                    sendJSON(res, 404, { error: action === 'enable' ? 'Disabled skill not found' : 'Enabled skill not found' });
+                    return;
+                }
+                sendJSON(res, 200, { success: true, id: skillId, location: target.scope, enabled: action === 'enable' });
+                return;
+            }
+
+            // GET /api/lint/skills[?workspace=] - Lint report for every filesystem skill (user and project)
+            if (method === 'GET' && pathname === '/api/lint/skills') {
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+
+                const skills = (await getSkills(workspace ? workspace.path : null)).filter(s => s.source === 'filesystem');
+                const report = [];
+                for (const skill of skills) {
+                    report.push({ id: skill.id, location: skill.location, path: skill.path, ...(await skillLinter.lint(skill.path)) });
+                }
+
+                sendJSON(res, 200, {
+                    skills: report,
+                    errors: report.reduce((sum, r) => sum + r.errors, 0),
+                    warnings: report.reduce((sum, r) => sum + r.warnings, 0)
+                });
+                return;
+            }
+
+            // GET /api/skills/:id/lint[?scope=user|project]
+            if (method === 'GET' && pathname.match(/^\/api\/skills\/[^/]+\/lint$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const skill = await findFilesystemSkill(res, query, skillId);
+                if (!skill) return;
+
+                sendJSON(res, 200, { id: skill.id, location: skill.location, path: skill.path, ...(await skillLinter.lint(skill.path)) });
+                return;
+            }
+
+            // GET /api/skills/:id/files[?scope=user|project] - File tree of a filesystem skill
+            if (method === 'GET' && pathname.match(/^\/api\/skills\/[^/]+\/files$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const skill = await findFilesystemSkill(res, query, skillId);
+                if (!skill) return;
+
+                const tree = await skillFiles.tree(path.dirname(skill.path), skill.id);
+                sendJSON(res, 200, { id: skill.id, location: skill.location, path: skill.path, ...tree });
+                return;
+            }
+
+            // GET /api/skills/:id/files/content?path=[&scope=user|project] - One file of a filesystem skill
+            if (method === 'GET' && pathname.match(/^\/api\/skills\/[^/]+\/files\/content$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const skill = await findFilesystemSkill(res, query, skillId);
+                if (!skill) return;
+
+                let file;
+                try {
+                    file = await skillFiles.readFile(path.dirname(skill.path), skill.id, query.get('path'));
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+
+                if (!file) {
+                    sendJSON(res, 404, { error: 'File not found' });
+                    return;
+                }
+                sendJSON(res, 200, file);
+                return;
+            }
+
+            // GET /api/skills/:id[?scope=user|project|managed]
+            if (method === 'GET' && pathname.match(/^\/api\/skills\/[^/]+$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const workspace = await resolveWorkspace(query);
+                if (!workspace && query.get('workspace')) {
+                    sendJSON(res, 404, { error: 'Workspace not found' });
+                    return;
+                }
+
+                const skills = await getSkills(workspace ? workspace.path : null);
+                const scope = query.get('scope');
+                const skill = skills.find(s => s.id === skillId && (!scope || s.location === scope));
+
+                if (skill) {
+                    // Read full skill details including SKILL.md or README.md
+                    // Only applicable for filesystem-based skills
+                    if (skill.source === 'filesystem' && skill.path) {
+                        try {
+                            // Try SKILL.md first (new format)
+                            const skillMdPath = path.join(skill.path, 'SKILL.md');
+                            if (fs.existsSync(skillMdPath)) {
+                                skill.readme = fs.readFileSync(skillMdPath, 'utf8');
+                                skill.body = Frontmatter.parse(skill.readme).body;
+                            } else {
+                                // Fallback to README.md (old format)
+                                const readmePath = path.join(skill.path, 'README.md');
+                                if (fs.existsSync(readmePath)) {
                                     skill.readme = fs.readFileSync(readmePath, 'utf8');
                                 }
                             }
+                            skill.files = await skillFiles.listFiles(path.dirname(skill.path), skill.id);
                         } catch (error) {
                             console.error('Error reading skill documentation:', error);
                         }
@@ -667,84 +1651,241 @@ async function handleRequest(req, res) {
                 return;
             }
 
-            // POST /api/plugins/:id/toggle
-            if (method === 'POST' && url.match(/^\/api\/plugins\/[^/]+\/toggle$/)) {
-                const pluginId = decodeURIComponent(url.split('/')[3]);
-                const settings = readSettings();
+            // POST /api/skills?scope=user|project - Create a skill from the template { name, description }
+            if (method === 'POST' && pathname === '/api/skills') {
+                const target = await resolveSkillsRoot(query);
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
 
-                if (settings.enabledPlugins[pluginId] !== undefined) {
-                    settings.enabledPlugins[pluginId] = !settings.enabledPlugins[pluginId];
-                    writeSettings(settings);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } else {
-                    res.writeHead(404);
-                    res.end(JSON.stringify({ error: 'Plugin not found' }));
+                const { name, description } = await parseBody(req);
+                if (!skillFiles.isValidName(name)) {
+                    sendJSON(res, 400, { error: 'Invalid skill name' });
+                    return;
                 }
+                if (await skillFiles.exists(target.skillsRoot, name)) {
+                    sendJSON(res, 409, { error: `Skill '${name}' already exists` });
+                    return;
+                }
+
+                const created = await trackItem('skill', name, target, 'write', () => skillFiles.create(target.skillsRoot, name, {
+                    description: typeof description === 'string' ? description.trim() : ''
+                }));
+                sendJSON(res, 201, { success: true, skill: { id: name, name, location: target.scope, path: created.path } });
                 return;
             }
 
-            // POST /api/plugins/:id/enable
-            if (method === 'POST' && url.match(/^\/api\/plugins\/[^/]+\/enable$/)) {
-                const pluginId = decodeURIComponent(url.split('/')[3]);
-                const settings = readSettings();
+            // POST /api/skills/:id?scope= - Replace SKILL.md { content } or { fields, body }
+            if (method === 'POST' && pathname.match(/^\/api\/skills\/[^/]+$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const target = await resolveEditableSkill(res, query, skillId);
+                if (!target) return;
 
-                if (settings.enabledPlugins[pluginId] !== undefined) {
-                    settings.enabledPlugins[pluginId] = true;
-                    writeSettings(settings);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } else {
-                    res.writeHead(404);
-                    res.end(JSON.stringify({ error: 'Plugin not found' }));
+                const body = await parseBody(req);
+                const content = typeof body.content === 'string'
+                    ? body.content
+                    : Frontmatter.stringify(body.fields || {}, typeof body.body === 'string' ? body.body : '');
+
+                await trackItem('skill', skillId, target, 'write', () => skillFiles.write(target.skillsRoot, skillId, content));
+                sendJSON(res, 200, { success: true, frontmatterError: Frontmatter.parse(content).error });
+                return;
+            }
+
+            // DELETE /api/skills/:id?scope= - Delete the skill directory
+            if (method === 'DELETE' && pathname.match(/^\/api\/skills\/[^/]+$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const target = await resolveEditableSkill(res, query, skillId);
+                if (!target) return;
+
+                await trackItem('skill', skillId, target, 'delete', () => skillFiles.remove(target.skillsRoot, skillId));
+                sendJSON(res, 200, { success: true });
+                return;
+            }
+
+            // POST /api/skills/:id/files?scope= - Create or overwrite a resource file { path, content }
+            if (method === 'POST' && pathname.match(/^\/api\/skills\/[^/]+\/files$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const target = await resolveEditableSkill(res, query, skillId);
+                if (!target) return;
+
+                const { path: filePath, content } = await parseBody(req);
+                try {
+                    await trackItem('skill', skillId, target, 'write', () =>
+                        skillFiles.writeFile(target.skillsRoot, skillId, filePath, typeof content === 'string' ? content : '')
+                    );
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
                 }
+
+                sendJSON(res, 200, { success: true, path: filePath });
                 return;
             }
 
-            // POST /api/plugins/:id/disable
-            if (method === 'POST' && url.match(/^\/api\/plugins\/[^/]+\/disable$/)) {
-                const pluginId = decodeURIComponent(url.split('/')[3]);
-                const settings = readSettings();
+            // POST /api/skills/:id/files/rename?scope= - Rename or move a resource { from, to }
+            if (method === 'POST' && pathname.match(/^\/api\/skills\/[^/]+\/files\/rename$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const target = await resolveEditableSkill(res, query, skillId);
+                if (!target) return;
+
+                const { from, to } = await parseBody(req);
+                let renamed;
+                try {
+                    if (await skillFiles.fileExists(target.skillsRoot, skillId, to)) {
+                        sendJSON(res, 409, { error: `'${to}' already exists` });
+                        return;
+                    }
+                    renamed = await trackItem('skill', skillId, target, 'write', () => skillFiles.renameFile(target.skillsRoot, skillId, from, to));
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
 
-                if (settings.enabledPlugins[pluginId] !== undefined) {
-                    settings.enabledPlugins[pluginId] = false;
-                    writeSettings(settings);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
+                if (!renamed) {
+                    sendJSON(res, 404, { error: 'File not found' });
+                    return;
+                }
+                sendJSON(res, 200, { success: true, path: to });
+                return;
+            }
+
+            // DELETE /api/skills/:id/files?scope=&path= - Delete a resource file or folder
+            if (method === 'DELETE' && pathname.match(/^\/api\/skills\/[^/]+\/files$/)) {
+                const skillId = decodeURIComponent(pathname.split('/')[3]);
+                const target = await resolveEditableSkill(res, query, skillId);
+                if (!target) return;
+
+                let deleted;
+                try {
+                    deleted = await trackItem('skill', skillId, target, 'write', () => skillFiles.deleteFile(target.skillsRoot, skillId, query.get('path')));
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+
+                if (!deleted) {
+                    sendJSON(res, 404, { error: 'File not found' });
+                    return;
+                }
+                sendJSON(res, 200, { success: true });
+                return;
+            }
+
+            // POST /api/plugins/:id/(toggle|enable|disable)[?scope=user|project|local]
+            const pluginStateMatch = pathname.match(/^\/api\/plugins\/([^/]+)\/(toggle|enable|disable)$/);
+            if (method === 'POST' && pluginStateMatch) {
+                const pluginId = decodeURIComponent(pluginStateMatch[1]);
+                const action = pluginStateMatch[2];
+                const scope = query.get('scope') || 'user';
+
+                if (!settingsLayers.isValidScope(scope)) {
+                    sendJSON(res, 400, { error: `Invalid scope '${scope}'` });
+                    return;
+                }
+
+                const plugin = (await settingsLayers.resolvePlugins()).plugins.find(p => p.id === pluginId);
+                if (!plugin) {
+                    sendJSON(res, 404, { error: 'Plugin not found' });
+                    return;
+                }
+
+                const written = await updateSettings(settings => {
+                    settings.enabledPlugins = settings.enabledPlugins || {};
+                    const current = settings.enabledPlugins[pluginId];
+
+                    if (action === 'toggle') {
+                        // Flip the stored value when this layer decides, else flip what the user sees
+                        settings.enabledPlugins[pluginId] = plugin.scope === scope && current !== undefined
+                            ? current !== true
+                            : !plugin.enabled;
+                    } else {
+                        settings.enabledPlugins[pluginId] = action === 'enable';
+                    }
+                    return settings;
+                }, `${method} ${url}`, { scope });
+
+                if (!written) {
+                    sendJSON(res, 500, { error: 'Failed to write settings' });
+                    return;
+                }
+
+                const resolved = (await settingsLayers.resolvePlugins()).plugins.find(p => p.id === pluginId);
+                const SCOPES = SettingsLayers.SCOPES;
+                sendJSON(res, 200, {
+                    success: true,
+                    scope,
+                    enabled: resolved.enabled,
+                    decidedBy: resolved.scope,
+                    shadowedBy: SCOPES.indexOf(resolved.scope) > SCOPES.indexOf(scope) ? resolved.scope : null
+                });
+                return;
+            }
+
+            // POST /api/plugins/:id/reset?scope=project|local - Remove a layer's override
+            if (method === 'POST' && pathname.match(/^\/api\/plugins\/[^/]+\/reset$/)) {
+                const pluginId = decodeURIComponent(pathname.split('/')[3]);
+                const scope = query.get('scope');
+
+                if (scope !== 'project' && scope !== 'local') {
+                    sendJSON(res, 400, { error: 'Reset requires scope=project or scope=local' });
+                    return;
+                }
+
+                let found = false;
+                const written = await updateSettings(settings => {
+                    found = settings.enabledPlugins !== undefined && settings.enabledPlugins[pluginId] !== undefined;
+                    if (!found) return null;
+                    delete settings.enabledPlugins[pluginId];
+                    return settings;
+                }, `${method} ${url}`, { scope });
+
+                if (!written) {
+                    sendJSON(res, 500, { error: 'Failed to write settings' });
+                } else if (found) {
+                    sendJSON(res, 200, { success: true, scope });
                 } else {
-                    res.writeHead(404);
-                    res.end(JSON.stringify({ error: 'Plugin not found' }));
+                    sendJSON(res, 404, { error: `Plugin has no ${scope} override` });
                 }
                 return;
             }
 
+            // GET /api/settings/layers
+            if (method === 'GET' && pathname === '/api/settings/layers') {
+                const { layers } = await settingsLayers.resolvePlugins();
+                sendJSON(res, 200, { projectRoot: settingsLayers.projectRoot, layers });
+                return;
+            }
+
             // POST /api/plugins/enable-all
-            if (method === 'POST' && url === '/api/plugins/enable-all') {
-                const settings = readSettings();
-                Object.keys(settings.enabledPlugins).forEach(key => {
-                    settings.enabledPlugins[key] = true;
-                });
-                writeSettings(settings);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true }));
+            if (method === 'POST' && pathname === '/api/plugins/enable-all') {
+                const written = await updateSettings(settings => {
+                    Object.keys(settings.enabledPlugins || {}).forEach(key => {
+                        settings.enabledPlugins[key] = true;
+                    });
+                    return settings;
+                }, `${method} ${url}`);
+
+                sendJSON(res, written ? 200 : 500, written ? { success: true } : { error: 'Failed to write settings' });
                 return;
             }
 
             // POST /api/plugins/disable-all
-            if (method === 'POST' && url === '/api/plugins/disable-all') {
-                const settings = readSettings();
-                Object.keys(settings.enabledPlugins).forEach(key => {
-                    settings.enabledPlugins[key] = false;
-                });
-                writeSettings(settings);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true }));
+            if (method === 'POST' && pathname === '/api/plugins/disable-all') {
+                const written = await updateSettings(settings => {
+                    Object.keys(settings.enabledPlugins || {}).forEach(key => {
+                        settings.enabledPlugins[key] = false;
+                    });
+                    return settings;
+                }, `${method} ${url}`);
+
+                sendJSON(res, written ? 200 : 500, written ? { success: true } : { error: 'Failed to write settings' });
                 return;
             }
 
             // POST /api/plugins/:id/update
-            if (method === 'POST' && url.match(/^\/api\/plugins\/[^/]+\/update$/)) {
-                const pluginId = decodeURIComponent(url.split('/')[3]);
+            if (method === 'POST' && pathname.match(/^\/api\/plugins\/[^/]+\/update$/)) {
+                const pluginId = decodeURIComponent(pathname.split('/')[3]);
                 const parsed = parsePluginId(pluginId);
                 
                 // Validate plugin name to prevent command injection
@@ -754,15 +1895,17 @@ async function handleRequest(req, res) {
                     return;
                 }
                 
-                const result = await execClaude(`plugin update ${parsed.name}`);
-                res.writeHead(result.success ? 200 : 500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(result));
+                sendClaudeJob(res, {
+                    type: 'plugin-update',
+                    title: `Update ${pluginId}`,
+                    args: ['plugin', 'update', parsed.name]
+                });
                 return;
             }
 
             // DELETE /api/plugins/:id
-            if (method === 'DELETE' && url.match(/^\/api\/plugins\/[^/]+$/)) {
-                const pluginId = decodeURIComponent(url.split('/')[3]);
+            if (method === 'DELETE' && pathname.match(/^\/api\/plugins\/[^/]+$/)) {
+                const pluginId = decodeURIComponent(pathname.split('/')[3]);
                 const parsed = parsePluginId(pluginId);
                 
                 // Validate plugin name to prevent command injection
@@ -772,29 +1915,445 @@ async function handleRequest(req, res) {
                     return;
                 }
                 
-                const result = await execClaude(`plugin uninstall ${parsed.name}`);
+                const source = `${method} ${url}`;
+                sendClaudeJob(res, {
+                    type: 'plugin-uninstall',
+                    title: `Uninstall ${pluginId}`,
+                    args: ['plugin', 'uninstall', parsed.name],
+                    onSuccess: async () => {
+                        const written = await updateSettings(settings => {
+                            if (!settings.enabledPlugins || settings.enabledPlugins[pluginId] === undefined) return null;
+                            delete settings.enabledPlugins[pluginId];
+                            return settings;
+                        }, source);
+
+                        if (!written) {
+                            throw new Error('Uninstalled, but failed to remove the plugin from settings.json');
+                        }
+                    }
+                });
+                return;
+            }
 
-                if (result.success) {
-                    const settings = readSettings();
-                    delete settings.enabledPlugins[pluginId];
-                    writeSettings(settings);
+            // POST /api/plugins/update-all
+            if (method === 'POST' && pathname === '/api/plugins/update-all') {
+                sendClaudeJob(res, {
+                    type: 'marketplace-update',
+                    title: 'Update all marketplaces',
+                    args: ['plugin', 'marketplace', 'update']
+                });
+                return;
+            }
+
+            // GET /api/plugin-marketplaces
+            if (method === 'GET' && pathname === '/api/plugin-marketplaces') {
+                const marketplaces = await pluginMarketplaces.list();
+                const { plugins } = await settingsLayers.resolvePlugins();
+
+                for (const marketplace of marketplaces) {
+                    marketplace.pluginsInUse = plugins.filter(p => parsePluginId(p.id).marketplace === marketplace.name).length;
                 }
 
-                res.writeHead(result.success ? 200 : 500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(result));
+                sendJSON(res, 200, { marketplaces });
                 return;
             }
 
-            // POST /api/plugins/update-all
-            if (method === 'POST' && url === '/api/plugins/update-all') {
-                const result = await execClaude('plugin marketplace update');
-                res.writeHead(result.success ? 200 : 500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(result));
+            // POST /api/plugin-marketplaces - Add a marketplace { source }
+            if (method === 'POST' && pathname === '/api/plugin-marketplaces') {
+                const body = await parseBody(req);
+
+                let source;
+                try {
+                    source = pluginMarketplaces.validateSource(body.source);
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+
+                sendClaudeJob(res, {
+                    type: 'marketplace-add',
+                    title: `Add marketplace ${source}`,
+                    args: ['plugin', 'marketplace', 'add', source]
+                });
+                return;
+            }
+
+            // POST /api/plugin-marketplaces/:name/refresh
+            if (method === 'POST' && pathname.match(/^\/api\/plugin-marketplaces\/[^/]+\/refresh$/)) {
+                const name = decodeURIComponent(pathname.split('/')[3]);
+
+                if (!pluginMarketplaces.isValidName(name) || !(await pluginMarketplaces.get(name))) {
+                    sendJSON(res, 404, { error: 'Marketplace not found' });
+                    return;
+                }
+
+                sendClaudeJob(res, {
+                    type: 'marketplace-update',
+                    title: `Refresh marketplace ${name}`,
+                    args: ['plugin', 'marketplace', 'update', name]
+                });
+                return;
+            }
+
+            // DELETE /api/plugin-marketplaces/:name
+            if (method === 'DELETE' && pathname.match(/^\/api\/plugin-marketplaces\/[^/]+$/)) {
+                const name = decodeURIComponent(pathname.split('/')[3]);
+
+                if (!pluginMarketplaces.isValidName(name) || !(await pluginMarketplaces.get(name))) {
+                    sendJSON(res, 404, { error: 'Marketplace not found' });
+                    return;
+                }
+
+                sendClaudeJob(res, {
+                    type: 'marketplace-remove',
+                    title: `Remove marketplace ${name}`,
+                    args: ['plugin', 'marketplace', 'remove', name]
+                });
+                return;
+            }
+
+            // GET /api/jobs - Running, queued and recent jobs (without logs)
+            if (method === 'GET' && pathname === '/api/jobs') {
+                sendJSON(res, 200, { jobs: jobManager.list() });
+                return;
+            }
+
+            // GET /api/jobs/:id?since=<log index> - Job with its log; poll with since for new lines
+            if (method === 'GET' && pathname.match(/^\/api\/jobs\/[^/]+$/)) {
+                const jobId = decodeURIComponent(pathname.split('/')[3]);
+                const since = Math.max(0, parseInt(query.get('since'), 10) || 0);
+                const job = jobManager.isValidId(jobId) ? jobManager.get(jobId, since) : null;
+
+                if (!job) {
+                    sendJSON(res, 404, { error: 'Job not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, job);
+                return;
+            }
+
+            // POST /api/jobs/:id/cancel
+            if (method === 'POST' && pathname.match(/^\/api\/jobs\/[^/]+\/cancel$/)) {
+                const jobId = decodeURIComponent(pathname.split('/')[3]);
+
+                let job;
+                try {
+                    job = jobManager.isValidId(jobId) ? jobManager.cancel(jobId) : null;
+                } catch (error) {
+                    sendJSON(res, 409, { error: error.message });
+                    return;
+                }
+
+                if (!job) {
+                    sendJSON(res, 404, { error: 'Job not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, { success: true, job });
+                return;
+            }
+
+            // GET /api/settings/history
+            if (method === 'GET' && pathname === '/api/settings/history') {
+                const entries = await settingsHistory.list();
+                sendJSON(res, 200, { entries });
+                return;
+            }
+
+            // POST /api/settings/history/undo - Revert the most recent undoable change
+            if (method === 'POST' && pathname === '/api/settings/history/undo') {
+                const entry = await settingsHistory.latestUndoable();
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'Nothing to undo' });
+                    return;
+                }
+
+                const { status, ...result } = await restoreSettingsEntry(entry, `${method} ${url}`);
+                sendJSON(res, status, { ...result, source: entry.source });
+                return;
+            }
+
+            // GET /api/settings/history/:id
+            if (method === 'GET' && pathname.match(/^\/api\/settings\/history\/[^/]+$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[4]);
+                const entry = await settingsHistory.get(entryId);
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, entry);
+                return;
+            }
+
+            // GET /api/settings/history/:id/diff[?against=current]
+            if (method === 'GET' && pathname.match(/^\/api\/settings\/history\/[^/]+\/diff$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[4]);
+                const entry = await settingsHistory.get(entryId);
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+
+                // Default: what the write changed. against=current: what restoring it would change
+                // in the file the entry was written to (user, project or local).
+                const againstCurrent = query.get('against') === 'current';
+                let changes;
+                try {
+                    changes = againstCurrent
+                        ? await settingsHistory.diffWithCurrent(entry, settingsLayers.storeForPath(entry.settingsPath || SETTINGS_PATH))
+                        : settingsHistory.diff(entry.before, entry.after);
+                } catch (error) {
+                    sendJSON(res, 500, { error: error.message });
+                    return;
+                }
+
+                sendJSON(res, 200, { id: entry.id, against: againstCurrent ? 'current' : 'entry', changes });
+                return;
+            }
+
+            // POST /api/settings/history/:id/restore
+            if (method === 'POST' && pathname.match(/^\/api\/settings\/history\/[^/]+\/restore$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[4]);
+                const entry = await settingsHistory.get(entryId);
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+
+                const { status, ...result } = await restoreSettingsEntry(entry, `${method} ${url}`);
+                sendJSON(res, status, result);
+                return;
+            }
+
+            // GET /api/history[?type=&name=&scope=&workspace=] - Revisions of commands, agents and skills, newest first
+            if (method === 'GET' && pathname === '/api/history') {
+                const type = query.get('type');
+                if (!type) {
+                    sendJSON(res, 200, { entries: await fileHistory.list() });
+                    return;
+                }
+
+                const name = query.get('name');
+                if (!ScopeTransfer.TYPES.includes(type) || !scopeTransfer.isValidName(name, type)) {
+                    sendJSON(res, 400, { error: 'type and a valid name are required' });
+                    return;
+                }
+                const target = await resolveScopeDir(type, query.get('scope') || 'user', query.get('workspace'));
+                if (target.error) {
+                    sendJSON(res, target.status, { error: target.error });
+                    return;
+                }
+
+                const entries = await fileHistory.list({ itemPath: scopeTransfer.itemPath(type, target.dir, name) });
+                sendJSON(res, 200, { entries });
+                return;
+            }
+
+            // GET /api/history/trash - Items deleted through the manager that can still be restored
+            if (method === 'GET' && pathname === '/api/history/trash') {
+                const entries = await fileHistory.trash();
+                sendJSON(res, 200, { entries });
+                return;
+            }
+
+            // GET /api/history/:id
+            if (method === 'GET' && pathname.match(/^\/api\/history\/[^/]+$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[3]);
+                const entry = await fileHistory.get(entryId);
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, entry);
+                return;
+            }
+
+            // GET /api/history/:id/diff[?against=current|<id>]
+            if (method === 'GET' && pathname.match(/^\/api\/history\/[^/]+\/diff$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[3]);
+                const entry = await fileHistory.get(entryId);
+
+                if (!entry) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+
+                // Default: what the change did. against=current: what restoring it would change.
+                // against=<id>: from that revision to this one.
+                const against = query.get('against') || 'entry';
+                let changes;
+                if (against === 'entry') {
+                    changes = fileHistory.diff(entry.before, entry.after);
+                } else if (against === 'current') {
+                    changes = fileHistory.diff(await fileHistory.snapshot(entry.path), fileHistory.revision(entry));
+                } else {
+                    const other = await fileHistory.get(against);
+                    if (!other) {
+                        sendJSON(res, 404, { error: 'History entry to compare against not found' });
+                        return;
+                    }
+                    changes = fileHistory.diff(fileHistory.revision(other), fileHistory.revision(entry));
+                }
+
+                sendJSON(res, 200, { id: entry.id, against, changes });
+                return;
+            }
+
+            // POST /api/history/:id/restore - Put the revision back on disk (recorded as a new revision)
+            if (method === 'POST' && pathname.match(/^\/api\/history\/[^/]+\/restore$/)) {
+                const entryId = decodeURIComponent(pathname.split('/')[3]);
+
+                let restored;
+                try {
+                    restored = await fileHistory.restore(entryId);
+                } catch (error) {
+                    sendJSON(res, 400, { error: error.message });
+                    return;
+                }
+
+                if (!restored) {
+                    sendJSON(res, 404, { error: 'History entry not found' });
+                    return;
+                }
+                sendJSON(res, 200, { success: true, entry: restored });
+                return;
+            }
+
+            // GET /api/plugin-profiles - Diffs are against the state resolved across settings layers
+            if (method === 'GET' && pathname === '/api/plugin-profiles') {
+                await profileManager.initialize();
+                const effective = await getEffectivePlugins();
+                const profiles = profileManager.listProfiles().map(profile => ({
+                    ...profile,
+                    enabledCount: Object.values(profile.plugins).filter(Boolean).length,
+                    diff: profileManager.diffProfile(profile.name, effective)
+                }));
+                sendJSON(res, 200, { profiles });
+                return;
+            }
+
+            // POST /api/plugin-profiles - Save the current resolved plugin state as a profile
+            if (method === 'POST' && pathname === '/api/plugin-profiles') {
+                await profileManager.initialize();
+                const { name, description, overwrite } = await parseBody(req);
+
+                if (!profileManager.isValidName(name)) {
+                    sendJSON(res, 400, { error: 'Invalid profile name' });
+                    return;
+                }
+
+                if (profileManager.getProfile(name) && !overwrite) {
+                    sendJSON(res, 409, { error: `Profile '${name}' already exists` });
+                    return;
+                }
+
+                const profile = await profileManager.saveProfile(name, await getEffectivePlugins(), { description, overwrite });
+                sendJSON(res, 200, { success: true, profile });
+                return;
+            }
+
+            // GET /api/plugin-profiles/:name/diff
+            if (method === 'GET' && pathname.match(/^\/api\/plugin-profiles\/[^/]+\/diff$/)) {
+                await profileManager.initialize();
+                const profileName = decodeURIComponent(pathname.split('/')[3]);
+                const diff = profileManager.diffProfile(profileName, await getEffectivePlugins());
+
+                if (!diff) {
+                    sendJSON(res, 404, { error: 'Profile not found' });
+                    return;
+                }
+
+                sendJSON(res, 200, { profile: profileName, diff });
+                return;
+            }
+
+            // POST /api/plugin-profiles/:name/apply[?scope=user|project|local] - Apply profile in a single write to one layer
+            if (method === 'POST' && pathname.match(/^\/api\/plugin-profiles\/[^/]+\/apply$/)) {
+                await profileManager.initialize();
+                const profileName = decodeURIComponent(pathname.split('/')[3]);
+                const scope = query.get('scope') || 'user';
+
+                if (!settingsLayers.isValidScope(scope)) {
+                    sendJSON(res, 400, { error: `Invalid scope '${scope}'` });
+                    return;
+                }
+
+                if (!profileManager.getProfile(profileName)) {
+                    sendJSON(res, 404, { error: 'Profile not found' });
+                    return;
+                }
+
+                const effective = await getEffectivePlugins();
+                const diff = profileManager.diffProfile(profileName, effective);
+                const written = await updateSettings(settings => {
+                    settings.enabledPlugins = profileManager.resolveLayer(profileName, effective, settings.enabledPlugins);
+                    return settings;
+                }, `${method} ${url}`, { scope });
+
+                if (!written) {
+                    sendJSON(res, 500, { error: 'Failed to write settings' });
+                    return;
+                }
+
+                // A higher layer can still decide a plugin against the profile
+                const target = profileManager.getProfile(profileName).plugins;
+                const overridden = (await settingsLayers.resolvePlugins()).plugins
+                    .filter(plugin => plugin.enabled !== (target[plugin.id] === true))
+                    .map(plugin => ({ id: plugin.id, scope: plugin.scope }));
+
+                sendJSON(res, 200, { success: true, profile: profileName, scope, diff, overridden });
+                return;
+            }
+
+            // POST /api/plugin-profiles/:name/rename
+            if (method === 'POST' && pathname.match(/^\/api\/plugin-profiles\/[^/]+\/rename$/)) {
+                await profileManager.initialize();
+                const profileName = decodeURIComponent(pathname.split('/')[3]);
+                const { name: newName } = await parseBody(req);
+
+                if (!profileManager.getProfile(profileName)) {
+                    sendJSON(res, 404, { error: 'Profile not found' });
+                    return;
+                }
+
+                if (!profileManager.isValidName(newName)) {
+                    sendJSON(res, 400, { error: 'Invalid profile name' });
+                    return;
+                }
+
+                if (newName !== profileName && profileManager.getProfile(newName)) {
+                    sendJSON(res, 409, { error: `Profile '${newName}' already exists` });
+                    return;
+                }
+
+                const profile = await profileManager.renameProfile(profileName, newName);
+                sendJSON(res, 200, { success: true, profile });
+                return;
+            }
+
+            // DELETE /api/plugin-profiles/:name
+            if (method === 'DELETE' && pathname.match(/^\/api\/plugin-profiles\/[^/]+$/)) {
+                await profileManager.initialize();
+                const profileName = decodeURIComponent(pathname.split('/')[3]);
+
+                if (await profileManager.deleteProfile(profileName)) {
+                    sendJSON(res, 200, { success: true });
+                } else {
+                    sendJSON(res, 404, { error: 'Profile not found' });
+                }
                 return;
             }
 
             // POST /api/plugins/save
-            if (method === 'POST' && url === '/api/plugins/save') {
+            if (method === 'POST' && pathname === '/api/plugins/save') {
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ success: true, message: 'Configuration saved' }));
                 return;
@@ -835,6 +2394,32 @@ async function handleRequest(req, res) {
 // Create and start server
 const server = http.createServer(handleRequest);
 
+// Watch user-level files; project skills follow the selected workspace
+changeWatcher.watch('user-skills', USER_SKILLS_PATH);
+changeWatcher.watch('user-commands', USER_COMMANDS_PATH);
+changeWatcher.watch('user-agents', USER_AGENTS_PATH);
+changeWatcher.watch('settings', SETTINGS_PATH, { kind: 'file' });
+changeWatcher.watch('extensions', marketplaceRoutes.extensionManager.registryPath, { kind: 'file' });
+changeWatcher.on('change', change => broadcastEvent('change', change));
+
+// Job status changes and log lines go to the same stream
+jobManager.on('update', job => broadcastEvent('job', job));
+jobManager.on('output', entry => broadcastEvent('job-output', entry));
+jobManager.initialize()
+    .catch(error => console.error('Error loading jobs:', error.message));
+
+// Keep idle SSE connections from being closed by proxies
+setInterval(() => {
+    for (const client of eventClients) {
+        client.write(': ping\n\n');
+    }
+}, 25000).unref();
+
+// Restore the persisted workspace selection for the project settings layers
+workspaceRegistry.initialize()
+    .then(syncProjectRoot)
+    .catch(error => console.error('Error loading workspaces:', error.message));
+
 server.listen(PORT, () => {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🚀  Claude Plugin Manager`);
@@ -857,6 +2442,14 @@ server.on('error', (error) => {
 
 process.on('SIGINT', () => {
     console.log('\n\n👋 Shutting down server gracefully...\n');
+
+    // Open event streams would keep the server from closing
+    changeWatcher.close();
+    jobManager.close();
+    for (const client of eventClients) {
+        client.end();
+    }
+
     server.close(() => {
         console.log('✅ Server closed successfully\n');
         process.exit(0);
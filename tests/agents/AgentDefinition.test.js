@@ -0,0 +1,127 @@
+const assert = require('assert');
+const AgentDefinition = require('../../lib/agents/AgentDefinition');
+const Frontmatter = require('../../lib/markdown/Frontmatter');
+
+/**
+ * AgentDefinition Unit Tests
+ *
+ * Tests cover:
+ * - Building agent files from structured fields
+ * - Validation of name (against the file name), description, tools, model and color
+ * - Known tools, tool patterns and MCP tools; unknown tools only warn
+ * - Files without frontmatter, an error unless the file never had any
+ */
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== AgentDefinition Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Build
+  await test('should build agent files with ordered fields and a tools list', async () => {
+    const content = AgentDefinition.build({
+      color: 'blue',
+      custom: 'kept',
+      tools: ['Read', 'Bash(git diff:*)'],
+      model: '',
+      description: 'Reviews diffs: use after changes',
+      name: 'reviewer'
+    }, 'You review code.\n');
+
+    assert.strictEqual(content, [
+      '---',
+      'name: reviewer',
+      'description: "Reviews diffs: use after changes"',
+      'tools: Read, Bash(git diff:*)',
+      'color: blue',
+      'custom: kept',
+      '---',
+      'You review code.',
+      ''
+    ].join('\n'));
+
+    const { data, body } = Frontmatter.parse(content);
+    assert.deepStrictEqual(Frontmatter.toList(data.tools), ['Read', 'Bash(git diff:*)']);
+    assert.strictEqual(body, 'You review code.\n');
+    assert.deepStrictEqual(AgentDefinition.validate(content, 'reviewer').errors, []);
+  });
+
+  // Test 2: Fields
+  await test('should reject missing fields and a name that does not match the file', async () => {
+    assert.deepStrictEqual(AgentDefinition.validate('---\nname: other\n---\nPrompt', 'reviewer').errors, [
+      "name 'other' does not match the file name 'reviewer'",
+      'description is required'
+    ]);
+    assert.deepStrictEqual(AgentDefinition.validate('---\ndescription: d\n---\n', 'a').errors, ['name is required']);
+    assert.deepStrictEqual(AgentDefinition.validate('Just a prompt', 'a').errors, ['Agent has no frontmatter with name and description']);
+    assert.match(AgentDefinition.validate('---\nname: [\n---\n', 'a').errors[0], /^Frontmatter: /);
+
+    // A file that never had frontmatter can still be saved, with a warning
+    assert.deepStrictEqual(AgentDefinition.validate('Just a prompt', 'a', { requireFrontmatter: false }), {
+      errors: [],
+      warnings: ['Agent has no frontmatter with name and description'],
+      data: {},
+      body: 'Just a prompt'
+    });
+  });
+
+  // Test 3: Tools, model and color
+  await test('should warn about unknown tools and check model and color', async () => {
+    const agent = fields => `---\nname: a\ndescription: d\n${fields}\n---\n`;
+
+    assert.deepStrictEqual(AgentDefinition.validate(agent('tools: Read, Grep, mcp__github__create_issue, Bash(npm test:*)'), 'a').errors, []);
+    assert.deepStrictEqual(AgentDefinition.validate(agent('tools:\n  - Read\n  - Edit'), 'a').errors, []);
+    assert.deepStrictEqual(AgentDefinition.validate(agent('tools: Skill, ExitPlanMode, AskUserQuestion, LS'), 'a').warnings, []);
+
+    // Tools this list does not know yet are warnings, not errors
+    const unknown = AgentDefinition.validate(agent('tools: Read, Raed'), 'a');
+    assert.deepStrictEqual(unknown.errors, []);
+    assert.deepStrictEqual(unknown.warnings, ["Unknown tool 'Raed'"]);
+    assert.deepStrictEqual(AgentDefinition.validate(agent('tools: 3'), 'a').errors, ['tools must be a comma-separated list']);
+
+    assert.deepStrictEqual(AgentDefinition.validate(agent('model: inherit\ncolor: cyan'), 'a').errors, []);
+    assert.deepStrictEqual(AgentDefinition.validate(agent('model: claude-sonnet-4-5'), 'a').errors, []);
+    assert.strictEqual(AgentDefinition.validate(agent('model: gpt'), 'a').errors.length, 1);
+    assert.deepStrictEqual(AgentDefinition.validate(agent('color: teal'), 'a').errors, [
+      'color must be one of red, blue, green, yellow, purple, orange, pink, cyan'
+    ]);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const CommandFiles = require('../../lib/commands/CommandFiles');
+
+/**
+ * CommandFiles Unit Tests
+ *
+ * Tests cover:
+ * - Command id validation
+ * - Namespaced command ids from subdirectories, and their file paths
+ * - Listing a commands directory, skipping hidden files and invalid ids
+ */
+
+// Test helper: temp directory
+async function createTempDir() {
+  const dir = path.join(os.tmpdir(), `command-files-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== CommandFiles Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Id validation
+  await test('should accept names and namespace:name ids only', async () => {
+    assert.strictEqual(CommandFiles.isValidId('review'), true);
+    assert.strictEqual(CommandFiles.isValidId('frontend:ui:component_2'), true);
+    assert.strictEqual(CommandFiles.isValidId('with space'), false);
+    assert.strictEqual(CommandFiles.isValidId('../escape'), false);
+    assert.strictEqual(CommandFiles.isValidId('frontend:'), false);
+    assert.strictEqual(CommandFiles.isValidId("x');alert(1);('"), false);
+    assert.strictEqual(CommandFiles.isValidId(undefined), false);
+  });
+
+  // Test 2: Namespaced ids and paths
+  await test('should map subdirectories to command namespaces and back', async () => {
+    assert.deepStrictEqual(CommandFiles.commandId('review.md'), { id: 'review', namespace: null });
+    assert.deepStrictEqual(CommandFiles.commandId(path.join('frontend', 'ui', 'component.md')),
+      { id: 'frontend:ui:component', namespace: 'frontend:ui' });
+
+    assert.strictEqual(CommandFiles.filePath('/cmds', 'review'), path.join('/cmds', 'review.md'));
+    assert.strictEqual(CommandFiles.filePath('/cmds', 'frontend:ui:component'),
+      path.join('/cmds', 'frontend', 'ui', 'component.md'));
+  });
+
+  // Test 3: Listing
+  await test('should list command files, skipping hidden files and invalid ids', async () => {
+    const dir = await createTempDir();
+    try {
+      await fs.mkdir(path.join(dir, 'frontend', 'ui'), { recursive: true });
+      await fs.mkdir(path.join(dir, '.hidden'));
+      await fs.writeFile(path.join(dir, 'review.md'), 'Review');
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'Not a command');
+      await fs.writeFile(path.join(dir, "x');alert(1);('.md"), 'Invalid id');
+      await fs.writeFile(path.join(dir, 'with space.md'), 'Invalid id');
+      await fs.writeFile(path.join(dir, '.draft.md'), 'Hidden');
+      await fs.writeFile(path.join(dir, '.hidden', 'secret.md'), 'Hidden');
+      await fs.writeFile(path.join(dir, 'frontend', 'ui', 'component.md'), 'Component');
+
+      const files = CommandFiles.list(dir).sort((a, b) => a.id.localeCompare(b.id));
+      assert.deepStrictEqual(files, [
+        { id: 'frontend:ui:component', namespace: 'frontend:ui', path: path.join(dir, 'frontend', 'ui', 'component.md') },
+        { id: 'review', namespace: null, path: path.join(dir, 'review.md') }
+      ]);
+      assert.deepStrictEqual(CommandFiles.list(path.join(dir, 'missing')), []);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const CommandTemplate = require('../../lib/commands/CommandTemplate');
+
+/**
+ * CommandTemplate Unit Tests
+ *
+ * Tests cover:
+ * - Splitting sample arguments (quotes group words)
+ * - $ARGUMENTS and positional $1/$2 expansion, including missing values
+ * - Highlighting of !`bash`, ! lines and @file references without running them
+ */
+
+// Segments as [type, text] pairs
+function pairs(result) {
+  return result.segments.map(segment => [segment.type, segment.text]);
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== CommandTemplate Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Arguments
+  await test('should split arguments and expand placeholders', async () => {
+    assert.deepStrictEqual(CommandTemplate.splitArguments('123 "high priority" \'a b\'  x'), ['123', 'high priority', 'a b', 'x']);
+    assert.deepStrictEqual(CommandTemplate.splitArguments(''), []);
+
+    const result = CommandTemplate.expand('---\nargument-hint: [pr] [priority]\n---\nReview PR #$1 with $2 priority.\nAll: $ARGUMENTS', '42 high');
+    assert.deepStrictEqual(pairs(result), [
+      ['text', 'Review PR #'],
+      ['argument', '42'],
+      ['text', ' with '],
+      ['argument', 'high'],
+      ['text', ' priority.\nAll: '],
+      ['argument', '42 high']
+    ]);
+    assert.deepStrictEqual(result.arguments, ['42', 'high']);
+    assert.deepStrictEqual(result.missing, []);
+    assert.strictEqual(result.frontmatterError, null);
+  });
+
+  // Test 2: Missing arguments
+  await test('should mark placeholders without a value', async () => {
+    const result = CommandTemplate.expand('Fix $1 in $2, then $2 again. $ARGUMENTS', 'bug');
+    assert.deepStrictEqual(result.missing, ['$2']);
+    assert.deepStrictEqual(result.segments.filter(s => s.type === 'missing').map(s => s.text), ['$2', '$2']);
+
+    const empty = CommandTemplate.expand('Do $ARGUMENTS now', '  ');
+    assert.deepStrictEqual(pairs(empty), [['text', 'Do '], ['missing', '$ARGUMENTS'], ['text', ' now']]);
+    assert.deepStrictEqual(empty.missing, ['$ARGUMENTS']);
+  });
+
+  // Test 3: Bash and files
+  await test('should highlight bash and file references', async () => {
+    const result = CommandTemplate.expand([
+      '- Status: !`git status`',
+      '!git diff HEAD',
+      'Compare @src/old.js with @src/new.js, mail me@example.com',
+      'Price is $5 and !not bash'
+    ].join('\n'));
+
+    assert.deepStrictEqual(result.bash, ['git status', 'git diff HEAD']);
+    assert.deepStrictEqual(result.files, ['src/old.js', 'src/new.js']);
+    assert.deepStrictEqual(pairs(result), [
+      ['text', '- Status: '],
+      ['bash', '!`git status`'],
+      ['text', '\n'],
+      ['bash', '!git diff HEAD'],
+      ['text', '\nCompare '],
+      ['file', '@src/old.js'],
+      ['text', ' with '],
+      ['file', '@src/new.js'],
+      ['text', ', mail me@example.com\nPrice is '],
+      ['missing', '$5'],
+      ['text', ' and !not bash']
+    ]);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,163 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ChangeWatcher = require('../../lib/events/ChangeWatcher');
+
+/**
+ * ChangeWatcher Unit Tests
+ *
+ * Tests cover:
+ * - Debounced change events for directories and nested files
+ * - File targets replaced by atomic renames
+ * - Targets created after watching starts
+ * - Unwatching
+ */
+
+// Helper to create a temp directory
+function createTempDir() {
+  const dir = path.join(os.tmpdir(), `test-change-watcher-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// Helper to collect change events
+function collect(watcher) {
+  const events = [];
+  watcher.on('change', event => events.push(event));
+  return events;
+}
+
+// Helper to wait for fs events and debounce timers
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== ChangeWatcher Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Debounced directory changes
+  await test('should emit one debounced event for a burst of changes', async () => {
+    const dir = createTempDir();
+    fs.mkdirSync(path.join(dir, 'my-skill'));
+    const watcher = new ChangeWatcher({ debounceMs: 100 });
+    const events = collect(watcher);
+
+    watcher.watch('skills', dir);
+    await wait(50);
+
+    fs.writeFileSync(path.join(dir, 'a.md'), 'a');
+    fs.writeFileSync(path.join(dir, 'b.md'), 'b');
+    fs.writeFileSync(path.join(dir, 'my-skill', 'SKILL.md'), 'skill');
+    await wait(400);
+    watcher.close();
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].target, 'skills');
+    assert.ok(events[0].paths.includes(path.join(dir, 'a.md')));
+    assert.ok(events[0].paths.some(p => p.endsWith('SKILL.md')));
+  });
+
+  // Test 2: Atomic file replacement
+  await test('should keep noticing a file replaced by rename', async () => {
+    const dir = createTempDir();
+    const file = path.join(dir, 'settings.json');
+    fs.writeFileSync(file, '{}');
+    const watcher = new ChangeWatcher({ debounceMs: 50 });
+    const events = collect(watcher);
+
+    watcher.watch('settings', file, { kind: 'file' });
+    await wait(50);
+
+    for (let i = 0; i < 2; i++) {
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ i }));
+      fs.renameSync(`${file}.tmp`, file);
+      await wait(200);
+    }
+
+    fs.writeFileSync(path.join(dir, 'other.json'), '{}');
+    await wait(200);
+    watcher.close();
+
+    assert.strictEqual(events.length, 2);
+    assert.ok(events.every(e => e.target === 'settings'));
+  });
+
+  // Test 3: Target created later
+  await test('should pick up a directory created after watching starts', async () => {
+    const dir = createTempDir();
+    const target = path.join(dir, 'commands');
+    const watcher = new ChangeWatcher({ debounceMs: 50 });
+    const events = collect(watcher);
+
+    watcher.watch('commands', target);
+    await wait(50);
+
+    fs.mkdirSync(target);
+    await wait(200);
+    fs.writeFileSync(path.join(target, 'deploy.md'), '# Deploy');
+    await wait(200);
+    watcher.close();
+
+    assert.strictEqual(events.length, 2);
+    assert.ok(events[1].paths.includes(path.join(target, 'deploy.md')));
+  });
+
+  // Test 4: Unwatch
+  await test('should stop emitting after unwatch', async () => {
+    const dir = createTempDir();
+    const watcher = new ChangeWatcher({ debounceMs: 50 });
+    const events = collect(watcher);
+
+    watcher.watch('agents', dir);
+    assert.deepStrictEqual(watcher.list().map(t => [t.name, t.armed]), [['agents', true]]);
+    assert.strictEqual(watcher.unwatch('agents'), true);
+    assert.strictEqual(watcher.unwatch('agents'), false);
+
+    fs.writeFileSync(path.join(dir, 'x.md'), 'x');
+    await wait(200);
+    watcher.close();
+
+    assert.strictEqual(events.length, 0);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,248 @@
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const FileHistory = require('../../lib/history/FileHistory');
+
+/**
+ * FileHistory Unit Tests
+ *
+ * Tests cover:
+ * - Snapshots of single files and skill directories (text and binary)
+ * - Tracking writes and deletes, skipping changes that change nothing
+ * - Listing revisions per item, rotation and ID validation
+ * - Line diffs between revisions
+ * - Trash of deleted items and restoring revisions
+ * - Change stats recorded once and listed from the index; moves stay out of the trash
+ */
+
+// Test helper: temp directory with history and item folders
+async function createTempDir() {
+  const dir = path.join(os.tmpdir(), `file-history-test-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  await fs.mkdir(path.join(dir, 'commands'), { recursive: true });
+  return dir;
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== FileHistory Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Snapshots
+  await test('should snapshot files and directories', async () => {
+    const dir = await createTempDir();
+    try {
+      const history = new FileHistory({ historyDir: path.join(dir, 'history'), maxSnapshotSize: 64 });
+      const skill = path.join(dir, 'skills', 'pdf');
+      await fs.mkdir(path.join(skill, 'scripts'), { recursive: true });
+      await fs.writeFile(path.join(skill, 'SKILL.md'), '# PDF\n');
+      await fs.writeFile(path.join(skill, 'scripts', 'logo.bin'), Buffer.from([0, 1, 2]));
+
+      assert.deepStrictEqual(await history.snapshot(skill), {
+        kind: 'directory',
+        files: {
+          'SKILL.md': { encoding: 'utf8', content: '# PDF\n' },
+          'scripts/logo.bin': { encoding: 'base64', content: 'AAEC' }
+        }
+      });
+
+      const command = path.join(dir, 'commands', 'fix.md');
+      await fs.writeFile(command, 'Fix it');
+      assert.deepStrictEqual(await history.snapshot(command), {
+        kind: 'file',
+        files: { 'fix.md': { encoding: 'utf8', content: 'Fix it' } }
+      });
+
+      await fs.writeFile(command, 'x'.repeat(65));
+      assert.deepStrictEqual(await history.snapshot(command), { kind: 'file', tooLarge: true });
+      assert.strictEqual(await history.snapshot(path.join(dir, 'missing.md')), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 2: Tracking changes
+  await test('should track writes and deletes per item, newest first', async () => {
+    const dir = await createTempDir();
+    try {
+      const history = new FileHistory({ historyDir: path.join(dir, 'history'), maxEntries: 3 });
+      const command = path.join(dir, 'commands', 'fix.md');
+      const item = { type: 'command', name: 'fix', location: 'user', itemPath: command };
+
+      const result = await history.track(item, 'write', async () => {
+        await fs.writeFile(command, 'one\n');
+        return 'done';
+      });
+      assert.strictEqual(result, 'done');
+      await history.track(item, 'write', () => fs.writeFile(command, 'one\n'));
+      await history.track(item, 'write', () => fs.writeFile(command, 'two\n'));
+      await history.track({ ...item, name: 'other', itemPath: path.join(dir, 'commands', 'other.md') }, 'write',
+        () => fs.writeFile(path.join(dir, 'commands', 'other.md'), 'other'));
+
+      const entries = await history.list({ itemPath: command });
+      assert.deepStrictEqual(entries.map(e => e.action), ['write', 'write']);
+      assert.strictEqual(entries[0].name, 'fix');
+      assert.strictEqual(entries[0].files, 1);
+      assert.strictEqual(entries[0].before, undefined);
+
+      const full = await history.get(entries[0].id);
+      assert.strictEqual(full.before.files['fix.md'].content, 'one\n');
+      assert.strictEqual(full.after.files['fix.md'].content, 'two\n');
+
+      await history.track(item, 'delete', () => fs.unlink(command));
+      assert.strictEqual((await history.list()).length, 3);
+      assert.deepStrictEqual((await history.list({ itemPath: command })).map(e => e.action), ['delete', 'write']);
+
+      assert.strictEqual(history.isValidId('../../etc/passwd'), false);
+      assert.strictEqual(await history.get('../settings'), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 3: Diff
+  await test('should diff revisions line by line', async () => {
+    const history = new FileHistory({ historyDir: os.tmpdir() });
+    const file = content => ({ kind: 'file', files: { 'a.md': { encoding: 'utf8', content } } });
+
+    assert.deepStrictEqual(history.diff(file('a\nb\nc'), file('a\nB\nc\nd')), [{
+      path: 'a.md',
+      status: 'changed',
+      lines: [
+        { type: ' ', text: 'a' },
+        { type: '-', text: 'b' },
+        { type: '+', text: 'B' },
+        { type: ' ', text: 'c' },
+        { type: '+', text: 'd' }
+      ]
+    }]);
+    assert.deepStrictEqual(history.diff(null, file('x')), [{ path: 'a.md', status: 'added', lines: [{ type: '+', text: 'x' }] }]);
+    assert.deepStrictEqual(history.diff(file('x'), file('x')), []);
+
+    const skill = files => ({ kind: 'directory', files });
+    assert.deepStrictEqual(history.diff(
+      skill({ 'logo.png': { encoding: 'base64', content: 'AA==' }, 'old.md': { encoding: 'utf8', content: 'gone' } }),
+      skill({ 'logo.png': { encoding: 'base64', content: 'AQ==' } })
+    ).map(change => [change.path, change.status]), [['logo.png', 'binary'], ['old.md', 'removed']]);
+  });
+
+  // Test 4: Trash and restore
+  await test('should list deleted items and restore revisions', async () => {
+    const dir = await createTempDir();
+    try {
+      const history = new FileHistory({ historyDir: path.join(dir, 'history') });
+      const skill = path.join(dir, 'skills', 'pdf');
+      const item = { type: 'skill', name: 'pdf', location: 'user', itemPath: skill };
+
+      await history.track(item, 'write', async () => {
+        await fs.mkdir(path.join(skill, 'scripts'), { recursive: true });
+        await fs.writeFile(path.join(skill, 'SKILL.md'), 'v1');
+        await fs.writeFile(path.join(skill, 'scripts', 'run.sh'), 'echo');
+      });
+      await history.track(item, 'write', () => fs.writeFile(path.join(skill, 'SKILL.md'), 'v2'));
+      await history.track(item, 'delete', () => fs.rm(skill, { recursive: true }));
+
+      const trash = await history.trash();
+      assert.deepStrictEqual(trash.map(e => [e.name, e.action]), [['pdf', 'delete']]);
+
+      // Restoring the delete brings back what was deleted
+      const restored = await history.restore(trash[0].id);
+      assert.strictEqual(restored.action, 'restore');
+      assert.strictEqual(restored.restoredFrom, trash[0].id);
+      assert.strictEqual(await fs.readFile(path.join(skill, 'SKILL.md'), 'utf8'), 'v2');
+      assert.strictEqual(await fs.readFile(path.join(skill, 'scripts', 'run.sh'), 'utf8'), 'echo');
+      assert.deepStrictEqual(await history.trash(), []);
+
+      // Restoring the first write rolls back SKILL.md and removes stray files
+      await fs.writeFile(path.join(skill, 'extra.md'), 'extra');
+      const first = (await history.list({ itemPath: skill })).pop();
+      await history.restore(first.id);
+      assert.strictEqual(await fs.readFile(path.join(skill, 'SKILL.md'), 'utf8'), 'v1');
+      await assert.rejects(fs.stat(path.join(skill, 'extra.md')), { code: 'ENOENT' });
+
+      assert.strictEqual(await history.restore('1234567890123-deadbeef'), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 5: Stats, index and moves
+  await test('should list recorded stats without loading snapshots and keep moves out of the trash', async () => {
+    const dir = await createTempDir();
+    try {
+      const historyDir = path.join(dir, 'history');
+      const history = new FileHistory({ historyDir });
+      const command = path.join(dir, 'commands', 'fix.md');
+      const item = { type: 'command', name: 'fix', location: 'user', itemPath: command };
+
+      await history.track(item, 'write', () => fs.writeFile(command, 'a\nb\nc'));
+      await history.track(item, 'write', () => fs.writeFile(command, 'a\nB\nc\nd'));
+
+      const [latest, first] = await history.list();
+      assert.deepStrictEqual([latest.files, latest.added, latest.removed], [1, 2, 1]);
+      assert.deepStrictEqual([first.files, first.added, first.removed], [1, 3, 0]);
+      assert.deepStrictEqual((await history.get(latest.id)).stats, { files: 1, added: 2, removed: 1 });
+
+      // Listed entries come from the index: an unreadable entry file is not loaded again
+      await fs.writeFile(path.join(historyDir, `${latest.id}.json`), 'not json');
+      assert.deepStrictEqual((await history.list()).map(e => e.id), [latest.id, first.id]);
+
+      // Entries without an index or stored stats (older history) still list
+      const old = { ...(await history.get(first.id)) };
+      delete old.stats;
+      await fs.writeFile(path.join(historyDir, `${first.id}.json`), JSON.stringify(old));
+      await fs.unlink(path.join(historyDir, 'index.json'));
+      assert.deepStrictEqual((await history.list()).map(e => [e.id, e.added]), [[first.id, 3]]);
+
+      // A rename is a move of the old name, not a delete
+      const renamed = path.join(dir, 'commands', 'fixed.md');
+      await history.track({ ...item, name: 'fixed', itemPath: renamed }, 'write', () =>
+        history.track(item, 'move', () => fs.rename(command, renamed)));
+      assert.deepStrictEqual((await history.list({ itemPath: command })).map(e => e.action), ['move', 'write']);
+      assert.deepStrictEqual(await history.trash(), []);
+
+      await history.track({ ...item, name: 'fixed', itemPath: renamed }, 'delete', () => fs.unlink(renamed));
+      assert.deepStrictEqual((await history.trash()).map(e => e.path), [renamed]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
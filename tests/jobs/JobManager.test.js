@@ -0,0 +1,200 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const JobManager = require('../../lib/jobs/JobManager');
+
+/**
+ * JobManager Unit Tests
+ *
+ * Tests cover:
+ * - Running a command and capturing stdout/stderr line by line
+ * - Failure on non-zero exit and from onSuccess
+ * - Queueing, waiting and cancellation
+ * - Persisting finished jobs and reloading them
+ * - Quoting and escaping arguments for the Windows shell, batch files included
+ */
+
+// Helper to create a manager with a temporary jobs directory
+function createManager(config = {}) {
+  const jobsDir = path.join(os.tmpdir(), `test-jobs-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  return new JobManager({ jobsDir, ...config });
+}
+
+// Helper to run a node script as a job
+function nodeJob(manager, script, extra = {}) {
+  return manager.start({ type: 'test', command: process.execPath, args: ['-e', script], ...extra });
+}
+
+// Helper to wait until a job has finished and its record is saved
+function waitForJob(manager, id) {
+  return new Promise((resolve) => {
+    const check = () => {
+      const job = manager.get(id);
+      if (job.finishedAt && fs.existsSync(path.join(manager.jobsDir, `${id}.json`))) {
+        resolve(job);
+      } else {
+        setTimeout(check, 20);
+      }
+    };
+    check();
+  });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== JobManager Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Output capture
+  await test('should run a command and capture its output', async () => {
+    const manager = createManager();
+    const output = [];
+    manager.on('output', entry => output.push(entry));
+
+    let succeeded = null;
+    const started = nodeJob(manager, 'console.log("one\\ntwo"); console.error("oops")', {
+      onSuccess: async (job) => { succeeded = job.id; }
+    });
+    assert.ok(manager.isValidId(started.id));
+
+    const job = await waitForJob(manager, started.id);
+
+    assert.strictEqual(job.status, 'succeeded');
+    assert.strictEqual(job.exitCode, 0);
+    assert.strictEqual(succeeded, started.id);
+    assert.deepStrictEqual(job.log.filter(l => l.stream === 'stdout').map(l => l.text), ['one', 'two']);
+    assert.deepStrictEqual(job.log.filter(l => l.stream === 'stderr').map(l => l.text), ['oops']);
+    assert.strictEqual(output.length, job.log.length);
+    assert.deepStrictEqual(manager.get(started.id, job.log.length - 1).log.length, 1);
+  });
+
+  // Test 2: Failures
+  await test('should fail on a non-zero exit code or a failing onSuccess', async () => {
+    const manager = createManager();
+
+    const exited = await waitForJob(manager, nodeJob(manager, 'process.exit(3)').id);
+    assert.strictEqual(exited.status, 'failed');
+    assert.strictEqual(exited.exitCode, 3);
+    assert.strictEqual(exited.error, 'Exited with code 3');
+
+    const cleanup = await waitForJob(manager, nodeJob(manager, '', {
+      onSuccess: async () => { throw new Error('cleanup failed'); }
+    }).id);
+    assert.strictEqual(cleanup.status, 'failed');
+    assert.strictEqual(cleanup.error, 'cleanup failed');
+
+    const missing = await waitForJob(manager, manager.start({ command: 'no-such-command-for-jobs' }).id);
+    assert.strictEqual(missing.status, 'failed');
+  });
+
+  // Test 3: Queue and cancellation
+  await test('should queue jobs one at a time and cancel them', async () => {
+    const manager = createManager();
+
+    const slow = nodeJob(manager, 'setTimeout(() => {}, 30000)');
+    const queued = nodeJob(manager, 'console.log("never")');
+
+    assert.strictEqual(manager.get(slow.id).status, 'running');
+    assert.strictEqual(manager.get(queued.id).status, 'queued');
+    assert.deepStrictEqual(manager.list().map(j => j.id), [queued.id, slow.id]);
+
+    assert.strictEqual(manager.cancel(queued.id).status, 'cancelled');
+    const waiting = manager.wait(slow.id);
+    manager.cancel(slow.id);
+
+    assert.strictEqual((await waiting).status, 'cancelled');
+    const cancelled = await waitForJob(manager, slow.id);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual((await manager.wait(slow.id)).status, 'cancelled');
+    assert.strictEqual(await manager.wait('missing'), null);
+    assert.ok(!manager.get(queued.id).log.some(l => l.text === 'never'));
+    assert.throws(() => manager.cancel(slow.id), /already cancelled/);
+    assert.strictEqual(manager.cancel('missing'), null);
+  });
+
+  // Test 4: Persistence and rotation
+  await test('should persist finished jobs and keep only the newest', async () => {
+    const manager = createManager({ maxJobs: 2 });
+
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const job = nodeJob(manager, `console.log(${i})`);
+      ids.push(job.id);
+      await waitForJob(manager, job.id);
+    }
+
+    assert.deepStrictEqual(manager.list().map(j => j.id), [ids[2], ids[1]]);
+    assert.deepStrictEqual(fs.readdirSync(manager.jobsDir).sort(), [`${ids[1]}.json`, `${ids[2]}.json`]);
+
+    const reloaded = new JobManager({ jobsDir: manager.jobsDir });
+    await reloaded.initialize();
+    assert.deepStrictEqual(reloaded.list().map(j => j.id), [ids[2], ids[1]]);
+    assert.strictEqual(reloaded.get(ids[2]).log.find(l => l.stream === 'stdout').text, '2');
+  });
+
+  // Test 5: Windows quoting
+  await test('should quote and escape arguments for the Windows shell', async () => {
+    assert.strictEqual(JobManager.quoteWindowsArg('claude'), 'claude');
+    assert.strictEqual(JobManager.quoteWindowsArg('pyright-lsp@official'), 'pyright-lsp@official');
+    assert.strictEqual(JobManager.quoteWindowsArg('C:\\My Plugins\\market'), '^"C:\\My^ Plugins\\market^"');
+    assert.strictEqual(JobManager.quoteWindowsArg('C:\\My Plugins\\'), '^"C:\\My^ Plugins\\\\^"');
+    assert.strictEqual(JobManager.quoteWindowsArg('say "hi" & exit'), '^"say^ \\^"hi\\^"^ ^&^ exit^"');
+    assert.strictEqual(JobManager.quoteWindowsArg(''), '^"^"');
+
+    // Percent signs are escaped so cmd.exe does not expand %VARS%; batch files get a second round
+    assert.strictEqual(JobManager.quoteWindowsArg('%PATH%'), '^"^%PATH^%^"');
+    assert.strictEqual(JobManager.quoteWindowsArg('%PATH%', true), '^^^"^^^%PATH^^^%^^^"');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-manager-path-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'claude.cmd'), '');
+      fs.writeFileSync(path.join(dir, 'git.exe'), '');
+      const env = { PATH: dir, PATHEXT: '.exe;.cmd' };
+      assert.strictEqual(JobManager.isWindowsBatch('claude', env), true);
+      assert.strictEqual(JobManager.isWindowsBatch('git', env), false);
+      assert.strictEqual(JobManager.isWindowsBatch('missing', env), false);
+      assert.strictEqual(JobManager.isWindowsBatch('C:\\tools\\run.bat', env), true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,207 @@
+const assert = require('assert');
+const Frontmatter = require('../../lib/markdown/Frontmatter');
+
+/**
+ * Frontmatter Unit Tests
+ *
+ * Tests cover:
+ * - Splitting frontmatter from the markdown body
+ * - Scalars: plain, quoted, multi-line, block, typed
+ * - Lists and nested mappings
+ * - Errors with line numbers
+ * - Normalizing tool lists
+ * - Writing fields back as YAML
+ * - Setting a single field in place
+ */
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== Frontmatter Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Splitting
+  await test('should split frontmatter from the body', async () => {
+    const parsed = Frontmatter.parse('---\r\nname: pdf\r\n---\r\n# PDF\r\n\r\nWork with PDFs.');
+    assert.deepStrictEqual(parsed.data, { name: 'pdf' });
+    assert.strictEqual(parsed.body, '# PDF\r\n\r\nWork with PDFs.');
+    assert.strictEqual(parsed.error, null);
+    assert.strictEqual(Frontmatter.firstLine(parsed.body), 'Work with PDFs.');
+
+    const plain = Frontmatter.parse('# Title\n\nNo frontmatter');
+    assert.strictEqual(plain.hasFrontmatter, false);
+    assert.deepStrictEqual(plain.data, {});
+
+    assert.deepStrictEqual(Frontmatter.parse('---\n---\nBody').data, {});
+    assert.strictEqual(Frontmatter.parse('---\nname: x\n').error, 'Frontmatter is not closed with ---');
+  });
+
+  // Test 2: Scalars
+  await test('should parse quoted, multi-line and block scalars', async () => {
+    const { data, error } = Frontmatter.parse([
+      '---',
+      'name: "code-reviewer"',
+      "quote: 'it''s fine' # comment",
+      'escaped: "line\\none \\u00e9"',
+      'description: Reviews code: carefully',
+      '  and thoroughly',
+      'literal: |',
+      '  first',
+      '    indented',
+      '',
+      'folded: >-',
+      '  one',
+      '  two',
+      '',
+      '  three',
+      'count: 3',
+      'version: 1.0',
+      'enabled: true',
+      'empty:',
+      'none: ~',
+      '---',
+      'Body'
+    ].join('\n'));
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(data.name, 'code-reviewer');
+    assert.strictEqual(data.quote, "it's fine");
+    assert.strictEqual(data.escaped, 'line\none é');
+    assert.strictEqual(data.description, 'Reviews code: carefully and thoroughly');
+    assert.strictEqual(data.literal, 'first\n  indented\n');
+    assert.strictEqual(data.folded, 'one two\nthree');
+    assert.strictEqual(data.count, 3);
+    assert.strictEqual(data.version, '1.0');
+    assert.strictEqual(data.enabled, true);
+    assert.strictEqual(data.empty, null);
+    assert.strictEqual(data.none, null);
+  });
+
+  // Test 3: Collections
+  await test('should parse lists and nested mappings', async () => {
+    const { data, error } = Frontmatter.parse([
+      '---',
+      'allowed-tools:',
+      '  - Bash(git add:*)',
+      '  - Read',
+      'tools: [Read, "Grep", Glob]',
+      'hooks:',
+      '  PostToolUse:',
+      '  - matcher: Write',
+      '    command: ./format.sh',
+      'metadata: { owner: docs, tags: [a, b] }',
+      'argument-hint: [file] [line]',
+      '---'
+    ].join('\n'));
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(data['allowed-tools'], ['Bash(git add:*)', 'Read']);
+    assert.deepStrictEqual(data.tools, ['Read', 'Grep', 'Glob']);
+    assert.deepStrictEqual(data.hooks, { PostToolUse: [{ matcher: 'Write', command: './format.sh' }] });
+    assert.deepStrictEqual(data.metadata, { owner: 'docs', tags: ['a', 'b'] });
+    assert.strictEqual(data['argument-hint'], '[file] [line]');
+  });
+
+  // Test 4: Errors
+  await test('should report structural errors with the file line number', async () => {
+    assert.strictEqual(Frontmatter.parse('---\nname: a\nname: b\n---\n').error, "Line 3: Duplicate key 'name'");
+    assert.strictEqual(Frontmatter.parse('---\nname: a\ndescription: "open\n---\n').error, 'Line 3: Unterminated quoted string');
+    assert.strictEqual(Frontmatter.parse('---\nname: a\n\tmodel: x\n---\n').error, 'Line 3: Tabs are not allowed for indentation');
+    assert.strictEqual(Frontmatter.parse('---\njust text\n---\n').error, 'Line 2: Expected "key: value"');
+    assert.strictEqual(Frontmatter.parse('---\n- a\n- b\n---\n').error, 'Line 2: Frontmatter must be a mapping of key: value pairs');
+    assert.strictEqual(Frontmatter.parse('---\ntools: [a, b\n---\n').error, 'Line 2: Unterminated flow collection');
+
+    const failed = Frontmatter.parse('---\nname: a\nname: b\n---\nBody text');
+    assert.deepStrictEqual(failed.data, {});
+    assert.strictEqual(failed.body, 'Body text');
+  });
+
+  // Test 5: Tool lists
+  await test('should normalize tool lists from YAML lists and comma-separated strings', async () => {
+    assert.deepStrictEqual(Frontmatter.toList('Bash(git add:*, git commit:*), Read, '), ['Bash(git add:*, git commit:*)', 'Read']);
+    assert.deepStrictEqual(Frontmatter.toList(['Read', null, 'Write']), ['Read', 'Write']);
+    assert.deepStrictEqual(Frontmatter.toList(undefined), []);
+  });
+
+  // Test 6: Writing
+  await test('should write fields that parse back unchanged', async () => {
+    const data = {
+      name: 'pdf',
+      description: 'Review: the diff # carefully',
+      'allowed-tools': ['Bash(git add:*)', 'Read'],
+      version: '1.0',
+      enabled: 'true',
+      count: 3,
+      'argument-hint': '[file]',
+      hooks: { PostToolUse: [{ matcher: 'Write', command: './format.sh' }] },
+      notes: 'line one\nline two',
+      empty: [],
+      skipped: undefined
+    };
+
+    const content = Frontmatter.stringify(data, '# Body\n');
+    assert.ok(content.startsWith('---\nname: pdf\ndescription: "Review: the diff # carefully"\nallowed-tools:\n  - Bash(git add:*)\n'));
+    assert.ok(content.includes('version: "1.0"\n'));
+
+    const parsed = Frontmatter.parse(content);
+    assert.strictEqual(parsed.error, null);
+    const { skipped, ...expected } = data;
+    assert.deepStrictEqual(parsed.data, expected);
+    assert.strictEqual(parsed.body, '# Body\n');
+
+    assert.strictEqual(Frontmatter.stringify({}, 'Only body'), 'Only body');
+  });
+
+  // Test 7: Setting one field
+  await test('should set one field and keep the rest of the file', async () => {
+    const content = '---\nname: old # comment\ndescription: |\n  first\n\n  second\n\nmodel: sonnet\n---\nBody';
+    assert.strictEqual(
+      Frontmatter.setField(content, 'name', 'new'),
+      '---\nname: new\ndescription: |\n  first\n\n  second\n\nmodel: sonnet\n---\nBody'
+    );
+    assert.strictEqual(
+      Frontmatter.setField(content, 'description', 'Short'),
+      '---\nname: old # comment\ndescription: Short\n\nmodel: sonnet\n---\nBody'
+    );
+    assert.strictEqual(Frontmatter.setField('---\r\nmodel: x\r\n---\r\nBody', 'name', 'a'), '---\r\nmodel: x\r\nname: a\r\n---\r\nBody');
+    assert.strictEqual(Frontmatter.setField('Body', 'name', 'a'), '---\nname: a\n---\nBody');
+    assert.strictEqual(Frontmatter.setField('---\nname: [\n---\n', 'name', 'a'), '---\nname: [\n---\n');
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
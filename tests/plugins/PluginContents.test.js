@@ -0,0 +1,162 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const PluginContents = require('../../lib/plugins/PluginContents');
+
+/**
+ * PluginContents Unit Tests
+ *
+ * Tests cover:
+ * - Commands (with namespaces), agents and skills from the default layout
+ * - Hooks and MCP servers from files and inline manifest definitions
+ * - Extra paths declared in the manifest
+ * - Frontmatter parse errors per file
+ * - Reading files without escaping the plugin directory
+ */
+
+// Helper to create a plugin directory from a map of relative path -> content
+function createPlugin(files) {
+  const root = path.join(os.tmpdir(), `test-plugin-contents-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== PluginContents Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Default layout
+  await test('should list commands, agents and skills from the default layout', async () => {
+    const root = createPlugin({
+      'commands/review.md': '---\ndescription: Review the diff\n---\n\nReview it.',
+      'commands/frontend/build.md': '# Build\n\nBuild the frontend',
+      'agents/reviewer.md': '---\nname: code-reviewer\ndescription: "Reviews code"\n---\nYou review code.',
+      'skills/pdf/SKILL.md': '---\nname: pdf\ndescription: Work with PDFs\n---\n',
+      'skills/not-a-skill/notes.txt': 'x'
+    });
+
+    const contents = await new PluginContents().inspect(root, null);
+
+    assert.deepStrictEqual(contents.commands.map(c => [c.name, c.description]), [
+      ['frontend:build', 'Build the frontend'],
+      ['review', 'Review the diff']
+    ]);
+    assert.strictEqual(contents.commands[0].file, path.join('commands', 'frontend', 'build.md'));
+    assert.deepStrictEqual(contents.agents.map(a => [a.name, a.description]), [['code-reviewer', 'Reviews code']]);
+    assert.deepStrictEqual(contents.skills.map(s => s.name), ['pdf']);
+    assert.deepStrictEqual(contents.hooks.items, []);
+    assert.deepStrictEqual(contents.mcpServers.items, []);
+  });
+
+  // Test 2: Hooks and MCP files
+  await test('should flatten hooks and MCP servers from their default files', async () => {
+    const root = createPlugin({
+      'hooks/hooks.json': {
+        hooks: {
+          PostToolUse: [{ matcher: 'Write|Edit', hooks: [{ type: 'command', command: '${CLAUDE_PLUGIN_ROOT}/format.sh' }] }],
+          Stop: [{ hooks: [{ type: 'command', command: 'notify' }] }]
+        }
+      },
+      '.mcp.json': {
+        mcpServers: {
+          db: { command: 'node', args: ['server.js'] },
+          docs: { url: 'https://example.com/mcp' }
+        }
+      }
+    });
+
+    const contents = await new PluginContents().inspect(root, null);
+
+    assert.strictEqual(contents.hooks.file, path.join('hooks', 'hooks.json'));
+    assert.deepStrictEqual(contents.hooks.items.map(h => [h.event, h.matcher]), [['PostToolUse', 'Write|Edit'], ['Stop', '*']]);
+    assert.deepStrictEqual(contents.mcpServers.items.map(s => [s.name, s.type]), [['db', 'stdio'], ['docs', 'http']]);
+  });
+
+  // Test 3: Manifest declarations
+  await test('should honor extra paths and inline definitions from the manifest', async () => {
+    const root = createPlugin({
+      'extra/deploy.md': 'Deploy things',
+      'config/hooks.json': { hooks: { SessionStart: [{ hooks: [{ type: 'command', command: 'hello' }] }] } }
+    });
+
+    const contents = await new PluginContents().inspect(root, {
+      commands: ['./extra'],
+      hooks: './config/hooks.json',
+      mcpServers: { inline: { command: 'uvx', args: ['tool'] } }
+    });
+
+    assert.deepStrictEqual(contents.commands.map(c => c.name), ['deploy']);
+    assert.strictEqual(contents.hooks.items[0].event, 'SessionStart');
+    assert.strictEqual(contents.mcpServers.file, '.claude-plugin/plugin.json');
+    assert.strictEqual(contents.mcpServers.items[0].name, 'inline');
+  });
+
+  // Test 4: Invalid config files
+  await test('should report unparseable config files and frontmatter', async () => {
+    const root = createPlugin({
+      '.mcp.json': '{broken',
+      'commands/bad.md': '---\nname: a\nname: b\n---\nStill described'
+    });
+    const contents = await new PluginContents().inspect(root, null);
+
+    assert.ok(contents.mcpServers.error.includes('Cannot read .mcp.json'));
+    assert.deepStrictEqual(contents.mcpServers.items, []);
+    assert.deepStrictEqual(contents.commands.map(c => [c.name, c.description, c.frontmatterError]), [
+      ['bad', 'Still described', "Line 3: Duplicate key 'name'"]
+    ]);
+  });
+
+  // Test 5: Reading files
+  await test('should read files inside the plugin and reject traversal', async () => {
+    const root = createPlugin({ 'commands/review.md': 'Review it.' });
+    const contents = new PluginContents();
+
+    assert.strictEqual(await contents.readFile(root, 'commands/review.md'), 'Review it.');
+    assert.strictEqual(await contents.readFile(root, 'commands/missing.md'), null);
+    await assert.rejects(() => contents.readFile(root, '../../etc/passwd'), /outside the plugin directory/);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
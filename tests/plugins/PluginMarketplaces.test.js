@@ -0,0 +1,151 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const PluginResolver = require('../../lib/plugins/PluginResolver');
+const PluginMarketplaces = require('../../lib/plugins/PluginMarketplaces');
+
+/**
+ * PluginMarketplaces Unit Tests
+ *
+ * Tests cover:
+ * - Listing configured marketplaces with catalog summaries
+ * - Source descriptions
+ * - Available (not installed) catalog plugins
+ * - Name and source validation
+ */
+
+// Helper to write a JSON file, creating parent directories
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// Helper to create a plugins directory with marketplaces
+function createMarketplaces() {
+  const pluginsDir = path.join(os.tmpdir(), `test-plugin-marketplaces-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  const officialDir = path.join(pluginsDir, 'marketplaces', 'official');
+
+  writeJson(path.join(pluginsDir, 'known_marketplaces.json'), {
+    official: {
+      source: { source: 'github', repo: 'example/official' },
+      installLocation: officialDir,
+      lastUpdated: '2025-01-01T00:00:00.000Z'
+    },
+    local: {
+      source: { source: 'directory', path: '/srv/plugins' },
+      installLocation: path.join(pluginsDir, 'marketplaces', 'local')
+    }
+  });
+
+  writeJson(path.join(officialDir, '.claude-plugin', 'marketplace.json'), {
+    name: 'official',
+    owner: { name: 'Example Inc' },
+    plugins: [{ name: 'a', source: './a' }, { name: 'b', source: './b' }]
+  });
+
+  return new PluginMarketplaces({ resolver: new PluginResolver({ pluginsDir }) });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== PluginMarketplaces Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Listing
+  await test('should list marketplaces with source and catalog summary', async () => {
+    const marketplaces = createMarketplaces();
+    const list = await marketplaces.list();
+
+    assert.deepStrictEqual(list.map(m => m.name), ['local', 'official']);
+
+    const official = list[1];
+    assert.strictEqual(official.sourceLabel, 'github:example/official');
+    assert.strictEqual(official.lastUpdated, '2025-01-01T00:00:00.000Z');
+    assert.strictEqual(official.exists, true);
+    assert.strictEqual(official.pluginCount, 2);
+    assert.strictEqual(official.owner, 'Example Inc');
+
+    const local = list[0];
+    assert.strictEqual(local.sourceLabel, '/srv/plugins');
+    assert.strictEqual(local.exists, false);
+    assert.strictEqual(local.pluginCount, 0);
+
+    assert.strictEqual((await marketplaces.get('official')).name, 'official');
+    assert.strictEqual(await marketplaces.get('missing'), null);
+  });
+
+  // Test 2: Available plugins
+  await test('should list catalog plugins that are not installed or known', async () => {
+    const marketplaces = createMarketplaces();
+    writeJson(path.join(marketplaces.resolver.pluginsDir, 'installed_plugins.json'), {
+      plugins: { 'b@official': { installPath: '/tmp/b', version: '1.0.0' } }
+    });
+
+    assert.deepStrictEqual((await marketplaces.listAvailable()).map(p => p.id), ['a@official']);
+    assert.deepStrictEqual(await marketplaces.listAvailable(['a@official']), []);
+  });
+
+  // Test 3: Names
+  await test('should validate marketplace names', async () => {
+    const marketplaces = createMarketplaces();
+
+    assert.strictEqual(marketplaces.isValidName('claude-code-plugins'), true);
+    assert.strictEqual(marketplaces.isValidName('../etc'), false);
+    assert.strictEqual(marketplaces.isValidName('a b'), false);
+  });
+
+  // Test 4: Sources
+  await test('should accept repo shorthand, git URLs and local paths only', async () => {
+    const marketplaces = createMarketplaces();
+
+    assert.strictEqual(marketplaces.validateSource(' example/plugins '), 'example/plugins');
+    assert.strictEqual(marketplaces.validateSource('https://github.com/example/plugins.git'), 'https://github.com/example/plugins.git');
+    assert.strictEqual(marketplaces.validateSource('git@github.com:example/plugins.git'), 'git@github.com:example/plugins.git');
+    assert.strictEqual(marketplaces.validateSource(os.tmpdir()), path.resolve(os.tmpdir()));
+
+    assert.throws(() => marketplaces.validateSource(''), /required/);
+    assert.throws(() => marketplaces.validateSource('example/plugins; rm -rf ~'), /invalid characters/);
+    assert.throws(() => marketplaces.validateSource('https://x.dev/$(whoami)'), /invalid characters/);
+    assert.throws(() => marketplaces.validateSource(path.join(os.tmpdir(), 'no-such-marketplace-dir')), /does not exist/);
+    assert.throws(() => marketplaces.validateSource('just-a-name'), /must be owner\/repo/);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
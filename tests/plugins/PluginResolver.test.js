@@ -0,0 +1,171 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const PluginResolver = require('../../lib/plugins/PluginResolver');
+
+/**
+ * PluginResolver Unit Tests
+ *
+ * Tests cover:
+ * - Resolving installed plugins to their manifest
+ * - v1 and v2 installed_plugins.json formats
+ * - Marketplace catalog fallback for plugins without install records
+ * - Missing and invalid registry files
+ */
+
+// Helper to write a JSON file, creating parent directories
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+}
+
+// Helper to create a plugins directory with one marketplace and its catalog
+function createPluginsDir() {
+  const pluginsDir = path.join(os.tmpdir(), `test-plugin-resolver-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  const marketplaceDir = path.join(pluginsDir, 'marketplaces', 'official');
+
+  writeJson(path.join(pluginsDir, 'known_marketplaces.json'), {
+    official: {
+      source: { source: 'github', repo: 'example/official' },
+      installLocation: marketplaceDir,
+      lastUpdated: '2025-01-01T00:00:00.000Z'
+    }
+  });
+
+  writeJson(path.join(marketplaceDir, '.claude-plugin', 'marketplace.json'), {
+    name: 'official',
+    plugins: [
+      { name: 'github', source: './plugins/github', description: 'Catalog description', homepage: 'https://example.com/github' },
+      { name: 'email-tools', source: './plugins/email-tools', description: 'Send email', keywords: ['mail'] }
+    ]
+  });
+
+  return { pluginsDir, marketplaceDir };
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== PluginResolver Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Installed plugin with manifest
+  await test('should read the manifest of an installed plugin', async () => {
+    const { pluginsDir } = createPluginsDir();
+    const installPath = path.join(pluginsDir, 'cache', 'official', 'github', '1.2.0');
+
+    writeJson(path.join(pluginsDir, 'installed_plugins.json'), {
+      version: 1,
+      plugins: { 'github@official': { version: '1.2.0', installPath, installedAt: '2025-01-02T00:00:00.000Z' } }
+    });
+    writeJson(path.join(installPath, '.claude-plugin', 'plugin.json'), {
+      name: 'github',
+      description: 'GitHub workflows',
+      version: '1.2.0',
+      author: { name: 'Example Inc', email: 'dev@example.com' },
+      keywords: ['git', 'github']
+    });
+
+    const resolver = new PluginResolver({ pluginsDir });
+    const plugin = await resolver.resolve('github@official');
+
+    assert.strictEqual(plugin.installed, true);
+    assert.strictEqual(plugin.installPath, installPath);
+    assert.strictEqual(plugin.installedVersion, '1.2.0');
+    assert.strictEqual(plugin.metadataSource, 'manifest');
+    assert.strictEqual(plugin.description, 'GitHub workflows');
+    assert.strictEqual(plugin.author, 'Example Inc');
+    assert.deepStrictEqual(plugin.keywords, ['git', 'github']);
+    // Missing manifest fields come from the marketplace catalog
+    assert.strictEqual(plugin.homepage, 'https://example.com/github');
+  });
+
+  // Test 2: v2 installed format
+  await test('should support per-scope install records', async () => {
+    const { pluginsDir } = createPluginsDir();
+    const installPath = path.join(pluginsDir, 'cache', 'official', 'github', '2.0.0');
+
+    writeJson(path.join(pluginsDir, 'installed_plugins.json'), {
+      version: 2,
+      plugins: { 'github@official': [{ scope: 'user', version: '2.0.0', installPath }] }
+    });
+    writeJson(path.join(installPath, '.claude-plugin', 'plugin.json'), { name: 'github', version: '2.0.0' });
+
+    const plugin = await new PluginResolver({ pluginsDir }).resolve('github@official');
+    assert.strictEqual(plugin.installedVersion, '2.0.0');
+    assert.strictEqual(plugin.description, 'Catalog description');
+  });
+
+  // Test 3: Catalog fallback
+  await test('should fall back to the marketplace checkout and catalog', async () => {
+    const { pluginsDir, marketplaceDir } = createPluginsDir();
+    const resolver = new PluginResolver({ pluginsDir });
+
+    const results = await resolver.resolveAll(['email-tools@official', 'unknown@nowhere']);
+    const email = results.get('email-tools@official');
+    const unknown = results.get('unknown@nowhere');
+
+    assert.strictEqual(email.installed, false);
+    assert.strictEqual(email.installPath, path.join(marketplaceDir, 'plugins', 'email-tools'));
+    assert.strictEqual(email.metadataSource, 'marketplace');
+    assert.deepStrictEqual(email.keywords, ['mail']);
+
+    assert.strictEqual(unknown.installPath, null);
+    assert.strictEqual(unknown.metadataSource, null);
+    assert.strictEqual(unknown.description, null);
+  });
+
+  // Test 4: Broken registry files
+  await test('should tolerate missing and invalid registry files', async () => {
+    const pluginsDir = path.join(os.tmpdir(), `test-plugin-resolver-empty-${Date.now()}`);
+    writeJson(path.join(pluginsDir, 'installed_plugins.json'), '{broken');
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const plugin = await new PluginResolver({ pluginsDir }).resolve('github@official');
+      assert.strictEqual(plugin.installed, false);
+      assert.deepStrictEqual(plugin.keywords, []);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,207 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ProfileManager = require('../../lib/plugins/ProfileManager');
+
+/**
+ * ProfileManager Unit Tests
+ *
+ * Tests cover:
+ * - Saving, listing and overwriting profiles
+ * - Rename and delete
+ * - Diffing a profile against current state
+ * - Resolving a profile into an enabledPlugins map
+ * - Applying a profile to one settings layer of a layered state
+ * - Persistence across instances
+ */
+
+// Helper to create a manager backed by a temp file
+function createTempManager() {
+  const storePath = path.join(os.tmpdir(), `test-profiles-${Date.now()}-${Math.random().toString(36).substring(7)}`, 'profiles.json');
+  return new ProfileManager({ storePath });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== ProfileManager Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  const current = {
+    'github@official': true,
+    'pyright-lsp@official': false,
+    'playwright@community': true
+  };
+
+  // Test 1: Save and list
+  await test('should save and list profiles', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('web fullstack', current, { description: 'Frontend work' });
+    await manager.saveProfile('devops', {});
+
+    const names = manager.listProfiles().map(p => p.name);
+    assert.deepStrictEqual(names, ['devops', 'web fullstack']);
+    assert.strictEqual(manager.getProfile('web fullstack').description, 'Frontend work');
+  });
+
+  // Test 2: Reject duplicates unless overwrite
+  await test('should reject duplicate names unless overwrite is set', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('minimal', {});
+    await assert.rejects(() => manager.saveProfile('minimal', current), /already exists/);
+
+    const updated = await manager.saveProfile('minimal', current, { overwrite: true });
+    assert.strictEqual(updated.plugins['github@official'], true);
+  });
+
+  // Test 3: Name validation
+  await test('should reject invalid profile names', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await assert.rejects(() => manager.saveProfile('', {}), /Invalid profile name/);
+    await assert.rejects(() => manager.saveProfile('../evil', {}), /Invalid profile name/);
+    await assert.rejects(() => manager.saveProfile('trailing ', {}), /Invalid profile name/);
+  });
+
+  // Test 4: Rename
+  await test('should rename profiles and refuse collisions', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('a', current);
+    await manager.saveProfile('b', {});
+
+    await assert.rejects(() => manager.renameProfile('a', 'b'), /already exists/);
+
+    const renamed = await manager.renameProfile('a', 'c');
+    assert.strictEqual(renamed.name, 'c');
+    assert.strictEqual(manager.getProfile('a'), null);
+    assert.strictEqual(await manager.renameProfile('missing', 'x'), null);
+  });
+
+  // Test 5: Delete
+  await test('should delete profiles', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('a', current);
+    assert.strictEqual(await manager.deleteProfile('a'), true);
+    assert.strictEqual(await manager.deleteProfile('a'), false);
+  });
+
+  // Test 6: Diff
+  await test('should diff a profile against current state', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('lsp', {
+      'pyright-lsp@official': true,
+      'github@official': true,
+      'rust-analyzer-lsp@official': true
+    });
+
+    const diff = manager.diffProfile('lsp', current);
+    assert.deepStrictEqual(diff.enable, ['pyright-lsp@official']);
+    assert.deepStrictEqual(diff.disable, ['playwright@community']);
+    assert.deepStrictEqual(diff.missing, ['rust-analyzer-lsp@official']);
+    assert.deepStrictEqual(diff.unchanged, ['github@official']);
+    assert.strictEqual(manager.diffProfile('missing', current), null);
+  });
+
+  // Test 7: Resolve
+  await test('should resolve a profile to installed plugins only', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    await manager.saveProfile('lsp', {
+      'pyright-lsp@official': true,
+      'rust-analyzer-lsp@official': true
+    });
+
+    const resolved = manager.resolveProfile('lsp', current);
+    assert.deepStrictEqual(resolved, {
+      'github@official': false,
+      'pyright-lsp@official': true,
+      'playwright@community': false
+    });
+  });
+
+  // Test 8: Layers
+  await test('should apply a profile to one layer against the resolved state', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+
+    // Resolved across layers: the project layer enabled foo, user has it disabled
+    await manager.saveProfile('work', { 'foo@mk': true, 'bar@mk': false });
+    const effective = { 'foo@mk': true, 'bar@mk': true, 'baz@mk': false };
+
+    assert.deepStrictEqual(manager.diffProfile('work', effective), {
+      enable: [], disable: ['bar@mk'], missing: [], unchanged: ['foo@mk', 'baz@mk']
+    });
+
+    // Entries the layer lists are rewritten; others only where the profile changes them
+    assert.deepStrictEqual(manager.resolveLayer('work', effective, { 'foo@mk': false, 'other@mk': true }), {
+      'foo@mk': true,
+      'other@mk': true,
+      'bar@mk': false
+    });
+    assert.deepStrictEqual(manager.resolveLayer('work', effective, undefined), { 'bar@mk': false });
+    assert.strictEqual(manager.resolveLayer('missing', effective, {}), null);
+  });
+
+  // Test 9: Persistence
+  await test('should persist profiles across instances', async () => {
+    const manager = createTempManager();
+    await manager.initialize();
+    await manager.saveProfile('persisted', current);
+
+    const reloaded = new ProfileManager({ storePath: manager.storePath });
+    await reloaded.initialize();
+
+    assert.deepStrictEqual(reloaded.getProfile('persisted').plugins, current);
+    assert.ok(!fs.readdirSync(path.dirname(manager.storePath)).some(f => f.includes('.tmp.')));
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const ContentSearch = require('../../lib/search/ContentSearch');
+
+/**
+ * ContentSearch Unit Tests
+ *
+ * Tests cover:
+ * - Query terms and quoted phrases
+ * - Ranking: title over keywords over description over body; all terms required
+ * - Snippets with highlight ranges, from the body or else the description
+ */
+
+const documents = [
+  { kind: 'skill', id: 'pdf', title: 'pdf', description: 'Fill and merge PDF forms', keywords: ['documents'], content: 'Use pypdf to merge files.\n\nForms are filled with fillpdf.', location: 'user' },
+  { kind: 'command', id: 'review', title: 'review', description: 'Review a pull request', keywords: [], content: 'Review PR #$1. Check the PDF export too.' },
+  { kind: 'plugin', id: 'pdf-tools@market', title: 'PDF Tools', description: 'Converters', keywords: ['pdf', 'export'] },
+  { kind: 'agent', id: 'writer', title: 'writer', description: 'Writes docs', keywords: [], content: 'You write documentation.' }
+];
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== ContentSearch Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Terms
+  await test('should split queries into terms and phrases', async () => {
+    assert.deepStrictEqual(ContentSearch.terms('  PDF merge pdf "Pull Request" '), ['pdf', 'merge', 'pull request']);
+    assert.deepStrictEqual(ContentSearch.terms(''), []);
+    assert.deepStrictEqual(new ContentSearch().search(documents, '   '), []);
+  });
+
+  // Test 2: Ranking
+  await test('should rank title matches first and require every term', async () => {
+    const search = new ContentSearch();
+
+    const results = search.search(documents, 'pdf');
+    assert.deepStrictEqual(results.map(r => r.id), ['pdf', 'pdf-tools@market', 'review']);
+    assert.strictEqual(results[0].location, 'user');
+    assert.strictEqual(results[0].content, undefined);
+    assert.ok(results[0].score > results[1].score);
+
+    assert.deepStrictEqual(search.search(documents, 'pdf merge').map(r => r.id), ['pdf']);
+    assert.deepStrictEqual(search.search(documents, 'pdf nothing'), []);
+    assert.deepStrictEqual(search.search(documents, '"pull request"').map(r => r.id), ['review']);
+    assert.strictEqual(search.search(documents, 'e', { limit: 2 }).length, 2);
+  });
+
+  // Test 3: Snippets
+  await test('should cut snippets with highlight ranges', async () => {
+    const search = new ContentSearch({ snippetRadius: 10 });
+
+    const [pdf] = search.search(documents, 'merge');
+    assert.deepStrictEqual(pdf.snippets, [{ text: '…pypdf to merge files.…', highlights: [[10, 15]] }]);
+
+    // Both terms close together share one snippet; whitespace is collapsed, words are not cut
+    const [skill] = search.search(documents, 'files forms');
+    assert.deepStrictEqual(skill.snippets, [{ text: '…to merge files. Forms are…', highlights: [[10, 15], [17, 22]] }]);
+
+    // No body match: the description is used
+    const [plugin] = search.search(documents, 'converters');
+    assert.deepStrictEqual(plugin.snippets, [{ text: 'Converters', highlights: [[0, 10]] }]);
+
+    assert.deepStrictEqual(search.snippets('aaaa', ['x']), []);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
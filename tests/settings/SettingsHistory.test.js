@@ -0,0 +1,224 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SettingsHistory = require('../../lib/settings/SettingsHistory');
+const SettingsLayers = require('../../lib/settings/SettingsLayers');
+const SettingsStore = require('../../lib/settings/SettingsStore');
+
+/**
+ * SettingsHistory Unit Tests
+ *
+ * Tests cover:
+ * - Recording and listing entries
+ * - Rotation of old entries
+ * - Key-level diff
+ * - Undo target selection
+ * - ID validation
+ * - Diff against the current file of the entry's own layer
+ * - Undoing a write that created the settings file
+ */
+
+// Helper to create a history in a temp directory
+function createTempHistory(options = {}) {
+  const historyDir = path.join(os.tmpdir(), `test-settings-history-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  return new SettingsHistory({ historyDir, ...options });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== SettingsHistory Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Record and list
+  await test('should record entries and list them newest first', async () => {
+    const history = createTempHistory();
+
+    await history.record({ source: 'POST /a', before: { x: 1 }, after: { x: 2 } });
+    await history.record({ source: 'POST /b', before: { x: 2 }, after: { x: 3, y: true } });
+
+    const entries = await history.list();
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[0].source, 'POST /b');
+    assert.strictEqual(entries[0].changes, 2);
+    assert.strictEqual(entries[1].source, 'POST /a');
+  });
+
+  // Test 2: Get full entry
+  await test('should return full entries by ID', async () => {
+    const history = createTempHistory();
+    const stored = await history.record({ source: 'POST /a', before: null, after: { x: 1 } });
+
+    const entry = await history.get(stored.id);
+    assert.strictEqual(entry.before, null);
+    assert.deepStrictEqual(entry.after, { x: 1 });
+    assert.strictEqual(await history.get('1234567890123-deadbeef'), null);
+  });
+
+  // Test 3: Rotation
+  await test('should rotate out entries beyond maxEntries', async () => {
+    const history = createTempHistory({ maxEntries: 3 });
+
+    for (let i = 0; i < 5; i++) {
+      await history.record({ source: `write ${i}`, before: { i }, after: { i: i + 1 } });
+    }
+
+    const entries = await history.list();
+    assert.deepStrictEqual(entries.map(e => e.source), ['write 4', 'write 3', 'write 2']);
+    assert.strictEqual(fs.readdirSync(history.historyDir).length, 3);
+  });
+
+  // Test 4: Diff
+  await test('should compute key-level diffs', async () => {
+    const history = createTempHistory();
+
+    const changes = history.diff(
+      { enabledPlugins: { a: true, b: false }, model: 'x', list: [1] },
+      { enabledPlugins: { a: false, c: true }, list: [1, 2] }
+    );
+
+    const byPath = Object.fromEntries(changes.map(c => [c.path.join('.'), c.type]));
+    assert.deepStrictEqual(byPath, {
+      'enabledPlugins.a': 'changed',
+      'enabledPlugins.b': 'removed',
+      'enabledPlugins.c': 'added',
+      model: 'removed',
+      list: 'changed'
+    });
+    assert.deepStrictEqual(history.diff(null, {}), []);
+  });
+
+  // Test 5: Undo target
+  await test('should walk back through undoable entries', async () => {
+    const history = createTempHistory();
+
+    const first = await history.record({ source: 'first', before: { v: 0 }, after: { v: 1 } });
+    const second = await history.record({ source: 'second', before: { v: 1 }, after: { v: 2 } });
+
+    assert.strictEqual((await history.latestUndoable()).id, second.id);
+
+    await history.record({ source: 'undo', before: { v: 2 }, after: { v: 1 }, restoredFrom: second.id });
+    assert.strictEqual((await history.latestUndoable()).id, first.id);
+
+    await history.record({ source: 'undo', before: { v: 1 }, after: { v: 0 }, restoredFrom: first.id });
+    assert.strictEqual(await history.latestUndoable(), null);
+  });
+
+  // Test 6: ID validation
+  await test('should reject invalid IDs', async () => {
+    const history = createTempHistory();
+
+    assert.strictEqual(history.isValidId('../settings'), false);
+    assert.strictEqual(history.isValidId('1234567890123-deadbeef'), true);
+    assert.strictEqual(await history.get('../../etc/passwd'), null);
+  });
+
+  // Test 7: Diff against current for a non-user layer
+  await test('should diff against the current file of the entry layer', async () => {
+    const history = createTempHistory();
+    const root = path.join(os.tmpdir(), `test-settings-layers-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+    const userSettingsPath = path.join(root, 'home', 'settings.json');
+    const projectRoot = path.join(root, 'project');
+    const layers = new SettingsLayers({ userSettingsPath, projectRoot });
+
+    try {
+      fs.mkdirSync(path.dirname(userSettingsPath), { recursive: true });
+      fs.writeFileSync(userSettingsPath, JSON.stringify({ theme: 'dark', enabledPlugins: { 'a@mk': true } }));
+
+      const projectPath = layers.getPath('project');
+      fs.mkdirSync(path.dirname(projectPath), { recursive: true });
+      fs.writeFileSync(projectPath, JSON.stringify({ enabledPlugins: { 'foo@mk': true } }));
+
+      const entry = await history.record({
+        source: 'POST /api/plugins/foo@mk/disable?scope=project',
+        settingsPath: projectPath,
+        before: { enabledPlugins: { 'foo@mk': false } },
+        after: { enabledPlugins: { 'foo@mk': true } }
+      });
+
+      // Only the project file is compared; user keys are not reported as removed
+      const changes = await history.diffWithCurrent(entry, layers.storeForPath(entry.settingsPath));
+      assert.deepStrictEqual(changes, [
+        { path: ['enabledPlugins', 'foo@mk'], type: 'changed', before: true, after: false }
+      ]);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+      fs.rmSync(history.historyDir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 8: Undo of a write that created the file
+  await test('should undo a write that created the settings file', async () => {
+    const history = createTempHistory();
+    const root = path.join(os.tmpdir(), `test-settings-created-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+    const store = new SettingsStore({ settingsPath: path.join(root, 'settings.local.json') });
+
+    // Same steps as the server: write through the store, record, then undo the latest entry
+    const write = async (settings, restoredFrom) => {
+      const result = await store.write(settings);
+      return history.record({ source: 'test', settingsPath: store.settingsPath, before: result.before, after: result.after, restoredFrom });
+    };
+
+    try {
+      fs.mkdirSync(root, { recursive: true });
+      const older = await history.record({ source: 'user', before: { v: 0 }, after: { v: 1 } });
+      const created = await write({ enabledPlugins: { 'foo@mk': true } });
+      assert.strictEqual(created.before, null);
+
+      const undoable = await history.latestUndoable();
+      assert.strictEqual(undoable.id, created.id);
+      assert.deepStrictEqual(history.restoreState(undoable), {});
+
+      const restore = await write(history.restoreState(undoable), undoable.id);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.settingsPath, 'utf8')), {});
+      assert.deepStrictEqual(history.diff(restore.before, restore.after), [
+        { path: ['enabledPlugins'], type: 'removed', before: { 'foo@mk': true }, after: undefined }
+      ]);
+
+      // Undo is not stuck on the entry: the next one is older
+      assert.strictEqual((await history.latestUndoable()).id, older.id);
+      assert.deepStrictEqual(history.restoreState(older), { v: 0 });
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+      fs.rmSync(history.historyDir, { recursive: true, force: true });
+    }
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
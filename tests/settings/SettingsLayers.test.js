@@ -0,0 +1,147 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SettingsLayers = require('../../lib/settings/SettingsLayers');
+
+/**
+ * SettingsLayers Unit Tests
+ *
+ * Tests cover:
+ * - Layer path resolution and scope validation
+ * - Effective plugin state and deciding layer
+ * - Per-layer read errors
+ * - Store caching and project root switching
+ */
+
+// Helper to create a user dir and project dir with optional settings files
+function createTempLayers(files = {}) {
+  const base = path.join(os.tmpdir(), `test-settings-layers-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  const userSettingsPath = path.join(base, 'home', '.claude', 'settings.json');
+  const projectRoot = path.join(base, 'project');
+
+  const layers = new SettingsLayers({ userSettingsPath, projectRoot });
+
+  for (const [scope, content] of Object.entries(files)) {
+    const filePath = layers.getPath(scope);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  return layers;
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== SettingsLayers Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Paths
+  await test('should resolve layer paths and validate scopes', async () => {
+    const layers = createTempLayers();
+
+    assert.ok(layers.getPath('project').endsWith(path.join('project', '.claude', 'settings.json')));
+    assert.ok(layers.getPath('local').endsWith(path.join('project', '.claude', 'settings.local.json')));
+    assert.strictEqual(layers.isValidScope('local'), true);
+    assert.strictEqual(layers.isValidScope('managed'), false);
+    assert.throws(() => layers.getPath('managed'), /Invalid settings scope/);
+  });
+
+  // Test 2: Precedence
+  await test('should resolve effective state with local > project > user', async () => {
+    const layers = createTempLayers({
+      user: { enabledPlugins: { a: true, b: true, c: false } },
+      project: { enabledPlugins: { b: false, d: true } },
+      local: { enabledPlugins: { b: true } }
+    });
+
+    const { plugins } = await layers.resolvePlugins();
+    const byId = Object.fromEntries(plugins.map(p => [p.id, p]));
+
+    assert.deepStrictEqual([byId.a.enabled, byId.a.scope], [true, 'user']);
+    assert.deepStrictEqual([byId.b.enabled, byId.b.scope], [true, 'local']);
+    assert.deepStrictEqual(byId.b.layers, { user: true, project: false, local: true });
+    assert.deepStrictEqual([byId.c.enabled, byId.c.scope], [false, 'user']);
+    assert.deepStrictEqual([byId.d.enabled, byId.d.scope], [true, 'project']);
+  });
+
+  // Test 3: Read errors
+  await test('should report unreadable layers without failing', async () => {
+    const layers = createTempLayers({
+      user: { enabledPlugins: { a: true } },
+      project: '{not json'
+    });
+
+    const result = await layers.resolvePlugins();
+    const project = result.layers.find(l => l.scope === 'project');
+    const local = result.layers.find(l => l.scope === 'local');
+
+    assert.ok(project.error.includes('Cannot parse'));
+    assert.strictEqual(local.exists, false);
+    assert.strictEqual(result.plugins.length, 1);
+  });
+
+  // Test 4: Writing to a scope
+  await test('should write through the store of the chosen scope', async () => {
+    const layers = createTempLayers({ user: { enabledPlugins: { a: true } } });
+
+    await layers.getStore('local').update(settings => {
+      settings.enabledPlugins = { a: false };
+      return settings;
+    });
+
+    const { plugins } = await layers.resolvePlugins();
+    assert.deepStrictEqual([plugins[0].enabled, plugins[0].scope], [false, 'local']);
+    assert.ok(fs.existsSync(layers.getPath('local')));
+  });
+
+  // Test 5: Store caching and project switching
+  await test('should cache stores per path and follow project root changes', async () => {
+    const layers = createTempLayers();
+
+    assert.strictEqual(layers.getStore('user'), layers.getStore('user'));
+    assert.strictEqual(layers.storeForPath(layers.getPath('user')), layers.getStore('user'));
+
+    const before = layers.getPath('project');
+    layers.setProjectRoot(path.join(os.tmpdir(), 'other-project'));
+    assert.notStrictEqual(layers.getPath('project'), before);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
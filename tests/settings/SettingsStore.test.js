@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SettingsStore = require('../../lib/settings/SettingsStore');
+
+/**
+ * SettingsStore Unit Tests
+ *
+ * Tests cover:
+ * - Reading missing and existing files
+ * - Atomic writes without leftover temp or lock files
+ * - Concurrent updates without lost writes
+ * - Retry when the file changes underneath
+ * - Lock handling (stale locks, timeouts)
+ * - Refusing to clobber unparseable files
+ */
+
+// Helper to create a store in a temp directory
+function createTempStore(options = {}) {
+  const dir = path.join(os.tmpdir(), `test-settings-store-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return new SettingsStore({ settingsPath: path.join(dir, 'settings.json'), ...options });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== SettingsStore Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Missing file
+  await test('should read a missing file as empty settings', async () => {
+    const store = createTempStore();
+    const { settings, exists } = await store.read();
+
+    assert.deepStrictEqual(settings, {});
+    assert.strictEqual(exists, false);
+  });
+
+  // Test 2: Update writes atomically
+  await test('should update atomically and clean up temp and lock files', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.settingsPath, JSON.stringify({ model: 'x', enabledPlugins: { a: true } }));
+
+    const result = await store.update(settings => {
+      settings.enabledPlugins.a = false;
+      return settings;
+    });
+
+    assert.strictEqual(result.written, true);
+    assert.deepStrictEqual(result.before.enabledPlugins, { a: true });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.settingsPath, 'utf8')), {
+      model: 'x',
+      enabledPlugins: { a: false }
+    });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(store.settingsPath)), ['settings.json']);
+  });
+
+  // Test 3: Abort
+  await test('should not write when the mutator returns null', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.settingsPath, '{"a":1}');
+
+    const result = await store.update(() => null);
+
+    assert.strictEqual(result.written, false);
+    assert.strictEqual(fs.readFileSync(store.settingsPath, 'utf8'), '{"a":1}');
+  });
+
+  // Test 4: Concurrent updates
+  await test('should serialize concurrent updates without losing keys', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.settingsPath, JSON.stringify({ enabledPlugins: {} }));
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.update(settings => {
+      settings.enabledPlugins[`plugin-${i}`] = true;
+      return settings;
+    })));
+
+    const final = JSON.parse(fs.readFileSync(store.settingsPath, 'utf8'));
+    assert.strictEqual(Object.keys(final.enabledPlugins).length, 10);
+  });
+
+  // Test 5: External change mid-update
+  await test('should re-apply the mutation when the file changes underneath', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.settingsPath, JSON.stringify({ enabledPlugins: { a: true } }));
+
+    let calls = 0;
+    await store.update(settings => {
+      calls++;
+      if (calls === 1) {
+        // Simulate a Claude Code session writing without the lock
+        fs.writeFileSync(store.settingsPath, JSON.stringify({ enabledPlugins: { a: true }, model: 'opus' }));
+      }
+      settings.enabledPlugins.a = false;
+      return settings;
+    });
+
+    assert.strictEqual(calls, 2);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.settingsPath, 'utf8')), {
+      enabledPlugins: { a: false },
+      model: 'opus'
+    });
+  });
+
+  // Test 6: Unparseable file
+  await test('should refuse to overwrite an unparseable settings file', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.settingsPath, '{broken');
+
+    await assert.rejects(() => store.update(settings => settings), /Cannot parse/);
+    assert.strictEqual(fs.readFileSync(store.settingsPath, 'utf8'), '{broken');
+    assert.ok(!fs.existsSync(store.lockPath), 'Lock should be released after failure');
+  });
+
+  // Test 7: Stale lock
+  await test('should break stale locks', async () => {
+    const store = createTempStore();
+    fs.writeFileSync(store.lockPath, JSON.stringify({ pid: 1, timestamp: Date.now() - 60000 }));
+
+    const result = await store.write({ a: 1 });
+    assert.strictEqual(result.written, true);
+  });
+
+  // Test 8: Lock timeout
+  await test('should time out while another writer holds the lock', async () => {
+    const store = createTempStore({ lockAcquireTimeout: 200 });
+    fs.writeFileSync(store.lockPath, JSON.stringify({ pid: 1, timestamp: Date.now() }));
+
+    await assert.rejects(() => store.write({ a: 1 }), /Failed to acquire settings lock/);
+    assert.ok(!fs.existsSync(store.settingsPath));
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
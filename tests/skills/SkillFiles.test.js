@@ -0,0 +1,234 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SkillFiles = require('../../lib/skills/SkillFiles');
+const Frontmatter = require('../../lib/markdown/Frontmatter');
+
+/**
+ * SkillFiles Unit Tests
+ *
+ * Tests cover:
+ * - Creating a skill from the template and refusing duplicates
+ * - Reading and rewriting SKILL.md
+ * - Listing, adding, renaming and deleting resource files
+ * - Name validation and path traversal protection
+ * - File tree, binary detection and reading files
+ * - Disabling and enabling skills
+ */
+
+// Helper to create a temporary skills root
+function createSkillsRoot() {
+  const skillsRoot = path.join(os.tmpdir(), `test-skills-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  fs.mkdirSync(skillsRoot, { recursive: true });
+  return skillsRoot;
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== SkillFiles Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Create
+  await test('should create a skill from the template', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles();
+
+    const created = await skillFiles.create(skillsRoot, 'pdf-tools', { description: 'Fill PDF forms: use for any .pdf' });
+    assert.strictEqual(created.path, path.join(skillsRoot, 'pdf-tools'));
+
+    const skill = await skillFiles.read(skillsRoot, 'pdf-tools');
+    assert.strictEqual(skill.error, null);
+    assert.deepStrictEqual(skill.fields, { name: 'pdf-tools', description: 'Fill PDF forms: use for any .pdf' });
+    assert.ok(skill.body.startsWith('# Pdf Tools\n'));
+
+    await assert.rejects(skillFiles.create(skillsRoot, 'pdf-tools'), /already exists/);
+    assert.strictEqual(await skillFiles.read(skillsRoot, 'missing'), null);
+  });
+
+  // Test 2: Update and delete
+  await test('should rewrite SKILL.md and delete the skill', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles();
+    await skillFiles.create(skillsRoot, 'review');
+
+    const content = Frontmatter.stringify({ name: 'review', description: 'Reviews diffs', 'allowed-tools': ['Read', 'Grep'] }, '# Review\n');
+    assert.strictEqual(await skillFiles.write(skillsRoot, 'review', content), true);
+    assert.deepStrictEqual((await skillFiles.read(skillsRoot, 'review')).fields['allowed-tools'], ['Read', 'Grep']);
+
+    assert.strictEqual(await skillFiles.write(skillsRoot, 'missing', content), false);
+    assert.strictEqual(await skillFiles.remove(skillsRoot, 'review'), true);
+    assert.strictEqual(fs.existsSync(path.join(skillsRoot, 'review')), false);
+    assert.strictEqual(await skillFiles.remove(skillsRoot, 'review'), false);
+  });
+
+  // Test 3: Resource files
+  await test('should list, add, rename and delete resource files', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles();
+    await skillFiles.create(skillsRoot, 'forms');
+    const dir = path.join(skillsRoot, 'forms');
+
+    assert.strictEqual(await skillFiles.writeFile(skillsRoot, 'forms', 'scripts/fill.py', 'print(1)\n'), true);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'scripts', 'fill.py'), 'utf8'), 'print(1)\n');
+
+    // Editing an executable script keeps it executable
+    fs.chmodSync(path.join(dir, 'scripts', 'fill.py'), 0o755);
+    await skillFiles.writeFile(skillsRoot, 'forms', 'scripts/fill.py', 'print(2)\n');
+    assert.strictEqual(fs.statSync(path.join(dir, 'scripts', 'fill.py')).mode & 0o777, 0o755);
+    await skillFiles.writeFile(skillsRoot, 'forms', 'scripts/fill.py', 'print(1)\n');
+
+    assert.deepStrictEqual(await skillFiles.listFiles(skillsRoot, 'forms'), [
+      { path: 'SKILL.md', size: fs.statSync(path.join(dir, 'SKILL.md')).size },
+      { path: 'scripts/fill.py', size: 9 }
+    ]);
+
+    assert.strictEqual(await skillFiles.renameFile(skillsRoot, 'forms', 'scripts/fill.py', 'scripts/fill_form.py'), true);
+    assert.ok(fs.existsSync(path.join(dir, 'scripts', 'fill_form.py')));
+    assert.strictEqual(await skillFiles.renameFile(skillsRoot, 'forms', 'scripts/none.py', 'x.py'), false);
+
+    await skillFiles.writeFile(skillsRoot, 'forms', 'reference.md', '# Ref\n');
+    await assert.rejects(skillFiles.renameFile(skillsRoot, 'forms', 'reference.md', 'scripts/fill_form.py'), /already exists/);
+    await assert.rejects(skillFiles.renameFile(skillsRoot, 'forms', 'scripts', 'scripts/nested'), /into itself/);
+    await assert.rejects(skillFiles.renameFile(skillsRoot, 'forms', 'SKILL.md', 'OTHER.md'), /cannot be renamed/);
+    await assert.rejects(skillFiles.deleteFile(skillsRoot, 'forms', 'SKILL.md'), /cannot be deleted/);
+
+    assert.strictEqual(await skillFiles.deleteFile(skillsRoot, 'forms', 'scripts'), true);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'scripts')), false);
+    assert.strictEqual(await skillFiles.deleteFile(skillsRoot, 'forms', 'scripts'), false);
+    assert.strictEqual(await skillFiles.writeFile(skillsRoot, 'missing', 'a.md', ''), false);
+  });
+
+  // Test 4: Validation
+  await test('should reject invalid names and paths outside the skill', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles({ maxFileSize: 10 });
+    await skillFiles.create(skillsRoot, 'safe');
+
+    for (const name of ['../escape', 'a/b', '', 'with space', undefined]) {
+      await assert.rejects(skillFiles.create(skillsRoot, name), /Invalid skill name/);
+    }
+
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', '../other/x.md', 'x'), /outside the skill/);
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', '/etc/passwd', 'x'), /outside the skill/);
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', '', 'x'), /outside the skill/);
+    await assert.rejects(skillFiles.renameFile(skillsRoot, 'safe', 'SKILL.md', '../../SKILL.md'), /outside the skill/);
+    await assert.rejects(skillFiles.deleteFile(skillsRoot, 'safe', '..'), /outside the skill/);
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', 'big.txt', 'x'.repeat(11)), /larger than/);
+
+    // A symlinked folder must not lead writes outside the skill
+    const outside = createSkillsRoot();
+    fs.symlinkSync(outside, path.join(skillsRoot, 'safe', 'linked'));
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', 'linked/x.md', 'x'), /outside the skill/);
+    // ...nor create folders there before the check
+    await assert.rejects(skillFiles.writeFile(skillsRoot, 'safe', 'linked/new/x.md', 'x'), /outside the skill/);
+    await skillFiles.writeFile(skillsRoot, 'safe', 'notes.md', 'x');
+    await assert.rejects(skillFiles.renameFile(skillsRoot, 'safe', 'notes.md', 'linked/moved/notes.md'), /outside the skill/);
+    assert.deepStrictEqual(fs.readdirSync(outside), []);
+  });
+
+  // Test 5: Tree and file content
+  await test('should build the file tree and read text, binary and linked files', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles({ maxFileSize: 100 });
+    await skillFiles.create(skillsRoot, 'tree', { content: '---\nname: tree\n---\n' });
+    const dir = path.join(skillsRoot, 'tree');
+
+    fs.mkdirSync(path.join(dir, 'scripts'));
+    fs.writeFileSync(path.join(dir, 'scripts', 'run.sh'), '#!/bin/sh\necho hi\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(dir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    fs.writeFileSync(path.join(dir, 'big.txt'), 'x'.repeat(101));
+    fs.writeFileSync(path.join(dir, 'latin1.txt'), Buffer.from([0x63, 0x61, 0x66, 0xe9]));
+    fs.symlinkSync('scripts/run.sh', path.join(dir, 'run-link'));
+    const outside = path.join(createSkillsRoot(), 'secret.txt');
+    fs.writeFileSync(outside, 'secret');
+    fs.symlinkSync(outside, path.join(dir, 'escape'));
+
+    const tree = await skillFiles.tree(skillsRoot, 'tree');
+    assert.deepStrictEqual(tree.entries.map(e => [e.name, e.type]), [
+      ['scripts', 'directory'], ['SKILL.md', 'file'], ['big.txt', 'file'], ['escape', 'symlink'],
+      ['latin1.txt', 'file'], ['logo.png', 'file'], ['run-link', 'symlink']
+    ]);
+    assert.deepStrictEqual(tree.entries[0].children.map(e => [e.path, e.executable]), [['scripts/run.sh', true]]);
+    assert.strictEqual(tree.files, 7);
+    assert.strictEqual(tree.truncated, false);
+
+    const script = await skillFiles.readFile(skillsRoot, 'tree', 'scripts/run.sh');
+    assert.deepStrictEqual(script, { path: 'scripts/run.sh', size: 18, binary: false, tooLarge: false, content: '#!/bin/sh\necho hi\n' });
+    assert.strictEqual((await skillFiles.readFile(skillsRoot, 'tree', 'run-link')).content, '#!/bin/sh\necho hi\n');
+    assert.strictEqual((await skillFiles.readFile(skillsRoot, 'tree', 'logo.png')).binary, true);
+    assert.strictEqual((await skillFiles.readFile(skillsRoot, 'tree', 'latin1.txt')).binary, true);
+    assert.strictEqual((await skillFiles.readFile(skillsRoot, 'tree', 'big.txt')).tooLarge, true);
+    assert.strictEqual(await skillFiles.readFile(skillsRoot, 'tree', 'scripts'), null);
+    assert.strictEqual(await skillFiles.readFile(skillsRoot, 'tree', 'missing.md'), null);
+
+    await assert.rejects(skillFiles.readFile(skillsRoot, 'tree', 'escape'), /outside the skill/);
+    await assert.rejects(skillFiles.readFile(skillsRoot, 'tree', '../../etc/passwd'), /outside the skill/);
+
+    const limited = await new SkillFiles({ maxFiles: 2 }).tree(skillsRoot, 'tree');
+    assert.strictEqual(limited.files, 2);
+    assert.strictEqual(limited.truncated, true);
+  });
+
+  // Test 6: Disable and enable
+  await test('should disable a skill into the .disabled area and enable it again', async () => {
+    const skillsRoot = createSkillsRoot();
+    const skillFiles = new SkillFiles();
+    await skillFiles.create(skillsRoot, 'notes');
+    await skillFiles.writeFile(skillsRoot, 'notes', 'ref.md', '# Ref\n');
+
+    assert.strictEqual(await skillFiles.disable(skillsRoot, 'notes'), true);
+    assert.strictEqual(await skillFiles.exists(skillsRoot, 'notes'), false);
+    assert.ok(fs.existsSync(path.join(skillsRoot, '.disabled', 'notes', 'ref.md')));
+    assert.strictEqual(await skillFiles.disable(skillsRoot, 'notes'), false);
+
+    // A new skill with the same name blocks enabling the old one
+    await skillFiles.create(skillsRoot, 'notes');
+    await assert.rejects(skillFiles.enable(skillsRoot, 'notes'), /enabled skill 'notes' already exists/);
+    await assert.rejects(skillFiles.disable(skillsRoot, 'notes'), /disabled skill 'notes' already exists/);
+    await skillFiles.remove(skillsRoot, 'notes');
+
+    assert.strictEqual(await skillFiles.enable(skillsRoot, 'notes'), true);
+    assert.ok(fs.existsSync(path.join(skillsRoot, 'notes', 'ref.md')));
+    assert.strictEqual(fs.existsSync(path.join(skillsRoot, '.disabled')), false);
+    assert.strictEqual(await skillFiles.enable(skillsRoot, 'notes'), false);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const SkillLinter = require('../../lib/skills/SkillLinter');
+
+/**
+ * SkillLinter Unit Tests
+ *
+ * Tests cover:
+ * - A well-formed skill without issues
+ * - Broken links and missing referenced files (with line numbers); bare file names only warn
+ * - Broken links and missing referenced files (with line numbers)
+ * - Executable files without a shebang
+ * - Oversized skills
+ */
+
+// Helper to create a skill directory from a map of relative path -> content
+function createSkill(name, files) {
+  const skillDir = path.join(os.tmpdir(), `test-lint-${Date.now()}-${Math.random().toString(36).substring(7)}`, name);
+  for (const [relativePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(skillDir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(skillDir, relativePath), content);
+  }
+  fs.mkdirSync(skillDir, { recursive: true });
+  return skillDir;
+}
+
+// Issue codes of a lint result
+function codes(result) {
+  return result.issues.map(i => i.code).sort();
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== SkillLinter Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  const linter = new SkillLinter();
+
+  // Test 1: Clean skill
+  await test('should report nothing for a well-formed skill', async () => {
+    const skillDir = createSkill('pdf-forms', {
+      'SKILL.md': [
+        '---',
+        'name: pdf-forms',
+        'description: Fill PDF forms. Use when the user asks to complete a .pdf form.',
+        '---',
+        '# PDF Forms',
+        '',
+        'Run `scripts/fill.py` and read [the reference](reference.md#fields).',
+        'See [docs](https://example.com) and [top](#pdf-forms).',
+        '```',
+        'python scripts/not-checked.py `inside/fence.md`',
+        '```',
+        'Call `scripts/` helpers or `Read` the `{file}`.'
+      ].join('\n'),
+      'scripts/fill.py': '#!/usr/bin/env python3\nprint(1)\n',
+      'reference.md': '# Fields\n'
+    });
+    fs.chmodSync(path.join(skillDir, 'scripts', 'fill.py'), 0o755);
+
+    const result = await linter.lint(skillDir);
+    assert.deepStrictEqual(result.issues, []);
+    assert.strictEqual(result.errors, 0);
+    assert.strictEqual(result.warnings, 0);
+  });
+
+  // Test 2: Fields
+  await test('should flag missing, overlong and mismatched fields', async () => {
+    const missing = await linter.lint(createSkill('empty', { 'SKILL.md': '---\nversion: 1\n---\nBody' }));
+    assert.deepStrictEqual(codes(missing), ['missing-description', 'missing-name']);
+    assert.strictEqual(missing.errors, 2);
+
+    const mismatched = await linter.lint(createSkill('forms', {
+      'SKILL.md': `---\nname: PDF_Forms\ndescription: ${'x'.repeat(1025)}\n---\n`
+    }));
+    assert.deepStrictEqual(codes(mismatched), ['description-too-long', 'name-format', 'name-mismatch']);
+
+    const tooLong = await linter.lint(createSkill('n', { 'SKILL.md': `---\nname: ${'n'.repeat(65)}\ndescription: d\n---\n` }));
+    assert.ok(codes(tooLong).includes('name-too-long'));
+
+    assert.deepStrictEqual(codes(await linter.lint(createSkill('bare', { 'SKILL.md': '# Title\n' }))), ['missing-frontmatter']);
+    assert.deepStrictEqual(codes(await linter.lint(createSkill('broken', { 'SKILL.md': '---\nname: [\n---\n' }))), ['frontmatter']);
+    assert.deepStrictEqual(codes(await linter.lint(createSkill('none', { 'notes.md': 'x' }))), ['missing-skill-md']);
+  });
+
+  // Test 3: References
+  await test('should flag broken links and missing referenced files with line numbers', async () => {
+    const skillDir = createSkill('refs', {
+      'SKILL.md': [
+        '---',
+        'name: refs',
+        'description: References',
+        '---',
+        'See [guide](docs/guide.md) and ![diagram](img/flow.png).',
+        'Run `scripts/missing.sh`, then [again](docs/guide.md).',
+        'Do not read [secrets](../other/secret.md).',
+        'Update the `package.json` of the project, and see `./notes.md`.'
+      ].join('\n')
+    });
+
+    const result = await linter.lint(skillDir);
+    assert.deepStrictEqual(result.issues.map(i => [i.code, i.severity, i.line]), [
+      ['broken-link', 'error', 5],
+      ['broken-link', 'error', 5],
+      ['missing-file', 'error', 6],
+      ['link-outside', 'warning', 7],
+      ['missing-file', 'warning', 8],
+      ['missing-file', 'error', 8]
+    ]);
+    assert.strictEqual(result.issues[0].message, "Link 'docs/guide.md' does not exist");
+    // A bare file name may be a file of the user's project
+    assert.strictEqual(result.issues[4].message, "Referenced file 'package.json' does not exist in the skill");
+    assert.strictEqual(result.errors, 4);
+    assert.strictEqual(result.warnings, 2);
+  });
+
+  // Test 4: Shebang
+  await test('should flag executable files without a shebang', async () => {
+    const skillDir = createSkill('exec', {
+      'SKILL.md': '---\nname: exec\ndescription: Runs scripts\n---\n',
+      'scripts/ok.sh': '#!/bin/sh\necho ok\n',
+      'scripts/bad.sh': 'echo bad\n',
+      'scripts/plain.py': 'print(1)\n'
+    });
+    fs.chmodSync(path.join(skillDir, 'scripts', 'ok.sh'), 0o755);
+    fs.chmodSync(path.join(skillDir, 'scripts', 'bad.sh'), 0o755);
+
+    const result = await linter.lint(skillDir);
+    assert.deepStrictEqual(result.issues.map(i => [i.code, i.file]), [['missing-shebang', 'scripts/bad.sh']]);
+  });
+
+  // Test 5: Size
+  await test('should flag suspiciously large skills', async () => {
+    const small = new SkillLinter({ maxFiles: 2, maxTotalSize: 100, maxFileSize: 60 });
+    const skillDir = createSkill('big', {
+      'SKILL.md': '---\nname: big\ndescription: Big\n---\n',
+      'data/a.txt': 'a'.repeat(70),
+      'data/b.txt': 'b'.repeat(10)
+    });
+
+    const result = await small.lint(skillDir);
+    assert.deepStrictEqual(codes(result), ['large-file', 'too-large', 'too-many-files']);
+    assert.strictEqual(result.issues.find(i => i.code === 'large-file').file, 'data/a.txt');
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const ScopePrecedence = require('../../lib/transfer/ScopePrecedence');
+
+/**
+ * ScopePrecedence Unit Tests
+ *
+ * Tests cover:
+ * - Project items shadowing user items of the same id
+ * - Finding the item in effect, or the one of a given scope
+ * - Namespaced command ids compared as a whole
+ */
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== ScopePrecedence Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Shadowing
+  await test('should let project items shadow user items of the same id', async () => {
+    const precedence = new ScopePrecedence();
+    const items = precedence.mark([
+      { id: 'review', location: 'user' },
+      { id: 'deploy', location: 'user' },
+      { id: 'review', location: 'project' },
+      { id: 'git:commit', location: 'project' },
+      { id: 'commit', location: 'user' }
+    ]);
+
+    assert.deepStrictEqual(items.map(item => [item.id, item.location, item.shadowed, item.overrides]), [
+      ['review', 'user', true, false],
+      ['deploy', 'user', false, false],
+      ['review', 'project', false, true],
+      ['git:commit', 'project', false, false],
+      ['commit', 'user', false, false]
+    ]);
+  });
+
+  // Test 2: Find
+  await test('should find the item in effect or the one of a scope', async () => {
+    const precedence = new ScopePrecedence();
+    const user = { id: 'review', location: 'user' };
+    const project = { id: 'review', location: 'project' };
+    const onlyUser = { id: 'deploy', location: 'user' };
+
+    // Order of the list does not matter
+    assert.strictEqual(precedence.find([project, user], 'review'), project);
+    assert.strictEqual(precedence.find([user, project], 'review'), project);
+    assert.strictEqual(precedence.find([user, project], 'review', 'user'), user);
+    assert.strictEqual(precedence.find([user, project, onlyUser], 'deploy'), onlyUser);
+    assert.strictEqual(precedence.find([user, project], 'deploy'), null);
+    assert.strictEqual(precedence.find([onlyUser], 'deploy', 'project'), null);
+  });
+
+  // Test 3: Namespaced command ids
+  await test('should compare namespaced command ids as a whole', async () => {
+    const precedence = new ScopePrecedence();
+
+    // A namespaced project command only shadows the user command of the same full id
+    const marked = precedence.mark([
+      { id: 'frontend:ui:component', location: 'user' },
+      { id: 'component', location: 'user' },
+      { id: 'frontend:ui:component', location: 'project' }
+    ]);
+    assert.deepStrictEqual(marked.map(item => item.shadowed), [true, false, false]);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
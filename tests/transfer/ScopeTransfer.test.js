@@ -0,0 +1,196 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ScopeTransfer = require('../../lib/transfer/ScopeTransfer');
+
+/**
+ * ScopeTransfer Unit Tests
+ *
+ * Tests cover:
+ * - Copying and moving skills (folders) and commands/agents (files)
+ * - Conflict handling: fail, overwrite, rename, skip
+ * - Frontmatter name updates for renamed skills and agents
+ * - Namespaced commands (namespace:name in subdirectories)
+ * - Validation of names, types and options
+ * - Planning renames and duplicates: default -copy names, conflicts, overwrite
+ */
+
+// Helper to create a user/project directory pair
+function createScopes() {
+  const base = path.join(os.tmpdir(), `test-transfer-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  const user = path.join(base, 'user');
+  const project = path.join(base, 'project');
+  fs.mkdirSync(user, { recursive: true });
+  return { user, project };
+}
+
+// Helper to write a file, creating parent folders
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== ScopeTransfer Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  const transfer = new ScopeTransfer();
+
+  // Test 1: Copy and move
+  await test('should copy and move skills, commands and agents', async () => {
+    const { user, project } = createScopes();
+    write(path.join(user, 'pdf', 'SKILL.md'), '---\nname: pdf\n---\n');
+    write(path.join(user, 'pdf', 'scripts', 'fill.py'), 'print(1)\n');
+    write(path.join(user, 'review.md'), 'Review the diff\n');
+    fs.chmodSync(path.join(user, 'pdf', 'scripts', 'fill.py'), 0o755);
+    fs.symlinkSync('scripts/fill.py', path.join(user, 'pdf', 'fill-link.py'));
+
+    const copied = await transfer.transfer({ type: 'skill', name: 'pdf', sourceDir: user, targetDir: project });
+    assert.deepStrictEqual(copied, { status: 'copied', name: 'pdf', path: path.join(project, 'pdf') });
+    assert.strictEqual(fs.statSync(path.join(project, 'pdf', 'scripts', 'fill.py')).mode & 0o777, 0o755);
+    assert.strictEqual(fs.readlinkSync(path.join(project, 'pdf', 'fill-link.py')), 'scripts/fill.py');
+    assert.ok(fs.existsSync(path.join(user, 'pdf', 'SKILL.md')));
+
+    const moved = await transfer.transfer({ type: 'command', name: 'review', sourceDir: user, targetDir: project, mode: 'move' });
+    assert.deepStrictEqual(moved, { status: 'moved', name: 'review', path: path.join(project, 'review.md') });
+    assert.strictEqual(fs.readFileSync(path.join(project, 'review.md'), 'utf8'), 'Review the diff\n');
+    assert.strictEqual(fs.existsSync(path.join(user, 'review.md')), false);
+
+    assert.strictEqual(await transfer.transfer({ type: 'agent', name: 'missing', sourceDir: user, targetDir: project }), null);
+  });
+
+  // Test 2: Conflicts
+  await test('should fail, overwrite, rename or skip on a name conflict', async () => {
+    const { user, project } = createScopes();
+    write(path.join(user, 'tester.md'), '---\nname: tester\ndescription: new\n---\nNew');
+    write(path.join(project, 'tester.md'), '---\nname: tester\ndescription: old\n---\nOld');
+    const options = { type: 'agent', name: 'tester', sourceDir: user, targetDir: project };
+
+    await assert.rejects(transfer.transfer(options), /agent named 'tester' already exists/);
+
+    const skipped = await transfer.transfer({ ...options, conflict: 'skip' });
+    assert.strictEqual(skipped.status, 'skipped');
+    assert.ok(fs.readFileSync(path.join(project, 'tester.md'), 'utf8').endsWith('Old'));
+
+    const renamed = await transfer.transfer({ ...options, conflict: 'rename' });
+    assert.strictEqual(renamed.name, 'tester-copy');
+    assert.strictEqual(fs.readFileSync(path.join(project, 'tester-copy.md'), 'utf8'), '---\nname: tester-copy\ndescription: new\n---\nNew');
+    assert.strictEqual((await transfer.transfer({ ...options, conflict: 'rename' })).name, 'tester-copy-2');
+
+    const overwritten = await transfer.transfer({ ...options, conflict: 'overwrite', mode: 'move' });
+    assert.strictEqual(overwritten.status, 'moved');
+    assert.ok(fs.readFileSync(path.join(project, 'tester.md'), 'utf8').endsWith('New'));
+    assert.strictEqual(fs.existsSync(path.join(user, 'tester.md')), false);
+  });
+
+  // Test 3: New names
+  await test('should copy under a new name and update the skill name', async () => {
+    const { user } = createScopes();
+    write(path.join(user, 'forms', 'SKILL.md'), '---\nname: forms\ndescription: Fill forms\n---\nBody');
+
+    const copied = await transfer.transfer({ type: 'skill', name: 'forms', sourceDir: user, targetDir: user, newName: 'forms-v2' });
+    assert.strictEqual(copied.name, 'forms-v2');
+    assert.strictEqual(fs.readFileSync(path.join(user, 'forms-v2', 'SKILL.md'), 'utf8'), '---\nname: forms-v2\ndescription: Fill forms\n---\nBody');
+
+    await assert.rejects(transfer.transfer({ type: 'skill', name: 'forms', sourceDir: user, targetDir: user }), /Source and target are the same/);
+  });
+
+  // Test 4: Namespaced commands
+  await test('should transfer namespaced commands between subdirectories', async () => {
+    const { user, project } = createScopes();
+    write(path.join(user, 'frontend', 'component.md'), 'Build a component\n');
+
+    const moved = await transfer.transfer({ type: 'command', name: 'frontend:component', sourceDir: user, targetDir: project, mode: 'move' });
+    assert.strictEqual(moved.path, path.join(project, 'frontend', 'component.md'));
+    assert.strictEqual(fs.existsSync(path.join(user, 'frontend')), false);
+    assert.ok(fs.existsSync(user));
+
+    const copied = await transfer.transfer({ type: 'command', name: 'frontend:component', sourceDir: project, targetDir: project, newName: 'ui:forms:input' });
+    assert.strictEqual(copied.path, path.join(project, 'ui', 'forms', 'input.md'));
+    assert.strictEqual(transfer.isValidName('frontend:component', 'agent'), false);
+  });
+
+  // Test 5: Validation
+  await test('should reject invalid names, types and options', async () => {
+    const { user, project } = createScopes();
+    await assert.rejects(transfer.transfer({ type: 'skill', name: '../x', sourceDir: user, targetDir: project }), /Invalid skill name/);
+    await assert.rejects(transfer.transfer({ type: 'command', name: 'a', newName: 'b/c', sourceDir: user, targetDir: project }), /Invalid command name/);
+    await assert.rejects(transfer.transfer({ type: 'hook', name: 'a', sourceDir: user, targetDir: project }), /Unknown item type/);
+    await assert.rejects(transfer.transfer({ type: 'agent', name: 'a', sourceDir: user, targetDir: project, mode: 'link' }), /Unknown mode/);
+    await assert.rejects(transfer.transfer({ type: 'agent', name: 'a', sourceDir: user, targetDir: project, conflict: 'merge' }), /Unknown conflict/);
+  });
+
+  // Test 6: Rename and duplicate plans
+  await test('should plan renames and duplicates with conflicts and default names', async () => {
+    const { user } = createScopes();
+    write(path.join(user, 'review.md'), 'Review\n');
+    write(path.join(user, 'lint.md'), 'Lint\n');
+    const plan = options => transfer.planRename({ type: 'command', dir: user, ...options });
+
+    assert.deepStrictEqual(await plan({ name: 'review', newName: 'git:review' }),
+      { status: 'ready', name: 'git:review', mode: 'move', conflict: 'fail' });
+
+    // A duplicate without a name gets the first free -copy name
+    assert.deepStrictEqual(await plan({ name: 'review', duplicate: true }),
+      { status: 'ready', name: 'review-copy', mode: 'copy', conflict: 'fail' });
+    write(path.join(user, 'review-copy.md'), 'Copy\n');
+    assert.strictEqual((await plan({ name: 'review', duplicate: true })).name, 'review-copy-2');
+
+    // A taken name is a conflict with a suggestion, unless overwriting
+    assert.deepStrictEqual(await plan({ name: 'review', newName: 'lint' }),
+      { status: 'conflict', name: 'lint', suggestedName: 'lint-copy' });
+    const overwrite = await plan({ name: 'review', newName: 'lint', overwrite: true });
+    assert.deepStrictEqual(overwrite, { status: 'ready', name: 'lint', mode: 'move', conflict: 'overwrite' });
+
+    // The plan is what transfer() carries out
+    await transfer.transfer({ type: 'command', name: 'review', sourceDir: user, targetDir: user, newName: overwrite.name, mode: overwrite.mode, conflict: overwrite.conflict });
+    assert.strictEqual(fs.readFileSync(path.join(user, 'lint.md'), 'utf8'), 'Review\n');
+    assert.strictEqual(fs.existsSync(path.join(user, 'review.md')), false);
+
+    assert.strictEqual(await plan({ name: 'missing', newName: 'other' }), null);
+    await assert.rejects(plan({ name: 'lint', newName: 'lint' }), /same as the current one/);
+    await assert.rejects(plan({ name: 'lint' }), /Invalid new command name/);
+    await assert.rejects(plan({ name: 'lint', newName: '../x' }), /Invalid new command name/);
+    await assert.rejects(plan({ name: '../lint', newName: 'x' }), /Invalid command name/);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
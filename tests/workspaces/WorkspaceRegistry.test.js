@@ -0,0 +1,156 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const WorkspaceRegistry = require('../../lib/workspaces/WorkspaceRegistry');
+
+/**
+ * WorkspaceRegistry Unit Tests
+ *
+ * Tests cover:
+ * - Seeding with the default root
+ * - Adding, validating and de-duplicating workspaces
+ * - Selection and recent ordering
+ * - Removal and reselection
+ * - Persistence across instances
+ */
+
+// Helper to create a temp base directory with project subdirectories
+function createTempBase(projects = []) {
+  const base = path.join(os.tmpdir(), `test-workspaces-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+  for (const project of projects) {
+    fs.mkdirSync(path.join(base, project), { recursive: true });
+  }
+  return base;
+}
+
+// Helper to create a registry stored in a temp base directory
+function createRegistry(base, options = {}) {
+  return new WorkspaceRegistry({ storePath: path.join(base, 'manager', 'workspaces.json'), ...options });
+}
+
+// Test Suite
+async function runTests() {
+  console.log('\n=== WorkspaceRegistry Unit Tests ===\n');
+
+  let testsRun = 0;
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function test(name, fn) {
+    testsRun++;
+    try {
+      await fn();
+      testsPassed++;
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      testsFailed++;
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.stack) {
+        console.error(`  Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+      }
+    }
+  }
+
+  // Test 1: Seeding
+  await test('should register and select the default root on first run', async () => {
+    const base = createTempBase(['launch']);
+    const registry = createRegistry(base, { defaultRoot: path.join(base, 'launch') });
+    await registry.initialize();
+
+    const selected = registry.getSelected();
+    assert.strictEqual(selected.path, path.join(base, 'launch'));
+    assert.strictEqual(selected.name, 'launch');
+    assert.strictEqual(registry.list().length, 1);
+  });
+
+  // Test 2: Adding
+  await test('should validate and de-duplicate added paths', async () => {
+    const base = createTempBase(['a']);
+    const registry = createRegistry(base);
+    await registry.initialize();
+
+    const first = await registry.add(path.join(base, 'a'), { name: 'Project A' });
+    const again = await registry.add(path.join(base, 'a', '..', 'a'));
+
+    assert.strictEqual(first.name, 'Project A');
+    assert.strictEqual(again.id, first.id);
+    await assert.rejects(() => registry.add('relative/path'), /absolute path/);
+    await assert.rejects(() => registry.add(path.join(base, 'missing')), /does not exist/);
+    fs.writeFileSync(path.join(base, 'file.txt'), 'x');
+    await assert.rejects(() => registry.add(path.join(base, 'file.txt')), /not a directory/);
+  });
+
+  // Test 3: Selection and recent ordering
+  await test('should select workspaces and order recent by last use', async () => {
+    const base = createTempBase(['a', 'b', 'c']);
+    const registry = createRegistry(base);
+    await registry.initialize();
+
+    const a = await registry.add(path.join(base, 'a'));
+    const b = await registry.add(path.join(base, 'b'));
+    await registry.add(path.join(base, 'c'));
+
+    await registry.select(a.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await registry.select(b.id);
+
+    assert.strictEqual(registry.getSelected().id, b.id);
+    assert.deepStrictEqual(registry.recent().map(w => w.id), [b.id, a.id]);
+    assert.strictEqual(await registry.select('unknown'), null);
+  });
+
+  // Test 4: Removal
+  await test('should reselect the most recent workspace after removing the selected one', async () => {
+    const base = createTempBase(['a', 'b']);
+    const registry = createRegistry(base);
+    await registry.initialize();
+
+    const a = await registry.add(path.join(base, 'a'));
+    const b = await registry.add(path.join(base, 'b'));
+    await registry.select(a.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await registry.select(b.id);
+
+    assert.strictEqual(await registry.remove(b.id), true);
+    assert.strictEqual(registry.getSelected().id, a.id);
+    assert.strictEqual(await registry.remove(b.id), false);
+  });
+
+  // Test 5: Persistence
+  await test('should persist workspaces and selection', async () => {
+    const base = createTempBase(['a', 'b']);
+    const registry = createRegistry(base);
+    await registry.initialize();
+
+    await registry.add(path.join(base, 'a'));
+    const b = await registry.add(path.join(base, 'b'));
+    await registry.select(b.id);
+
+    const reloaded = createRegistry(base, { defaultRoot: path.join(base, 'a') });
+    await reloaded.initialize();
+
+    assert.strictEqual(reloaded.list().length, 2);
+    assert.strictEqual(reloaded.getSelected().id, b.id);
+  });
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Total: ${testsRun}`);
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log('===================\n');
+
+  process.exit(testsFailed > 0 ? 1 : 0);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };